@@ -0,0 +1,44 @@
+import React from 'react';
+import { FileText, Pin } from 'lucide-react';
+
+/**
+ * Attachments sent with a chat message
+ * Images render as thumbnails, text files as chips linking to the file
+ */
+function AttachmentList({ chatId, attachments }) {
+  if (!attachments?.length) return null;
+
+  return (
+    <div className="flex flex-wrap gap-2 mb-2" data-testid="message-attachments">
+      {attachments.map(att => {
+        const url = `/api/chat/${chatId}/attachments/${att.id}`;
+        const title = att.cid ? `${att.name} (ipfs://${att.cid})` : att.name;
+
+        return att.kind === 'image' ? (
+          <a key={att.id} href={url} target="_blank" rel="noopener noreferrer" title={title}>
+            <img
+              src={url}
+              alt={att.name}
+              className="max-h-40 max-w-[240px] rounded border border-border/50 object-cover"
+            />
+          </a>
+        ) : (
+          <a
+            key={att.id}
+            href={url}
+            target="_blank"
+            rel="noopener noreferrer"
+            title={title}
+            className="flex items-center gap-1 px-2 py-1 rounded bg-background/30 text-xs hover:underline"
+          >
+            <FileText size={12} />
+            <span className="truncate max-w-[160px]">{att.name}</span>
+            {att.cid && <Pin size={10} />}
+          </a>
+        );
+      })}
+    </div>
+  );
+}
+
+export default AttachmentList;
@@ -1,6 +1,6 @@
 import React from 'react';
 import { useNavigate } from 'react-router-dom';
-import { GitBranch, ChevronDown } from 'lucide-react';
+import { GitBranch, ChevronDown, ChevronLeft, ChevronRight } from 'lucide-react';
 
 /**
  * Branch indicator badge in chat header
@@ -33,4 +33,45 @@ function BranchIndicator({ branches, activeBranchId, chatId }) {
   );
 }
 
+/**
+ * ◀ 2/3 ▶ navigation between alternatives of a message
+ * (regenerated replies, edited user messages). Each step switches to the
+ * branch holding that alternative.
+ */
+export function SiblingNav({ siblings, onSwitchBranch, disabled }) {
+  if (!siblings || siblings.total <= 1) {
+    return null;
+  }
+
+  const { index, total, branchIds } = siblings;
+  const go = offset => {
+    const branchId = branchIds[index + offset];
+    if (branchId) onSwitchBranch(branchId);
+  };
+
+  return (
+    <span className="inline-flex items-center gap-0.5 text-xs opacity-70" data-testid="sibling-nav">
+      <button
+        onClick={() => go(-1)}
+        disabled={disabled || index === 0 || !branchIds[index - 1]}
+        className="p-0.5 rounded hover:bg-background/20 disabled:opacity-30"
+        title="Previous version"
+      >
+        <ChevronLeft size={12} />
+      </button>
+      <span>
+        {index + 1}/{total}
+      </span>
+      <button
+        onClick={() => go(1)}
+        disabled={disabled || index === total - 1 || !branchIds[index + 1]}
+        className="p-0.5 rounded hover:bg-background/20 disabled:opacity-30"
+        title="Next version"
+      >
+        <ChevronRight size={12} />
+      </button>
+    </span>
+  );
+}
+
 export default BranchIndicator;
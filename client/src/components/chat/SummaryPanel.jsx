@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import { ScrollText, ChevronDown, Pencil, RefreshCw, Loader2 } from 'lucide-react';
+
+/**
+ * Rolling summary of the active branch, shown above the messages
+ * Older turns live here once they leave the recent-history window
+ */
+function SummaryPanel({ summary, messageCount, onSave, onRegenerate, disabled }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+
+  // Nothing to show until the branch is long enough to be summarized
+  if (!summary && messageCount <= 20) return null;
+
+  const startEditing = () => {
+    setDraft(summary?.text || '');
+    setIsEditing(true);
+    setIsOpen(true);
+  };
+
+  const handleSave = async () => {
+    setIsBusy(true);
+    const saved = await onSave(draft);
+    setIsBusy(false);
+    if (saved) setIsEditing(false);
+  };
+
+  const handleRegenerate = async () => {
+    setIsBusy(true);
+    await onRegenerate();
+    setIsBusy(false);
+    setIsEditing(false);
+  };
+
+  return (
+    <div className="px-4 py-2 border-b border-border bg-background/30" data-testid="chat-summary">
+      <div className="flex items-center justify-between gap-2">
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          className="flex items-center gap-1.5 text-xs text-text-secondary hover:text-text-primary transition-colors"
+        >
+          <ScrollText size={14} />
+          <ChevronDown size={14} className={`transition-transform ${isOpen ? '' : '-rotate-90'}`} />
+          <span>Summary</span>
+          <span className="text-text-tertiary">
+            {summary
+              ? `(${summary.messageCount} earlier messages${summary.edited ? ', edited' : ''})`
+              : '(not generated yet)'}
+          </span>
+        </button>
+        <div className="flex items-center gap-1">
+          <button
+            onClick={startEditing}
+            disabled={disabled || isBusy}
+            className="p-1 rounded hover:bg-border/50 text-text-tertiary hover:text-text-secondary disabled:opacity-30"
+            title="Edit summary"
+          >
+            <Pencil size={12} />
+          </button>
+          <button
+            onClick={handleRegenerate}
+            disabled={disabled || isBusy}
+            className="p-1 rounded hover:bg-border/50 text-text-tertiary hover:text-text-secondary disabled:opacity-30"
+            title="Regenerate summary"
+          >
+            {isBusy ? <Loader2 size={12} className="animate-spin" /> : <RefreshCw size={12} />}
+          </button>
+        </div>
+      </div>
+
+      {isOpen && (
+        <div className="mt-2 text-xs">
+          {isEditing ? (
+            <>
+              <textarea
+                value={draft}
+                onChange={e => setDraft(e.target.value)}
+                rows={6}
+                className="form-input w-full text-xs"
+                placeholder="What happened earlier in this conversation..."
+              />
+              <div className="flex justify-end gap-2 mt-2">
+                <button
+                  onClick={() => setIsEditing(false)}
+                  className="btn btn-secondary text-xs"
+                  disabled={isBusy}
+                >
+                  Cancel
+                </button>
+                <button onClick={handleSave} className="btn btn-primary text-xs" disabled={isBusy}>
+                  Save
+                </button>
+              </div>
+            </>
+          ) : (
+            <p className="whitespace-pre-wrap text-text-tertiary max-h-48 overflow-y-auto">
+              {summary?.text || 'No summary yet - regenerate to summarize the earlier messages now.'}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SummaryPanel;
@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import { GitMerge, Loader2, Check } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+/**
+ * Find near-duplicate memories and merge them after review
+ * Each proposal shows the originals and an editable merged text
+ */
+function ConsolidationPanel({ onApplied }) {
+  const [threshold, setThreshold] = useState(0.9);
+  const [proposals, setProposals] = useState(null);
+  const [scanned, setScanned] = useState(0);
+  const [selected, setSelected] = useState({});
+  const [drafts, setDrafts] = useState({});
+  const [isScanning, setIsScanning] = useState(false);
+  const [isApplying, setIsApplying] = useState(false);
+
+  const handlePreview = async () => {
+    setIsScanning(true);
+    setProposals(null);
+
+    const res = await fetch('/api/memories/maintenance/consolidate/preview', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ threshold }),
+    });
+    const data = await res.json();
+    setIsScanning(false);
+
+    if (!data.success) {
+      toast.error(data.error || 'Consolidation preview failed');
+      return;
+    }
+
+    setProposals(data.proposals);
+    setScanned(data.scanned);
+    setSelected(Object.fromEntries(data.proposals.map((p, i) => [i, Boolean(p.merged)])));
+    setDrafts(Object.fromEntries(data.proposals.map((p, i) => [i, p.merged?.content || ''])));
+  };
+
+  const handleApply = async () => {
+    const merges = proposals
+      .map((p, i) => ({ memoryIds: p.memoryIds, content: drafts[i] }))
+      .filter((_, i) => selected[i]);
+
+    setIsApplying(true);
+    const res = await fetch('/api/memories/maintenance/consolidate/apply', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ merges }),
+    });
+    const data = await res.json();
+    setIsApplying(false);
+
+    if (data.success) {
+      toast.success(`Merged ${data.merged.length} clusters`);
+      setProposals(null);
+      onApplied?.();
+    } else {
+      toast.error(data.error || 'Failed to apply merges');
+    }
+  };
+
+  const selectedCount = Object.values(selected).filter(Boolean).length;
+
+  return (
+    <div className="card" data-testid="consolidation-panel">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="font-semibold text-text-primary">Consolidation</h3>
+          <p className="text-sm text-text-secondary">
+            Merge near-duplicate memories. Originals are kept as merge history.
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <label className="text-sm text-text-secondary">Similarity</label>
+          <input
+            type="number"
+            min="0.5"
+            max="1"
+            step="0.01"
+            value={threshold}
+            onChange={e => setThreshold(parseFloat(e.target.value) || 0.9)}
+            className="form-input w-20"
+          />
+          <button
+            onClick={handlePreview}
+            disabled={isScanning}
+            className="btn btn-secondary flex items-center gap-2"
+          >
+            {isScanning ? <Loader2 size={16} className="animate-spin" /> : <GitMerge size={16} />}
+            Find Duplicates
+          </button>
+        </div>
+      </div>
+
+      {proposals && (
+        <div className="mt-4 space-y-3">
+          <p className="text-xs text-text-tertiary">
+            {proposals.length} clusters found in {scanned} memories
+          </p>
+
+          {proposals.map((proposal, i) => (
+            <div key={proposal.memoryIds.join('+')} className="border border-border rounded-lg p-3">
+              <div className="flex items-center justify-between mb-2">
+                <label className="flex items-center gap-2 text-sm text-text-primary">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(selected[i])}
+                    disabled={!drafts[i]?.trim()}
+                    onChange={e => setSelected({ ...selected, [i]: e.target.checked })}
+                  />
+                  Merge {proposal.memoryIds.length} memories
+                </label>
+                <span className="text-xs text-text-tertiary">
+                  similarity {proposal.similarity.toFixed(3)}
+                </span>
+              </div>
+
+              <ul className="space-y-1 mb-2">
+                {proposal.memories.map(m => (
+                  <li key={m.id} className="text-xs text-text-secondary">
+                    <span className="font-mono text-text-tertiary">{m.id}</span> {m.content?.text}
+                  </li>
+                ))}
+              </ul>
+
+              {proposal.error && <p className="text-xs text-error mb-1">{proposal.error}</p>}
+              <textarea
+                value={drafts[i]}
+                onChange={e => setDrafts({ ...drafts, [i]: e.target.value })}
+                rows={3}
+                className="form-input w-full text-sm"
+                placeholder="Merged memory text"
+              />
+            </div>
+          ))}
+
+          {proposals.length > 0 && (
+            <div className="flex justify-end">
+              <button
+                onClick={handleApply}
+                disabled={isApplying || selectedCount === 0}
+                className="btn btn-primary flex items-center gap-2"
+              >
+                {isApplying ? <Loader2 size={16} className="animate-spin" /> : <Check size={16} />}
+                Apply {selectedCount} Merges
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ConsolidationPanel;
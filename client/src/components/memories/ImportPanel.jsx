@@ -0,0 +1,226 @@
+import React, { useState } from 'react';
+import { FileInput, FolderOpen, Loader2, Check } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const EXTENSIONS = ['.md', '.markdown', '.txt', '.jsonl'];
+
+// Skip dot-folders like .obsidian and .trash, and unsupported files
+const isImportable = file => {
+  const filePath = file.webkitRelativePath || file.name;
+  return (
+    !filePath.split('/').some(part => part.startsWith('.')) &&
+    EXTENSIONS.some(ext => filePath.toLowerCase().endsWith(ext))
+  );
+};
+
+/**
+ * Import Markdown/Obsidian notes, text and JSONL files
+ * Always previews with a dry run before anything is written
+ */
+function ImportPanel({ categories, onImported }) {
+  const [mode, setMode] = useState('upload');
+  const [folder, setFolder] = useState('');
+  const [files, setFiles] = useState([]);
+  const [category, setCategory] = useState('');
+  const [tags, setTags] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  const handleFiles = async fileList => {
+    const selected = await Promise.all(
+      [...fileList].filter(isImportable).map(async file => ({
+        path: file.webkitRelativePath || file.name,
+        content: await file.text(),
+      }))
+    );
+    setFiles(selected);
+    setPreview(null);
+  };
+
+  const runImport = async dryRun => {
+    setIsWorking(true);
+    const res = await fetch('/api/memories/import', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        ...(mode === 'folder' ? { path: folder.trim() } : { files }),
+        defaults: { category: category || undefined, tags },
+        dryRun,
+      }),
+    });
+    const data = await res.json();
+    setIsWorking(false);
+
+    if (!data.success) {
+      toast.error(data.error || 'Import failed');
+      return;
+    }
+
+    if (dryRun) {
+      setPreview(data);
+    } else {
+      toast.success(
+        `Imported ${data.imported} memories (${data.duplicates} duplicates skipped, ${data.links} links)`
+      );
+      setPreview(null);
+      onImported?.();
+    }
+  };
+
+  const canPreview = mode === 'folder' ? folder.trim() : files.length > 0;
+
+  return (
+    <div className="card" data-testid="import-panel">
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <h3 className="font-semibold text-text-primary">Import</h3>
+          <p className="text-sm text-text-secondary">
+            Markdown and Obsidian notes, text files and JSONL. Frontmatter sets category and tags;
+            wiki-links become relationships.
+          </p>
+        </div>
+        <div className="flex gap-1">
+          {['upload', 'folder'].map(option => (
+            <button
+              key={option}
+              onClick={() => {
+                setMode(option);
+                setPreview(null);
+              }}
+              className={`text-xs px-2 py-1 rounded ${mode === option ? 'bg-primary/20 text-primary' : 'bg-border text-text-secondary'}`}
+            >
+              {option === 'upload' ? 'Upload files' : 'Server folder'}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        {mode === 'upload' ? (
+          <div className="flex items-center gap-2">
+            <label className="btn btn-secondary flex items-center gap-2 cursor-pointer">
+              <FileInput size={16} />
+              Files
+              <input
+                type="file"
+                multiple
+                accept={EXTENSIONS.join(',')}
+                onChange={e => handleFiles(e.target.files)}
+                className="hidden"
+              />
+            </label>
+            <label className="btn btn-secondary flex items-center gap-2 cursor-pointer">
+              <FolderOpen size={16} />
+              Folder
+              <input
+                type="file"
+                webkitdirectory=""
+                onChange={e => handleFiles(e.target.files)}
+                className="hidden"
+              />
+            </label>
+            <span className="text-xs text-text-tertiary">{files.length} files</span>
+          </div>
+        ) : (
+          <input
+            value={folder}
+            onChange={e => {
+              setFolder(e.target.value);
+              setPreview(null);
+            }}
+            className="form-input"
+            placeholder="/path/to/obsidian/vault"
+          />
+        )}
+        <select
+          value={category}
+          onChange={e => {
+            setCategory(e.target.value);
+            setPreview(null);
+          }}
+          className="form-input"
+          title="Category for notes without one"
+        >
+          <option value="">Auto-detect category</option>
+          {categories.map(key => (
+            <option key={key} value={key}>
+              {key}
+            </option>
+          ))}
+        </select>
+        <input
+          value={tags}
+          onChange={e => {
+            setTags(e.target.value);
+            setPreview(null);
+          }}
+          className="form-input"
+          placeholder="Extra tags, comma separated"
+        />
+      </div>
+
+      <div className="flex justify-end gap-2 mt-3">
+        <button
+          onClick={() => runImport(true)}
+          disabled={!canPreview || isWorking}
+          className="btn btn-secondary flex items-center gap-2"
+        >
+          {isWorking && !preview ? <Loader2 size={16} className="animate-spin" /> : null}
+          Preview
+        </button>
+        {preview && (
+          <button
+            onClick={() => runImport(false)}
+            disabled={isWorking || preview.toImport === 0}
+            className="btn btn-primary flex items-center gap-2"
+          >
+            {isWorking ? <Loader2 size={16} className="animate-spin" /> : <Check size={16} />}
+            Import {preview.toImport} Memories
+          </button>
+        )}
+      </div>
+
+      {preview && (
+        <div className="mt-4 pt-4 border-t border-border space-y-2" data-testid="import-preview">
+          <p className="text-sm text-text-secondary">
+            {preview.files} files • {preview.toImport} new • {preview.duplicates} duplicates •{' '}
+            {preview.links} links
+          </p>
+          {preview.warnings.length > 0 && (
+            <ul className="text-xs text-yellow-500 space-y-0.5">
+              {preview.warnings.slice(0, 10).map(warning => (
+                <li key={warning}>{warning}</li>
+              ))}
+              {preview.warnings.length > 10 && <li>…and {preview.warnings.length - 10} more</li>}
+            </ul>
+          )}
+          <div className="max-h-80 overflow-y-auto space-y-1">
+            {preview.memories.map(memory => (
+              <div
+                key={memory.key}
+                className="p-2 rounded border border-border text-xs"
+                style={{ opacity: memory.duplicate ? 0.5 : 1 }}
+              >
+                <div className="flex items-center gap-2 text-text-tertiary">
+                  <span className="font-medium text-text-primary">{memory.title || memory.key}</span>
+                  <span>{memory.category || 'auto'}</span>
+                  {memory.duplicate && <span className="text-yellow-500">duplicate</span>}
+                  {memory.links.length > 0 && <span>→ {memory.links.join(', ')}</span>}
+                  {memory.unresolvedLinks.length > 0 && (
+                    <span className="line-through">{memory.unresolvedLinks.join(', ')}</span>
+                  )}
+                </div>
+                <p className="text-text-secondary line-clamp-2 mt-1">{memory.preview}</p>
+                {memory.tags.length > 0 && (
+                  <p className="text-primary mt-1">{memory.tags.map(tag => `#${tag}`).join(' ')}</p>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ImportPanel;
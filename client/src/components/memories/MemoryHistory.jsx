@@ -0,0 +1,121 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { History, RotateCcw, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const formatValue = value => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return value.length ? value.join(', ') : '—';
+  return String(value);
+};
+
+/**
+ * Version history of one memory, with restore
+ */
+function MemoryHistory({ memory, onClose, onRestored }) {
+  const [history, setHistory] = useState(null);
+  const [restoring, setRestoring] = useState(null);
+
+  const loadHistory = useCallback(async () => {
+    const res = await fetch(`/api/memories/${memory.id}/history`);
+    const data = await res.json();
+    if (data.success) {
+      setHistory(data.versions);
+    } else {
+      setHistory([]);
+      toast.error(data.error || 'Failed to load history');
+    }
+  }, [memory.id]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  const handleRestore = async version => {
+    setRestoring(version);
+    const res = await fetch(`/api/memories/${memory.id}/history/${version}/restore`, {
+      method: 'POST',
+    });
+    const data = await res.json();
+    setRestoring(null);
+
+    if (data.success) {
+      toast.success(`Restored version ${version}`);
+      loadHistory();
+      onRestored?.(data.memory);
+    } else {
+      toast.error(data.error || 'Failed to restore version');
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50"
+      onClick={onClose}
+      data-testid="memory-history-modal"
+    >
+      <div
+        className="border border-border rounded-lg max-w-2xl w-full max-h-[80vh] flex flex-col"
+        style={{ backgroundColor: 'var(--color-surface-solid)' }}
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="p-4 border-b border-border flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <History size={20} className="text-primary" />
+            <h2 className="text-lg font-semibold text-text-primary">History of {memory.id}</h2>
+          </div>
+          <button onClick={onClose} className="text-text-tertiary hover:text-text-primary">
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="p-4 overflow-y-auto space-y-3">
+          {!history && <p className="text-sm text-text-tertiary">Loading...</p>}
+          {history?.length === 0 && (
+            <p className="text-sm text-text-tertiary">No versions recorded yet</p>
+          )}
+          {history?.map((version, index) => (
+            <div key={version.version} className="border border-border rounded-lg p-3">
+              <div className="flex items-center justify-between mb-2">
+                <div className="text-sm">
+                  <span className="font-medium text-text-primary">v{version.version}</span>
+                  <span className="text-text-tertiary">
+                    {' '}
+                    • {version.reason} by {version.author} •{' '}
+                    {version.createdAt ? new Date(version.createdAt).toLocaleString() : ''}
+                  </span>
+                </div>
+                {index === 0 ? (
+                  <span className="text-xs text-text-tertiary">current</span>
+                ) : (
+                  <button
+                    onClick={() => handleRestore(version.version)}
+                    disabled={restoring !== null}
+                    className="btn btn-secondary text-xs flex items-center gap-1"
+                  >
+                    <RotateCcw size={12} />
+                    Restore
+                  </button>
+                )}
+              </div>
+              <div className="space-y-1 text-xs">
+                {version.diff.map(change => (
+                  <div key={change.field} className="grid grid-cols-[80px_1fr] gap-2">
+                    <span className="text-text-tertiary capitalize">{change.field}</span>
+                    <div>
+                      {change.from !== null && (
+                        <p className="text-error line-through">{formatValue(change.from)}</p>
+                      )}
+                      <p className="text-success">{formatValue(change.to)}</p>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default MemoryHistory;
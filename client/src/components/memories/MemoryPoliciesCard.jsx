@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react';
+import { Hourglass, Play, Save, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const POLICY_FIELDS = [
+  { key: 'halfLifeDays', label: 'Half-life (days)', step: '1' },
+  { key: 'archiveBelow', label: 'Archive below', step: '0.01' },
+  { key: 'minAgeDays', label: 'Min age (days)', step: '1' },
+  { key: 'retrievalBoost', label: 'Retrieval boost', step: '0.01' },
+  { key: 'citationBoost', label: 'Citation boost', step: '0.01' },
+];
+
+/**
+ * Per-category decay, reinforcement and archive settings
+ * Reads from /api/memories/stats so counts and policies stay side by side
+ */
+function MemoryPoliciesCard() {
+  const [policies, setPolicies] = useState(null);
+  const [edits, setEdits] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [running, setRunning] = useState(false);
+
+  const loadPolicies = async () => {
+    const response = await fetch('/api/memories/stats');
+    const data = await response.json();
+    if (data.success) {
+      setPolicies(data.policies);
+      setEdits({});
+    }
+  };
+
+  useEffect(() => {
+    loadPolicies();
+  }, []);
+
+  const setField = (category, key, value) => {
+    setEdits({ ...edits, [category]: { ...edits[category], [key]: value } });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    const response = await fetch('/api/memories/config/policies', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ enabled: policies.enabled, categories: edits }),
+    });
+    const data = await response.json();
+    setSaving(false);
+
+    if (data.success) {
+      toast.success('Memory policies saved');
+      loadPolicies();
+    } else {
+      toast.error(data.error || 'Failed to save memory policies');
+    }
+  };
+
+  const handleRun = async () => {
+    setRunning(true);
+    const response = await fetch('/api/memories/config/policies/run', { method: 'POST' });
+    const data = await response.json();
+    setRunning(false);
+
+    if (data.success) {
+      toast.success(`${data.decayed} memories decayed, ${data.archived} archived`);
+      loadPolicies();
+    } else {
+      toast.error(data.error || 'Policy run failed');
+    }
+  };
+
+  if (!policies) return null;
+
+  return (
+    <div className="card" data-testid="memory-policies">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-3">
+          <Hourglass size={20} className="text-primary" />
+          <div>
+            <h2 className="text-lg font-semibold text-text-primary">Decay & Archiving</h2>
+            <p className="text-sm text-text-secondary">
+              Importance fades over time and grows when memories are used. Archived memories
+              stay searchable but leave chat.
+            </p>
+          </div>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-text-secondary">
+          <input
+            type="checkbox"
+            checked={policies.enabled}
+            onChange={e => setPolicies({ ...policies, enabled: e.target.checked })}
+          />
+          Every {policies.intervalHours}h
+        </label>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-text-tertiary">
+              <th className="py-1 pr-2 font-medium">Category</th>
+              {POLICY_FIELDS.map(field => (
+                <th key={field.key} className="py-1 pr-2 font-medium">
+                  {field.label}
+                </th>
+              ))}
+              <th className="py-1 pr-2 font-medium">Active / Archived</th>
+              <th className="py-1 font-medium">Avg importance</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(policies.byCategory).map(([category, stats]) => (
+              <tr key={category} className="border-t border-border">
+                <td className="py-1 pr-2 capitalize text-text-primary">{category}</td>
+                {POLICY_FIELDS.map(field => (
+                  <td key={field.key} className="py-1 pr-2">
+                    <input
+                      type="number"
+                      min="0"
+                      step={field.step}
+                      value={edits[category]?.[field.key] ?? stats.policy[field.key]}
+                      onChange={e => setField(category, field.key, parseFloat(e.target.value) || 0)}
+                      className="form-input w-20"
+                    />
+                  </td>
+                ))}
+                <td className="py-1 pr-2 text-text-secondary">
+                  {stats.active} / {stats.archived}
+                </td>
+                <td className="py-1 text-text-secondary">
+                  {stats.avgImportance !== null ? `${(stats.avgImportance * 100).toFixed(0)}%` : '—'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex items-center justify-between pt-4 mt-4 border-t border-border">
+        <span className="text-xs text-text-tertiary">
+          {policies.lastRun
+            ? `Last run ${new Date(policies.lastRun.ranAt).toLocaleString()}: ${policies.lastRun.decayed} decayed, ${policies.lastRun.archived} archived`
+            : 'Not run yet'}
+        </span>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={handleRun}
+            disabled={running}
+            className="btn btn-secondary flex items-center gap-2"
+          >
+            {running ? <Loader2 size={16} className="animate-spin" /> : <Play size={16} />}
+            Run Now
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="btn btn-primary flex items-center gap-2"
+          >
+            <Save size={16} />
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default MemoryPoliciesCard;
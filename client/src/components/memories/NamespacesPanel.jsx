@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import { FolderPlus, Trash2, RefreshCw } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+/**
+ * Memory namespaces with counts, and named collections
+ */
+function NamespacesPanel() {
+  const [namespaces, setNamespaces] = useState(null);
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+
+  const loadNamespaces = async () => {
+    const res = await fetch('/api/memories/namespaces');
+    const data = await res.json();
+    if (data.success) {
+      setNamespaces(data.namespaces);
+    }
+  };
+
+  useEffect(() => {
+    loadNamespaces();
+  }, []);
+
+  const handleCreate = async () => {
+    const res = await fetch('/api/memories/namespaces/collections', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: name.trim(), description }),
+    });
+    const data = await res.json();
+
+    if (data.success) {
+      toast.success(`Created ${data.namespace}`);
+      setName('');
+      setDescription('');
+      loadNamespaces();
+    } else {
+      toast.error(data.error || 'Failed to create collection');
+    }
+  };
+
+  const handleDelete = async collection => {
+    const res = await fetch(`/api/memories/namespaces/collections/${collection}`, {
+      method: 'DELETE',
+    });
+    const data = await res.json();
+
+    if (data.success) {
+      toast.success(`Deleted ${collection} (${data.moved} memories moved to ${data.reassignedTo})`);
+      loadNamespaces();
+    } else {
+      toast.error(data.error || 'Failed to delete collection');
+    }
+  };
+
+  if (!namespaces) return null;
+
+  return (
+    <div className="card" data-testid="namespaces-panel">
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <h3 className="font-semibold text-text-primary">Namespaces</h3>
+          <p className="text-sm text-text-secondary">
+            Templates read and write the namespaces in their memory scope. Collections are named
+            namespaces templates can share.
+          </p>
+        </div>
+        <button onClick={loadNamespaces} className="btn btn-secondary" title="Refresh">
+          <RefreshCw size={16} />
+        </button>
+      </div>
+
+      <div className="space-y-1 mb-3">
+        {namespaces.map(ns => (
+          <div
+            key={ns.namespace}
+            className="flex items-center justify-between gap-2 p-2 rounded border border-border text-sm"
+          >
+            <div className="min-w-0">
+              <span className="text-text-primary">{ns.namespace}</span>
+              {ns.description && (
+                <span className="text-xs text-text-tertiary"> • {ns.description}</span>
+              )}
+            </div>
+            <div className="flex items-center gap-2 flex-shrink-0">
+              <span className="text-xs text-text-tertiary">{ns.count} memories</span>
+              {ns.kind === 'collection' && (
+                <button
+                  onClick={() => handleDelete(ns.id)}
+                  className="p-1 rounded hover:bg-error/20 text-error"
+                  title="Delete collection (memories move to global)"
+                >
+                  <Trash2 size={14} />
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex gap-2">
+        <input
+          value={name}
+          onChange={e => setName(e.target.value)}
+          className="form-input"
+          placeholder="collection-name"
+        />
+        <input
+          value={description}
+          onChange={e => setDescription(e.target.value)}
+          className="form-input flex-1"
+          placeholder="Description"
+        />
+        <button
+          onClick={handleCreate}
+          disabled={!name.trim()}
+          className="btn btn-secondary flex items-center gap-2"
+        >
+          <FolderPlus size={16} />
+          Add Collection
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default NamespacesPanel;
@@ -0,0 +1,345 @@
+import React, { useState, useEffect } from 'react';
+import { Tags, Plus, Save, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const splitList = text =>
+  text
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+const tagRulesToText = tagKeywords =>
+  Object.entries(tagKeywords)
+    .map(([tag, keywords]) => `${tag}: ${keywords.join(', ')}`)
+    .join('\n');
+
+const textToTagRules = text =>
+  Object.fromEntries(
+    text
+      .split('\n')
+      .map(line => line.split(':'))
+      .filter(([tag, keywords]) => tag?.trim() && keywords !== undefined)
+      .map(([tag, keywords]) => [tag.trim(), splitList(keywords)])
+  );
+
+/**
+ * One editable category row; renaming migrates existing memories
+ */
+function CategoryRow({ category, otherKeys, onSaved }) {
+  const [draft, setDraft] = useState({
+    ...category,
+    keywords: category.keywords.join(', '),
+    exemplars: category.exemplars.join('\n'),
+  });
+  const [reassignTo, setReassignTo] = useState('');
+  const [confirmDelete, setConfirmDelete] = useState(false);
+
+  const handleSave = async () => {
+    const response = await fetch(`/api/memories/taxonomy/categories/${category.key}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        ...draft,
+        keywords: splitList(draft.keywords),
+        exemplars: draft.exemplars.split('\n').map(line => line.trim()).filter(Boolean),
+      }),
+    });
+    const data = await response.json();
+
+    if (data.success) {
+      toast.success(
+        draft.key !== category.key
+          ? `Renamed to ${draft.key} (${data.migrated} memories migrated)`
+          : 'Category saved'
+      );
+      onSaved();
+    } else {
+      toast.error(data.error || 'Failed to save category');
+    }
+  };
+
+  const handleDelete = async () => {
+    const query = reassignTo ? `?reassignTo=${encodeURIComponent(reassignTo)}` : '';
+    const response = await fetch(`/api/memories/taxonomy/categories/${category.key}${query}`, {
+      method: 'DELETE',
+    });
+    const data = await response.json();
+
+    if (data.success) {
+      toast.success(`Deleted ${category.key} (${data.migrated} memories moved to ${data.reassignedTo})`);
+      onSaved();
+    } else {
+      toast.error(data.error || 'Failed to delete category');
+    }
+  };
+
+  return (
+    <div className="border border-border rounded-lg p-3 space-y-2" data-testid={`category-${category.key}`}>
+      <div className="flex items-center gap-2">
+        <input
+          type="color"
+          value={draft.color}
+          onChange={e => setDraft({ ...draft, color: e.target.value })}
+          className="w-8 h-8 rounded cursor-pointer"
+        />
+        <input
+          value={draft.key}
+          onChange={e => setDraft({ ...draft, key: e.target.value.toLowerCase() })}
+          className="form-input w-32"
+          title="Category key - renaming migrates existing memories"
+        />
+        <input
+          value={draft.icon}
+          onChange={e => setDraft({ ...draft, icon: e.target.value })}
+          className="form-input w-24"
+          placeholder="icon"
+        />
+        <input
+          value={draft.description}
+          onChange={e => setDraft({ ...draft, description: e.target.value })}
+          className="form-input flex-1"
+          placeholder="Description"
+        />
+        <button onClick={handleSave} className="p-2 rounded hover:bg-border/50 text-primary" title="Save">
+          <Save size={16} />
+        </button>
+        <button
+          onClick={() => setConfirmDelete(!confirmDelete)}
+          className="p-2 rounded hover:bg-error/20 text-error"
+          title="Delete"
+        >
+          <Trash2 size={16} />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        <input
+          value={draft.keywords}
+          onChange={e => setDraft({ ...draft, keywords: e.target.value })}
+          className="form-input text-sm"
+          placeholder="Keywords, comma separated"
+        />
+        <textarea
+          value={draft.exemplars}
+          onChange={e => setDraft({ ...draft, exemplars: e.target.value })}
+          rows={1}
+          className="form-input text-sm"
+          placeholder="Exemplar sentences, one per line"
+        />
+      </div>
+
+      {confirmDelete && (
+        <div className="flex items-center gap-2 text-sm text-text-secondary">
+          Move its memories to
+          <select
+            value={reassignTo}
+            onChange={e => setReassignTo(e.target.value)}
+            className="form-input"
+          >
+            <option value="">Default category</option>
+            {otherKeys.map(key => (
+              <option key={key} value={key}>
+                {key}
+              </option>
+            ))}
+          </select>
+          <button onClick={handleDelete} className="btn btn-secondary text-error">
+            Delete {category.key}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Categories, tag rules and auto-categorization settings
+ */
+function TaxonomyEditor({ onChange }) {
+  const [taxonomy, setTaxonomy] = useState(null);
+  const [tagRules, setTagRules] = useState('');
+  const [newKey, setNewKey] = useState('');
+
+  const loadTaxonomy = async () => {
+    const response = await fetch('/api/memories/taxonomy');
+    const data = await response.json();
+    if (data.success) {
+      setTaxonomy(data.taxonomy);
+      setTagRules(tagRulesToText(data.taxonomy.tagKeywords));
+    }
+  };
+
+  useEffect(() => {
+    loadTaxonomy();
+  }, []);
+
+  const handleSaved = () => {
+    loadTaxonomy();
+    onChange?.();
+  };
+
+  const handleAdd = async () => {
+    const response = await fetch('/api/memories/taxonomy/categories', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ key: newKey.trim() }),
+    });
+    const data = await response.json();
+
+    if (data.success) {
+      setNewKey('');
+      toast.success(`Added ${data.category.key}`);
+      handleSaved();
+    } else {
+      toast.error(data.error || 'Failed to add category');
+    }
+  };
+
+  const handleSaveSettings = async () => {
+    const response = await fetch('/api/memories/taxonomy', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        defaultCategory: taxonomy.defaultCategory,
+        autoCategorize: taxonomy.autoCategorize,
+        tagKeywords: textToTagRules(tagRules),
+      }),
+    });
+    const data = await response.json();
+
+    if (data.success) {
+      toast.success('Taxonomy saved');
+      handleSaved();
+    } else {
+      toast.error(data.error || 'Failed to save taxonomy');
+    }
+  };
+
+  if (!taxonomy) return null;
+
+  const keys = taxonomy.categories.map(c => c.key);
+
+  return (
+    <div className="card" data-testid="taxonomy-editor">
+      <div className="flex items-center gap-3 mb-4">
+        <Tags size={20} className="text-primary" />
+        <div>
+          <h2 className="text-lg font-semibold text-text-primary">Taxonomy</h2>
+          <p className="text-sm text-text-secondary">
+            Memory categories and auto-tag rules. Renaming a category migrates its memories.
+          </p>
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        {taxonomy.categories.map(category => (
+          <CategoryRow
+            key={category.key}
+            category={category}
+            otherKeys={keys.filter(key => key !== category.key)}
+            onSaved={handleSaved}
+          />
+        ))}
+      </div>
+
+      <div className="flex items-center gap-2 mt-3">
+        <input
+          value={newKey}
+          onChange={e => setNewKey(e.target.value.toLowerCase())}
+          onKeyDown={e => e.key === 'Enter' && newKey.trim() && handleAdd()}
+          className="form-input w-48"
+          placeholder="new-category"
+        />
+        <button
+          onClick={handleAdd}
+          disabled={!newKey.trim()}
+          className="btn btn-secondary flex items-center gap-2"
+        >
+          <Plus size={16} />
+          Add Category
+        </button>
+      </div>
+
+      <div className="grid grid-cols-3 gap-4 pt-4 mt-4 border-t border-border">
+        <div>
+          <label className="block text-sm font-medium text-text-secondary mb-1">
+            Auto-categorize by
+          </label>
+          <select
+            value={taxonomy.autoCategorize.mode}
+            onChange={e =>
+              setTaxonomy({
+                ...taxonomy,
+                autoCategorize: { ...taxonomy.autoCategorize, mode: e.target.value },
+              })
+            }
+            className="form-input w-full"
+          >
+            <option value="keywords">Keywords</option>
+            <option value="embedding">Similarity to exemplars</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-text-secondary mb-1">
+            Minimum similarity
+          </label>
+          <input
+            type="number"
+            min="0"
+            max="1"
+            step="0.05"
+            value={taxonomy.autoCategorize.minSimilarity}
+            disabled={taxonomy.autoCategorize.mode !== 'embedding'}
+            onChange={e =>
+              setTaxonomy({
+                ...taxonomy,
+                autoCategorize: {
+                  ...taxonomy.autoCategorize,
+                  minSimilarity: parseFloat(e.target.value) || 0,
+                },
+              })
+            }
+            className="form-input w-full"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-text-secondary mb-1">
+            Default category
+          </label>
+          <select
+            value={taxonomy.defaultCategory}
+            onChange={e => setTaxonomy({ ...taxonomy, defaultCategory: e.target.value })}
+            className="form-input w-full"
+          >
+            {keys.map(key => (
+              <option key={key} value={key}>
+                {key}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="mt-4">
+        <label className="block text-sm font-medium text-text-secondary mb-1">
+          Tag rules (one per line: tag: keyword, keyword)
+        </label>
+        <textarea
+          value={tagRules}
+          onChange={e => setTagRules(e.target.value)}
+          rows={6}
+          className="form-input w-full font-mono text-sm"
+        />
+      </div>
+
+      <div className="flex justify-end mt-3">
+        <button onClick={handleSaveSettings} className="btn btn-primary flex items-center gap-2">
+          <Save size={16} />
+          Save
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default TaxonomyEditor;
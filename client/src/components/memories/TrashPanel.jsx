@@ -0,0 +1,139 @@
+import React, { useState, useEffect } from 'react';
+import { ArchiveRestore, Flame, RefreshCw } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+/**
+ * Deleted memories, with restore and permanent purge
+ */
+function TrashPanel({ onChanged }) {
+  const [memories, setMemories] = useState(null);
+  const [confirmEmpty, setConfirmEmpty] = useState(false);
+
+  const loadTrash = async () => {
+    const res = await fetch('/api/memories/trash');
+    const data = await res.json();
+    if (data.success) {
+      setMemories(data.memories);
+    }
+  };
+
+  useEffect(() => {
+    loadTrash();
+  }, []);
+
+  const handleRestore = async id => {
+    const res = await fetch(`/api/memories/trash/${id}/restore`, { method: 'POST' });
+    const data = await res.json();
+
+    if (data.success) {
+      toast.success(`Restored ${id}`);
+      loadTrash();
+      onChanged?.();
+    } else {
+      toast.error(data.error || 'Failed to restore memory');
+    }
+  };
+
+  const handlePurge = async id => {
+    const res = await fetch(`/api/memories/trash/${id}`, { method: 'DELETE' });
+    const data = await res.json();
+
+    if (data.success) {
+      toast.success(`Permanently deleted ${id}`);
+      loadTrash();
+    } else {
+      toast.error(data.error || 'Failed to purge memory');
+    }
+  };
+
+  const handleEmpty = async () => {
+    const res = await fetch('/api/memories/trash', { method: 'DELETE' });
+    const data = await res.json();
+    setConfirmEmpty(false);
+
+    if (data.success) {
+      toast.success(`Permanently deleted ${data.purged} memories`);
+      loadTrash();
+    } else {
+      toast.error(data.error || 'Failed to empty trash');
+    }
+  };
+
+  if (!memories) return null;
+
+  return (
+    <div className="card" data-testid="trash-panel">
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <h3 className="font-semibold text-text-primary">Trash</h3>
+          <p className="text-sm text-text-secondary">
+            Deleted memories leave chat and search but keep their history until purged.
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button onClick={loadTrash} className="btn btn-secondary" title="Refresh">
+            <RefreshCw size={16} />
+          </button>
+          {confirmEmpty ? (
+            <button
+              onClick={handleEmpty}
+              className="btn bg-error hover:bg-error/80 text-white flex items-center gap-2"
+            >
+              <Flame size={16} />
+              Delete {memories.length} forever
+            </button>
+          ) : (
+            <button
+              onClick={() => setConfirmEmpty(true)}
+              disabled={memories.length === 0}
+              className="btn btn-secondary text-error flex items-center gap-2"
+            >
+              <Flame size={16} />
+              Empty Trash
+            </button>
+          )}
+        </div>
+      </div>
+
+      {memories.length === 0 ? (
+        <p className="text-sm text-text-tertiary">Trash is empty</p>
+      ) : (
+        <div className="space-y-2 max-h-80 overflow-y-auto">
+          {memories.map(memory => (
+            <div
+              key={memory.id}
+              className="flex items-start justify-between gap-2 p-2 rounded border border-border"
+            >
+              <div className="min-w-0">
+                <p className="text-sm text-text-primary line-clamp-2">{memory.content.text}</p>
+                <p className="text-xs text-text-tertiary mt-1">
+                  {memory.id} • {memory.category} • deleted{' '}
+                  {memory.deletedAt ? new Date(memory.deletedAt).toLocaleString() : ''}
+                  {memory.deletedBy && ` by ${memory.deletedBy}`}
+                </p>
+              </div>
+              <div className="flex items-center gap-1 flex-shrink-0">
+                <button
+                  onClick={() => handleRestore(memory.id)}
+                  className="p-2 rounded hover:bg-border/50 text-text-secondary"
+                  title="Restore"
+                >
+                  <ArchiveRestore size={16} />
+                </button>
+                <button
+                  onClick={() => handlePurge(memory.id)}
+                  className="p-2 rounded hover:bg-error/20 text-error"
+                  title="Delete forever"
+                >
+                  <Flame size={16} />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TrashPanel;
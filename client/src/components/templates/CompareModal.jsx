@@ -0,0 +1,239 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { X, Plus, Trash2, Play, Loader2, Trophy } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const MAX_RUNS = 6;
+
+/**
+ * Run a template across several providers/model tiers side by side
+ * The winning output can be saved as a chat branch
+ */
+function CompareModal({ template, providers, onClose }) {
+  const navigate = useNavigate();
+  const [userMessage, setUserMessage] = useState('');
+  const [runs, setRuns] = useState(() =>
+    providers.slice(0, 3).map(p => ({ provider: p.key, modelType: 'medium' }))
+  );
+  const [results, setResults] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [chats, setChats] = useState([]);
+  const [targetChatId, setTargetChatId] = useState('');
+
+  useEffect(() => {
+    const fetchChats = async () => {
+      const response = await fetch('/api/chat');
+      const data = await response.json();
+      if (data.success) {
+        setChats(data.chats.filter(c => c.templateId === template.id));
+      }
+    };
+    fetchChats();
+  }, [template.id]);
+
+  const updateRun = (index, field, value) => {
+    setRuns(prev => prev.map((run, i) => (i === index ? { ...run, [field]: value } : run)));
+  };
+
+  const handleRun = async () => {
+    setIsRunning(true);
+    setResults(null);
+
+    const response = await fetch('/api/prompts/execute/compare', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        templateId: template.id,
+        variables: { userMessage },
+        runs,
+      }),
+    });
+
+    const data = await response.json();
+    setIsRunning(false);
+
+    if (data.success) {
+      setResults(data.results);
+    } else {
+      toast.error(data.error || 'Comparison failed');
+    }
+  };
+
+  const handleSave = async result => {
+    const response = await fetch('/api/prompts/execute/compare/save', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        templateId: template.id,
+        chatId: targetChatId || undefined,
+        userMessage,
+        result,
+      }),
+    });
+
+    const data = await response.json();
+    if (data.success) {
+      toast.success(`Saved ${result.provider} output to chat`);
+      navigate(`/chat/${data.chatId}`);
+    } else {
+      toast.error(data.error || 'Failed to save output');
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50"
+      onClick={onClose}
+    >
+      <div
+        className="bg-surface border border-border rounded-lg max-w-6xl w-full max-h-[90vh] overflow-y-auto"
+        onClick={e => e.stopPropagation()}
+        data-testid="compare-modal"
+      >
+        <div className="p-4 border-b border-border flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-text-primary">Compare: {template.name}</h2>
+          <button onClick={onClose} className="p-1 rounded hover:bg-border/50 text-text-secondary">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-text-secondary mb-1">
+              User Message
+            </label>
+            <textarea
+              value={userMessage}
+              onChange={e => setUserMessage(e.target.value)}
+              rows={3}
+              className="form-input w-full"
+              placeholder="The message every provider answers..."
+              data-testid="compare-message"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-text-secondary mb-1">Runs</label>
+            <div className="space-y-2">
+              {runs.map((run, i) => (
+                <div key={i} className="flex gap-2">
+                  <select
+                    value={run.provider}
+                    onChange={e => updateRun(i, 'provider', e.target.value)}
+                    className="form-input flex-1"
+                  >
+                    {providers.map(p => (
+                      <option key={p.key} value={p.key}>
+                        {p.name}
+                      </option>
+                    ))}
+                  </select>
+                  <select
+                    value={run.modelType}
+                    onChange={e => updateRun(i, 'modelType', e.target.value)}
+                    className="form-input w-40"
+                  >
+                    <option value="light">Light</option>
+                    <option value="medium">Medium</option>
+                    <option value="deep">Deep</option>
+                  </select>
+                  <button
+                    onClick={() => setRuns(prev => prev.filter((_, j) => j !== i))}
+                    disabled={runs.length <= 1}
+                    className="p-2 rounded hover:bg-error/20 text-error disabled:opacity-30"
+                    title="Remove run"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button
+              onClick={() =>
+                setRuns(prev => [...prev, { provider: providers[0]?.key, modelType: 'medium' }])
+              }
+              disabled={runs.length >= MAX_RUNS || providers.length === 0}
+              className="btn btn-secondary text-sm mt-2 flex items-center gap-1"
+            >
+              <Plus size={14} />
+              Add Run
+            </button>
+          </div>
+
+          <div className="flex items-center justify-between gap-2">
+            <div className="flex items-center gap-2 text-sm">
+              <span className="text-text-secondary">Save winner to</span>
+              <select
+                value={targetChatId}
+                onChange={e => setTargetChatId(e.target.value)}
+                className="form-input text-sm"
+              >
+                <option value="">New chat</option>
+                {chats.map(c => (
+                  <option key={c.id} value={c.id}>
+                    {c.title} (new branch)
+                  </option>
+                ))}
+              </select>
+            </div>
+            <button
+              onClick={handleRun}
+              disabled={isRunning || runs.length === 0}
+              className="btn btn-primary flex items-center gap-2"
+              data-testid="compare-run"
+            >
+              {isRunning ? <Loader2 size={16} className="animate-spin" /> : <Play size={16} />}
+              Run Comparison
+            </button>
+          </div>
+
+          {results && (
+            <div
+              className="grid gap-3"
+              style={{ gridTemplateColumns: `repeat(${Math.min(results.length, 3)}, minmax(0, 1fr))` }}
+              data-testid="compare-results"
+            >
+              {results.map(result => (
+                <div key={result.id} className="border border-border rounded-lg p-3 flex flex-col">
+                  <div className="flex items-center justify-between mb-1">
+                    <span className="font-medium text-text-primary text-sm">{result.provider}</span>
+                    <span className="text-xs text-text-tertiary">{result.modelType}</span>
+                  </div>
+                  <div className="text-xs text-text-tertiary mb-2">
+                    {result.model && <span>{result.model} • </span>}
+                    {result.duration != null && <span>{(result.duration / 1000).toFixed(1)}s</span>}
+                    {result.tokens && (
+                      <span>
+                        {' '}
+                        • {result.tokens.input ?? '?'} in / {result.tokens.output ?? '?'} out
+                      </span>
+                    )}
+                  </div>
+                  {result.success ? (
+                    <pre className="text-xs bg-background p-2 rounded whitespace-pre-wrap text-text-primary flex-1 max-h-80 overflow-y-auto">
+                      {result.content}
+                    </pre>
+                  ) : (
+                    <p className="text-xs text-error flex-1">{result.error}</p>
+                  )}
+                  {result.success && (
+                    <button
+                      onClick={() => handleSave(result)}
+                      className="btn btn-secondary text-xs mt-2 flex items-center justify-center gap-1"
+                      title="Save this output as a chat branch"
+                    >
+                      <Trophy size={12} />
+                      Save as Chat Branch
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CompareModal;
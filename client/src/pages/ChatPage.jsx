@@ -20,11 +20,18 @@ import {
   Bug,
   Code,
   GitBranch,
+  Square,
+  Paperclip,
+  X,
+  Pencil,
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import ForkButton from '../components/chat/ForkButton';
-import BranchIndicator from '../components/chat/BranchIndicator';
+import BranchIndicator, { SiblingNav } from '../components/chat/BranchIndicator';
 import BranchTreeSidebar from '../components/chat/BranchTreeSidebar';
+import SummaryPanel from '../components/chat/SummaryPanel';
+import AttachmentList from '../components/chat/AttachmentList';
+import { useWebSocket } from '../contexts/WebSocketContext';
 
 /**
  * Parse message content for special tags like <think> and <purr>
@@ -168,12 +175,49 @@ function DebugPanel({ debug }) {
             <div className="flex items-center gap-1 text-text-secondary mb-1">
               <Code size={12} />
               <span className="font-medium">Compiled Prompt</span>
+              {debug.mode === 'messages' && (
+                <span className="text-text-tertiary">
+                  (sent as system prompt + {debug.turns} turns)
+                </span>
+              )}
             </div>
             <pre className="p-2 bg-background/80 rounded border border-border/50 whitespace-pre-wrap text-text-tertiary max-h-64 overflow-y-auto">
               {debug.compiledPrompt}
             </pre>
           </div>
 
+          {/* Token Budget */}
+          {debug.budget && (
+            <div data-testid="token-budget">
+              <div className="text-text-secondary mb-1 font-medium">
+                Token Budget (~{debug.budget.total.toLocaleString()} /{' '}
+                {debug.budget.contextLimit.toLocaleString()})
+              </div>
+              <div className="flex h-2 rounded overflow-hidden bg-background/80 border border-border/50 mb-1">
+                {[
+                  ['fixed', debug.budget.fixed, 'bg-primary/70'],
+                  ['memories', debug.budget.memories.tokens, 'bg-amber-500/70'],
+                  ['history', debug.budget.history.tokens, 'bg-sky-500/70'],
+                  ['reply', debug.budget.reservedForOutput, 'bg-text-tertiary/40'],
+                ].map(([label, tokens, color]) => (
+                  <div
+                    key={label}
+                    className={color}
+                    style={{ width: `${(tokens / debug.budget.contextLimit) * 100}%` }}
+                    title={`${label}: ~${tokens} tokens`}
+                  />
+                ))}
+              </div>
+              <div className="text-text-tertiary">
+                prompt {debug.budget.fixed} • memories {debug.budget.memories.tokens} (
+                {debug.budget.memories.included} kept, {debug.budget.memories.dropped} dropped) •
+                history {debug.budget.history.tokens} ({debug.budget.history.included} kept,{' '}
+                {debug.budget.history.dropped} dropped) • reply reserve{' '}
+                {debug.budget.reservedForOutput}
+              </div>
+            </div>
+          )}
+
           {/* Memory Context */}
           {debug.memoryContext && (
             <div>
@@ -201,8 +245,19 @@ function DebugPanel({ debug }) {
                   >
                     <div className="flex justify-between text-[10px] mb-1">
                       <span className="text-text-secondary">{m.category}</span>
-                      <span>score: {m.score?.toFixed(2)}</span>
+                      <span>score: {m.score?.toFixed(4)}</span>
                     </div>
+                    {m.sources && (
+                      <div className="flex flex-wrap gap-2 text-[10px] mb-1">
+                        {Object.entries(m.sources).map(([source, s]) => (
+                          <span key={source}>
+                            {source} #{s.rank}
+                            {s.score != null && ` (${s.score.toFixed(2)})`}
+                          </span>
+                        ))}
+                        {m.rerankRank && <span>rerank #{m.rerankRank}</span>}
+                      </div>
+                    )}
                     <div className="truncate">{m.content}</div>
                   </div>
                 ))}
@@ -210,6 +265,32 @@ function DebugPanel({ debug }) {
             </div>
           )}
 
+          {/* Tool Calls */}
+          {debug.toolCalls?.length > 0 && (
+            <div>
+              <div className="text-text-secondary mb-1 font-medium">
+                Tool Calls ({debug.toolCalls.length})
+              </div>
+              <div className="space-y-1">
+                {debug.toolCalls.map((call, i) => (
+                  <div
+                    key={i}
+                    className="p-2 bg-background/80 rounded border border-border/50 text-text-tertiary"
+                  >
+                    <div className="flex justify-between text-[10px] mb-1">
+                      <span className="text-text-secondary font-mono">{call.name}</span>
+                      <span>
+                        {call.mode} • {call.success ? `${call.duration}ms` : 'failed'}
+                      </span>
+                    </div>
+                    <div className="truncate font-mono">{JSON.stringify(call.arguments)}</div>
+                    <div className="truncate">{call.success ? call.result : call.error}</div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Variable Values */}
           {debug.variableValues && (
             <div>
@@ -233,6 +314,7 @@ function DebugPanel({ debug }) {
 function ChatPage() {
   const { id: chatId } = useParams();
   const navigate = useNavigate();
+  const { on, off } = useWebSocket();
 
   // Chat state
   const [chats, setChats] = useState([]);
@@ -250,6 +332,11 @@ function ChatPage() {
   const [modelTypeOverride, setModelTypeOverride] = useState('');
   const [inputValue, setInputValue] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [streamingContent, setStreamingContent] = useState('');
+  const [pendingFiles, setPendingFiles] = useState([]);
+  const [pinAttachments, setPinAttachments] = useState(false);
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [editDraft, setEditDraft] = useState('');
 
   // Branch state
   const [branches, setBranches] = useState([]);
@@ -258,6 +345,7 @@ function ChatPage() {
 
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
+  const fileInputRef = useRef(null);
 
   // Fetch chats list
   const fetchChats = useCallback(async () => {
@@ -349,10 +437,36 @@ function ChatPage() {
     }
   }, [activeChat?.id, activeBranchId, fetchBranchMessages]);
 
+  // Append streamed tokens for the open chat
+  useEffect(() => {
+    const handleToken = data => {
+      if (data.chatId === chatId) {
+        setStreamingContent(prev => prev + data.token);
+      }
+    };
+
+    on('chat:token', handleToken);
+    return () => off('chat:token', handleToken);
+  }, [on, off, chatId]);
+
+  // Branch summaries are generated in the background after replies and forks
+  useEffect(() => {
+    const handleSummary = data => {
+      if (data.chatId === chatId) {
+        setBranches(prev =>
+          prev.map(b => (b.id === data.branchId ? { ...b, summary: data.summary } : b))
+        );
+      }
+    };
+
+    on('chat:summary', handleSummary);
+    return () => off('chat:summary', handleSummary);
+  }, [on, off, chatId]);
+
   // Auto-scroll to bottom
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [branchMessages]);
+  }, [branchMessages, streamingContent]);
 
   // Create a new branch from a message
   const handleFork = async (messageId) => {
@@ -437,6 +551,46 @@ function ChatPage() {
     }
   };
 
+  // Save an edited branch summary
+  const handleSaveSummary = async text => {
+    if (!activeChat) return false;
+
+    const response = await fetch(`/api/chat/${activeChat.id}/branch/${activeBranchId}/summary`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text }),
+    });
+
+    const data = await response.json();
+    if (data.success) {
+      toast.success('Summary saved');
+    } else {
+      toast.error(data.error || 'Failed to save summary');
+    }
+    return data.success;
+  };
+
+  // Rebuild the branch summary from the start of the branch
+  const handleRegenerateSummary = async () => {
+    if (!activeChat) return;
+
+    const response = await fetch(
+      `/api/chat/${activeChat.id}/branch/${activeBranchId}/summary/regenerate`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ providerOverride: providerOverride || undefined }),
+      }
+    );
+
+    const data = await response.json();
+    if (data.success) {
+      toast.success(data.skipped ? 'Branch is too short to summarize' : 'Summary regenerated');
+    } else {
+      toast.error(data.error || 'Failed to regenerate summary');
+    }
+  };
+
   // Focus input when chat is loaded
   useEffect(() => {
     if (activeChat) {
@@ -467,11 +621,39 @@ function ChatPage() {
 
   // Send message
   const handleSend = async () => {
-    if (!inputValue.trim() || !activeChat || isLoading) return;
+    if ((!inputValue.trim() && pendingFiles.length === 0) || !activeChat || isLoading) return;
 
     const message = inputValue.trim();
+    const files = pendingFiles;
     setInputValue('');
+    setPendingFiles([]);
     setIsLoading(true);
+    setStreamingContent('');
+
+    // Upload attachments first - the message references them by id
+    const attachments = [];
+    for (const file of files) {
+      const response = await fetch(
+        `/api/chat/${activeChat.id}/attachments?filename=${encodeURIComponent(file.name)}${pinAttachments ? '&pin=true' : ''}`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/octet-stream' },
+          body: file,
+        }
+      );
+      const data = await response.json();
+      if (!data.success) {
+        toast.error(`${file.name}: ${data.error || 'Upload failed'}`);
+        setInputValue(message);
+        setPendingFiles(files);
+        setIsLoading(false);
+        return;
+      }
+      if (data.pinError) {
+        toast(`${file.name} not pinned: ${data.pinError}`, { icon: '📌' });
+      }
+      attachments.push(data.attachment);
+    }
 
     // Optimistically add user message to branch messages
     setBranchMessages(prev => [
@@ -480,6 +662,7 @@ function ChatPage() {
         id: `temp-${Date.now()}`,
         role: 'user',
         content: message,
+        attachments,
         timestamp: new Date().toISOString(),
       },
     ]);
@@ -489,21 +672,27 @@ function ChatPage() {
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         content: message,
+        attachments: attachments.map(a => a.id),
         providerOverride: providerOverride || undefined,
         modelType: modelTypeOverride || undefined,
         debug: true,
+        stream: true,
       }),
     });
 
     const data = await response.json();
     setIsLoading(false);
+    setStreamingContent('');
 
-    if (data.success) {
+    if (data.success || data.aborted) {
       setActiveChat(data.chat);
       setBranches(data.chat.branches);
       // Refresh branch messages
       fetchBranchMessages(activeChat.id, activeBranchId);
       fetchChats(); // Refresh list for updated title/timestamp
+      if (data.aborted) {
+        toast('Generation stopped', { icon: '⏹️' });
+      }
     } else {
       toast.error(data.error || 'Failed to send message');
       // Remove optimistic message on error
@@ -511,6 +700,78 @@ function ChatPage() {
     }
   };
 
+  // Regenerate and edit both answer on a new sibling branch
+  const runOnSibling = async (url, body, visibleMessages) => {
+    setIsLoading(true);
+    setStreamingContent('');
+    setBranchMessages(visibleMessages);
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        ...body,
+        providerOverride: providerOverride || undefined,
+        modelType: modelTypeOverride || undefined,
+        debug: true,
+        stream: true,
+      }),
+    });
+
+    const data = await response.json();
+    setIsLoading(false);
+    setStreamingContent('');
+
+    if (data.success || data.aborted) {
+      setActiveChat(data.chat);
+      setBranches(data.chat.branches);
+      setActiveBranchId(data.chat.activeBranchId);
+      fetchBranchMessages(activeChat.id, data.chat.activeBranchId);
+      if (data.aborted) {
+        toast('Generation stopped', { icon: '⏹️' });
+      }
+    } else {
+      toast.error(data.error || 'Failed to generate reply');
+      fetchBranchMessages(activeChat.id, activeBranchId);
+    }
+  };
+
+  // Generate another reply to the same user message
+  const handleRegenerate = async msg => {
+    if (!activeChat || isLoading) return;
+
+    const index = branchMessages.findIndex(m => m.id === msg.id);
+    await runOnSibling(
+      `/api/chat/${activeChat.id}/messages/${msg.id}/regenerate`,
+      {},
+      branchMessages.slice(0, index)
+    );
+  };
+
+  // Send an edited copy of a user message
+  const handleEditMessage = async msg => {
+    const content = editDraft.trim();
+    if (!activeChat || isLoading || !content) return;
+
+    setEditingMessageId(null);
+    const index = branchMessages.findIndex(m => m.id === msg.id);
+    await runOnSibling(`/api/chat/${activeChat.id}/messages/${msg.id}/edit`, { content }, [
+      ...branchMessages.slice(0, index),
+      { ...msg, id: `temp-edit-${msg.id}`, content, siblings: null },
+    ]);
+  };
+
+  // Stop the in-flight generation (handleSend receives the partial reply)
+  const handleStop = async () => {
+    if (!activeChat) return;
+
+    const response = await fetch(`/api/chat/${activeChat.id}/abort`, { method: 'POST' });
+    const data = await response.json();
+    if (!data.success) {
+      toast.error(data.error || 'Failed to stop generation');
+    }
+  };
+
   // Delete chat
   const handleDeleteChat = async id => {
     const response = await fetch(`/api/chat/${id}`, { method: 'DELETE' });
@@ -867,6 +1128,14 @@ function ChatPage() {
                 </div>
               )}
 
+              <SummaryPanel
+                summary={branches.find(b => b.id === activeBranchId)?.summary}
+                messageCount={branchMessages.length}
+                onSave={handleSaveSummary}
+                onRegenerate={handleRegenerateSummary}
+                disabled={isLoading}
+              />
+
               {/* Messages */}
               <div className="flex-1 overflow-y-auto p-4 space-y-4">
                 {branchMessages.length === 0 ? (
@@ -904,22 +1173,103 @@ function ChatPage() {
                           data-role={msg.role}
                         >
                           {thinkContent && <ThinkingBlock content={thinkContent} />}
-                          <p className="whitespace-pre-wrap">{displayContent}</p>
+                          <AttachmentList chatId={activeChat.id} attachments={msg.attachments} />
+                          {editingMessageId === msg.id ? (
+                            <div className="min-w-[280px]">
+                              <textarea
+                                value={editDraft}
+                                onChange={e => setEditDraft(e.target.value)}
+                                rows={3}
+                                className="form-input w-full text-sm text-text-primary"
+                                data-testid="edit-message-input"
+                                autoFocus
+                              />
+                              <div className="flex justify-end gap-2 mt-2">
+                                <button
+                                  onClick={() => setEditingMessageId(null)}
+                                  className="btn btn-secondary text-xs"
+                                >
+                                  Cancel
+                                </button>
+                                <button
+                                  onClick={() => handleEditMessage(msg)}
+                                  disabled={!editDraft.trim()}
+                                  className="btn btn-secondary text-xs"
+                                  data-testid="edit-message-send"
+                                >
+                                  Send
+                                </button>
+                              </div>
+                            </div>
+                          ) : (
+                            displayContent && <p className="whitespace-pre-wrap">{displayContent}</p>
+                          )}
                           {memories.length > 0 && <MemoryBlock memories={memories} />}
                           {msg.duration && (
                             <p className="text-xs opacity-60 mt-1">
                               {msg.provider}
                               {msg.model ? ` (${msg.model})` : ''} •{' '}
                               {(msg.duration / 1000).toFixed(1)}s
+                              {msg.aborted ? ' • stopped' : ''}
+                              {msg.toolCalls?.length > 0 ? ` • tools: ${msg.toolCalls.join(', ')}` : ''}
                             </p>
                           )}
                           {msg.debug && <DebugPanel debug={msg.debug} />}
+                          {msg.id && !msg.id.startsWith('temp-') && editingMessageId !== msg.id && (
+                            <div className="flex items-center justify-end gap-1 mt-1">
+                              <SiblingNav
+                                siblings={msg.siblings}
+                                onSwitchBranch={handleSwitchBranch}
+                                disabled={isLoading}
+                              />
+                              {msg.role === 'user' ? (
+                                <button
+                                  onClick={() => {
+                                    setEditDraft(msg.content);
+                                    setEditingMessageId(msg.id);
+                                  }}
+                                  disabled={isLoading}
+                                  className="p-0.5 rounded opacity-0 group-hover:opacity-70 hover:!opacity-100 disabled:hidden"
+                                  title="Edit message"
+                                  data-testid="edit-message-button"
+                                >
+                                  <Pencil size={12} />
+                                </button>
+                              ) : (
+                                msg.parentId && (
+                                  <button
+                                    onClick={() => handleRegenerate(msg)}
+                                    disabled={isLoading}
+                                    className="p-0.5 rounded opacity-0 group-hover:opacity-70 hover:!opacity-100 disabled:hidden"
+                                    title="Regenerate reply"
+                                    data-testid="regenerate-button"
+                                  >
+                                    <RefreshCw size={12} />
+                                  </button>
+                                )
+                              )}
+                            </div>
+                          )}
                         </div>
                       </div>
                     );
                   })
                 )}
-                {isLoading && (
+                {isLoading && streamingContent && (
+                  <div className="flex justify-start">
+                    <div
+                      className="max-w-[80%] rounded-lg px-4 py-2 bg-border/50 text-text-primary"
+                      data-role="assistant"
+                      data-testid="streaming-message"
+                    >
+                      <p className="whitespace-pre-wrap">
+                        {parseMessageContent(streamingContent).displayContent}
+                      </p>
+                      <Loader2 size={12} className="animate-spin mt-1 text-text-tertiary" />
+                    </div>
+                  </div>
+                )}
+                {isLoading && !streamingContent && (
                   <div className="flex justify-start">
                     <div className="bg-border/50 rounded-lg px-4 py-2 flex items-center gap-2 text-text-secondary">
                       <Loader2 size={16} className="animate-spin" />
@@ -932,7 +1282,56 @@ function ChatPage() {
 
               {/* Input */}
               <div className="p-3 border-t border-border">
+                {pendingFiles.length > 0 && (
+                  <div className="flex flex-wrap items-center gap-2 mb-2" data-testid="pending-attachments">
+                    {pendingFiles.map((file, i) => (
+                      <span
+                        key={`${file.name}-${i}`}
+                        className="flex items-center gap-1 px-2 py-1 rounded bg-border/50 text-xs text-text-secondary"
+                      >
+                        <Paperclip size={12} />
+                        <span className="truncate max-w-[160px]">{file.name}</span>
+                        <button
+                          onClick={() => setPendingFiles(prev => prev.filter((_, j) => j !== i))}
+                          className="hover:text-text-primary"
+                          title="Remove attachment"
+                        >
+                          <X size={12} />
+                        </button>
+                      </span>
+                    ))}
+                    <label className="flex items-center gap-1 text-xs text-text-tertiary">
+                      <input
+                        type="checkbox"
+                        checked={pinAttachments}
+                        onChange={e => setPinAttachments(e.target.checked)}
+                      />
+                      Pin to IPFS
+                    </label>
+                  </div>
+                )}
                 <div className="flex gap-2">
+                  <input
+                    ref={fileInputRef}
+                    type="file"
+                    multiple
+                    accept="image/png,image/jpeg,image/gif,image/webp,text/*,.md,.json,.csv,.js,.jsx,.ts,.tsx,.py,.yaml,.yml,.xml,.log"
+                    className="hidden"
+                    onChange={e => {
+                      setPendingFiles(prev => [...prev, ...Array.from(e.target.files)]);
+                      e.target.value = '';
+                    }}
+                    data-testid="attachment-input"
+                  />
+                  <button
+                    onClick={() => fileInputRef.current?.click()}
+                    disabled={isLoading}
+                    className="btn btn-secondary px-3"
+                    title="Attach images or text files"
+                    data-testid="attach-button"
+                  >
+                    <Paperclip size={18} />
+                  </button>
                   <textarea
                     ref={inputRef}
                     value={inputValue}
@@ -944,14 +1343,25 @@ function ChatPage() {
                     disabled={isLoading}
                     data-testid="message-input"
                   />
-                  <button
-                    onClick={handleSend}
-                    disabled={!inputValue.trim() || isLoading}
-                    className="btn btn-primary px-4"
-                    data-testid="send-button"
-                  >
-                    <Send size={18} />
-                  </button>
+                  {isLoading ? (
+                    <button
+                      onClick={handleStop}
+                      className="btn btn-secondary px-4"
+                      title="Stop generating"
+                      data-testid="stop-button"
+                    >
+                      <Square size={18} />
+                    </button>
+                  ) : (
+                    <button
+                      onClick={handleSend}
+                      disabled={!inputValue.trim() && pendingFiles.length === 0}
+                      className="btn btn-primary px-4"
+                      data-testid="send-button"
+                    >
+                      <Send size={18} />
+                    </button>
+                  )}
                 </div>
               </div>
             </>
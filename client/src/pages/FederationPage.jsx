@@ -16,6 +16,8 @@ import {
   Radio,
   Wifi,
   WifiOff,
+  GitMerge,
+  GitBranch,
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import { useWebSocket } from '../contexts/WebSocketContext';
@@ -150,6 +152,193 @@ const TrustGraph = ({ nodes, edges }) => {
   );
 };
 
+const POLICY_LABELS = {
+  'newest-wins': 'Newest wins',
+  'local-wins': 'Local wins',
+  'keep-both': 'Keep both',
+  manual: 'Review manually',
+};
+
+const RESOLUTION_LABELS = {
+  local: 'Kept local',
+  remote: 'Took remote',
+  branch: 'Kept both',
+};
+
+const ConflictVersion = ({ label, fields }) => (
+  <div className="flex-1 min-w-0 bg-void-bg-primary rounded border border-void-border p-2">
+    <div className="text-xs text-void-fg-muted mb-1">{label}</div>
+    <p className="text-xs text-void-fg-primary whitespace-pre-wrap break-words">{fields.text}</p>
+    <div className="flex gap-1 flex-wrap mt-1">
+      <span className="px-1.5 py-0.5 text-xs bg-void-bg-tertiary rounded">{fields.category}</span>
+      {fields.tags.map((tag) => (
+        <span key={tag} className="px-1.5 py-0.5 text-xs bg-void-bg-tertiary rounded text-void-fg-muted">
+          {tag}
+        </span>
+      ))}
+    </div>
+  </div>
+);
+
+/**
+ * Memory sync conflict policy and review queue
+ */
+const SyncConflicts = () => {
+  const [conflicts, setConflicts] = useState([]);
+  const [stats, setStats] = useState({ pending: 0, resolved: 0 });
+  const [config, setConfig] = useState(null);
+  const [policies, setPolicies] = useState([]);
+
+  const loadConflicts = useCallback(async () => {
+    const [conflictsRes, configRes] = await Promise.all([
+      fetch('/api/federation/memories/conflicts').then((r) => r.json()),
+      fetch('/api/federation/memories/sync/config').then((r) => r.json()),
+    ]);
+    setConflicts(conflictsRes.conflicts || []);
+    setStats(conflictsRes.stats || { pending: 0, resolved: 0 });
+    setConfig(configRes.config);
+    setPolicies(configRes.policies || []);
+  }, []);
+
+  useEffect(() => {
+    loadConflicts();
+  }, [loadConflicts]);
+
+  const updatePolicy = async (policy) => {
+    const res = await fetch('/api/federation/memories/sync/config', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ policy }),
+    });
+    const data = await res.json();
+    if (data.success) {
+      setConfig(data.config);
+      toast.success(`Conflict policy: ${POLICY_LABELS[policy]}`);
+    } else {
+      toast.error(data.error || 'Failed to update policy');
+    }
+  };
+
+  const resolveConflict = async (conflict, resolution) => {
+    const res = await fetch(`/api/federation/memories/conflicts/${conflict.id}/resolve`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ resolution }),
+    });
+    const data = await res.json();
+    if (data.success) {
+      toast.success(`${conflict.memoryId}: ${RESOLUTION_LABELS[resolution].toLowerCase()}`);
+      loadConflicts();
+    } else {
+      toast.error(data.error || 'Failed to resolve conflict');
+    }
+  };
+
+  const dismissConflict = async (conflict) => {
+    const res = await fetch(`/api/federation/memories/conflicts/${conflict.id}`, {
+      method: 'DELETE',
+    });
+    if (res.ok) {
+      loadConflicts();
+    }
+  };
+
+  return (
+    <Card
+      title={`Sync Conflicts (${stats.pending} pending)`}
+      icon={GitMerge}
+      actions={
+        <>
+          {config && (
+            <select
+              value={config.policy}
+              onChange={(e) => updatePolicy(e.target.value)}
+              className="px-2 py-1 text-xs bg-void-bg-primary border border-void-border rounded text-void-fg-primary focus:outline-none focus:border-void-accent"
+              title="How conflicting edits are resolved"
+            >
+              {policies.map((policy) => (
+                <option key={policy} value={policy}>
+                  {POLICY_LABELS[policy] || policy}
+                </option>
+              ))}
+            </select>
+          )}
+          <button
+            onClick={loadConflicts}
+            className="p-1 hover:bg-void-bg-tertiary rounded"
+            title="Refresh conflicts"
+          >
+            <RefreshCw className="w-3 h-3 text-void-fg-muted" />
+          </button>
+        </>
+      }
+    >
+      {conflicts.length === 0 ? (
+        <div className="text-center text-void-fg-muted py-8">
+          No conflicts. Memories edited on both sides between syncs show up here.
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {conflicts.map((conflict) => (
+            <div key={conflict.id} className="border border-void-border rounded-lg p-3 space-y-2">
+              <div className="flex items-center justify-between gap-2">
+                <div className="flex items-center gap-2 min-w-0">
+                  <span className="font-mono text-xs text-void-fg-primary">{conflict.memoryId}</span>
+                  <span className="font-mono text-xs text-void-fg-muted truncate">from {conflict.peerId}</span>
+                </div>
+                <div className="flex items-center gap-2 flex-shrink-0">
+                  <StatusBadge
+                    status={conflict.status === 'pending' ? 'unknown' : 'verified'}
+                    label={conflict.status === 'pending'
+                      ? 'Pending'
+                      : `${RESOLUTION_LABELS[conflict.resolution]} (${conflict.resolvedBy})`}
+                  />
+                  <span className="text-xs text-void-fg-muted">
+                    {new Date(conflict.detectedAt).toLocaleString()}
+                  </span>
+                </div>
+              </div>
+              <div className="flex gap-2">
+                <ConflictVersion label="Local" fields={conflict.local.fields} />
+                <ConflictVersion label={`Remote (${conflict.peerId})`} fields={conflict.remote.fields} />
+              </div>
+              <div className="flex items-center justify-end gap-1">
+                <button
+                  onClick={() => resolveConflict(conflict, 'local')}
+                  className="px-2 py-1 text-xs bg-void-bg-tertiary hover:bg-void-bg-elevated rounded border border-void-border transition-colors"
+                >
+                  Keep Local
+                </button>
+                <button
+                  onClick={() => resolveConflict(conflict, 'remote')}
+                  className="px-2 py-1 text-xs bg-void-bg-tertiary hover:bg-void-bg-elevated rounded border border-void-border transition-colors"
+                >
+                  Use Remote
+                </button>
+                <button
+                  onClick={() => resolveConflict(conflict, 'branch')}
+                  className="flex items-center gap-1 px-2 py-1 text-xs bg-void-bg-tertiary hover:bg-void-bg-elevated rounded border border-void-border transition-colors"
+                  title="Keep local and save the remote version as a branch memory"
+                >
+                  <GitBranch className="w-3 h-3" />
+                  Keep Both
+                </button>
+                <button
+                  onClick={() => dismissConflict(conflict)}
+                  className="p-1 hover:bg-void-bg-tertiary rounded text-red-400"
+                  title="Dismiss without changing memories"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </Card>
+  );
+};
+
 const FederationPage = () => {
   const [manifest, setManifest] = useState(null);
   const [status, setStatus] = useState(null);
@@ -659,6 +848,9 @@ const FederationPage = () => {
         )}
       </Card>
 
+      {/* Memory Sync Conflicts */}
+      <SyncConflicts />
+
       {/* Confirmation Modal */}
       {confirmAction && (
         <div
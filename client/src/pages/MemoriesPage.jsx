@@ -22,14 +22,25 @@ import {
   Settings,
   Eye,
   EyeOff,
+  SlidersHorizontal,
+  ArchiveRestore,
+  History,
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import ToggleSwitch from '../components/ui/ToggleSwitch';
+import { useWebSocket } from '../contexts/WebSocketContext';
+import ConsolidationPanel from '../components/memories/ConsolidationPanel';
+import MemoryPoliciesCard from '../components/memories/MemoryPoliciesCard';
+import TaxonomyEditor from '../components/memories/TaxonomyEditor';
+import MemoryHistory from '../components/memories/MemoryHistory';
+import TrashPanel from '../components/memories/TrashPanel';
+import ImportPanel from '../components/memories/ImportPanel';
+import NamespacesPanel from '../components/memories/NamespacesPanel';
 import { Canvas } from '@react-three/fiber';
 import { OrbitControls, Text } from '@react-three/drei';
 import * as THREE from 'three';
 
-// Category colors for display
+// Colors for categories the taxonomy doesn't define (older memories)
 const CATEGORY_COLORS = {
   emergence: '#9333ea',
   liminal: '#06b6d4',
@@ -46,6 +57,49 @@ const CATEGORY_COLORS = {
   creative: '#fb923c',
 };
 
+// Entity node colors in the graph, by entity type
+const ENTITY_COLORS = {
+  person: '#fde047',
+  project: '#38bdf8',
+  place: '#4ade80',
+  token: '#fbbf24',
+  concept: '#c084fc',
+};
+
+// Taxonomy is fetched once and shared by every tab; refresh after edits
+let taxonomyRequest = null;
+
+const loadTaxonomy = (refresh = false) => {
+  if (!taxonomyRequest || refresh) {
+    taxonomyRequest = fetch('/api/memories/taxonomy').then(res => res.json());
+  }
+  return taxonomyRequest;
+};
+
+function useTaxonomy() {
+  const [taxonomyCategories, setTaxonomyCategories] = useState([]);
+
+  useEffect(() => {
+    let active = true;
+    loadTaxonomy().then(data => {
+      if (active && data.success) setTaxonomyCategories(data.taxonomy.categories);
+    });
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  const colors = useMemo(
+    () => ({
+      ...CATEGORY_COLORS,
+      ...Object.fromEntries(taxonomyCategories.map(c => [c.key, c.color])),
+    }),
+    [taxonomyCategories]
+  );
+
+  return { categories: taxonomyCategories.map(c => c.key), colors };
+}
+
 // Tabs configuration
 const TABS = [
   { id: 'memories', label: 'Memories', icon: List },
@@ -66,31 +120,48 @@ function MemoriesTab({ neo4jStatus, fetchStatus: _fetchStatus }) {
   const [loading, setLoading] = useState(true);
   const [searchQuery, setSearchQuery] = useState('');
   const [filterCategory, setFilterCategory] = useState('');
+  const [filterNamespace, setFilterNamespace] = useState('');
+  const [namespaces, setNamespaces] = useState([]);
   const [expandedMemory, setExpandedMemory] = useState(null);
   const [showModal, setShowModal] = useState(false);
   const [editingMemory, setEditingMemory] = useState(null);
   const [deleteConfirm, setDeleteConfirm] = useState(null); // Memory to confirm deletion
+  const [historyMemory, setHistoryMemory] = useState(null); // Memory whose versions are shown
+  const { categories: categoryKeys, colors: categoryColors } = useTaxonomy();
 
   // Form state
   const [formData, setFormData] = useState({
     content: { text: '', context: '', impact: '', significance: 'normal' },
-    category: 'emergence',
+    category: '',
     stage: 1,
     importance: 0.5,
     tags: [],
     type: 'observation',
+    namespace: 'global',
   });
   const [tagInput, setTagInput] = useState('');
 
+  // Namespaces in use, for the filter and the memory form
+  const fetchNamespaces = useCallback(async () => {
+    const response = await fetch('/api/memories/namespaces');
+    const data = await response.json();
+    if (data.success) setNamespaces(data.namespaces);
+  }, []);
+
+  useEffect(() => {
+    fetchNamespaces();
+  }, [fetchNamespaces]);
+
   // Fetch memories - no limit, get all
   const fetchMemories = useCallback(async () => {
     setLoading(true);
 
+    const namespaceParam = filterNamespace ? `namespace=${encodeURIComponent(filterNamespace)}` : '';
     const url = filterCategory
-      ? `/api/memories/filter?category=${filterCategory}`
+      ? `/api/memories/filter?category=${filterCategory}&${namespaceParam}`
       : searchQuery
-        ? `/api/memories/search?q=${encodeURIComponent(searchQuery)}`
-        : '/api/memories?limit=0';
+        ? `/api/memories/search?q=${encodeURIComponent(searchQuery)}&${namespaceParam}`
+        : `/api/memories?limit=0&${namespaceParam}`;
 
     const response = await fetch(url);
     const data = await response.json();
@@ -102,7 +173,7 @@ function MemoriesTab({ neo4jStatus, fetchStatus: _fetchStatus }) {
     }
 
     setLoading(false);
-  }, [filterCategory, searchQuery]);
+  }, [filterCategory, filterNamespace, searchQuery]);
 
   useEffect(() => {
     fetchMemories();
@@ -113,11 +184,12 @@ function MemoriesTab({ neo4jStatus, fetchStatus: _fetchStatus }) {
     setEditingMemory(null);
     setFormData({
       content: { text: '', context: '', impact: '', significance: 'normal' },
-      category: 'emergence',
+      category: '',
       stage: 1,
       importance: 0.5,
       tags: [],
       type: 'observation',
+      namespace: filterNamespace || 'global',
     });
     setTagInput('');
     setShowModal(true);
@@ -128,11 +200,12 @@ function MemoriesTab({ neo4jStatus, fetchStatus: _fetchStatus }) {
     setEditingMemory(memory);
     setFormData({
       content: memory.content || { text: '', context: '', impact: '', significance: 'normal' },
-      category: memory.category || 'emergence',
+      category: memory.category || '',
       stage: memory.stage || 1,
       importance: memory.importance || 0.5,
       tags: memory.tags || [],
       type: memory.type || 'observation',
+      namespace: memory.namespace || 'global',
     });
     setTagInput('');
     setShowModal(true);
@@ -154,6 +227,7 @@ function MemoriesTab({ neo4jStatus, fetchStatus: _fetchStatus }) {
 
     if (data.success) {
       await fetchMemories();
+      fetchNamespaces();
       setShowModal(false);
       toast.success(isNew ? 'Memory created' : 'Memory updated');
     } else {
@@ -176,7 +250,7 @@ function MemoriesTab({ neo4jStatus, fetchStatus: _fetchStatus }) {
     const data = await response.json();
 
     if (data.success) {
-      toast.success('Memory deleted');
+      toast.success('Memory moved to trash');
     } else {
       // Restore on failure
       setMemories(prev => [...prev, memoryToDelete].sort((a, b) =>
@@ -186,6 +260,19 @@ function MemoriesTab({ neo4jStatus, fetchStatus: _fetchStatus }) {
     }
   };
 
+  // Return an archived memory to chat retrieval
+  const handleUnarchive = async id => {
+    const response = await fetch(`/api/memories/${id}/unarchive`, { method: 'POST' });
+    const data = await response.json();
+
+    if (data.success) {
+      setMemories(prev => prev.map(m => (m.id === id ? { ...m, archived: false } : m)));
+      toast.success('Memory unarchived');
+    } else {
+      toast.error(data.error || 'Failed to unarchive memory');
+    }
+  };
+
   // Add tag
   const handleAddTag = () => {
     if (tagInput && !formData.tags.includes(tagInput)) {
@@ -247,12 +334,8 @@ function MemoriesTab({ neo4jStatus, fetchStatus: _fetchStatus }) {
                 Object.values(statistics.byCategory || {}).reduce((a, b) => a + b, 0)}
             </p>
           </div>
-          {Object.entries(CATEGORY_COLORS)
-            .filter(([cat]) =>
-              ['emergence', 'liminal', 'quantum', 'glitch', 'void', 'economic', 'social'].includes(
-                cat
-              )
-            )
+          {categoryKeys
+            .map(cat => [cat, categoryColors[cat]])
             .map(([cat, color]) => (
               <div
                 key={cat}
@@ -295,12 +378,26 @@ function MemoriesTab({ neo4jStatus, fetchStatus: _fetchStatus }) {
           style={{ width: '160px', flexShrink: 0 }}
         >
           <option value="">All Categories</option>
-          {Object.keys(CATEGORY_COLORS).map(cat => (
+          {categoryKeys.map(cat => (
             <option key={cat} value={cat}>
               {cat}
             </option>
           ))}
         </select>
+        <select
+          value={filterNamespace}
+          onChange={e => setFilterNamespace(e.target.value)}
+          className="form-input"
+          style={{ width: '200px', flexShrink: 0 }}
+          data-testid="namespace-filter"
+        >
+          <option value="">All Namespaces</option>
+          {namespaces.map(ns => (
+            <option key={ns.namespace} value={ns.namespace}>
+              {ns.namespace} ({ns.count})
+            </option>
+          ))}
+        </select>
       </div>
 
       {/* Memory Count */}
@@ -342,7 +439,7 @@ function MemoriesTab({ neo4jStatus, fetchStatus: _fetchStatus }) {
                     <div className="flex items-center gap-2 mb-1 flex-wrap">
                       <div
                         className="w-2 h-2 rounded-full"
-                        style={{ backgroundColor: CATEGORY_COLORS[memory.category] || '#666' }}
+                        style={{ backgroundColor: categoryColors[memory.category] || '#666' }}
                       />
                       <span className="text-xs font-medium text-text-secondary capitalize">
                         {memory.category}
@@ -351,6 +448,19 @@ function MemoriesTab({ neo4jStatus, fetchStatus: _fetchStatus }) {
                       <span className="text-xs text-text-tertiary">
                         {formatDate(memory.timestamp)}
                       </span>
+                      {memory.namespace && memory.namespace !== 'global' && (
+                        <span className="text-xs px-2 py-0.5 rounded bg-border/50 text-text-secondary">
+                          {memory.namespace}
+                        </span>
+                      )}
+                      {memory.archived && (
+                        <span
+                          className="text-xs px-2 py-0.5 rounded bg-border/50 text-text-tertiary"
+                          title="Faded below its category's archive threshold - not used in chat"
+                        >
+                          Archived
+                        </span>
+                      )}
                     </div>
                     <p className="text-text-primary line-clamp-2">
                       {memory.content?.text || memory.content || 'No content'}
@@ -389,6 +499,30 @@ function MemoriesTab({ neo4jStatus, fetchStatus: _fetchStatus }) {
                   >
                     {(memory.importance * 100).toFixed(0)}%
                   </div>
+                  {memory.archived && (
+                    <button
+                      onClick={e => {
+                        e.stopPropagation();
+                        handleUnarchive(memory.id);
+                      }}
+                      className="p-2 rounded hover:bg-border/50 text-text-secondary"
+                      title="Unarchive"
+                      data-testid={`unarchive-memory-${memory.id}`}
+                    >
+                      <ArchiveRestore size={16} />
+                    </button>
+                  )}
+                  <button
+                    onClick={e => {
+                      e.stopPropagation();
+                      setHistoryMemory(memory);
+                    }}
+                    className="p-2 rounded hover:bg-border/50 text-text-secondary"
+                    title="History"
+                    data-testid={`history-memory-${memory.id}`}
+                  >
+                    <History size={16} />
+                  </button>
                   <button
                     onClick={e => {
                       e.stopPropagation();
@@ -482,6 +616,14 @@ function MemoriesTab({ neo4jStatus, fetchStatus: _fetchStatus }) {
       </div>
 
       {/* Edit Modal */}
+      {historyMemory && (
+        <MemoryHistory
+          memory={historyMemory}
+          onClose={() => setHistoryMemory(null)}
+          onRestored={fetchMemories}
+        />
+      )}
+
       {showModal && (
         <div
           className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50"
@@ -556,7 +698,8 @@ function MemoriesTab({ neo4jStatus, fetchStatus: _fetchStatus }) {
                     onChange={e => setFormData({ ...formData, category: e.target.value })}
                     className="form-input w-full"
                   >
-                    {Object.keys(CATEGORY_COLORS).map(cat => (
+                    <option value="">Auto-detect</option>
+                    {categoryKeys.map(cat => (
                       <option key={cat} value={cat}>
                         {cat}
                       </option>
@@ -581,8 +724,8 @@ function MemoriesTab({ neo4jStatus, fetchStatus: _fetchStatus }) {
                 </div>
               </div>
 
-              {/* Type and Importance */}
-              <div className="grid grid-cols-2 gap-4">
+              {/* Type, Namespace and Importance */}
+              <div className="grid grid-cols-3 gap-4">
                 <div>
                   <label className="block text-sm font-medium text-text-secondary mb-1">Type</label>
                   <select
@@ -595,6 +738,28 @@ function MemoriesTab({ neo4jStatus, fetchStatus: _fetchStatus }) {
                     <option value="event">Event</option>
                   </select>
                 </div>
+                <div>
+                  <label className="block text-sm font-medium text-text-secondary mb-1">
+                    Namespace
+                  </label>
+                  <select
+                    value={formData.namespace}
+                    onChange={e => setFormData({ ...formData, namespace: e.target.value })}
+                    className="form-input w-full"
+                  >
+                    {[
+                      ...new Set([
+                        'global',
+                        formData.namespace,
+                        ...namespaces.map(ns => ns.namespace),
+                      ]),
+                    ].map(ns => (
+                      <option key={ns} value={ns}>
+                        {ns}
+                      </option>
+                    ))}
+                  </select>
+                </div>
                 <div>
                   <label className="block text-sm font-medium text-text-secondary mb-1">
                     Importance: {(formData.importance * 100).toFixed(0)}%
@@ -681,7 +846,9 @@ function MemoriesTab({ neo4jStatus, fetchStatus: _fetchStatus }) {
               </div>
               <div>
                 <h2 className="text-lg font-semibold text-text-primary">Delete Memory</h2>
-                <p className="text-sm text-text-secondary">This action cannot be undone</p>
+                <p className="text-sm text-text-secondary">
+                  It can be restored from the trash on the Maintenance tab
+                </p>
               </div>
             </div>
 
@@ -696,7 +863,7 @@ function MemoriesTab({ neo4jStatus, fetchStatus: _fetchStatus }) {
                 <div className="flex items-center gap-2 mt-2">
                   <div
                     className="w-2 h-2 rounded-full"
-                    style={{ backgroundColor: CATEGORY_COLORS[deleteConfirm.category] || '#666' }}
+                    style={{ backgroundColor: categoryColors[deleteConfirm.category] || '#666' }}
                   />
                   <span className="text-xs text-text-tertiary capitalize">
                     {deleteConfirm.category}
@@ -733,6 +900,7 @@ function MemoriesTab({ neo4jStatus, fetchStatus: _fetchStatus }) {
 // MAINTENANCE TAB COMPONENT (Database Backup)
 // ============================================
 function MaintenanceTab() {
+  const { categories: categoryKeys } = useTaxonomy();
   const [status, setStatus] = useState(null);
   const [history, setHistory] = useState([]);
   const [health, setHealth] = useState(null);
@@ -741,6 +909,10 @@ function MaintenanceTab() {
   const [restoring, setRestoring] = useState(false);
   const [availableBackups, setAvailableBackups] = useState([]);
   const [selectedBackup, setSelectedBackup] = useState('');
+  const [vectorIndex, setVectorIndex] = useState(null);
+  const [rebuildingIndex, setRebuildingIndex] = useState(false);
+  const [reindex, setReindex] = useState(null);
+  const { on, off } = useWebSocket();
   const [config, setConfig] = useState({
     schedule: 'daily',
     time: '02:00',
@@ -788,13 +960,87 @@ function MaintenanceTab() {
     }
   };
 
+  const loadVectorIndex = async () => {
+    const res = await fetch('/api/memories/embedding/status');
+    const data = await res.json();
+    setVectorIndex(data.vectorIndex || null);
+  };
+
+  const loadReindex = async () => {
+    const res = await fetch('/api/memories/embedding/reindex');
+    const data = await res.json();
+    if (data.success) setReindex(data);
+  };
+
   useEffect(() => {
     loadStatus();
     loadHistory();
     runHealthCheck();
     loadAvailableBackups();
+    loadVectorIndex();
+    loadReindex();
   }, []);
 
+  // Re-embedding runs in the background and reports progress over the socket
+  useEffect(() => {
+    const handleProgress = job => setReindex(prev => ({ ...prev, running: true, job }));
+    const handleCompleted = job => {
+      setReindex(prev => ({ ...prev, running: false, job }));
+      if (job.status === 'completed') {
+        toast.success(`Re-embedded ${job.processed} memories`);
+      } else if (job.error) {
+        toast.error(`Re-embedding ${job.status}: ${job.error}`);
+      }
+      loadReindex();
+      loadVectorIndex();
+    };
+
+    on('reindex:started', handleProgress);
+    on('reindex:progress', handleProgress);
+    on('reindex:completed', handleCompleted);
+    return () => {
+      off('reindex:started', handleProgress);
+      off('reindex:progress', handleProgress);
+      off('reindex:completed', handleCompleted);
+    };
+  }, [on, off]);
+
+  const startReindex = async () => {
+    const res = await fetch('/api/memories/embedding/reindex', { method: 'POST' });
+    const data = await res.json();
+    if (data.success) {
+      setReindex(prev => ({ ...prev, running: true, job: data.job }));
+    } else {
+      toast.error(`Re-embedding failed: ${data.error}`);
+    }
+  };
+
+  const cancelReindex = async () => {
+    const res = await fetch('/api/memories/embedding/reindex/cancel', { method: 'POST' });
+    const data = await res.json();
+    if (data.success) {
+      toast.success('Re-embedding will stop after the current batch');
+    } else {
+      toast.error(data.error);
+    }
+  };
+
+  const rebuildVectorIndex = async () => {
+    setRebuildingIndex(true);
+
+    const res = await fetch('/api/memories/embedding/status/rebuild', { method: 'POST' });
+    const data = await res.json();
+
+    setRebuildingIndex(false);
+
+    if (data.success) {
+      setVectorIndex(data.vectorIndex);
+      toast.success('Vector index rebuilt');
+    } else {
+      toast.error(`Rebuild failed: ${data.error}`);
+    }
+  };
+
   const runRestore = async () => {
     if (!selectedBackup) {
       toast.error('Please select a backup to restore');
@@ -959,6 +1205,103 @@ function MaintenanceTab() {
         </div>
       )}
 
+      {/* Vector Index */}
+      {vectorIndex && (
+        <div className="card" data-testid="vector-index-status">
+          <div className="flex items-center justify-between">
+            <div>
+              <h3 className="font-semibold text-text-primary">Vector Index</h3>
+              <p className="text-sm text-text-secondary">
+                {vectorIndex.mode === 'native'
+                  ? `Neo4j vector index ${vectorIndex.native.name} (${vectorIndex.native.dimensions} dimensions)`
+                  : vectorIndex.native.supported === false
+                    ? 'Neo4j vector indexes not supported - using in-process index'
+                    : `In-process index (Neo4j index ${vectorIndex.native.state?.toLowerCase() || 'unavailable'})`}
+              </p>
+              {vectorIndex.mode === 'local' && vectorIndex.local.built && (
+                <p className="text-xs text-text-tertiary">
+                  {vectorIndex.local.size} memories indexed
+                  {vectorIndex.local.approximate ? ' (approximate)' : ''}
+                  {vectorIndex.local.skipped > 0 &&
+                    ` • ${vectorIndex.local.skipped} skipped (dimension mismatch)`}
+                </p>
+              )}
+            </div>
+            <button
+              onClick={rebuildVectorIndex}
+              disabled={rebuildingIndex}
+              className="btn btn-secondary flex items-center gap-2"
+            >
+              <RefreshCw size={16} className={rebuildingIndex ? 'animate-spin' : ''} />
+              Rebuild Index
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Embedding Re-index */}
+      {reindex?.coverage && (
+        <div className="card" data-testid="embedding-reindex">
+          <div className="flex items-center justify-between">
+            <div>
+              <h3 className="font-semibold text-text-primary">Embeddings</h3>
+              <p className="text-sm text-text-secondary">
+                {reindex.model || 'No embedding model'}: {reindex.coverage.current} current,{' '}
+                {reindex.coverage.stale} from other models, {reindex.coverage.missing} missing
+              </p>
+              {reindex.coverage.stale > 0 && !reindex.running && (
+                <p className="text-xs text-warning">
+                  Memories from other models are left out of semantic search until re-embedded
+                </p>
+              )}
+            </div>
+            {reindex.running ? (
+              <button onClick={cancelReindex} className="btn btn-secondary flex items-center gap-2">
+                <X size={16} />
+                Cancel
+              </button>
+            ) : (
+              <button
+                onClick={startReindex}
+                disabled={reindex.coverage.stale + reindex.coverage.missing === 0}
+                className="btn btn-secondary flex items-center gap-2"
+              >
+                <RefreshCw size={16} />
+                Re-embed Memories
+              </button>
+            )}
+          </div>
+          {reindex.running && reindex.job && (
+            <div className="mt-3">
+              <div className="h-2 bg-border/50 rounded overflow-hidden">
+                <div
+                  className="h-full bg-primary transition-all"
+                  style={{
+                    width: `${Math.min(100, ((reindex.job.processed + reindex.job.failed) / Math.max(reindex.job.total, 1)) * 100)}%`,
+                  }}
+                />
+              </div>
+              <p className="text-xs text-text-tertiary mt-1">
+                {reindex.job.processed} of {reindex.job.total} re-embedded
+                {reindex.job.failed > 0 && ` • ${reindex.job.failed} failed`}
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Consolidation */}
+      {health?.healthy && <ConsolidationPanel onApplied={runHealthCheck} />}
+
+      {/* Import */}
+      {health?.healthy && <ImportPanel categories={categoryKeys} onImported={runHealthCheck} />}
+
+      {/* Namespaces */}
+      {health?.healthy && <NamespacesPanel />}
+
+      {/* Trash */}
+      {health?.healthy && <TrashPanel onChanged={runHealthCheck} />}
+
       {/* Backup Status Card */}
       <div className="card">
         <div className="flex items-center justify-between mb-4">
@@ -1360,13 +1703,18 @@ function useForceSimulation(nodes, edges, enabled) {
 }
 
 // 3D Node component
-function GraphNode({ node, position, onSelect, isSelected }) {
+function GraphNode({ node, position, color: categoryColor, onSelect, isSelected }) {
   const meshRef = useRef();
   const [hovered, setHovered] = useState(false);
 
-  const color = node.type === 'user' ? '#ffffff' : CATEGORY_COLORS[node.category] || '#6366f1';
+  const color =
+    node.type === 'user'
+      ? '#ffffff'
+      : node.type === 'entity'
+        ? ENTITY_COLORS[node.entityType] || '#a3a3a3'
+        : categoryColor || '#6366f1';
 
-  const size = node.type === 'user' ? 1.5 : 1;
+  const size = node.type === 'user' ? 1.5 : node.type === 'entity' ? 1.2 : 1;
 
   return (
     <group position={[position.x, position.y, position.z]}>
@@ -1379,6 +1727,8 @@ function GraphNode({ node, position, onSelect, isSelected }) {
       >
         {node.type === 'user' ? (
           <boxGeometry args={[size, size, size]} />
+        ) : node.type === 'entity' ? (
+          <octahedronGeometry args={[size]} />
         ) : (
           <sphereGeometry args={[size, 16, 16]} />
         )}
@@ -1396,7 +1746,11 @@ function GraphNode({ node, position, onSelect, isSelected }) {
           anchorX="center"
           anchorY="middle"
         >
-          {node.type === 'user' ? `@${node.username}` : node.category}
+          {node.type === 'user'
+            ? `@${node.username}`
+            : node.type === 'entity'
+              ? node.name
+              : node.category}
         </Text>
       )}
     </group>
@@ -1409,8 +1763,8 @@ function GraphEdge({ start, end, type }) {
     return [new THREE.Vector3(start.x, start.y, start.z), new THREE.Vector3(end.x, end.y, end.z)];
   }, [start, end]);
 
-  const color = type === 'mentions' ? '#00db38' : '#666666';
-  const opacity = type === 'mentions' ? 0.6 : 0.3;
+  const color = type === 'mentions' ? '#00db38' : type === 'about' ? '#a3a3a3' : '#666666';
+  const opacity = type === 'mentions' ? 0.6 : type === 'about' ? 0.4 : 0.3;
 
   return (
     <line>
@@ -1428,7 +1782,7 @@ function GraphEdge({ start, end, type }) {
 }
 
 // Graph scene
-function GraphScene({ nodes, edges, positions, selectedNode, setSelectedNode }) {
+function GraphScene({ nodes, edges, positions, categoryColors, selectedNode, setSelectedNode }) {
   return (
     <>
       <ambientLight intensity={0.5} />
@@ -1454,6 +1808,7 @@ function GraphScene({ nodes, edges, positions, selectedNode, setSelectedNode })
             key={node.id}
             node={node}
             position={pos}
+            color={categoryColors[node.category]}
             onSelect={setSelectedNode}
             isSelected={selectedNode?.id === node.id}
           />
@@ -1473,6 +1828,9 @@ function VisualizationTab() {
   const [simulationEnabled, setSimulationEnabled] = useState(false);
   const [enabledCategories, setEnabledCategories] = useState({});
   const [showUsers, setShowUsers] = useState(true);
+  const [showEntities, setShowEntities] = useState(true);
+  const [entityMemories, setEntityMemories] = useState(null);
+  const { colors: categoryColors } = useTaxonomy();
   const [searchTerm, setSearchTerm] = useState('');
   const [showUserSidebar, setShowUserSidebar] = useState(false);
   const [selectedUser, setSelectedUser] = useState(null);
@@ -1523,12 +1881,15 @@ function VisualizationTab() {
   const filteredData = useMemo(() => {
     let nodes = graphData.nodes.filter(node => {
       if (node.type === 'user' && !showUsers) return false;
+      if (node.type === 'entity' && !showEntities) return false;
       if (node.type === 'memory' && !enabledCategories[node.category]) return false;
 
       if (searchTerm) {
         const search = searchTerm.toLowerCase();
         if (node.type === 'user') {
           return node.username?.toLowerCase().includes(search);
+        } else if (node.type === 'entity') {
+          return node.name?.toLowerCase().includes(search);
         } else {
           const contentMatch = node.contentPreview?.toLowerCase().includes(search);
           const tagMatch = node.tags?.some(tag => tag.toLowerCase().includes(search));
@@ -1546,13 +1907,14 @@ function VisualizationTab() {
     );
 
     return { nodes, edges };
-  }, [graphData, enabledCategories, showUsers, searchTerm]);
+  }, [graphData, enabledCategories, showUsers, showEntities, searchTerm]);
 
   const positions = useForceSimulation(filteredData.nodes, filteredData.edges, simulationEnabled);
 
   const stats = useMemo(() => {
     const memoryNodes = filteredData.nodes.filter(n => n.type === 'memory');
     const userNodes = filteredData.nodes.filter(n => n.type === 'user');
+    const entityNodes = filteredData.nodes.filter(n => n.type === 'entity');
     const mentionEdges = filteredData.edges.filter(e => e.type === 'mentions');
     const relatesEdges = filteredData.edges.filter(e => e.type === 'relates_to');
 
@@ -1563,6 +1925,7 @@ function VisualizationTab() {
 
     const totalMemoryNodes = graphData.nodes.filter(n => n.type === 'memory');
     const totalUserNodes = graphData.nodes.filter(n => n.type === 'user');
+    const totalEntityNodes = graphData.nodes.filter(n => n.type === 'entity');
     const allCategoryCounts = {};
     totalMemoryNodes.forEach(node => {
       allCategoryCounts[node.category] = (allCategoryCounts[node.category] || 0) + 1;
@@ -1571,6 +1934,7 @@ function VisualizationTab() {
     return {
       totalMemories: memoryNodes.length,
       totalUsers: userNodes.length,
+      totalEntities: entityNodes.length,
       totalConnections: filteredData.edges.length,
       mentions: mentionEdges.length,
       relationships: relatesEdges.length,
@@ -1578,6 +1942,7 @@ function VisualizationTab() {
       allCategories: allCategoryCounts,
       allMemories: totalMemoryNodes.length,
       allUsers: totalUserNodes.length,
+      allEntities: totalEntityNodes.length,
     };
   }, [graphData, filteredData]);
 
@@ -1615,6 +1980,16 @@ function VisualizationTab() {
       .sort((a, b) => b.totalMentions - a.totalMentions);
   }, [graphData, filteredData]);
 
+  // Everything about the selected entity, including memories outside the graph
+  useEffect(() => {
+    setEntityMemories(null);
+    if (selectedNode?.type !== 'entity') return;
+
+    fetch(`/api/memories/entities/${encodeURIComponent(selectedNode.id)}/memories`)
+      .then(res => res.json())
+      .then(data => setEntityMemories(data.success ? data.memories : []));
+  }, [selectedNode]);
+
   const handleUserClick = user => {
     setSelectedUser(user);
     const userNode = graphData.nodes.find(n => n.id === user.id);
@@ -1647,8 +2022,9 @@ function VisualizationTab() {
                   <p className="font-medium text-text-primary mb-1">Memory Graph Visualization</p>
                   <p className="text-sm text-text-secondary">
                     Interactive 3D view of the memory network. Spheres represent memories (colored
-                    by category), cubes represent users. Green lines show user mentions, gray lines
-                    show semantic relationships. Click and drag to rotate, scroll to zoom, click
+                    by category), cubes represent users and diamonds represent the people,
+                    projects, places, tokens and concepts memories are about. Green lines show
+                    user mentions, gray lines show semantic relationships. Click and drag to rotate, scroll to zoom, click
                     nodes for details.
                   </p>
                 </div>
@@ -1755,19 +2131,19 @@ function VisualizationTab() {
                   className="flex items-center gap-2 px-3 py-2 rounded text-xs transition-all cursor-pointer"
                   style={{
                     backgroundColor: isEnabled
-                      ? (CATEGORY_COLORS[category] || '#6366f1') + '20'
+                      ? (categoryColors[category] || '#6366f1') + '20'
                       : 'transparent',
                     color: isEnabled
-                      ? CATEGORY_COLORS[category] || '#6366f1'
+                      ? categoryColors[category] || '#6366f1'
                       : 'var(--color-text-secondary)',
-                    border: `1px solid ${isEnabled ? CATEGORY_COLORS[category] || '#6366f1' : 'var(--color-border)'}`,
+                    border: `1px solid ${isEnabled ? categoryColors[category] || '#6366f1' : 'var(--color-border)'}`,
                     opacity: isEnabled ? 1 : 0.5,
                   }}
                 >
                   <div
                     className="w-3 h-3 rounded-full transition-opacity"
                     style={{
-                      backgroundColor: CATEGORY_COLORS[category] || '#6366f1',
+                      backgroundColor: categoryColors[category] || '#6366f1',
                       opacity: isEnabled ? 1 : 0.3,
                     }}
                   />
@@ -1797,6 +2173,27 @@ function VisualizationTab() {
                 ({stats.totalUsers}/{stats.allUsers})
               </span>
             </button>
+            {stats.allEntities > 0 && (
+              <button
+                onClick={() => setShowEntities(!showEntities)}
+                className="flex items-center gap-2 px-3 py-2 rounded text-xs transition-all cursor-pointer"
+                style={{
+                  backgroundColor: showEntities ? 'rgba(163, 163, 163, 0.1)' : 'transparent',
+                  border: `1px solid ${showEntities ? '#a3a3a3' : 'var(--color-border)'}`,
+                  opacity: showEntities ? 1 : 0.5,
+                  color: 'var(--color-text-primary)',
+                }}
+              >
+                <div
+                  className="w-3 h-3 rotate-45 transition-opacity"
+                  style={{ backgroundColor: '#a3a3a3', opacity: showEntities ? 1 : 0.3 }}
+                />
+                <span className="font-medium">entities</span>
+                <span className="opacity-60">
+                  ({stats.totalEntities}/{stats.allEntities})
+                </span>
+              </button>
+            )}
           </div>
         </div>
 
@@ -1820,6 +2217,7 @@ function VisualizationTab() {
                 nodes={filteredData.nodes}
                 edges={filteredData.edges}
                 positions={positions}
+                categoryColors={categoryColors}
                 selectedNode={selectedNode}
                 setSelectedNode={setSelectedNode}
               />
@@ -1832,7 +2230,11 @@ function VisualizationTab() {
           <div className="card">
             <div className="flex items-start justify-between mb-3">
               <h3 className="text-lg font-bold text-text-primary">
-                {selectedNode.type === 'user' ? `@${selectedNode.username}` : 'Memory Details'}
+                {selectedNode.type === 'user'
+                  ? `@${selectedNode.username}`
+                  : selectedNode.type === 'entity'
+                    ? selectedNode.name
+                    : 'Memory Details'}
               </h3>
               <button
                 onClick={() => setSelectedNode(null)}
@@ -1849,8 +2251,8 @@ function VisualizationTab() {
                   <span
                     className="px-2 py-1 rounded text-xs"
                     style={{
-                      backgroundColor: CATEGORY_COLORS[selectedNode.category] + '20',
-                      color: CATEGORY_COLORS[selectedNode.category],
+                      backgroundColor: categoryColors[selectedNode.category] + '20',
+                      color: categoryColors[selectedNode.category],
                     }}
                   >
                     {selectedNode.category}
@@ -1886,6 +2288,37 @@ function VisualizationTab() {
                   </span>
                 </div>
               </div>
+            ) : selectedNode.type === 'entity' ? (
+              <div className="space-y-2 text-sm">
+                <div>
+                  <span className="text-text-tertiary">Type:</span>{' '}
+                  <span
+                    className="px-2 py-1 rounded text-xs capitalize"
+                    style={{
+                      backgroundColor: (ENTITY_COLORS[selectedNode.entityType] || '#a3a3a3') + '20',
+                      color: ENTITY_COLORS[selectedNode.entityType] || '#a3a3a3',
+                    }}
+                  >
+                    {selectedNode.entityType}
+                  </span>
+                </div>
+                <div>
+                  <span className="text-text-tertiary">Memories about {selectedNode.name}:</span>
+                  {entityMemories === null ? (
+                    <p className="mt-1 text-text-tertiary">Loading...</p>
+                  ) : (
+                    <ul className="mt-1 space-y-1">
+                      {entityMemories.map(memory => (
+                        <li key={memory.id} className="text-text-secondary">
+                          <span style={{ color: categoryColors[memory.category] }}>●</span>{' '}
+                          {memory.content.substring(0, 140)}
+                          {memory.content.length > 140 && '...'}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              </div>
             ) : (
               <div className="space-y-2 text-sm">
                 <div>
@@ -1968,8 +2401,8 @@ function VisualizationTab() {
                             key={category}
                             className="text-xs px-1.5 py-0.5 rounded"
                             style={{
-                              backgroundColor: CATEGORY_COLORS[category] + '20',
-                              color: CATEGORY_COLORS[category],
+                              backgroundColor: categoryColors[category] + '20',
+                              color: categoryColors[category],
                             }}
                           >
                             {category} ({count})
@@ -2031,8 +2464,8 @@ function VisualizationTab() {
                           <span
                             className="text-xs px-2 py-1 rounded"
                             style={{
-                              backgroundColor: CATEGORY_COLORS[category] + '20',
-                              color: CATEGORY_COLORS[category],
+                              backgroundColor: categoryColors[category] + '20',
+                              color: categoryColors[category],
                             }}
                           >
                             {category}
@@ -2091,6 +2524,8 @@ function SettingsTab({ neo4jStatus, fetchStatus }) {
   const [showPassword, setShowPassword] = useState(false);
   const [passwordIsPlaceholder, setPasswordIsPlaceholder] = useState(false);
   const [togglingMemory, setTogglingMemory] = useState(false);
+  const [retrieval, setRetrieval] = useState(null);
+  const [savingRetrieval, setSavingRetrieval] = useState(false);
 
   const loadConfig = async () => {
     setLoading(true);
@@ -2105,10 +2540,33 @@ function SettingsTab({ neo4jStatus, fetchStatus }) {
       });
       setPasswordIsPlaceholder(data.config.hasPassword);
       setMemoryEnabled(data.config.memoryEnabled !== false);
+      setRetrieval(data.config.retrieval || null);
     }
     setLoading(false);
   };
 
+  const setWeight = (source, value) => {
+    setRetrieval({ ...retrieval, weights: { ...retrieval.weights, [source]: value } });
+  };
+
+  const handleSaveRetrieval = async () => {
+    setSavingRetrieval(true);
+    const response = await fetch('/api/memories/config/retrieval', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(retrieval),
+    });
+    const data = await response.json();
+    setSavingRetrieval(false);
+
+    if (data.success) {
+      setRetrieval(data.retrieval);
+      toast.success('Retrieval settings saved');
+    } else {
+      toast.error(data.error || 'Failed to save retrieval settings');
+    }
+  };
+
   const handleToggleMemory = async (newState) => {
     setTogglingMemory(true);
     const response = await fetch('/api/memories/toggle', {
@@ -2208,6 +2666,69 @@ function SettingsTab({ neo4jStatus, fetchStatus }) {
         </div>
       </div>
 
+      {/* Retrieval Weights */}
+      {retrieval && (
+        <div className="card" data-testid="retrieval-settings">
+          <div className="flex items-center gap-3 mb-4">
+            <SlidersHorizontal size={20} className="text-primary" />
+            <div>
+              <h2 className="text-lg font-semibold text-text-primary">Retrieval</h2>
+              <p className="text-sm text-text-secondary">
+                How much each source counts when ranking memories for chat (0 disables it)
+              </p>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-6 gap-3">
+            {Object.entries(retrieval.weights).map(([source, weight]) => (
+              <div key={source}>
+                <label className="block text-sm font-medium text-text-secondary mb-1 capitalize">
+                  {source}
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  value={weight}
+                  onChange={e => setWeight(source, parseFloat(e.target.value) || 0)}
+                  className="form-input w-full"
+                />
+              </div>
+            ))}
+          </div>
+
+          <div className="flex items-center justify-between pt-4 mt-4 border-t border-border">
+            <label className="flex items-center gap-2 text-sm text-text-secondary">
+              <input
+                type="checkbox"
+                checked={retrieval.rerank.enabled}
+                onChange={e =>
+                  setRetrieval({
+                    ...retrieval,
+                    rerank: { ...retrieval.rerank, enabled: e.target.checked },
+                  })
+                }
+              />
+              Rerank top {retrieval.rerank.candidates} with the light model
+            </label>
+            <button
+              onClick={handleSaveRetrieval}
+              disabled={savingRetrieval}
+              className="btn btn-primary flex items-center gap-2"
+            >
+              <Save size={16} />
+              Save
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Categories and tag rules */}
+      <TaxonomyEditor onChange={() => loadTaxonomy(true)} />
+
+      {/* Decay and archive policies */}
+      {neo4jStatus?.connected && <MemoryPoliciesCard />}
+
       {/* Neo4j Connection Settings */}
       <div className="card">
         <div className="flex items-center gap-3 mb-4">
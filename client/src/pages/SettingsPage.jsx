@@ -22,6 +22,7 @@ import {
   Download,
   FolderOpen,
   HardDrive,
+  GitBranch,
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import { useTheme } from '../contexts/ThemeContext';
@@ -58,6 +59,10 @@ const SettingsPage = () => {
   const [activeTab, setActiveTab] = useState(tab === 'providers' ? 'providers' : 'general');
   const [editingProviderKey, setEditingProviderKey] = useState(null);
 
+  // Fallback chain and retry policy
+  const [routing, setRouting] = useState({ fallbackChains: { default: [] }, retry: {} });
+  const [savingRouting, setSavingRouting] = useState(false);
+
   // Sync state with URL if it changes
   useEffect(() => {
     setActiveTab(tab === 'providers' ? 'providers' : 'general');
@@ -66,6 +71,7 @@ const SettingsPage = () => {
   // Fetch providers on mount
   useEffect(() => {
     fetchProviders();
+    fetchRouting();
   }, []);
 
   // Fetch models when editing modal opens for API providers
@@ -109,6 +115,53 @@ const SettingsPage = () => {
     }
   };
 
+  const fetchRouting = async () => {
+    try {
+      const res = await fetch('/api/ai-providers/routing');
+      const data = await res.json();
+      if (data.success) {
+        setRouting({ fallbackChains: data.fallbackChains, retry: data.retry });
+      }
+    } catch (error) {
+      console.error('Failed to fetch routing settings:', error);
+    }
+  };
+
+  const toggleFallbackProvider = providerKey => {
+    const chain = routing.fallbackChains.default || [];
+    const nextChain = chain.includes(providerKey)
+      ? chain.filter(key => key !== providerKey)
+      : [...chain, providerKey];
+    setRouting(prev => ({
+      ...prev,
+      fallbackChains: { ...prev.fallbackChains, default: nextChain },
+    }));
+  };
+
+  const saveRouting = async () => {
+    setSavingRouting(true);
+    try {
+      const res = await fetch('/api/ai-providers/routing', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(routing),
+      });
+
+      const data = await res.json();
+
+      if (data.success) {
+        setRouting({ fallbackChains: data.fallbackChains, retry: data.retry });
+        toast.success(data.message || 'Fallback settings saved');
+      } else {
+        toast.error(data.error || 'Failed to save fallback settings');
+      }
+    } catch {
+      toast.error('Network error while saving fallback settings');
+    } finally {
+      setSavingRouting(false);
+    }
+  };
+
   const fetchModelsForProvider = async providerKey => {
     if (loadingModels[providerKey]) return;
 
@@ -154,6 +207,19 @@ const SettingsPage = () => {
     }));
   };
 
+  const handleContextLimitChange = (providerKey, modelType, value) => {
+    setEditedConfigs(prev => ({
+      ...prev,
+      [providerKey]: {
+        ...prev[providerKey],
+        contextLimits: {
+          ...prev[providerKey]?.contextLimits,
+          [modelType]: parseInt(value, 10) || undefined,
+        },
+      },
+    }));
+  };
+
   const handleSettingChange = (providerKey, setting, value) => {
     setEditedConfigs(prev => ({
       ...prev,
@@ -503,6 +569,83 @@ const SettingsPage = () => {
             </div>
           </div>
 
+          {/* Fallback & Retry */}
+          <div className="card" data-testid="fallback-settings">
+            <h3 className="text-lg font-medium text-[var(--color-text-primary)] mb-4 flex items-center gap-2">
+              <GitBranch className="w-5 h-5" />
+              Fallback &amp; Retry
+            </h3>
+            <p className="text-sm text-[var(--color-text-secondary)] mb-4">
+              When the selected provider fails, providers in this chain are tried in order.
+              Transient errors (rate limits, timeouts, 5xx) are retried with backoff first.
+            </p>
+
+            <div className="flex flex-wrap gap-2 mb-4">
+              {providerList
+                .filter(p => p.enabled)
+                .map(provider => {
+                  const position = (routing.fallbackChains.default || []).indexOf(provider.key);
+                  return (
+                    <button
+                      key={provider.key}
+                      onClick={() => toggleFallbackProvider(provider.key)}
+                      className={`px-3 py-1.5 rounded-lg border text-sm transition-all ${
+                        position >= 0
+                          ? 'border-[var(--color-primary)] bg-[var(--color-primary)]/10 text-[var(--color-primary)]'
+                          : 'border-[var(--color-border)] text-[var(--color-text-secondary)] hover:border-[var(--color-primary)]/50'
+                      }`}
+                    >
+                      {position >= 0 && <span className="mr-1 font-mono">{position + 1}.</span>}
+                      {provider.name}
+                    </button>
+                  );
+                })}
+            </div>
+
+            <div className="flex flex-wrap items-end gap-4">
+              <label className="text-sm text-[var(--color-text-secondary)]">
+                Attempts per provider
+                <input
+                  type="number"
+                  min="1"
+                  max="10"
+                  value={routing.retry.maxAttempts ?? 2}
+                  onChange={e =>
+                    setRouting(prev => ({
+                      ...prev,
+                      retry: { ...prev.retry, maxAttempts: parseInt(e.target.value, 10) || 1 },
+                    }))
+                  }
+                  className="block w-28 mt-1 bg-[var(--color-background)] border border-[var(--color-border)] text-[var(--color-text-primary)] text-sm px-2 py-1.5 rounded focus:outline-none focus:border-[var(--color-primary)] font-mono"
+                />
+              </label>
+              <label className="text-sm text-[var(--color-text-secondary)]">
+                Initial backoff (ms)
+                <input
+                  type="number"
+                  min="0"
+                  step="100"
+                  value={routing.retry.initialDelayMs ?? 1000}
+                  onChange={e =>
+                    setRouting(prev => ({
+                      ...prev,
+                      retry: { ...prev.retry, initialDelayMs: parseInt(e.target.value, 10) || 0 },
+                    }))
+                  }
+                  className="block w-32 mt-1 bg-[var(--color-background)] border border-[var(--color-border)] text-[var(--color-text-primary)] text-sm px-2 py-1.5 rounded focus:outline-none focus:border-[var(--color-primary)] font-mono"
+                />
+              </label>
+              <button
+                onClick={saveRouting}
+                disabled={savingRouting}
+                className="btn btn-primary flex items-center gap-2"
+              >
+                <Save className="w-4 h-4" />
+                {savingRouting ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </div>
+
           {/* Theme Selection */}
           <div className="card">
             <h3 className="text-lg font-medium text-[var(--color-text-primary)] mb-4 flex items-center gap-2">
@@ -755,6 +898,18 @@ const SettingsPage = () => {
                             </div>
                           )}
                         </div>
+                        <input
+                          type="number"
+                          min="512"
+                          step="1024"
+                          value={provider.contextLimits?.[modelType] || ''}
+                          onChange={e =>
+                            handleContextLimitChange(provider.key, modelType, e.target.value)
+                          }
+                          placeholder="8192"
+                          title="Context window (tokens)"
+                          className="w-20 shrink-0 bg-[var(--color-surface)] border border-[var(--color-border)] text-[var(--color-text-primary)] text-xs px-2 py-1 rounded focus:outline-none focus:border-[var(--color-primary)] font-mono"
+                        />
                         {showWarning && (
                           <AlertCircle
                             className="w-3 h-3 text-yellow-500 shrink-0"
@@ -764,6 +919,21 @@ const SettingsPage = () => {
                       </div>
                     );
                   })}
+                  <p className="text-[10px] text-[var(--color-text-secondary)]">
+                    Numbers are each model&apos;s context window in tokens, used to trim chat
+                    history and memories to fit.
+                  </p>
+                  {provider.type === 'api' && (
+                    <label className="flex items-center gap-2 text-xs text-[var(--color-text-secondary)] cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={provider.vision === true}
+                        onChange={e => handleConfigChange(provider.key, 'vision', e.target.checked)}
+                        className="accent-[var(--color-primary)]"
+                      />
+                      Vision - models accept image attachments
+                    </label>
+                  )}
                 </div>
 
                 {/* Ollama Model Pull UI */}
@@ -12,18 +12,34 @@ import {
   ChevronRight,
   RotateCcw,
   Shield,
+  Wrench,
+  Columns,
 } from 'lucide-react';
 import toast from 'react-hot-toast';
+import CompareModal from '../components/templates/CompareModal';
+
+// Templates without a memory scope read and write the global namespace
+const DEFAULT_MEMORY_SCOPE = { read: ['global'], write: 'global' };
+
+// Scope entries that resolve against the running template and chat
+const MEMORY_SCOPE_TOKENS = [
+  { value: 'global', label: 'Global' },
+  { value: 'template', label: 'This template' },
+  { value: 'chat', label: 'This chat' },
+];
 
 function TemplatesPage() {
   const [templates, setTemplates] = useState([]);
   const [providers, setProviders] = useState([]);
+  const [tools, setTools] = useState([]);
+  const [collections, setCollections] = useState([]);
   const [variables, setVariables] = useState([]);
   void variables; // Set by API for template variable management
   const [editingTemplate, setEditingTemplate] = useState(null);
   const [showModal, setShowModal] = useState(false);
   const [testResult, setTestResult] = useState(null);
   const [expandedTemplate, setExpandedTemplate] = useState(null);
+  const [comparingTemplate, setComparingTemplate] = useState(null);
 
   // Form state
   const [formData, setFormData] = useState({
@@ -33,6 +49,9 @@ function TemplatesPage() {
     template: '',
     variables: [],
     provider: { key: '', modelType: 'medium' },
+    tools: [],
+    mode: 'text',
+    memory: DEFAULT_MEMORY_SCOPE,
     settings: { temperature: 0.7, max_tokens: 2048 },
   });
 
@@ -54,6 +73,24 @@ function TemplatesPage() {
     }
   }, []);
 
+  // Fetch tools templates can declare
+  const fetchTools = useCallback(async () => {
+    const response = await fetch('/api/prompts/tools');
+    const data = await response.json();
+    if (data.success) {
+      setTools(data.tools);
+    }
+  }, []);
+
+  // Fetch memory collections templates can read and write
+  const fetchCollections = useCallback(async () => {
+    const response = await fetch('/api/memories/namespaces');
+    const data = await response.json();
+    if (data.success) {
+      setCollections(data.namespaces.filter(ns => ns.kind === 'collection'));
+    }
+  }, []);
+
   // Fetch variables
   const fetchVariables = useCallback(async () => {
     const response = await fetch('/api/prompts/variables');
@@ -66,8 +103,10 @@ function TemplatesPage() {
   useEffect(() => {
     fetchTemplates();
     fetchProviders();
+    fetchTools();
+    fetchCollections();
     fetchVariables();
-  }, [fetchTemplates, fetchProviders, fetchVariables]);
+  }, [fetchTemplates, fetchProviders, fetchTools, fetchCollections, fetchVariables]);
 
   // Open modal for new template
   const handleNew = () => {
@@ -79,6 +118,9 @@ function TemplatesPage() {
       template: '',
       variables: [],
       provider: { key: 'lmstudio', modelType: 'medium' },
+      tools: [],
+      mode: 'text',
+      memory: DEFAULT_MEMORY_SCOPE,
       settings: { temperature: 0.7, max_tokens: 2048 },
     });
     setTestResult(null);
@@ -95,6 +137,9 @@ function TemplatesPage() {
       template: template.template,
       variables: template.variables || [],
       provider: template.provider || { key: '', modelType: 'medium' },
+      tools: template.tools || [],
+      mode: template.mode || 'text',
+      memory: template.memory || DEFAULT_MEMORY_SCOPE,
       settings: template.settings || { temperature: 0.7, max_tokens: 2048 },
     });
     setTestResult(null);
@@ -179,6 +224,9 @@ function TemplatesPage() {
     setEditingTemplate(null);
     setFormData({
       ...template,
+      tools: template.tools || [],
+      mode: template.mode || 'text',
+      memory: template.memory || DEFAULT_MEMORY_SCOPE,
       id: `${template.id}-copy`,
       name: `${template.name} (Copy)`,
     });
@@ -267,6 +315,26 @@ function TemplatesPage() {
                       {template.provider.key}
                     </span>
                   )}
+                  {template.tools?.length > 0 && (
+                    <span
+                      className="text-xs px-2 py-1 rounded bg-border text-text-secondary flex items-center gap-1"
+                      title={template.tools.join(', ')}
+                    >
+                      <Wrench size={12} />
+                      {template.tools.length}
+                    </span>
+                  )}
+                  <button
+                    onClick={e => {
+                      e.stopPropagation();
+                      setComparingTemplate(template);
+                    }}
+                    className="p-2 rounded hover:bg-border/50 text-text-secondary"
+                    title="Compare providers"
+                    data-testid={`compare-${template.id}`}
+                  >
+                    <Columns size={16} />
+                  </button>
                   <button
                     onClick={e => {
                       e.stopPropagation();
@@ -355,6 +423,15 @@ function TemplatesPage() {
         )}
       </div>
 
+      {/* Provider comparison */}
+      {comparingTemplate && (
+        <CompareModal
+          template={comparingTemplate}
+          providers={providers}
+          onClose={() => setComparingTemplate(null)}
+        />
+      )}
+
       {/* Edit Modal */}
       {showModal && (
         <div
@@ -438,6 +515,29 @@ function TemplatesPage() {
                 </p>
               </div>
 
+              {/* Prompt format */}
+              <div>
+                <label className="block text-sm font-medium text-text-secondary mb-1">
+                  Chat Format
+                </label>
+                <select
+                  data-testid="template-mode"
+                  value={formData.mode}
+                  onChange={e => setFormData({ ...formData, mode: e.target.value })}
+                  className="form-input w-full"
+                >
+                  <option value="text">Single prompt (history in {'{{chatHistory}}'})</option>
+                  <option value="messages">Messages (system prompt + role turns)</option>
+                </select>
+                {formData.mode === 'messages' && (
+                  <p className="text-xs text-text-tertiary mt-1">
+                    The template becomes the system prompt. Chat history and the user message are
+                    sent as separate turns, so leave out {'{{chatHistory}}'} and the User:/Assistant:
+                    lines. CLI providers still receive a single flattened prompt.
+                  </p>
+                )}
+              </div>
+
               {/* Provider settings */}
               <div className="grid grid-cols-2 gap-4">
                 <div>
@@ -483,6 +583,115 @@ function TemplatesPage() {
                 </div>
               </div>
 
+              {/* Tools */}
+              {tools.length > 0 && (
+                <div data-testid="template-tools">
+                  <label className="block text-sm font-medium text-text-secondary mb-1">Tools</label>
+                  <div className="grid grid-cols-2 gap-2">
+                    {tools.map(tool => (
+                      <label
+                        key={tool.name}
+                        className="flex items-start gap-2 text-sm text-text-primary"
+                        title={tool.description}
+                      >
+                        <input
+                          type="checkbox"
+                          checked={formData.tools.includes(tool.name)}
+                          onChange={e =>
+                            setFormData({
+                              ...formData,
+                              tools: e.target.checked
+                                ? [...formData.tools, tool.name]
+                                : formData.tools.filter(name => name !== tool.name),
+                            })
+                          }
+                          className="mt-1"
+                        />
+                        <span>
+                          <span className="font-mono">{tool.name}</span>
+                          {tool.source !== 'builtin' && (
+                            <span className="text-xs text-text-tertiary ml-1">({tool.source})</span>
+                          )}
+                        </span>
+                      </label>
+                    ))}
+                  </div>
+                  <p className="text-xs text-text-tertiary mt-1">
+                    The model can call checked tools during a chat turn.
+                  </p>
+                </div>
+              )}
+
+              {/* Memory scope */}
+              <div data-testid="template-memory-scope">
+                <label className="block text-sm font-medium text-text-secondary mb-1">
+                  Memory Scope
+                </label>
+                <div className="grid grid-cols-2 gap-4">
+                  <div className="space-y-1">
+                    <span className="text-xs text-text-tertiary">Reads from</span>
+                    {[
+                      ...MEMORY_SCOPE_TOKENS,
+                      ...collections.map(c => ({ value: c.namespace, label: c.namespace })),
+                    ].map(option => (
+                      <label
+                        key={option.value}
+                        className="flex items-center gap-2 text-sm text-text-primary"
+                      >
+                        <input
+                          type="checkbox"
+                          checked={formData.memory.read.includes(option.value)}
+                          disabled={
+                            formData.memory.read.length === 1 &&
+                            formData.memory.read[0] === option.value
+                          }
+                          onChange={e =>
+                            setFormData({
+                              ...formData,
+                              memory: {
+                                ...formData.memory,
+                                read: e.target.checked
+                                  ? [...formData.memory.read, option.value]
+                                  : formData.memory.read.filter(entry => entry !== option.value),
+                              },
+                            })
+                          }
+                        />
+                        {option.label}
+                      </label>
+                    ))}
+                  </div>
+                  <div>
+                    <span className="text-xs text-text-tertiary">Writes to</span>
+                    <select
+                      value={formData.memory.write}
+                      onChange={e =>
+                        setFormData({
+                          ...formData,
+                          memory: { ...formData.memory, write: e.target.value },
+                        })
+                      }
+                      className="form-input w-full"
+                    >
+                      {MEMORY_SCOPE_TOKENS.map(option => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                      {collections.map(c => (
+                        <option key={c.namespace} value={c.namespace}>
+                          {c.namespace}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+                <p className="text-xs text-text-tertiary mt-1">
+                  Chats with this template only see memories in the namespaces it reads, and
+                  extracted memories are saved to the one it writes.
+                </p>
+              </div>
+
               {/* Generation settings */}
               <div className="grid grid-cols-2 gap-4">
                 <div>
@@ -7,6 +7,7 @@ const http = require('http');
 const { Server } = require('socket.io');
 const { spawn } = require('child_process');
 const { createProxyMiddleware } = require('http-proxy-middleware');
+const { getServerPort } = require('./utils/port');
 
 // Bootstrap mode: lightweight DHT routing node (no Neo4j, IPFS, Ollama, memories)
 const BOOTSTRAP_MODE = process.env.BOOTSTRAP_MODE === 'true';
@@ -14,6 +15,9 @@ if (BOOTSTRAP_MODE) {
   console.log('🌐 Starting in BOOTSTRAP MODE (DHT routing only)');
 }
 
+// Relay hub mode: peers behind NAT connect to this server instead of void-mud
+const RELAY_HUB_MODE = process.env.RELAY_HUB_MODE === 'true';
+
 // Plugin management module (skip in bootstrap mode)
 const pluginManager = BOOTSTRAP_MODE ? null : require('./plugins');
 
@@ -21,9 +25,10 @@ const pluginManager = BOOTSTRAP_MODE ? null : require('./plugins');
 const federationRoutes = require('./routes/federation');
 
 // The following services are skipped in bootstrap mode
-let aiProvider, aiProvidersRoutes, promptExecutor, promptsRoutes, chatRoutes;
+let aiProvider, aiProvidersRoutes, promptExecutor, promptsRoutes, chatRoutes, toolRegistry;
 let memoriesRoutes, backupRoutes, browsersRoutes, browserService, ffmpegService;
 let versionRoutes, versionService, ipfsRoutes, ollamaRoutes, ollamaService;
+let embeddingReindex, memoryPolicy;
 let setIO;
 
 if (!BOOTSTRAP_MODE) {
@@ -33,11 +38,14 @@ if (!BOOTSTRAP_MODE) {
 
   // Prompt and Chat system
   promptExecutor = require('./services/prompt-executor');
+  toolRegistry = require('./services/tool-registry');
   promptsRoutes = require('./routes/prompts');
   chatRoutes = require('./routes/chat');
 
   // Memory system
   memoriesRoutes = require('./routes/memories');
+  embeddingReindex = require('./services/embedding-reindex-service');
+  memoryPolicy = require('./services/memory-policy-service');
 
   // Backup system
   backupRoutes = require('./routes/backup');
@@ -71,12 +79,16 @@ const io = new Server(server, {
   }
 });
 
+if (RELAY_HUB_MODE) {
+  require('./services/relay-hub-service').getRelayHub().attach(io);
+}
+
 // Set up broadcast utility with socket.io instance (skip in bootstrap mode)
 if (!BOOTSTRAP_MODE && setIO) {
   setIO(io);
 }
 
-const PORT = process.env.PORT || 4401;
+const PORT = getServerPort();
 if (!process.env.CONTENT_DIR) {
   // Point to the existing void-server content directory for development
   process.env.CONTENT_DIR = path.resolve(__dirname, '../../void-server/content');
@@ -222,6 +234,12 @@ const setupLogStreaming = () => {
 };
 
 app.use(cors());
+// Memory imports upload whole note folders
+app.use('/api/memories/import', express.json({ limit: '25mb' }));
+// Federation signatures cover the body exactly as it was sent
+app.use('/api/federation', express.json({
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.json());
 
 // Basic health check
@@ -279,6 +297,12 @@ if (!BOOTSTRAP_MODE) {
 
   // Initialize Prompt Executor (which initializes prompt and chat services)
   promptExecutor.initialize();
+
+  // Resume an embedding re-index job interrupted by a restart (non-blocking)
+  embeddingReindex.resumeReindex().catch(() => {});
+
+  // Scheduled memory decay and archiving
+  memoryPolicy.startSchedule();
 }
 
 // Plugin Manager (skip in bootstrap mode)
@@ -420,7 +444,10 @@ function loadPlugins() {
       enabled: routeOverrides[route.path]?.enabled !== false
     }));
 
-    plugin(app, { mountPath, services: { browserService, ffmpegService, express } });
+    // Plugins can expose functions to chat templates as tools
+    const registerTool = tool => toolRegistry.registerTool({ ...tool, source: pluginName });
+
+    plugin(app, { mountPath, services: { browserService, ffmpegService, express, registerTool } });
 
     // Serve static assets from plugin's assets folder if it exists
     const assetsPath = path.join(pluginPath, 'assets');
@@ -73,6 +73,23 @@ const logResponse = (method, url, status, duration, error = null) => {
   );
 };
 
+/**
+ * Create an AbortController that fires on timeout or when the caller's
+ * signal aborts, whichever comes first
+ */
+const createController = (timeout, signal) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  if (signal?.aborted) {
+    controller.abort(signal.reason);
+  } else if (signal) {
+    signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+  }
+
+  return { controller, timeoutId };
+};
+
 /**
  * Make an HTTP request with logging
  *
@@ -84,6 +101,7 @@ const logResponse = (method, url, status, duration, error = null) => {
  * @param {number} options.timeout - Request timeout in ms (default: 30000)
  * @param {boolean} options.json - Parse response as JSON (default: true)
  * @param {boolean} options.silent - Don't log this request (default: false)
+ * @param {AbortSignal} options.signal - Caller signal to cancel the request early
  * @returns {Promise<any>} Response data
  */
 const request = async (url, options = {}) => {
@@ -94,6 +112,7 @@ const request = async (url, options = {}) => {
     timeout = 30000,
     json = true,
     silent = false,
+    signal,
     ...fetchOptions
   } = options;
 
@@ -115,9 +134,8 @@ const request = async (url, options = {}) => {
     logRequest(method, url, options);
   }
 
-  // Create abort controller for timeout
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  // Create abort controller for timeout (and caller cancellation)
+  const { controller, timeoutId } = createController(timeout, signal);
 
   let response;
   let data;
@@ -161,6 +179,140 @@ const request = async (url, options = {}) => {
   };
 };
 
+/**
+ * Parse a Server-Sent Events body into { event, data } records
+ *
+ * @param {ReadableStream} body - fetch response body
+ * @returns {AsyncGenerator<{event: string, data: string}>}
+ */
+async function* parseEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let event = 'message';
+  let dataLines = [];
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newlineIndex).replace(/\r$/, '');
+      buffer = buffer.slice(newlineIndex + 1);
+
+      // Blank line terminates an event
+      if (line === '') {
+        if (dataLines.length > 0) {
+          yield { event, data: dataLines.join('\n') };
+        }
+        event = 'message';
+        dataLines = [];
+        continue;
+      }
+
+      // Comment lines (keep-alives) are ignored
+      if (line.startsWith(':')) continue;
+
+      const colonIndex = line.indexOf(':');
+      const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+      const value = colonIndex === -1 ? '' : line.slice(colonIndex + 1).replace(/^ /, '');
+
+      if (field === 'event') event = value;
+      if (field === 'data') dataLines.push(value);
+    }
+  }
+
+  // Flush a trailing event without a final blank line
+  if (dataLines.length > 0) {
+    yield { event, data: dataLines.join('\n') };
+  }
+}
+
+/**
+ * Make a streaming HTTP request (Server-Sent Events) with logging
+ *
+ * Accepts the same options as request(). On success, `events` is an async
+ * iterable of parsed SSE records. On a non-2xx status the body is read and
+ * parsed like request() so callers can surface the API error message.
+ *
+ * @returns {Promise<{ok: boolean, status: number, statusText: string, headers: Object, data?: any, events?: AsyncGenerator}>}
+ */
+const stream = async (url, options = {}) => {
+  const {
+    method = 'POST',
+    headers = {},
+    body,
+    timeout = 30000,
+    silent = false,
+    signal,
+    ...fetchOptions
+  } = options;
+
+  const startTime = Date.now();
+
+  const requestHeaders = { Accept: 'text/event-stream', ...headers };
+  if (body && typeof body === 'object' && !requestHeaders['Content-Type']) {
+    requestHeaders['Content-Type'] = 'application/json';
+  }
+
+  const requestBody = body && typeof body === 'object'
+    ? JSON.stringify(body)
+    : body;
+
+  if (!silent) {
+    logRequest(method, url, options);
+  }
+
+  // Timeout covers the whole stream, not just the first byte
+  const { controller, timeoutId } = createController(timeout, signal);
+
+  const fetchOpts = {
+    method,
+    headers: requestHeaders,
+    signal: controller.signal,
+    ...fetchOptions
+  };
+
+  if (requestBody && method !== 'GET' && method !== 'HEAD') {
+    fetchOpts.body = requestBody;
+  }
+
+  const response = await fetch(url, fetchOpts).catch(err => {
+    clearTimeout(timeoutId);
+    throw err;
+  });
+
+  const meta = {
+    ok: response.ok,
+    status: response.status,
+    statusText: response.statusText,
+    headers: Object.fromEntries(response.headers.entries())
+  };
+
+  if (!response.ok) {
+    clearTimeout(timeoutId);
+    if (!silent) {
+      logResponse(method, url, response.status, Date.now() - startTime);
+    }
+    const text = await response.text();
+    let data = text;
+    try { data = text ? JSON.parse(text) : null; } catch { /* non-JSON error body */ }
+    return { ...meta, data };
+  }
+
+  async function* events() {
+    try {
+      yield* parseEventStream(response.body);
+    } finally {
+      clearTimeout(timeoutId);
+      if (!silent) {
+        logResponse(method, url, response.status, Date.now() - startTime);
+      }
+    }
+  }
+
+  return { ...meta, events: events() };
+};
+
 /**
  * GET request helper
  */
@@ -207,6 +359,7 @@ const getJson = async (url, options = {}) => {
 
 module.exports = {
   request,
+  stream,
   get,
   post,
   put,
@@ -216,5 +369,6 @@ module.exports = {
   getJson,
   // Export for testing/extension
   logRequest,
-  logResponse
+  logResponse,
+  parseEventStream
 };
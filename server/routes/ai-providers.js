@@ -47,6 +47,30 @@ router.post('/switch', (req, res) => {
   res.json(result);
 });
 
+/**
+ * GET /api/ai-providers/routing
+ * Get fallback chains and retry policy
+ */
+router.get('/routing', (req, res) => {
+  res.json({ success: true, ...aiProvider.getRoutingConfig() });
+});
+
+/**
+ * PUT /api/ai-providers/routing
+ * Update fallback chains and/or retry policy
+ */
+router.put('/routing', (req, res) => {
+  const { fallbackChains, retry } = req.body;
+
+  const result = aiProvider.updateRoutingConfig({ fallbackChains, retry });
+
+  if (!result.success) {
+    return res.status(400).json(result);
+  }
+
+  res.json(result);
+});
+
 /**
  * PUT /api/ai-providers/:provider
  * Update provider configuration
@@ -7,6 +7,9 @@ const express = require('express');
 const router = express.Router();
 const chatService = require('../services/chat-service');
 const promptExecutor = require('../services/prompt-executor');
+const chatSummary = require('../services/chat-summary-service');
+const ipfsService = require('../services/ipfs-service');
+const { broadcast } = require('../utils/broadcast');
 
 // ============================================================================
 // Chat Session Routes
@@ -87,27 +90,151 @@ router.delete('/:id', (req, res) => {
 // Message Routes
 // ============================================================================
 
+/**
+ * Build executeChat options from a message request body
+ */
+function getMessageOptions(body) {
+  const { providerOverride, modelType, maxHistory, debug, useMemory, attachments } = body;
+  return {
+    providerOverride,
+    modelType,
+    maxHistory,
+    attachments: Array.isArray(attachments) ? attachments : [],
+    debug: debug === true,
+    useMemory: useMemory !== false // Default to true
+  };
+}
+
 /**
  * POST /api/chat/:id/message
  * Send a message and get a response
+ * With `stream: true`, tokens are also pushed over Socket.IO as `chat:token`
  */
 router.post('/:id/message', async (req, res) => {
-  const { content, providerOverride, modelType, maxHistory, debug, useMemory } = req.body;
+  const { content = '', stream, attachments } = req.body;
+  const chatId = req.params.id;
 
-  if (!content) {
+  if (typeof content !== 'string' || (!content && !attachments?.length)) {
     return res.status(400).json({ success: false, error: 'Message content required' });
   }
 
+  const result = await promptExecutor.executeChat(chatId, content, {
+    ...getMessageOptions(req.body),
+    ...(stream === true && {
+      onToken: (token) => broadcast('chat:token', { chatId, token })
+    })
+  });
+
+  // A user-initiated stop is not an error - the partial reply is returned
+  if (!result.success && !result.aborted) {
+    return res.status(result.error?.includes('not found') ? 404 : 500).json(result);
+  }
+
+  res.json(result);
+});
+
+/**
+ * POST /api/chat/:id/message/stream
+ * Send a message and stream the response as Server-Sent Events
+ * Events: `token` ({ token }) while generating, then `done`, `aborted` or `error` with the final result
+ * Closing the connection early aborts the generation
+ */
+router.post('/:id/message/stream', async (req, res) => {
+  const { content = '', attachments } = req.body;
+
+  if (typeof content !== 'string' || (!content && !attachments?.length)) {
+    return res.status(400).json({ success: false, error: 'Message content required' });
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.write(': connected\n\n');
+
+  const send = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Client went away before the reply finished
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      promptExecutor.abortChat(req.params.id);
+    }
+  });
+
   const result = await promptExecutor.executeChat(req.params.id, content, {
-    providerOverride,
-    modelType,
-    maxHistory,
-    debug: debug === true,
-    useMemory: useMemory !== false // Default to true
+    ...getMessageOptions(req.body),
+    onToken: (token) => send('token', { token })
+  });
+
+  const event = result.success ? 'done' : result.aborted ? 'aborted' : 'error';
+  send(event, result);
+  res.end();
+});
+
+/**
+ * POST /api/chat/:id/messages/:messageId/regenerate
+ * Generate another reply on a new sibling branch
+ * `messageId` is the assistant reply to replace (or the user message it answered)
+ */
+router.post('/:id/messages/:messageId/regenerate', async (req, res) => {
+  const chatId = req.params.id;
+
+  const result = await promptExecutor.regenerateMessage(chatId, req.params.messageId, {
+    ...getMessageOptions(req.body),
+    ...(req.body.stream === true && {
+      onToken: (token) => broadcast('chat:token', { chatId, token })
+    })
   });
 
+  if (!result.success && !result.aborted) {
+    const status = result.error?.includes('not found') ? 404
+      : result.error?.startsWith('Only') ? 400 : 500;
+    return res.status(status).json(result);
+  }
+
+  res.json(result);
+});
+
+/**
+ * POST /api/chat/:id/messages/:messageId/edit
+ * Send an edited copy of a user message on a new sibling branch
+ */
+router.post('/:id/messages/:messageId/edit', async (req, res) => {
+  const { content } = req.body;
+  const chatId = req.params.id;
+
+  if (!content) {
+    return res.status(400).json({ success: false, error: 'Message content required' });
+  }
+
+  const result = await promptExecutor.editMessage(chatId, req.params.messageId, content, {
+    ...getMessageOptions(req.body),
+    ...(req.body.stream === true && {
+      onToken: (token) => broadcast('chat:token', { chatId, token })
+    })
+  });
+
+  if (!result.success && !result.aborted) {
+    const status = result.error?.includes('not found') ? 404
+      : result.error?.startsWith('Only') ? 400 : 500;
+    return res.status(status).json(result);
+  }
+
+  res.json(result);
+});
+
+/**
+ * POST /api/chat/:id/abort
+ * Stop the in-flight generation for a chat
+ */
+router.post('/:id/abort', (req, res) => {
+  const result = promptExecutor.abortChat(req.params.id);
+
   if (!result.success) {
-    return res.status(result.error?.includes('not found') ? 404 : 500).json(result);
+    return res.status(404).json(result);
   }
 
   res.json(result);
@@ -146,6 +273,75 @@ router.delete('/:id/messages', (req, res) => {
   res.json(result);
 });
 
+// ============================================================================
+// Attachment Routes
+// ============================================================================
+
+/**
+ * POST /api/chat/:id/attachments?filename=photo.png&pin=true
+ * Upload a file (raw request body) to attach to the next message
+ * With `pin=true` the file is also pinned to IPFS when the daemon is running
+ */
+router.post('/:id/attachments', express.raw({ type: '*/*', limit: '25mb' }), async (req, res) => {
+  const chatId = req.params.id;
+  const filename = req.query.filename || req.headers['x-filename'];
+
+  if (!filename || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ success: false, error: 'filename and file body required' });
+  }
+
+  const result = chatService.saveAttachment(chatId, {
+    filename,
+    data: req.body,
+    mimeType: req.headers['content-type']
+  });
+
+  if (!result.success) {
+    return res.status(result.error?.includes('not found') ? 404 : 400).json(result);
+  }
+
+  if (req.query.pin !== 'true') {
+    return res.json(result);
+  }
+
+  // Pinning is best-effort - the attachment is usable either way
+  const status = await ipfsService.checkDaemon();
+  if (!status.online) {
+    return res.json({ ...result, pinError: 'IPFS daemon not running' });
+  }
+
+  const { filePath } = chatService.getAttachment(chatId, result.attachment.id);
+  const pin = await ipfsService.pinFile(filePath, { name: result.attachment.name, source: 'chat' })
+    .catch(error => ({ error: error.message }));
+
+  if (pin.error) {
+    return res.json({ ...result, pinError: pin.error });
+  }
+
+  const updated = chatService.updateAttachment(chatId, result.attachment.id, {
+    cid: pin.cid,
+    gatewayUrl: pin.gatewayUrl
+  });
+
+  res.json(updated);
+});
+
+/**
+ * GET /api/chat/:id/attachments/:attachmentId
+ * Download an attachment's file
+ */
+router.get('/:id/attachments/:attachmentId', (req, res) => {
+  const result = chatService.getAttachment(req.params.id, req.params.attachmentId);
+
+  if (!result.success) {
+    return res.status(404).json(result);
+  }
+
+  res.type(result.attachment.mimeType);
+  res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(result.attachment.name)}"`);
+  res.sendFile(result.filePath);
+});
+
 // ============================================================================
 // Branch Routes (Conversation Loom)
 // ============================================================================
@@ -200,6 +396,11 @@ router.post('/:id/branch', (req, res) => {
     return res.status(result.error?.includes('not found') ? 404 : 400).json(result);
   }
 
+  // The fork sees a different history, so rebuild its summary from its own path
+  if (forkPointMessageId) {
+    chatSummary.scheduleSummary(req.params.id, result.branch.id, { regenerate: true, force: true });
+  }
+
   res.status(201).json(result);
 });
 
@@ -212,6 +413,7 @@ router.get('/:id/branch/:branchId/messages', (req, res) => {
 
   const result = chatService.getMessages(req.params.id, {
     branchId: req.params.branchId,
+    withSiblings: true,
     limit: limit ? parseInt(limit) : undefined,
     offset: offset ? parseInt(offset) : 0
   });
@@ -265,6 +467,59 @@ router.delete('/:id/branch/:branchId', (req, res) => {
   res.json(result);
 });
 
+/**
+ * GET /api/chat/:id/branch/:branchId/summary
+ * Get the rolling summary of a branch
+ */
+router.get('/:id/branch/:branchId/summary', (req, res) => {
+  const result = chatSummary.getSummary(req.params.id, req.params.branchId);
+
+  if (!result.success) {
+    return res.status(404).json(result);
+  }
+
+  res.json(result);
+});
+
+/**
+ * PUT /api/chat/:id/branch/:branchId/summary
+ * Replace the summary text (empty text clears it)
+ */
+router.put('/:id/branch/:branchId/summary', (req, res) => {
+  const { text } = req.body;
+
+  if (text !== undefined && typeof text !== 'string') {
+    return res.status(400).json({ success: false, error: 'text must be a string' });
+  }
+
+  const result = chatSummary.updateSummary(req.params.id, req.params.branchId, text);
+
+  if (!result.success) {
+    return res.status(404).json(result);
+  }
+
+  res.json(result);
+});
+
+/**
+ * POST /api/chat/:id/branch/:branchId/summary/regenerate
+ * Rebuild the summary from the start of the branch
+ */
+router.post('/:id/branch/:branchId/summary/regenerate', async (req, res) => {
+  const result = await chatSummary.summarizeBranch(req.params.id, req.params.branchId, {
+    regenerate: true,
+    force: true,
+    providerOverride: req.body?.providerOverride
+  });
+
+  if (!result.success) {
+    const status = result.error?.includes('not found') ? 404 : result.busy ? 409 : 502;
+    return res.status(status).json(result);
+  }
+
+  res.json(result);
+});
+
 // ============================================================================
 // Export Routes
 // ============================================================================
@@ -10,9 +10,17 @@
 
 const express = require('express');
 const router = express.Router();
-const { getFederationService } = require('../services/federation-service');
+const { getFederationService, generateServerId } = require('../services/federation-service');
 const { getDHTService } = require('../services/dht-service');
 const { getPeerService } = require('../services/peer-service');
+const {
+  requirePeer,
+  requireLocal,
+  requirePeerTrust,
+  verifyPeerRequest,
+  isSignedRequest,
+  isLocalRequest
+} = require('../services/federation-auth-service');
 
 // GET /api/federation/manifest - Get this server's public manifest
 router.get('/manifest', (req, res) => {
@@ -65,7 +73,7 @@ router.get('/peers', (req, res) => {
 });
 
 // POST /api/federation/peers - Add a new peer
-router.post('/peers', async (req, res) => {
+router.post('/peers', requireLocal(), async (req, res) => {
   const { endpoint } = req.body;
   console.log(`🌐 POST /api/federation/peers endpoint=${endpoint}`);
 
@@ -89,7 +97,7 @@ router.post('/peers', async (req, res) => {
     });
   }
 
-  const data = await response.json();
+  const data = await response.json().catch(() => ({}));
 
   if (!data.success || !data.manifest) {
     return res.status(400).json({
@@ -101,6 +109,13 @@ router.post('/peers', async (req, res) => {
   const federation = getFederationService();
   const peer = federation.addPeer(data.manifest, endpoint);
 
+  if (!peer) {
+    return res.status(400).json({
+      success: false,
+      error: 'Peer manifest does not match its public key or the key we know for that server'
+    });
+  }
+
   console.log(`✅ Added peer: ${peer.serverId}`);
 
   res.json({
@@ -117,7 +132,7 @@ router.post('/peers', async (req, res) => {
 });
 
 // DELETE /api/federation/peers/:serverId - Remove a peer
-router.delete('/peers/:serverId', (req, res) => {
+router.delete('/peers/:serverId', requireLocal(), (req, res) => {
   const { serverId } = req.params;
   console.log(`🌐 DELETE /api/federation/peers/${serverId}`);
 
@@ -156,19 +171,20 @@ router.post('/verify/respond', (req, res) => {
   }
 
   const federation = getFederationService();
-  const response = federation.answerChallenge(challenge);
+  const { response, timestamp } = federation.answerChallenge(challenge);
 
   res.json({
     success: true,
     response,
+    timestamp,
     serverId: federation.identity.serverId,
     publicKey: federation.identity.publicKey
   });
 });
 
-// POST /api/federation/verify/complete - Verify a peer's challenge response
-router.post('/verify/complete', (req, res) => {
-  const { serverId, challenge, response } = req.body;
+// POST /api/federation/verify/complete - Verify a peer's answer to a challenge we issued
+router.post('/verify/complete', requireLocal(), (req, res) => {
+  const { serverId, challenge, response, timestamp } = req.body;
   console.log(`🌐 POST /api/federation/verify/complete serverId=${serverId}`);
 
   if (!serverId || !challenge || !response) {
@@ -182,7 +198,13 @@ router.post('/verify/complete', (req, res) => {
     return res.status(404).json({ success: false, error: 'Peer not found' });
   }
 
-  const isValid = federation.verifyChallenge(challenge, response, peer.publicKey);
+  if (peer.trustLevel === 'blocked') {
+    return res.status(403).json({ success: false, error: 'Peer is blocked' });
+  }
+
+  const isValid = federation.verifyChallenge(
+    challenge, response, peer.publicKey, Number.isInteger(timestamp) ? timestamp : null
+  );
 
   if (isValid) {
     federation.setTrustLevel(serverId, 'verified');
@@ -199,7 +221,7 @@ router.post('/verify/complete', (req, res) => {
 });
 
 // POST /api/federation/message - Receive an encrypted message from a peer
-router.post('/message', async (req, res) => {
+router.post('/message', requirePeer(), async (req, res) => {
   const { fromServerId, encrypted, signature } = req.body;
   console.log(`🌐 POST /api/federation/message from=${fromServerId}`);
 
@@ -207,6 +229,10 @@ router.post('/message', async (req, res) => {
     return res.status(400).json({ success: false, error: 'fromServerId, encrypted, and signature required' });
   }
 
+  if (fromServerId !== req.federationPeer.serverId) {
+    return res.status(403).json({ success: false, error: 'fromServerId does not match signer' });
+  }
+
   const federation = getFederationService();
   const peer = federation.getPeer(fromServerId);
 
@@ -240,14 +266,18 @@ router.post('/message', async (req, res) => {
 });
 
 // POST /api/federation/ping - Simple health check from a peer
-router.post('/ping', (req, res) => {
+router.post('/ping', async (req, res) => {
   const { fromServerId } = req.body;
   console.log(`🌐 POST /api/federation/ping from=${fromServerId || 'unknown'}`);
 
   const federation = getFederationService();
 
-  if (fromServerId) {
-    federation.updatePeerHealth(fromServerId, true);
+  // Anyone may ping, but only a signed ping counts towards the signer's health
+  if (isSignedRequest(req)) {
+    const result = await verifyPeerRequest(req);
+    if (result.success) {
+      federation.updatePeerHealth(result.peer.serverId, true);
+    }
   }
 
   res.json({
@@ -259,7 +289,7 @@ router.post('/ping', (req, res) => {
 });
 
 // POST /api/federation/secure-message - Send a secure message to a peer
-router.post('/secure-message', async (req, res) => {
+router.post('/secure-message', requireLocal(), async (req, res) => {
   const { serverId, message } = req.body;
   console.log(`🌐 POST /api/federation/secure-message to=${serverId}`);
 
@@ -278,7 +308,7 @@ router.post('/secure-message', async (req, res) => {
 });
 
 // POST /api/federation/verify-peer - Perform mutual verification with a peer
-router.post('/verify-peer', async (req, res) => {
+router.post('/verify-peer', requireLocal(), async (req, res) => {
   const { serverId } = req.body;
   console.log(`🌐 POST /api/federation/verify-peer serverId=${serverId}`);
 
@@ -387,7 +417,7 @@ router.get('/dht/nodes', (req, res) => {
 });
 
 // POST /api/federation/dht/bootstrap - Bootstrap the DHT
-router.post('/dht/bootstrap', async (req, res) => {
+router.post('/dht/bootstrap', requireLocal(), async (req, res) => {
   console.log(`🌐 POST /api/federation/dht/bootstrap`);
 
   const dht = ensureDHTInitialized();
@@ -400,9 +430,12 @@ router.post('/dht/bootstrap', async (req, res) => {
 router.post('/dht/announce', async (req, res) => {
   const { nodeId, endpoint, publicKey, serverId, capabilities } = req.body;
 
-  // If called without body, announce ourselves
+  // If called without body, announce ourselves (the operator's call)
   if (!nodeId) {
     console.log(`🌐 POST /api/federation/dht/announce (self)`);
+    if (!isLocalRequest(req)) {
+      return res.status(403).json({ success: false, error: 'This route is only available to the server operator' });
+    }
     const dht = ensureDHTInitialized();
     const result = await dht.announce();
     return res.json(result);
@@ -415,6 +448,15 @@ router.post('/dht/announce', async (req, res) => {
     return res.status(400).json({ success: false, error: 'endpoint and publicKey required' });
   }
 
+  // Peers can only announce themselves
+  const auth = await verifyPeerRequest(req, { allowUnknown: true });
+  if (!auth.success) {
+    return res.status(auth.status).json({ success: false, error: auth.error });
+  }
+  if (serverId !== auth.peer.serverId || publicKey !== auth.peer.publicKey) {
+    return res.status(403).json({ success: false, error: 'Announcement does not match signer' });
+  }
+
   const dht = ensureDHTInitialized();
   const added = dht.handleAnnounce(nodeId, endpoint, publicKey, serverId, capabilities);
 
@@ -426,14 +468,19 @@ router.post('/dht/announce', async (req, res) => {
 });
 
 // POST /api/federation/dht/peer-push - Receive push notification of new peer
-router.post('/dht/peer-push', (req, res) => {
+router.post('/dht/peer-push', requirePeer({ allowUnknown: true, allowLocal: true }), (req, res) => {
   const { nodeId, endpoint, publicKey, serverId, capabilities } = req.body;
-  console.log(`🌐 POST /api/federation/dht/peer-push from=${serverId}`);
+  console.log(`🌐 POST /api/federation/dht/peer-push from=${req.federationPeer.serverId || 'local'} peer=${serverId}`);
 
   if (!nodeId || !endpoint || !publicKey || !serverId) {
     return res.status(400).json({ success: false, error: 'nodeId, endpoint, publicKey, and serverId required' });
   }
 
+  // The pushed server ID is derived from its key, so a mismatched pair is forged
+  if (generateServerId(publicKey) !== serverId) {
+    return res.status(400).json({ success: false, error: 'publicKey does not match serverId' });
+  }
+
   const dht = ensureDHTInitialized();
   const added = dht.handlePeerPush(nodeId, endpoint, publicKey, serverId, capabilities);
 
@@ -444,7 +491,7 @@ router.post('/dht/peer-push', (req, res) => {
 });
 
 // POST /api/federation/dht/find-node - Find nodes close to a target ID
-router.post('/dht/find-node', (req, res) => {
+router.post('/dht/find-node', requirePeer({ allowUnknown: true, allowLocal: true }), (req, res) => {
   const { targetId, fromNodeId, fromEndpoint, fromPublicKey, fromServerId } = req.body;
   console.log(`🌐 POST /api/federation/dht/find-node target=${targetId?.slice(0, 16)}...`);
 
@@ -452,8 +499,15 @@ router.post('/dht/find-node', (req, res) => {
     return res.status(400).json({ success: false, error: 'targetId required' });
   }
 
+  // Only add the requester to the routing table as the peer that signed
+  const signer = req.federationPeer;
+  const fromSigner = !signer.local && fromServerId === signer.serverId &&
+    (!fromPublicKey || fromPublicKey === signer.publicKey);
+
   const dht = ensureDHTInitialized();
-  const nodes = dht.handleFindNode(targetId, fromNodeId, fromEndpoint, fromPublicKey, fromServerId);
+  const nodes = fromSigner
+    ? dht.handleFindNode(targetId, fromNodeId, fromEndpoint, signer.publicKey, signer.serverId)
+    : dht.handleFindNode(targetId);
 
   res.json({
     success: true,
@@ -461,8 +515,97 @@ router.post('/dht/find-node', (req, res) => {
   });
 });
 
+// POST /api/federation/dht/store - Keep a signed record for another server (Kademlia STORE)
+router.post('/dht/store', requirePeer({ allowUnknown: true }), (req, res) => {
+  const { record } = req.body;
+  console.log(`🌐 POST /api/federation/dht/store from=${req.federationPeer.serverId} topic=${record?.topic}`);
+
+  const dht = ensureDHTInitialized();
+  const result = dht.storeRecord(record);
+
+  if (!result.success) {
+    return res.status(400).json(result);
+  }
+
+  res.json(result);
+});
+
+// POST /api/federation/dht/find-value - Records for a key plus closer nodes (Kademlia FIND_VALUE)
+router.post('/dht/find-value', requirePeer({ allowUnknown: true, allowLocal: true }), (req, res) => {
+  const { key } = req.body;
+  console.log(`🌐 POST /api/federation/dht/find-value key=${key?.slice(0, 16)}...`);
+
+  if (!/^[0-9a-f]{64}$/.test(key || '')) {
+    return res.status(400).json({ success: false, error: '64-character hex key required' });
+  }
+
+  const dht = ensureDHTInitialized();
+
+  res.json({
+    success: true,
+    ...dht.handleFindValue(key)
+  });
+});
+
+// POST /api/federation/dht/publish - Publish a topic this server provides
+router.post('/dht/publish', requireLocal(), async (req, res) => {
+  const { topic, value, ttl } = req.body;
+  console.log(`🌐 POST /api/federation/dht/publish topic=${topic}`);
+
+  if (!topic || typeof topic !== 'string') {
+    return res.status(400).json({ success: false, error: 'topic required' });
+  }
+
+  const dht = ensureDHTInitialized();
+  const result = await dht.store(topic, value, { ttl });
+
+  if (!result.success) {
+    return res.status(400).json(result);
+  }
+
+  res.json(result);
+});
+
+// DELETE /api/federation/dht/publish/:topic - Stop publishing a topic
+router.delete('/dht/publish/:topic', requireLocal(), (req, res) => {
+  const { topic } = req.params;
+  console.log(`🌐 DELETE /api/federation/dht/publish/${topic}`);
+
+  const dht = ensureDHTInitialized();
+
+  if (!dht.unpublish(topic)) {
+    return res.status(404).json({ success: false, error: 'Topic not published' });
+  }
+
+  res.json({ success: true, topic });
+});
+
+// GET /api/federation/dht/records - Topics we publish and records held for others
+router.get('/dht/records', (req, res) => {
+  console.log(`🌐 GET /api/federation/dht/records`);
+
+  const dht = ensureDHTInitialized();
+
+  res.json({
+    success: true,
+    ...dht.getRecordStats()
+  });
+});
+
+// GET /api/federation/dht/values/:topic - Find who provides a topic
+router.get('/dht/values/:topic', async (req, res) => {
+  const { topic } = req.params;
+  console.log(`🌐 GET /api/federation/dht/values/${topic}`);
+
+  const dht = ensureDHTInitialized();
+  const result = await dht.findValue(topic)
+    .catch(err => ({ success: false, topic, error: err.message }));
+
+  res.status(result.success ? 200 : 500).json(result);
+});
+
 // POST /api/federation/dht/bootstrap-nodes - Add a bootstrap node
-router.post('/dht/bootstrap-nodes', (req, res) => {
+router.post('/dht/bootstrap-nodes', requireLocal(), (req, res) => {
   const { endpoint, name } = req.body;
   console.log(`🌐 POST /api/federation/dht/bootstrap-nodes endpoint=${endpoint}`);
 
@@ -507,7 +650,7 @@ router.get('/dht/lookup/:nodeId', async (req, res) => {
 });
 
 // POST /api/federation/peers/connect-by-id - Connect to a peer by node ID
-router.post('/peers/connect-by-id', async (req, res) => {
+router.post('/peers/connect-by-id', requireLocal(), async (req, res) => {
   const { nodeId } = req.body;
   console.log(`🌐 POST /api/federation/peers/connect-by-id nodeId=${nodeId?.slice(0, 16)}...`);
 
@@ -552,14 +695,22 @@ function ensurePeerServiceInitialized() {
 }
 
 // POST /api/federation/peers/neo4j - Add/update a peer in Neo4j
-router.post('/peers/neo4j', async (req, res) => {
-  const { serverId, publicKey, endpoint, version, capabilities, plugins, trustLevel } = req.body;
+// Peers may only register themselves, and never choose their own trust level
+router.post('/peers/neo4j', requirePeer({ allowUnknown: true, allowLocal: true }), async (req, res) => {
+  const { serverId, publicKey, endpoint, version, capabilities, plugins } = req.body;
+  const signer = req.federationPeer;
   console.log(`🌐 POST /api/federation/peers/neo4j serverId=${serverId}`);
 
   if (!serverId || !publicKey || !endpoint) {
     return res.status(400).json({ success: false, error: 'serverId, publicKey, and endpoint required' });
   }
 
+  if (!signer.local && (serverId !== signer.serverId || publicKey !== signer.publicKey)) {
+    return res.status(403).json({ success: false, error: 'Peers can only register themselves' });
+  }
+
+  const trustLevel = signer.local ? req.body.trustLevel : 'seen';
+
   const peerService = ensurePeerServiceInitialized();
   const peer = await peerService.upsertPeer({
     serverId,
@@ -582,7 +733,7 @@ router.post('/peers/neo4j', async (req, res) => {
 });
 
 // DELETE /api/federation/peers/neo4j/:serverId - Delete a peer from Neo4j
-router.delete('/peers/neo4j/:serverId', async (req, res) => {
+router.delete('/peers/neo4j/:serverId', requireLocal(), async (req, res) => {
   const { serverId } = req.params;
   console.log(`🌐 DELETE /api/federation/peers/neo4j/${serverId}`);
 
@@ -704,7 +855,7 @@ router.get('/peers/neo4j/:serverId/trust-score', async (req, res) => {
 });
 
 // PUT /api/federation/peers/neo4j/:serverId/trust - Update peer trust level
-router.put('/peers/neo4j/:serverId/trust', async (req, res) => {
+router.put('/peers/neo4j/:serverId/trust', requireLocal(), async (req, res) => {
   const { serverId } = req.params;
   const { trustLevel } = req.body;
   console.log(`🌐 PUT /api/federation/peers/neo4j/${serverId}/trust level=${trustLevel}`);
@@ -731,7 +882,7 @@ router.put('/peers/neo4j/:serverId/trust', async (req, res) => {
 });
 
 // POST /api/federation/peers/neo4j/:serverId/block - Block a peer
-router.post('/peers/neo4j/:serverId/block', async (req, res) => {
+router.post('/peers/neo4j/:serverId/block', requireLocal(), async (req, res) => {
   const { serverId } = req.params;
   const { reason } = req.body;
   console.log(`🌐 POST /api/federation/peers/neo4j/${serverId}/block`);
@@ -743,6 +894,8 @@ router.post('/peers/neo4j/:serverId/block', async (req, res) => {
     return res.status(404).json({ success: false, error: 'Peer not found' });
   }
 
+  getFederationService().setTrustLevel(serverId, 'blocked');
+
   res.json({
     success: true,
     peer
@@ -750,7 +903,7 @@ router.post('/peers/neo4j/:serverId/block', async (req, res) => {
 });
 
 // POST /api/federation/peers/neo4j/:serverId/unblock - Unblock a peer
-router.post('/peers/neo4j/:serverId/unblock', async (req, res) => {
+router.post('/peers/neo4j/:serverId/unblock', requireLocal(), async (req, res) => {
   const { serverId } = req.params;
   console.log(`🌐 POST /api/federation/peers/neo4j/${serverId}/unblock`);
 
@@ -761,6 +914,8 @@ router.post('/peers/neo4j/:serverId/unblock', async (req, res) => {
     return res.status(404).json({ success: false, error: 'Peer not found' });
   }
 
+  getFederationService().setTrustLevel(serverId, 'unknown');
+
   res.json({
     success: true,
     peer
@@ -768,7 +923,7 @@ router.post('/peers/neo4j/:serverId/unblock', async (req, res) => {
 });
 
 // POST /api/federation/peers/neo4j/:serverId/trust-relationship - Create trust relationship
-router.post('/peers/neo4j/:serverId/trust-relationship', async (req, res) => {
+router.post('/peers/neo4j/:serverId/trust-relationship', requireLocal(), async (req, res) => {
   const { serverId } = req.params;
   const { targetServerId } = req.body;
   console.log(`🌐 POST /api/federation/peers/neo4j/${serverId}/trust-relationship -> ${targetServerId}`);
@@ -788,7 +943,7 @@ router.post('/peers/neo4j/:serverId/trust-relationship', async (req, res) => {
 });
 
 // POST /api/federation/peers/neo4j/sync - Sync peers from memory to Neo4j
-router.post('/peers/neo4j/sync', async (req, res) => {
+router.post('/peers/neo4j/sync', requireLocal(), async (req, res) => {
   console.log(`🌐 POST /api/federation/peers/neo4j/sync`);
 
   const peerService = ensurePeerServiceInitialized();
@@ -803,7 +958,7 @@ router.post('/peers/neo4j/sync', async (req, res) => {
 });
 
 // POST /api/federation/peers/neo4j/health-check - Run health checks
-router.post('/peers/neo4j/health-check', async (req, res) => {
+router.post('/peers/neo4j/health-check', requireLocal(), async (req, res) => {
   console.log(`🌐 POST /api/federation/peers/neo4j/health-check`);
 
   const peerService = ensurePeerServiceInitialized();
@@ -818,7 +973,7 @@ router.post('/peers/neo4j/health-check', async (req, res) => {
 });
 
 // POST /api/federation/peers/neo4j/cleanup - Clean up duplicate peers
-router.post('/peers/neo4j/cleanup', async (req, res) => {
+router.post('/peers/neo4j/cleanup', requireLocal(), async (req, res) => {
   console.log(`🌐 POST /api/federation/peers/neo4j/cleanup`);
 
   const peerService = ensurePeerServiceInitialized();
@@ -883,7 +1038,7 @@ router.get('/token-gate/check', async (req, res) => {
 });
 
 // POST /api/federation/token-gate/clear-cache - Clear balance cache
-router.post('/token-gate/clear-cache', (req, res) => {
+router.post('/token-gate/clear-cache', requireLocal(), (req, res) => {
   const { wallet } = req.body;
   console.log(`🌐 POST /api/federation/token-gate/clear-cache wallet=${wallet || 'all'}`);
 
@@ -973,7 +1128,7 @@ router.get('/marketplace/contributor/:serverId', async (req, res) => {
 });
 
 // POST /api/federation/marketplace/contributor/:serverId - Register/update contributor
-router.post('/marketplace/contributor/:serverId', async (req, res) => {
+router.post('/marketplace/contributor/:serverId', requireLocal(), async (req, res) => {
   const { serverId } = req.params;
   const { endpoint, publicKey } = req.body;
   console.log(`🌐 POST /api/federation/marketplace/contributor/${serverId}`);
@@ -1018,7 +1173,7 @@ router.get('/marketplace/memory/:memoryId/attribution', async (req, res) => {
 });
 
 // POST /api/federation/marketplace/memory/:memoryId/view - Record memory view
-router.post('/marketplace/memory/:memoryId/view', async (req, res) => {
+router.post('/marketplace/memory/:memoryId/view', requireLocal(), async (req, res) => {
   const { memoryId } = req.params;
   const { viewerId } = req.body;
   console.log(`🌐 POST /api/federation/marketplace/memory/${memoryId}/view`);
@@ -1030,7 +1185,7 @@ router.post('/marketplace/memory/:memoryId/view', async (req, res) => {
 });
 
 // POST /api/federation/marketplace/memory/:memoryId/interaction - Record memory interaction
-router.post('/marketplace/memory/:memoryId/interaction', async (req, res) => {
+router.post('/marketplace/memory/:memoryId/interaction', requireLocal(), async (req, res) => {
   const { memoryId } = req.params;
   const { type, metadata } = req.body;
   console.log(`🌐 POST /api/federation/marketplace/memory/${memoryId}/interaction type=${type}`);
@@ -1046,7 +1201,7 @@ router.post('/marketplace/memory/:memoryId/interaction', async (req, res) => {
 });
 
 // POST /api/federation/marketplace/memory/:memoryId/vote - Vote on memory
-router.post('/marketplace/memory/:memoryId/vote', async (req, res) => {
+router.post('/marketplace/memory/:memoryId/vote', requireLocal(), async (req, res) => {
   const { memoryId } = req.params;
   const { voterId, vote } = req.body;
   console.log(`🌐 POST /api/federation/marketplace/memory/${memoryId}/vote vote=${vote}`);
@@ -1066,7 +1221,7 @@ router.post('/marketplace/memory/:memoryId/vote', async (req, res) => {
 });
 
 // POST /api/federation/marketplace/memory/:memoryId/cite - Record citation
-router.post('/marketplace/memory/:memoryId/cite', async (req, res) => {
+router.post('/marketplace/memory/:memoryId/cite', requireLocal(), async (req, res) => {
   const { memoryId } = req.params;
   const { citingMemoryId } = req.body;
   console.log(`🌐 POST /api/federation/marketplace/memory/${memoryId}/cite from=${citingMemoryId}`);
@@ -1110,7 +1265,7 @@ router.get('/ipfs/memories', async (req, res) => {
 });
 
 // POST /api/federation/ipfs/pin/:memoryId - Pin a specific memory to IPFS
-router.post('/ipfs/pin/:memoryId', async (req, res) => {
+router.post('/ipfs/pin/:memoryId', requireLocal(), async (req, res) => {
   const { memoryId } = req.params;
   console.log(`🌐 POST /api/federation/ipfs/pin/${memoryId}`);
 
@@ -1135,7 +1290,7 @@ router.post('/ipfs/pin/:memoryId', async (req, res) => {
 });
 
 // POST /api/federation/ipfs/pin-collection - Pin multiple memories as a collection
-router.post('/ipfs/pin-collection', async (req, res) => {
+router.post('/ipfs/pin-collection', requireLocal(), async (req, res) => {
   const { memoryIds, name, description } = req.body;
   console.log(`🌐 POST /api/federation/ipfs/pin-collection count=${memoryIds?.length || 0}`);
 
@@ -1165,7 +1320,7 @@ router.post('/ipfs/pin-collection', async (req, res) => {
 });
 
 // DELETE /api/federation/ipfs/pin/:memoryId - Unpin a memory from IPFS
-router.delete('/ipfs/pin/:memoryId', async (req, res) => {
+router.delete('/ipfs/pin/:memoryId', requireLocal(), async (req, res) => {
   const { memoryId } = req.params;
   console.log(`🌐 DELETE /api/federation/ipfs/pin/${memoryId}`);
 
@@ -1177,7 +1332,7 @@ router.delete('/ipfs/pin/:memoryId', async (req, res) => {
 });
 
 // POST /api/federation/ipfs/auto-pin - Auto-pin high quality memories
-router.post('/ipfs/auto-pin', async (req, res) => {
+router.post('/ipfs/auto-pin', requireLocal(), async (req, res) => {
   const { threshold, limit } = req.body;
   console.log(`🌐 POST /api/federation/ipfs/auto-pin threshold=${threshold || 'default'}`);
 
@@ -1199,7 +1354,7 @@ router.get('/ipfs/memory/:cid', async (req, res) => {
 });
 
 // POST /api/federation/ipfs/import/:cid - Import a memory from IPFS CID
-router.post('/ipfs/import/:cid', async (req, res) => {
+router.post('/ipfs/import/:cid', requireLocal(), async (req, res) => {
   const { cid } = req.params;
   const { dryRun, sourceServerId } = req.body;
   console.log(`🌐 POST /api/federation/ipfs/import/${cid} dryRun=${dryRun || false}`);
@@ -1212,7 +1367,7 @@ router.post('/ipfs/import/:cid', async (req, res) => {
 });
 
 // POST /api/federation/ipfs/publish-pinata/:memoryId - Publish memory to Pinata
-router.post('/ipfs/publish-pinata/:memoryId', async (req, res) => {
+router.post('/ipfs/publish-pinata/:memoryId', requireLocal(), async (req, res) => {
   const { memoryId } = req.params;
   console.log(`🌐 POST /api/federation/ipfs/publish-pinata/${memoryId}`);
 
@@ -1226,6 +1381,7 @@ router.post('/ipfs/publish-pinata/:memoryId', async (req, res) => {
 // ============ Memory Sync Routes ============
 
 const { getMemorySyncService } = require('../services/memory-sync-service');
+const memoryConflicts = require('../services/memory-conflict-service');
 
 /**
  * Ensure memory sync service is initialized
@@ -1235,9 +1391,10 @@ function ensureMemorySyncServiceInitialized() {
 }
 
 // POST /api/federation/memories/export - Export memories with filters
-router.post('/memories/export', async (req, res) => {
-  const { category, stage, tags, minImportance, since, limit, requesterId } = req.body;
-  console.log(`🌐 POST /api/federation/memories/export requesterId=${requesterId || 'local'}`);
+// Peers must be verified; unsigned requests are only accepted from this machine
+router.post('/memories/export', requirePeer({ trust: 'verified', allowLocal: true }), async (req, res) => {
+  const { category, stage, tags, minImportance, since, limit } = req.body;
+  console.log(`🌐 POST /api/federation/memories/export requester=${req.federationPeer.serverId || 'local'}`);
 
   const syncService = ensureMemorySyncServiceInitialized();
   const exportData = await syncService.exportMemories({
@@ -1246,7 +1403,8 @@ router.post('/memories/export', async (req, res) => {
     tags,
     minImportance,
     since,
-    limit
+    limit,
+    recipient: req.federationPeer.serverId
   });
 
   res.json({
@@ -1256,7 +1414,7 @@ router.post('/memories/export', async (req, res) => {
 });
 
 // POST /api/federation/memories/import - Import memories from a peer export
-router.post('/memories/import', async (req, res) => {
+router.post('/memories/import', requireLocal(), async (req, res) => {
   const { exportData, skipDuplicates, dryRun } = req.body;
   console.log(`🌐 POST /api/federation/memories/import dryRun=${dryRun || false}`);
 
@@ -1299,6 +1457,50 @@ router.get('/memories/sync/states', async (req, res) => {
   });
 });
 
+// GET /api/federation/memories/sync/config - Get the conflict policy settings
+router.get('/memories/sync/config', (req, res) => {
+  console.log(`🌐 GET /api/federation/memories/sync/config`);
+
+  res.json({
+    success: true,
+    config: memoryConflicts.loadConfig(),
+    policies: memoryConflicts.POLICIES
+  });
+});
+
+// PUT /api/federation/memories/sync/config - Set the default and per-peer conflict policies
+router.put('/memories/sync/config', requireLocal(), (req, res) => {
+  console.log(`🌐 PUT /api/federation/memories/sync/config`);
+
+  const result = memoryConflicts.updateConfig(req.body);
+
+  if (!result.success) {
+    return res.status(400).json(result);
+  }
+
+  res.json(result);
+});
+
+// POST /api/federation/memories/sync/push - Receive a verified peer's changes
+router.post('/memories/sync/push', requirePeer({ trust: 'verified' }), async (req, res) => {
+  const { exportData } = req.body;
+  const peerId = req.federationPeer.serverId;
+  console.log(`🌐 POST /api/federation/memories/sync/push from=${peerId}`);
+
+  if (!exportData?.manifest || !exportData.memories) {
+    return res.status(400).json({ success: false, error: 'exportData with manifest and memories required' });
+  }
+
+  const syncService = ensureMemorySyncServiceInitialized();
+  const result = await syncService.receivePush(peerId, exportData);
+
+  if (!result.success) {
+    return res.status(403).json(result);
+  }
+
+  res.json(result);
+});
+
 // GET /api/federation/memories/sync/:peerId - Get sync state for a specific peer
 router.get('/memories/sync/:peerId', async (req, res) => {
   const { peerId } = req.params;
@@ -1310,12 +1512,14 @@ router.get('/memories/sync/:peerId', async (req, res) => {
   res.json({
     success: true,
     peerId,
+    transport: state?.lastTransport || null,
     state
   });
 });
 
 // POST /api/federation/memories/sync/:peerId - Perform delta sync with a peer
-router.post('/memories/sync/:peerId', async (req, res) => {
+// Uses the peer's HTTP endpoint, or the encrypted relay transport when it has none
+router.post('/memories/sync/:peerId', requireLocal(), async (req, res) => {
   const { peerId } = req.params;
   console.log(`🌐 POST /api/federation/memories/sync/${peerId}`);
 
@@ -1328,11 +1532,12 @@ router.post('/memories/sync/:peerId', async (req, res) => {
   }
 
   const result = await syncService.deltaSync(peerId);
+  console.log(`🌐 Delta sync with ${peerId} via ${result.transport || 'none'}: ${result.success ? `${result.imported} imported` : result.error}`);
   res.json(result);
 });
 
 // POST /api/federation/memories/sync/:peerId/preview - Preview what would be imported
-router.post('/memories/sync/:peerId/preview', async (req, res) => {
+router.post('/memories/sync/:peerId/preview', requireLocal(), async (req, res) => {
   const { peerId } = req.params;
   const { category, stage, tags, minImportance } = req.body;
   console.log(`🌐 POST /api/federation/memories/sync/${peerId}/preview`);
@@ -1348,11 +1553,52 @@ router.post('/memories/sync/:peerId/preview', async (req, res) => {
   res.json(result);
 });
 
+// GET /api/federation/memories/conflicts - Conflict review queue
+router.get('/memories/conflicts', (req, res) => {
+  const { status, peerId } = req.query;
+  console.log(`🌐 GET /api/federation/memories/conflicts status=${status || 'all'}`);
+
+  res.json({
+    success: true,
+    conflicts: memoryConflicts.listConflicts({ status, peerId }),
+    stats: memoryConflicts.getConflictStats()
+  });
+});
+
+// POST /api/federation/memories/conflicts/:id/resolve - Keep local, remote or both
+router.post('/memories/conflicts/:id/resolve', requireLocal(), async (req, res) => {
+  const { id } = req.params;
+  const { resolution } = req.body;
+  console.log(`🌐 POST /api/federation/memories/conflicts/${id}/resolve resolution=${resolution}`);
+
+  const syncService = ensureMemorySyncServiceInitialized();
+  const result = await syncService.resolveConflict(id, resolution);
+
+  if (!result.success) {
+    return res.status(result.error === 'Conflict not found' ? 404 : 400).json(result);
+  }
+
+  res.json(result);
+});
+
+// DELETE /api/federation/memories/conflicts/:id - Dismiss a conflict without changing memories
+router.delete('/memories/conflicts/:id', requireLocal(), (req, res) => {
+  const { id } = req.params;
+  console.log(`🌐 DELETE /api/federation/memories/conflicts/${id}`);
+
+  if (!memoryConflicts.removeConflict(id)) {
+    return res.status(404).json({ success: false, error: 'Conflict not found' });
+  }
+
+  res.json({ success: true, id });
+});
+
 // ============ Token-Gated Memory Routes ============
 // These endpoints require $CLAWED token holdings for access
 
 // POST /api/federation/gated/memories/export - Token-gated memory export
 router.post('/gated/memories/export',
+  requirePeer({ allowLocal: true }),
   tokenGate.requireTokens('federation:read_memories'),
   async (req, res) => {
     const { category, stage, tags, minImportance, since, limit } = req.body;
@@ -1365,7 +1611,8 @@ router.post('/gated/memories/export',
       tags,
       minImportance,
       since,
-      limit
+      limit,
+      recipient: req.federationPeer.serverId
     });
 
     res.json({
@@ -1378,6 +1625,7 @@ router.post('/gated/memories/export',
 
 // POST /api/federation/gated/memories/import - Token-gated memory import
 router.post('/gated/memories/import',
+  requirePeer({ allowLocal: true }),
   tokenGate.requireTokens('federation:write_memories'),
   async (req, res) => {
     const { exportData, skipDuplicates, dryRun } = req.body;
@@ -1387,6 +1635,11 @@ router.post('/gated/memories/import',
       return res.status(400).json({ success: false, error: 'exportData with manifest and memories required' });
     }
 
+    // Peers can only import their own exports
+    if (!req.federationPeer.local && exportData.manifest.sourceServerId !== req.federationPeer.serverId) {
+      return res.status(403).json({ success: false, error: 'Export was not made by the signing peer' });
+    }
+
     const syncService = ensureMemorySyncServiceInitialized();
     const result = await syncService.importMemories(exportData, {
       skipDuplicates: skipDuplicates !== false,
@@ -1402,6 +1655,7 @@ router.post('/gated/memories/import',
 
 // POST /api/federation/gated/memories/sync/:peerId - Token-gated delta sync
 router.post('/gated/memories/sync/:peerId',
+  requireLocal(),
   tokenGate.requireTokens('federation:sync_peers'),
   async (req, res) => {
     const { peerId } = req.params;
@@ -1438,6 +1692,18 @@ router.get('/relay/status', (req, res) => {
   });
 });
 
+const { getRelayHub } = require('../services/relay-hub-service');
+
+// GET /api/federation/relay/hub - Get relay hub status (RELAY_HUB_MODE)
+router.get('/relay/hub', (req, res) => {
+  console.log(`🌐 GET /api/federation/relay/hub`);
+
+  res.json({
+    success: true,
+    ...getRelayHub().getStatus()
+  });
+});
+
 // GET /api/federation/status - Get federation status
 router.get('/status', async (req, res) => {
   console.log(`🌐 GET /api/federation/status`);
@@ -1495,8 +1761,15 @@ async function handleFederationMessage(message, peer, federation) {
 
   switch (message.type) {
     case 'memory_query': {
-      // Handle memory export request from peer
-      const exportData = await syncService.exportMemories(message.filters || {});
+      // Handle memory export request from peer (verified peers only, as on /memories/export)
+      const trust = await requirePeerTrust(peer.serverId, 'verified');
+      if (!trust.success) {
+        return { type: 'memory_query_response', success: false, error: trust.error };
+      }
+      const exportData = await syncService.exportMemories({
+        ...(message.filters || {}),
+        recipient: peer.serverId
+      });
       return {
         type: 'memory_query_response',
         success: true,
@@ -1509,6 +1782,14 @@ async function handleFederationMessage(message, peer, federation) {
       if (!message.exportData) {
         return { type: 'memory_share_response', success: false, error: 'No export data provided' };
       }
+      // Same rules as a push: only the peer's own verified export
+      const trust = await requirePeerTrust(peer.serverId, 'verified');
+      if (!trust.success) {
+        return { type: 'memory_share_response', success: false, error: trust.error };
+      }
+      if (message.exportData.manifest?.sourceServerId !== peer.serverId) {
+        return { type: 'memory_share_response', success: false, error: 'Export was not made by the sending peer' };
+      }
       const result = await syncService.importMemories(message.exportData, {
         skipDuplicates: true,
         dryRun: message.dryRun || false
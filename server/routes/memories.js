@@ -10,16 +10,26 @@ const memoryService = require('../services/memory-service');
 const memoryQueryService = require('../services/memory-query-service');
 const { getEmbeddingService } = require('../services/embedding-service');
 const { getNeo4jService } = require('../services/neo4j-service');
+const vectorIndex = require('../services/vector-index-service');
+const embeddingReindex = require('../services/embedding-reindex-service');
+const consolidation = require('../services/memory-consolidation-service');
+const memoryPolicy = require('../services/memory-policy-service');
+const taxonomy = require('../services/memory-taxonomy-service');
+const entityService = require('../services/memory-entity-service');
+const memoryVersions = require('../services/memory-version-service');
+const memoryImport = require('../services/memory-import-service');
+const memoryNamespaces = require('../services/memory-namespace-service');
 const lmstudioCli = require('../services/lmstudio-cli');
 
-// GET /api/memories - List all memories with stats
+// GET /api/memories - List all memories with stats (?namespace= for one namespace)
 router.get('/', async (req, res) => {
-  console.log(`📋 GET /api/memories`);
+  const { namespace } = req.query;
+  console.log(`📋 GET /api/memories${namespace ? ` namespace=${namespace}` : ''}`);
 
   // limit=0 means no limit (fetch all), undefined defaults to 100
   const limitParam = req.query.limit;
   const limit = limitParam !== undefined ? parseInt(limitParam) : 100;
-  const data = await memoryService.getAllMemories(limit);
+  const data = await memoryService.getAllMemories(limit, { namespace });
 
   res.json({
     success: true,
@@ -29,14 +39,14 @@ router.get('/', async (req, res) => {
 
 // GET /api/memories/search - Full-text search
 router.get('/search', async (req, res) => {
-  const { q } = req.query;
+  const { q, namespace } = req.query;
   console.log(`🔍 GET /api/memories/search q=${q}`);
 
   if (!q) {
     return res.status(400).json({ success: false, error: 'Query parameter "q" required' });
   }
 
-  const results = await memoryService.searchMemories(q);
+  const results = await memoryService.searchMemories(q, { namespace });
 
   res.json({
     success: true,
@@ -54,7 +64,8 @@ router.get('/filter', async (req, res) => {
     category: req.query.category,
     stage: req.query.stage ? parseInt(req.query.stage) : undefined,
     tags: req.query.tags ? req.query.tags.split(',') : undefined,
-    minImportance: req.query.minImportance ? parseFloat(req.query.minImportance) : undefined
+    minImportance: req.query.minImportance ? parseFloat(req.query.minImportance) : undefined,
+    namespace: req.query.namespace
   };
 
   // Remove undefined values
@@ -63,11 +74,11 @@ router.get('/filter', async (req, res) => {
   let results;
 
   if (filters.category) {
-    results = await memoryService.getMemoriesByCategory(filters.category, 50);
+    results = await memoryService.getMemoriesByCategory(filters.category, 50, filters.namespace);
   } else if (filters.tags) {
     results = await memoryService.getMemoriesByKeywords(filters.tags, 50);
   } else {
-    const data = await memoryService.getAllMemories(100);
+    const data = await memoryService.getAllMemories(100, { namespace: filters.namespace });
     results = data.memories;
   }
 
@@ -78,6 +89,9 @@ router.get('/filter', async (req, res) => {
   if (filters.minImportance) {
     results = results.filter(m => m.importance >= filters.minImportance);
   }
+  if (filters.namespace) {
+    results = results.filter(m => m.namespace === filters.namespace);
+  }
 
   res.json({
     success: true,
@@ -92,10 +106,12 @@ router.get('/stats', async (req, res) => {
   console.log(`📊 GET /api/memories/stats`);
 
   const stats = await memoryService.getStatistics();
+  const policies = await memoryPolicy.getPolicyStats();
 
   res.json({
     success: true,
-    ...stats
+    ...stats,
+    policies
   });
 });
 
@@ -152,6 +168,110 @@ router.put('/config', async (req, res) => {
   });
 });
 
+// PUT /api/memories/config/retrieval - Update retrieval weights and reranking
+router.put('/config/retrieval', (req, res) => {
+  console.log(`⚙️ PUT /api/memories/config/retrieval`);
+
+  const neo4j = getNeo4jService();
+  const result = neo4j.setRetrievalConfig(req.body);
+
+  if (!result.success) {
+    return res.status(400).json(result);
+  }
+
+  res.json(result);
+});
+
+// GET /api/memories/taxonomy - Categories, stages, tag rules and auto-categorize settings
+router.get('/taxonomy', (req, res) => {
+  console.log(`🏷️ GET /api/memories/taxonomy`);
+
+  res.json({
+    success: true,
+    taxonomy: taxonomy.getTaxonomy()
+  });
+});
+
+// PUT /api/memories/taxonomy - Update stages, tag rules, default category or auto-categorize mode
+router.put('/taxonomy', (req, res) => {
+  console.log(`🏷️ PUT /api/memories/taxonomy`);
+
+  const result = taxonomy.updateTaxonomy(req.body);
+
+  if (!result.success) {
+    return res.status(400).json(result);
+  }
+
+  res.json(result);
+});
+
+// POST /api/memories/taxonomy/categories - Add a category
+router.post('/taxonomy/categories', (req, res) => {
+  console.log(`🏷️ POST /api/memories/taxonomy/categories`);
+
+  const result = taxonomy.createCategory(req.body);
+
+  if (!result.success) {
+    return res.status(400).json(result);
+  }
+
+  res.status(201).json(result);
+});
+
+// PUT /api/memories/taxonomy/categories/:key - Update or rename a category (migrates memories)
+router.put('/taxonomy/categories/:key', async (req, res) => {
+  const { key } = req.params;
+  console.log(`🏷️ PUT /api/memories/taxonomy/categories/${key}`);
+
+  const result = await taxonomy.updateCategory(key, req.body);
+
+  if (!result.success) {
+    return res.status(result.error.endsWith('not found') ? 404 : 400).json(result);
+  }
+
+  res.json(result);
+});
+
+// DELETE /api/memories/taxonomy/categories/:key - Delete a category, reassigning its memories
+router.delete('/taxonomy/categories/:key', async (req, res) => {
+  const { key } = req.params;
+  console.log(`🏷️ DELETE /api/memories/taxonomy/categories/${key}`);
+
+  const result = await taxonomy.deleteCategory(key, req.query.reassignTo);
+
+  if (!result.success) {
+    return res.status(result.error === `Category ${key} not found` ? 404 : 400).json(result);
+  }
+
+  res.json(result);
+});
+
+// PUT /api/memories/config/policies - Update decay and archive policies
+router.put('/config/policies', (req, res) => {
+  console.log(`🍂 PUT /api/memories/config/policies`);
+
+  const result = memoryPolicy.updatePolicies(req.body);
+
+  if (!result.success) {
+    return res.status(400).json(result);
+  }
+
+  res.json(result);
+});
+
+// POST /api/memories/config/policies/run - Run decay and archiving now
+router.post('/config/policies/run', async (req, res) => {
+  console.log(`🍂 POST /api/memories/config/policies/run`);
+
+  const result = await memoryPolicy.runPolicies();
+
+  if (!result.success) {
+    return res.status(result.error === 'Neo4j not available' ? 503 : 409).json(result);
+  }
+
+  res.json(result);
+});
+
 // POST /api/memories/toggle - Toggle memory system on/off
 router.post('/toggle', (req, res) => {
   const { enabled } = req.body;
@@ -168,14 +288,16 @@ router.post('/toggle', (req, res) => {
 });
 
 // GET /api/memories/context - Get relevant memories for chat context
+// ?namespaces=a,b limits retrieval to those namespaces (default: all)
 router.get('/context', async (req, res) => {
-  const { message, user, category, limit } = req.query;
+  const { message, user, category, namespaces, limit } = req.query;
   console.log(`🧠 GET /api/memories/context message="${(message || '').substring(0, 50)}..."`);
 
   const memories = await memoryQueryService.getRelevantMemories({
     message,
     userHandle: user,
     category,
+    namespaces: namespaces ? namespaces.split(',') : null,
     limit: parseInt(limit) || 5
   });
 
@@ -189,6 +311,149 @@ router.get('/context', async (req, res) => {
   });
 });
 
+// GET /api/memories/namespaces - Namespaces in use and registered collections, with counts
+router.get('/namespaces', async (req, res) => {
+  console.log(`🗂️ GET /api/memories/namespaces`);
+
+  const namespaces = await memoryNamespaces.listNamespaces();
+
+  res.json({
+    success: true,
+    namespaces
+  });
+});
+
+// POST /api/memories/namespaces/collections - Register a named collection
+router.post('/namespaces/collections', (req, res) => {
+  console.log(`🗂️ POST /api/memories/namespaces/collections`);
+
+  const result = memoryNamespaces.createCollection(req.body);
+
+  if (!result.success) {
+    return res.status(400).json(result);
+  }
+
+  res.status(201).json(result);
+});
+
+// DELETE /api/memories/namespaces/collections/:name - Delete a collection, reassigning its memories
+router.delete('/namespaces/collections/:name', async (req, res) => {
+  const { name } = req.params;
+  console.log(`🗂️ DELETE /api/memories/namespaces/collections/${name}`);
+
+  const result = await memoryNamespaces.deleteCollection(name, req.query.reassignTo);
+
+  if (!result.success) {
+    return res.status(result.error === `Collection ${name} not found` ? 404 : 400).json(result);
+  }
+
+  res.json(result);
+});
+
+// GET /api/memories/entities - List entities memories are about
+router.get('/entities', async (req, res) => {
+  const { type, search, limit } = req.query;
+  console.log(`🔖 GET /api/memories/entities type=${type || 'all'}`);
+
+  const result = await entityService.listEntities({
+    type,
+    search,
+    limit: parseInt(limit) || 100
+  });
+
+  if (!result.success) {
+    return res.status(result.error === 'Neo4j not available' ? 503 : 400).json(result);
+  }
+
+  res.json(result);
+});
+
+// GET /api/memories/entities/:name/memories - Everything about an entity
+router.get('/entities/:name/memories', async (req, res) => {
+  const { name } = req.params;
+  const { type, limit, includeArchived } = req.query;
+  console.log(`🔖 GET /api/memories/entities/${name}/memories`);
+
+  const neo4j = getNeo4jService();
+  if (!await neo4j.isAvailable()) {
+    return res.status(503).json({ success: false, error: 'Neo4j not available' });
+  }
+
+  const { entities, memories } = await memoryQueryService.getMemoriesAboutEntity(name, {
+    type,
+    limit: parseInt(limit) || 20,
+    includeArchived: includeArchived === 'true'
+  });
+
+  if (entities.length === 0) {
+    return res.status(404).json({ success: false, error: `No memories about: ${name}` });
+  }
+
+  res.json({ success: true, entities, count: memories.length, memories });
+});
+
+// GET /api/memories/trash - List deleted memories
+router.get('/trash', async (req, res) => {
+  console.log(`🗑️ GET /api/memories/trash`);
+
+  const result = await memoryService.getTrash();
+
+  if (!result.success) {
+    return res.status(503).json(result);
+  }
+
+  res.json(result);
+});
+
+// DELETE /api/memories/trash - Purge the trash (optionally ?olderThanDays=)
+router.delete('/trash', async (req, res) => {
+  const olderThanDays = req.query.olderThanDays !== undefined ? parseInt(req.query.olderThanDays) : null;
+  console.log(`🔥 DELETE /api/memories/trash olderThanDays=${olderThanDays ?? 'all'}`);
+
+  if (olderThanDays !== null && !(olderThanDays >= 0)) {
+    return res.status(400).json({ success: false, error: 'olderThanDays must be a non-negative number' });
+  }
+
+  const result = await memoryService.purgeTrash({ olderThanDays });
+
+  if (!result.success) {
+    return res.status(503).json(result);
+  }
+
+  res.json(result);
+});
+
+// DELETE /api/memories/trash/:id - Permanently delete one trashed memory
+router.delete('/trash/:id', async (req, res) => {
+  const { id } = req.params;
+  console.log(`🔥 DELETE /api/memories/trash/${id}`);
+
+  const result = await memoryService.purgeTrash({ ids: [id] });
+
+  if (!result.success) {
+    return res.status(503).json(result);
+  }
+  if (result.purged === 0) {
+    return res.status(404).json({ success: false, error: `Memory ${id} is not in the trash` });
+  }
+
+  res.json(result);
+});
+
+// POST /api/memories/trash/:id/restore - Take a memory out of the trash
+router.post('/trash/:id/restore', async (req, res) => {
+  const { id } = req.params;
+  console.log(`♻️ POST /api/memories/trash/${id}/restore`);
+
+  const result = await memoryService.restoreFromTrash(id);
+
+  if (!result.success) {
+    return res.status(result.error === 'Neo4j not available' ? 503 : 404).json(result);
+  }
+
+  res.json(result);
+});
+
 // GET /api/memories/:id - Get single memory
 router.get('/:id', async (req, res) => {
   const { id } = req.params;
@@ -222,10 +487,48 @@ router.get('/:id/related', async (req, res) => {
   });
 });
 
+// GET /api/memories/:id/history - Versions of a memory, newest first
+router.get('/:id/history', async (req, res) => {
+  const { id } = req.params;
+  console.log(`🕰️ GET /api/memories/${id}/history`);
+
+  const result = await memoryVersions.getHistory(id);
+
+  if (!result.success) {
+    return res.status(result.error === 'Neo4j not available' ? 503 : 404).json(result);
+  }
+
+  res.json(result);
+});
+
+// POST /api/memories/:id/history/:version/restore - Restore an earlier version
+router.post('/:id/history/:version/restore', async (req, res) => {
+  const { id, version } = req.params;
+  console.log(`🕰️ POST /api/memories/${id}/history/${version}/restore`);
+
+  const versionNumber = parseInt(version);
+  if (!(versionNumber >= 1)) {
+    return res.status(400).json({ success: false, error: 'version must be a positive integer' });
+  }
+
+  const result = await memoryService.restoreVersion(id, versionNumber);
+
+  if (!result.success) {
+    return res.status(result.error === 'Neo4j not available' ? 503 : 404).json(result);
+  }
+
+  res.json(result);
+});
+
 // POST /api/memories - Create memory
 router.post('/', async (req, res) => {
   console.log(`➕ POST /api/memories`);
 
+  const namespaceError = req.body.namespace && memoryNamespaces.validateNamespace(req.body.namespace);
+  if (namespaceError) {
+    return res.status(400).json({ success: false, error: namespaceError });
+  }
+
   const memory = await memoryService.createMemory(req.body);
 
   res.status(201).json({
@@ -239,6 +542,11 @@ router.put('/:id', async (req, res) => {
   const { id } = req.params;
   console.log(`✏️ PUT /api/memories/${id}`);
 
+  const namespaceError = req.body.namespace && memoryNamespaces.validateNamespace(req.body.namespace);
+  if (namespaceError) {
+    return res.status(400).json({ success: false, error: namespaceError });
+  }
+
   const result = await memoryService.updateMemory(id, req.body);
 
   if (!result.success) {
@@ -248,7 +556,7 @@ router.put('/:id', async (req, res) => {
   res.json(result);
 });
 
-// DELETE /api/memories/:id - Delete memory
+// DELETE /api/memories/:id - Move memory to the trash
 router.delete('/:id', async (req, res) => {
   const { id } = req.params;
   console.log(`🗑️ DELETE /api/memories/${id}`);
@@ -272,6 +580,20 @@ router.post('/:id/access', async (req, res) => {
   res.json({ success: true });
 });
 
+// POST /api/memories/:id/unarchive - Return an archived memory to chat retrieval
+router.post('/:id/unarchive', async (req, res) => {
+  const { id } = req.params;
+  console.log(`🍂 POST /api/memories/${id}/unarchive`);
+
+  const result = await memoryPolicy.unarchiveMemory(id);
+
+  if (!result.success) {
+    return res.status(result.error === 'Memory not found' ? 404 : 503).json(result);
+  }
+
+  res.json(result);
+});
+
 // POST /api/memories/sync - Sync file backup to Neo4j
 router.post('/sync', async (req, res) => {
   console.log(`🔄 POST /api/memories/sync`);
@@ -346,16 +668,80 @@ router.post('/maintenance/auto-fix/apply', async (req, res) => {
   res.json(result);
 });
 
+// POST /api/memories/maintenance/consolidate/preview - Propose merges for near-duplicates
+router.post('/maintenance/consolidate/preview', async (req, res) => {
+  const { threshold, maxClusters } = req.body;
+  console.log(`🧬 POST /api/memories/maintenance/consolidate/preview threshold=${threshold ?? 'default'}`);
+
+  const result = await consolidation.previewConsolidation({ threshold, maxClusters });
+
+  if (!result.success) {
+    return res.status(result.error.includes('not available') ? 503 : 400).json(result);
+  }
+
+  res.json(result);
+});
+
+// POST /api/memories/maintenance/consolidate/apply - Apply reviewed merges in one transaction
+router.post('/maintenance/consolidate/apply', async (req, res) => {
+  const { merges } = req.body;
+  console.log(`🧬 POST /api/memories/maintenance/consolidate/apply merges=${merges?.length}`);
+
+  if (!merges || !Array.isArray(merges) || merges.length === 0) {
+    return res.status(400).json({ success: false, error: 'merges array required' });
+  }
+
+  const result = await consolidation.applyConsolidation(merges);
+
+  if (!result.success) {
+    const status = result.error.includes('not available') ? 503
+      : result.error.includes('not found') ? 404
+        : result.error.startsWith('Consolidation rolled back') ? 500 : 400;
+    return res.status(status).json(result);
+  }
+
+  res.json(result);
+});
+
+// ============================================================================
+// Import
+// ============================================================================
+
+// POST /api/memories/import - Import Markdown/Obsidian, text and JSONL files
+// Body: { path } for a folder on the server, or { files: [{ path, content }] };
+// { dryRun: true } previews without writing
+router.post('/import', async (req, res) => {
+  const { path: folder, files, defaults, dryRun } = req.body;
+  console.log(`📥 POST /api/memories/import ${folder ? `path=${folder}` : `files=${files?.length}`} dryRun=${Boolean(dryRun)}`);
+
+  if (!folder && !Array.isArray(files)) {
+    return res.status(400).json({ success: false, error: 'path or files array required' });
+  }
+
+  const result = await memoryImport.importMemories({
+    path: folder,
+    files,
+    defaults,
+    dryRun: Boolean(dryRun)
+  });
+
+  if (!result.success) {
+    return res.status(result.error === 'Neo4j not available' ? 503 : 400).json(result);
+  }
+
+  res.json(result);
+});
+
 // ============================================================================
 // Embedding / LM Studio Status
 // ============================================================================
 
-// GET /api/memories/embedding/status - Get embedding service status
+// GET /api/memories/embedding/status - Get embedding service and vector index status
 router.get('/embedding/status', async (req, res) => {
   console.log(`📊 GET /api/memories/embedding/status`);
 
   const embeddingService = getEmbeddingService();
-  const status = embeddingService.getFullStatus();
+  const status = await embeddingService.getFullStatus();
 
   // Test actual API connection
   const connectionTest = await embeddingService.testConnection().catch(err => ({
@@ -366,10 +752,70 @@ router.get('/embedding/status', async (req, res) => {
   res.json({
     success: true,
     ...status,
-    api: connectionTest
+    api: connectionTest,
+    vectorIndex: vectorIndex.getStatus()
+  });
+});
+
+// POST /api/memories/embedding/status/rebuild - Recreate the vector index
+router.post('/embedding/status/rebuild', async (req, res) => {
+  console.log(`🧭 POST /api/memories/embedding/status/rebuild`);
+
+  if (!await getNeo4jService().isAvailable()) {
+    return res.status(503).json({ success: false, error: 'Neo4j not available' });
+  }
+
+  const result = await vectorIndex.rebuild();
+
+  if (!result.success) {
+    return res.status(500).json(result);
+  }
+
+  res.json({
+    success: true,
+    vectorIndex: result.status
   });
 });
 
+// GET /api/memories/embedding/reindex - Re-index job status and vector coverage
+router.get('/embedding/reindex', async (req, res) => {
+  console.log(`📊 GET /api/memories/embedding/reindex`);
+
+  const status = await embeddingReindex.getReindexStatus();
+
+  res.json({
+    success: true,
+    ...status
+  });
+});
+
+// POST /api/memories/embedding/reindex - Re-embed memories from other models
+router.post('/embedding/reindex', async (req, res) => {
+  console.log(`📊 POST /api/memories/embedding/reindex`);
+
+  const result = await embeddingReindex.startReindex();
+
+  if (!result.success) {
+    const status = result.error.includes('already running') ? 409 : 503;
+    return res.status(status).json(result);
+  }
+
+  res.status(202).json(result);
+});
+
+// POST /api/memories/embedding/reindex/cancel - Stop the re-index job
+router.post('/embedding/reindex/cancel', (req, res) => {
+  console.log(`📊 POST /api/memories/embedding/reindex/cancel`);
+
+  const result = embeddingReindex.cancelReindex();
+
+  if (!result.success) {
+    return res.status(404).json(result);
+  }
+
+  res.json(result);
+});
+
 // GET /api/memories/embedding/models - List available embedding models
 router.get('/embedding/models', (req, res) => {
   console.log(`📊 GET /api/memories/embedding/models`);
@@ -7,6 +7,7 @@ const express = require('express');
 const router = express.Router();
 const promptService = require('../services/prompt-service');
 const promptExecutor = require('../services/prompt-executor');
+const toolRegistry = require('../services/tool-registry');
 
 // ============================================================================
 // Template Routes
@@ -260,6 +261,42 @@ router.post('/execute', async (req, res) => {
   res.json(result);
 });
 
+/**
+ * POST /api/prompts/execute/compare
+ * Run a template across several providers/model tiers in parallel
+ * Body: { templateId, variables, runs: [{ provider, modelType }], settings }
+ */
+router.post('/execute/compare', async (req, res) => {
+  const { templateId, variables, runs, settings } = req.body;
+
+  if (!templateId) {
+    return res.status(400).json({ success: false, error: 'templateId required' });
+  }
+
+  const result = await promptExecutor.compareProviders(templateId, variables || {}, runs, { settings });
+
+  if (!result.success) {
+    return res.status(result.error?.includes('not found') ? 404 : 400).json(result);
+  }
+
+  res.json(result);
+});
+
+/**
+ * POST /api/prompts/execute/compare/save
+ * Save the winning comparison output as a chat branch (or a new chat)
+ * Body: { templateId, chatId?, userMessage, result }
+ */
+router.post('/execute/compare/save', (req, res) => {
+  const result = promptExecutor.saveComparison(req.body);
+
+  if (!result.success) {
+    return res.status(result.error?.includes('not found') ? 404 : 400).json(result);
+  }
+
+  res.status(201).json(result);
+});
+
 /**
  * GET /api/prompts/providers
  * Get available providers for template configuration
@@ -269,4 +306,12 @@ router.get('/providers', (req, res) => {
   res.json({ success: true, providers });
 });
 
+/**
+ * GET /api/prompts/tools
+ * Get tools that templates can declare
+ */
+router.get('/tools', (req, res) => {
+  res.json({ success: true, tools: toolRegistry.listTools() });
+});
+
 module.exports = router;
@@ -19,6 +19,18 @@ const TEMPLATE_AI_PROVIDERS_CONFIG_PATH = path.join(TEMPLATE_DIR, 'ai-providers.
 // since they require shell access to CLI tools not available in the container
 const DEFAULT_CONFIG = {
   activeProvider: null,
+  // Ordered providers to try when a generation fails, keyed by the provider
+  // that failed first. "default" applies to providers without their own chain.
+  fallbackChains: {
+    default: []
+  },
+  // Retry policy for transient errors (timeouts, 429, 5xx) before falling back
+  retry: {
+    maxAttempts: 2,
+    initialDelayMs: 1000,
+    maxDelayMs: 8000,
+    backoffFactor: 2
+  },
   providers: {
     openai: {
       name: 'OpenAI',
@@ -33,6 +45,14 @@ const DEFAULT_CONFIG = {
         medium: 'gpt-4o',
         deep: 'gpt-4o'
       },
+      // Context window (tokens) per model type, used to budget prompts
+      contextLimits: {
+        light: 128000,
+        medium: 128000,
+        deep: 128000
+      },
+      // Accepts image attachments (set true for vision models)
+      vision: true,
       settings: {
         temperature: 0.7,
         max_tokens: 4096
@@ -52,6 +72,12 @@ const DEFAULT_CONFIG = {
         medium: 'claude-sonnet-4-20250514',
         deep: 'claude-opus-4-20250514'
       },
+      contextLimits: {
+        light: 200000,
+        medium: 200000,
+        deep: 200000
+      },
+      vision: true,
       settings: {
         temperature: 0.7,
         max_tokens: 4096
@@ -71,6 +97,12 @@ const DEFAULT_CONFIG = {
         medium: 'gemini-1.5-pro',
         deep: 'gemini-1.5-pro'
       },
+      contextLimits: {
+        light: 1000000,
+        medium: 1000000,
+        deep: 1000000
+      },
+      vision: true,
       settings: {
         temperature: 0.7,
         max_tokens: 2048
@@ -90,6 +122,12 @@ const DEFAULT_CONFIG = {
         medium: 'lmstudio-community/Qwen2.5-14B-Instruct-GGUF',
         deep: 'openai/gpt-oss-20b'
       },
+      contextLimits: {
+        light: 8192,
+        medium: 8192,
+        deep: 8192
+      },
+      vision: false,
       settings: {
         temperature: 0.8,
         max_tokens: 8192
@@ -109,6 +147,12 @@ const DEFAULT_CONFIG = {
         medium: 'llama3.2:8b',
         deep: 'llama3.1:70b'
       },
+      contextLimits: {
+        light: 4096,
+        medium: 4096,
+        deep: 4096
+      },
+      vision: false,
       settings: {
         temperature: 0.7,
         max_tokens: 8192
@@ -175,6 +219,7 @@ function loadConfig() {
         ...defaultProvider,
         ...savedProvider,
         models: { ...defaultProvider.models, ...(savedProvider.models || {}) },
+        contextLimits: { ...defaultProvider.contextLimits, ...(savedProvider.contextLimits || {}) },
         settings: { ...defaultProvider.settings, ...(savedProvider.settings || {}) }
       };
     }
@@ -182,6 +227,8 @@ function loadConfig() {
     config = {
       ...DEFAULT_CONFIG,
       ...saved,
+      fallbackChains: { ...DEFAULT_CONFIG.fallbackChains, ...(saved.fallbackChains || {}) },
+      retry: { ...DEFAULT_CONFIG.retry, ...(saved.retry || {}) },
       providers: mergedProviders
     };
   }
@@ -293,6 +340,7 @@ function updateProviderConfig(providerKey, updates) {
     ...updates,
     // Deep merge for nested objects
     models: { ...currentConfig.models, ...(updates.models || {}) },
+    contextLimits: { ...currentConfig.contextLimits, ...(updates.contextLimits || {}) },
     settings: { ...currentConfig.settings, ...(updates.settings || {}) }
   };
 
@@ -308,6 +356,69 @@ function updateProviderConfig(providerKey, updates) {
   };
 }
 
+/**
+ * Get fallback chains and retry policy
+ */
+function getRoutingConfig() {
+  if (!config) loadConfig();
+
+  return {
+    fallbackChains: config.fallbackChains,
+    retry: config.retry
+  };
+}
+
+/**
+ * Update fallback chains and/or retry policy
+ */
+function updateRoutingConfig(updates = {}) {
+  if (!config) loadConfig();
+
+  if (updates.fallbackChains) {
+    for (const [primary, chain] of Object.entries(updates.fallbackChains)) {
+      if (!Array.isArray(chain)) {
+        return { success: false, error: `Fallback chain "${primary}" must be an array` };
+      }
+      const unknown = chain.find(key => !config.providers[key]);
+      if (unknown) {
+        return { success: false, error: `Provider "${unknown}" not found` };
+      }
+    }
+    config.fallbackChains = { ...config.fallbackChains, ...updates.fallbackChains };
+  }
+
+  if (updates.retry) {
+    config.retry = { ...config.retry, ...updates.retry };
+  }
+
+  saveConfig();
+
+  return {
+    success: true,
+    ...getRoutingConfig(),
+    message: 'Updated fallback and retry settings'
+  };
+}
+
+/**
+ * Get the ordered fallback providers for a primary provider
+ */
+function getFallbackChain(providerKey) {
+  if (!config) loadConfig();
+
+  const chains = config.fallbackChains || {};
+  const chain = chains[providerKey] || chains.default || [];
+  return chain.filter(key => key !== providerKey);
+}
+
+/**
+ * Get the retry policy for transient provider errors
+ */
+function getRetryPolicy() {
+  if (!config) loadConfig();
+  return config.retry;
+}
+
 /**
  * Register a single provider
  */
@@ -419,5 +530,9 @@ module.exports = {
   testProvider,
   generate,
   getProvider,
-  registerProviders
+  registerProviders,
+  getRoutingConfig,
+  updateRoutingConfig,
+  getFallbackChain,
+  getRetryPolicy
 };
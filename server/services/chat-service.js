@@ -17,6 +17,21 @@ const LEGACY_CHATS_DIR = path.resolve(__dirname, '../../config/prompts/chats');
 
 const CURRENT_SCHEMA_VERSION = 2;
 
+// Attachment limits and accepted types
+const MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024;
+const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+const TEXT_EXTENSIONS = new Set([
+  '.txt', '.md', '.markdown', '.json', '.jsonl', '.csv', '.tsv', '.yaml', '.yml', '.xml', '.html',
+  '.css', '.js', '.jsx', '.ts', '.tsx', '.py', '.rb', '.go', '.rs', '.java', '.c', '.h', '.cpp',
+  '.sh', '.sql', '.log', '.toml', '.ini'
+]);
+
 /**
  * Ensure chats directory exists
  */
@@ -76,6 +91,13 @@ function getTurnDir(chatId, turnNumber) {
   return path.join(getTurnsDir(chatId), padded);
 }
 
+/**
+ * Get attachments directory for a chat
+ */
+function getAttachmentsDir(chatId) {
+  return path.join(getChatDir(chatId), 'attachments');
+}
+
 /**
  * Ensure chat folder structure exists
  */
@@ -252,6 +274,33 @@ function getChildren(chat, messageId) {
   return Object.values(chat.messages || {}).filter(m => m.parentId === messageId);
 }
 
+/**
+ * Get the alternatives for a message: messages with the same parent and role
+ * (regenerated replies, edited user messages), oldest first. Each sibling
+ * carries the branch to switch to in order to view it, preferring the
+ * active branch, then the most recently created one.
+ */
+function getSiblings(chat, messageId) {
+  const msg = chat.messages?.[messageId];
+  if (!msg) return [];
+
+  const parentId = msg.parentId || null;
+  const siblings = Object.values(chat.messages)
+    .filter(m => (m.parentId || null) === parentId && m.role === msg.role)
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+  const branches = [...chat.branches].sort((a, b) =>
+    (b.id === chat.activeBranchId) - (a.id === chat.activeBranchId) ||
+    (b.createdAt || '').localeCompare(a.createdAt || '')
+  );
+  const paths = branches.map(b => ({ id: b.id, path: getMessagePath(chat, b.tipMessageId) }));
+
+  return siblings.map(sibling => ({
+    id: sibling.id,
+    branchId: paths.find(p => p.path.includes(sibling.id))?.id || null
+  }));
+}
+
 /**
  * Find all leaf nodes (messages with no children) in the tree
  */
@@ -382,6 +431,33 @@ function updateBranch(chatId, branchId, updates) {
   return { success: true, branch: chat.branches[branchIndex], chat };
 }
 
+/**
+ * Store (or clear, with null) the rolling summary of a branch
+ * Summary shape: { text, coversUntilMessageId, messageCount, updatedAt, edited, provider }
+ */
+function setBranchSummary(chatId, branchId, summary) {
+  const chat = getChat(chatId);
+  if (!chat) {
+    return { success: false, error: `Chat "${chatId}" not found` };
+  }
+
+  const branch = chat.branches.find(b => b.id === branchId);
+  if (!branch) {
+    return { success: false, error: `Branch "${branchId}" not found` };
+  }
+
+  if (summary) {
+    branch.summary = summary;
+  } else {
+    delete branch.summary;
+  }
+
+  const chatPath = getChatPath(chatId);
+  fs.writeFileSync(chatPath, JSON.stringify(chat, null, 2));
+
+  return { success: true, branch, chat };
+}
+
 /**
  * Delete a branch (and optionally its messages)
  */
@@ -404,9 +480,10 @@ function deleteBranch(chatId, branchId, deleteMessages = false) {
   }
 
   // If deleting messages, remove all messages unique to this branch
-  if (deleteMessages && branch.forkPointMessageId) {
+  // (a branch started from the root owns its whole path)
+  if (deleteMessages) {
     const branchPath = getMessagePath(chat, branch.tipMessageId);
-    const forkIndex = branchPath.indexOf(branch.forkPointMessageId);
+    const forkIndex = branch.forkPointMessageId ? branchPath.indexOf(branch.forkPointMessageId) : -1;
 
     // Messages after fork point belong to this branch
     const branchOnlyMessages = branchPath.slice(forkIndex + 1);
@@ -718,12 +795,28 @@ function getMessages(chatId, options = {}) {
     return { success: false, error: `Chat "${chatId}" not found` };
   }
 
-  const { limit, offset = 0, branchId } = options;
+  const { limit, offset = 0, branchId, withSiblings } = options;
   const targetBranchId = branchId || chat.activeBranchId;
 
   // Get messages for the branch (linear path from root to tip)
   let messages = getBranchMessages(chat, targetBranchId);
 
+  // Attach { index, total, branchIds } to messages that have alternatives
+  if (withSiblings) {
+    messages = messages.map(msg => {
+      const siblings = getSiblings(chat, msg.id);
+      if (siblings.length <= 1) return msg;
+      return {
+        ...msg,
+        siblings: {
+          index: siblings.findIndex(s => s.id === msg.id),
+          total: siblings.length,
+          branchIds: siblings.map(s => s.branchId)
+        }
+      };
+    });
+  }
+
   if (offset > 0) {
     messages = messages.slice(offset);
   }
@@ -769,6 +862,18 @@ function clearMessages(chatId) {
   return { success: true, message: `Cleared messages in "${chat.title}"` };
 }
 
+/**
+ * Message text for prompts, noting any attachments by name
+ */
+function getMessageText(msg) {
+  if (!msg.attachments?.length) {
+    return msg.content;
+  }
+
+  const names = msg.attachments.map(a => a.name).join(', ');
+  return `${msg.content ? `${msg.content}\n` : ''}[Attached: ${names}]`;
+}
+
 /**
  * Get chat history formatted for prompt injection (branch-aware)
  * Returns array of formatted messages for the active branch
@@ -787,7 +892,7 @@ function getChatHistory(chatId, maxMessages = 20, branchId = null) {
 
   return recentMessages.map(msg => {
     const role = msg.role === 'user' ? 'User' : 'Assistant';
-    return `${role}: ${msg.content}`;
+    return `${role}: ${getMessageText(msg)}`;
   });
 }
 
@@ -814,13 +919,124 @@ function exportChat(chatId, format = 'json', branchId = null) {
     for (const msg of branchMessages) {
       const role = msg.role === 'user' ? '**User**' : '**Assistant**';
       md += `${role}:\n\n${msg.content}\n\n`;
+      for (const attachment of msg.attachments || []) {
+        md += `- 📎 ${attachment.name}${attachment.cid ? ` (ipfs://${attachment.cid})` : ''}\n`;
+      }
+      if (msg.attachments?.length) md += '\n';
     }
 
     return { success: true, format: 'markdown', content: md };
   }
 
-  // Default: JSON (full chat including all branches)
-  return { success: true, format: 'json', content: JSON.stringify(chat, null, 2) };
+  // Default: JSON (full chat including all branches, attachments inlined as base64)
+  const attachments = {};
+  for (const [id, attachment] of Object.entries(chat.attachments || {})) {
+    const filePath = path.join(getAttachmentsDir(chatId), attachment.file);
+    attachments[id] = {
+      ...attachment,
+      ...(fs.existsSync(filePath) && { data: fs.readFileSync(filePath).toString('base64') })
+    };
+  }
+
+  return {
+    success: true,
+    format: 'json',
+    content: JSON.stringify({ ...chat, ...(chat.attachments && { attachments }) }, null, 2)
+  };
+}
+
+// ============================================================================
+// Attachments
+// ============================================================================
+
+/**
+ * Store an uploaded file under data/chats/<id>/attachments/
+ * Images (png, jpeg, gif, webp) go to vision providers; text files are
+ * inlined into the prompt
+ *
+ * @param {string} chatId
+ * @param {object} file - { filename, data (Buffer), mimeType }
+ */
+function saveAttachment(chatId, file) {
+  const chat = getChat(chatId);
+  if (!chat) {
+    return { success: false, error: `Chat "${chatId}" not found` };
+  }
+
+  const name = path.basename(file.filename || 'unnamed');
+  const ext = path.extname(name).toLowerCase();
+  const isImage = Boolean(IMAGE_TYPES[ext]);
+  const isText = !isImage && (TEXT_EXTENSIONS.has(ext) || file.mimeType?.startsWith('text/'));
+
+  if (!isImage && !isText) {
+    return { success: false, error: `Unsupported file type "${ext || file.mimeType}"` };
+  }
+
+  if (!file.data?.length) {
+    return { success: false, error: 'File is empty' };
+  }
+
+  if (file.data.length > MAX_ATTACHMENT_BYTES) {
+    return { success: false, error: `File exceeds ${MAX_ATTACHMENT_BYTES / 1024 / 1024}MB limit` };
+  }
+
+  const id = `att-${crypto.randomUUID()}`;
+  const attachment = {
+    id,
+    name,
+    file: `${id}${ext}`,
+    kind: isImage ? 'image' : 'text',
+    mimeType: isImage ? IMAGE_TYPES[ext] : 'text/plain',
+    size: file.data.length,
+    createdAt: new Date().toISOString()
+  };
+
+  const dir = getAttachmentsDir(chatId);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, attachment.file), file.data);
+
+  chat.attachments = { ...chat.attachments, [id]: attachment };
+  fs.writeFileSync(getChatPath(chatId), JSON.stringify(chat, null, 2));
+
+  console.log(`📎 Saved attachment "${name}" (${attachment.size} bytes) to chat ${chatId}`);
+  return { success: true, attachment };
+}
+
+/**
+ * Get an attachment's metadata and file path
+ */
+function getAttachment(chatId, attachmentId) {
+  const chat = getChat(chatId);
+  if (!chat) {
+    return { success: false, error: `Chat "${chatId}" not found` };
+  }
+
+  const attachment = chat.attachments?.[attachmentId];
+  if (!attachment) {
+    return { success: false, error: `Attachment "${attachmentId}" not found` };
+  }
+
+  const filePath = path.join(getAttachmentsDir(chatId), attachment.file);
+  if (!fs.existsSync(filePath)) {
+    return { success: false, error: `Attachment file "${attachment.name}" not found` };
+  }
+
+  return { success: true, attachment, filePath };
+}
+
+/**
+ * Merge fields (e.g. an IPFS pin) into an attachment's metadata
+ */
+function updateAttachment(chatId, attachmentId, updates) {
+  const chat = getChat(chatId);
+  if (!chat?.attachments?.[attachmentId]) {
+    return { success: false, error: `Attachment "${attachmentId}" not found` };
+  }
+
+  chat.attachments[attachmentId] = { ...chat.attachments[attachmentId], ...updates };
+  fs.writeFileSync(getChatPath(chatId), JSON.stringify(chat, null, 2));
+
+  return { success: true, attachment: chat.attachments[attachmentId] };
 }
 
 // ============================================================================
@@ -1005,18 +1221,25 @@ module.exports = {
   getMessages,
   clearMessages,
   getChatHistory,
+  getMessageText,
   exportChat,
   // Branch management
   createBranch,
   setActiveBranch,
   updateBranch,
+  setBranchSummary,
   deleteBranch,
   listBranches,
   getBranchMessages,
+  // Attachments
+  saveAttachment,
+  getAttachment,
+  updateAttachment,
   // Tree traversal
   getMessagePath,
   getDescendants,
   getChildren,
+  getSiblings,
   getLeafNodes,
   getTreeStructure,
   // Turn logging
@@ -0,0 +1,252 @@
+/**
+ * Chat Summary Service
+ *
+ * Keeps a rolling summary per branch so long chats don't forget everything
+ * older than the recent-history window. Messages that fall out of the window
+ * are folded into the branch summary in batches using the light model tier,
+ * and the result is exposed to templates as {{chatSummary}}.
+ *
+ * The summary is stored on the branch (chat.branches[].summary) and tracks
+ * the last message it covers, so forks from before that point regenerate
+ * from their own path instead of inheriting text about messages they never saw.
+ */
+
+const chatService = require('./chat-service');
+const promptService = require('./prompt-service');
+const { broadcast } = require('../utils/broadcast');
+
+// Messages kept verbatim as recent history; older ones get summarized
+const RECENT_WINDOW = 20;
+
+// Wait until this many messages have left the window before folding them in
+const FOLD_BATCH = 10;
+
+// Reply length for the summary itself
+const SUMMARY_MAX_TOKENS = 600;
+
+// Branches with a summarization in flight (chatId:branchId)
+const inFlight = new Set();
+
+/**
+ * Find where a summary's coverage ends on a branch path
+ * Returns -1 when the covered message isn't on this branch
+ */
+function getCoverageIndex(messages, summary) {
+  if (!summary?.coversUntilMessageId) return -1;
+  return messages.findIndex(m => m.id === summary.coversUntilMessageId);
+}
+
+/**
+ * Get the summary of a branch (defaults to the active branch)
+ */
+function getSummary(chatId, branchId = null) {
+  const chat = chatService.getChat(chatId);
+  if (!chat) {
+    return { success: false, error: `Chat "${chatId}" not found` };
+  }
+
+  const targetBranchId = branchId || chat.activeBranchId;
+  const branch = chat.branches.find(b => b.id === targetBranchId);
+  if (!branch) {
+    return { success: false, error: `Branch "${targetBranchId}" not found` };
+  }
+
+  return { success: true, branchId: targetBranchId, summary: branch.summary || null };
+}
+
+/**
+ * Summary text and the number of branch messages it doesn't cover yet,
+ * used by executeChat to avoid repeating summarized turns as history
+ */
+function getSummaryContext(chatId, branchId = null) {
+  const chat = chatService.getChat(chatId);
+  if (!chat) return { text: '', uncovered: 0 };
+
+  const targetBranchId = branchId || chat.activeBranchId;
+  const branch = chat.branches.find(b => b.id === targetBranchId);
+  const messages = chatService.getBranchMessages(chat, targetBranchId);
+  if (!branch?.summary?.text) {
+    return { text: '', uncovered: messages.length };
+  }
+
+  const coverage = getCoverageIndex(messages, branch.summary);
+  return { text: branch.summary.text, uncovered: messages.length - coverage - 1 };
+}
+
+/**
+ * Replace a branch summary by hand (from the chat UI)
+ * Later folds build on the edited text
+ */
+function updateSummary(chatId, branchId, text) {
+  const chat = chatService.getChat(chatId);
+  if (!chat) {
+    return { success: false, error: `Chat "${chatId}" not found` };
+  }
+
+  const branch = chat.branches.find(b => b.id === branchId);
+  if (!branch) {
+    return { success: false, error: `Branch "${branchId}" not found` };
+  }
+
+  const messages = chatService.getBranchMessages(chat, branchId);
+  const coverage = getCoverageIndex(messages, branch.summary);
+
+  // A summary written from scratch covers everything outside the recent window
+  const coversIndex = coverage !== -1
+    ? coverage
+    : Math.max(0, messages.length - RECENT_WINDOW) - 1;
+
+  const summary = text?.trim() ? {
+    text: text.trim(),
+    coversUntilMessageId: coversIndex >= 0 ? messages[coversIndex].id : null,
+    messageCount: coversIndex + 1,
+    updatedAt: new Date().toISOString(),
+    edited: true
+  } : null;
+
+  const result = chatService.setBranchSummary(chatId, branchId, summary);
+  if (result.success) {
+    console.log(`📝 Summary edited for branch "${branch.name}"`);
+    broadcast('chat:summary', { chatId, branchId, summary });
+  }
+
+  return { success: result.success, error: result.error, summary };
+}
+
+/**
+ * Build the prompt that folds new messages into the previous summary
+ */
+function buildSummaryPrompt(previousSummary, messages) {
+  const transcript = messages
+    .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`)
+    .join('\n\n');
+
+  return `You maintain a running summary of a conversation so it can continue after older messages are dropped from context.
+
+${previousSummary ? `Summary so far:\n${previousSummary}\n\n` : ''}New messages to fold in:
+${transcript}
+
+Write the updated summary. Keep facts, names, decisions, open questions and the user's goals and preferences; drop greetings and filler. Write plain prose or short bullet points in the third person, under 300 words. Reply with the summary only.`;
+}
+
+/**
+ * Fold messages that left the recent window into the branch summary
+ *
+ * @param {string} chatId
+ * @param {string} branchId
+ * @param {Object} options
+ * @param {boolean} options.regenerate - Rebuild from the start of the branch
+ * @param {boolean} options.force - Summarize even if fewer than FOLD_BATCH messages are pending
+ * @param {string} options.providerOverride - Provider to summarize with
+ */
+async function summarizeBranch(chatId, branchId, options = {}) {
+  const chat = chatService.getChat(chatId);
+  if (!chat) {
+    return { success: false, error: `Chat "${chatId}" not found` };
+  }
+
+  const branch = chat.branches.find(b => b.id === branchId);
+  if (!branch) {
+    return { success: false, error: `Branch "${branchId}" not found` };
+  }
+
+  const key = `${chatId}:${branchId}`;
+  if (inFlight.has(key)) {
+    return { success: false, busy: true, error: 'Summary is already being generated' };
+  }
+
+  const messages = chatService.getBranchMessages(chat, branchId);
+  const foldUntil = messages.length - RECENT_WINDOW;
+
+  // Nothing has left the window - a regenerated short branch has no summary
+  if (foldUntil <= 0) {
+    if (options.regenerate && branch.summary) {
+      chatService.setBranchSummary(chatId, branchId, null);
+      broadcast('chat:summary', { chatId, branchId, summary: null });
+    }
+    return { success: true, skipped: true, summary: null };
+  }
+
+  const coverage = options.regenerate ? -1 : getCoverageIndex(messages, branch.summary);
+  const pending = messages.slice(coverage + 1, foldUntil);
+  const previousSummary = options.regenerate ? '' : branch.summary?.text || '';
+
+  if (pending.length === 0 || (pending.length < FOLD_BATCH && !options.force)) {
+    return { success: true, skipped: true, summary: branch.summary || null };
+  }
+
+  inFlight.add(key);
+
+  // Summaries use the light tier of the chat's provider chain
+  const { resolveProviderChain } = require('./prompt-executor');
+  const template = promptService.getTemplate(chat.templateId);
+  const chain = resolveProviderChain(template, {
+    providerOverride: options.providerOverride || chat.providerOverride
+  });
+  const prompt = buildSummaryPrompt(previousSummary, pending);
+
+  let result = { success: false, error: 'No AI provider available' };
+  for (const candidate of chain) {
+    result = await candidate.provider.generate(prompt, {
+      modelType: 'light',
+      temperature: 0.3,
+      max_tokens: SUMMARY_MAX_TOKENS
+    }).catch(error => ({ success: false, error: error.message }));
+
+    if (result.success) {
+      result.provider = candidate.key;
+      break;
+    }
+    console.log(`⚠️ Summary with ${candidate.key} failed: ${result.error}`);
+  }
+
+  inFlight.delete(key);
+
+  if (!result.success) {
+    return { success: false, error: result.error };
+  }
+
+  const lastFolded = messages[foldUntil - 1];
+  const summary = {
+    text: result.content.trim(),
+    coversUntilMessageId: lastFolded.id,
+    messageCount: foldUntil,
+    updatedAt: new Date().toISOString(),
+    edited: false,
+    provider: result.provider
+  };
+
+  // The branch may have been deleted while the summary was generating
+  const saved = chatService.setBranchSummary(chatId, branchId, summary);
+  if (!saved.success) {
+    return saved;
+  }
+
+  console.log(`📜 Summarized ${pending.length} messages for branch "${branch.name}" (${foldUntil} covered)`);
+  broadcast('chat:summary', { chatId, branchId, summary });
+
+  return { success: true, summary };
+}
+
+/**
+ * Run summarizeBranch in the background, logging instead of throwing
+ */
+function scheduleSummary(chatId, branchId, options = {}) {
+  summarizeBranch(chatId, branchId, options)
+    .then(result => {
+      if (!result.success && !result.busy) {
+        console.log(`⚠️ Could not summarize chat ${chatId}: ${result.error}`);
+      }
+    })
+    .catch(error => console.log(`❌ Summary error for chat ${chatId}: ${error.message}`));
+}
+
+module.exports = {
+  RECENT_WINDOW,
+  FOLD_BATCH,
+  getSummary,
+  getSummaryContext,
+  updateSummary,
+  summarizeBranch,
+  scheduleSummary
+};
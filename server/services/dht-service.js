@@ -10,11 +10,13 @@ const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const { broadcast } = require('../utils/broadcast');
+const { signedFetch } = require('./federation-auth-service');
 
 const DATA_DIR = path.resolve(__dirname, '../../data');
 const DHT_DIR = path.join(DATA_DIR, 'federation');
 const DHT_STATE_PATH = path.join(DHT_DIR, 'dht-state.json');
 const BOOTSTRAP_PATH = path.join(DHT_DIR, 'bootstrap-nodes.json');
+const RECORDS_PATH = path.join(DHT_DIR, 'dht-records.json');
 
 // DHT Constants
 const K = 20; // K-bucket size (max peers per bucket)
@@ -22,6 +24,17 @@ const ALPHA = 3; // Parallel lookups
 const ID_BITS = 256; // Node ID bit length
 const REFRESH_INTERVAL = 60 * 60 * 1000; // 1 hour
 const NODE_TIMEOUT = 15 * 60 * 1000; // 15 minutes without response = stale
+const RECORD_TTL = 24 * 60 * 60 * 1000; // Records expire unless republished (every refresh)
+const MAX_RECORD_SIZE = 4096; // Bytes of JSON per record value
+const MAX_RECORDS_PER_KEY = 100; // Publishers kept per key
+const MAX_RECORDS_PER_PUBLISHER = 50; // Keys one publisher may store with us
+const MAX_RECORDS = 10000; // Records held for others in total
+const MAX_CLOCK_SKEW = 5 * 60 * 1000;
+
+// Lazy load to avoid circular dependency (federation-service loads this module)
+function generateServerId(publicKey) {
+  return require('./federation-service').generateServerId(publicKey);
+}
 
 /**
  * Generate node ID from public key
@@ -30,6 +43,35 @@ function generateNodeId(publicKey) {
   return crypto.createHash('sha256').update(publicKey).digest('hex');
 }
 
+/**
+ * DHT key for a topic such as `tag:philosophy`, `cid:<cid>` or `capability:neo4j`
+ * Keys share the node ID space, so records live on the nodes closest to them
+ */
+function topicKey(topic) {
+  return crypto.createHash('sha256').update(topic).digest('hex');
+}
+
+/**
+ * A node from another node's response, or null when its fields are malformed or
+ * its IDs are not derived from its public key
+ */
+function parseNodeData(nodeData) {
+  const { nodeId, endpoint, publicKey, serverId } = nodeData || {};
+  if (typeof nodeId !== 'string' || typeof endpoint !== 'string' || typeof publicKey !== 'string' ||
+    !/^https?:\/\//.test(endpoint)) {
+    return null;
+  }
+  if (generateNodeId(publicKey) !== nodeId || generateServerId(publicKey) !== serverId) {
+    return null;
+  }
+  return new DHTNode(nodeId, endpoint, publicKey, serverId);
+}
+
+function recordPayload(record) {
+  const { key, topic, value, publisher, publicKey, publishedAt, expiresAt } = record;
+  return { key, topic, value, publisher, publicKey, publishedAt, expiresAt };
+}
+
 /**
  * Calculate XOR distance between two node IDs
  */
@@ -343,6 +385,8 @@ class DHTService {
     this.federationService = null;
     this.refreshInterval = null;
     this.isBootstrapped = false;
+    this.records = new Map(); // key -> Map(publisher -> record)
+    this.published = new Map(); // topic -> { value, ttl } we republish
   }
 
   /**
@@ -360,6 +404,9 @@ class DHTService {
     // Load bootstrap nodes
     this.loadBootstrapNodes();
 
+    // Load stored and published records
+    this.loadRecords();
+
     console.log(`🌐 DHT initialized with node ID: ${this.nodeId.slice(0, 16)}...`);
 
     // Start periodic refresh
@@ -391,6 +438,35 @@ class DHTService {
     fs.writeFileSync(DHT_STATE_PATH, JSON.stringify(this.routingTable.toJSON(), null, 2));
   }
 
+  /**
+   * Load stored records and our published topics from disk
+   */
+  loadRecords() {
+    if (!fs.existsSync(RECORDS_PATH)) return;
+
+    const data = JSON.parse(fs.readFileSync(RECORDS_PATH, 'utf8'));
+    for (const record of data.records || []) {
+      if (!this.records.has(record.key)) this.records.set(record.key, new Map());
+      this.records.get(record.key).set(record.publisher, record);
+    }
+    for (const entry of data.published || []) {
+      this.published.set(entry.topic, { value: entry.value, ttl: entry.ttl });
+    }
+    this.pruneRecords();
+  }
+
+  /**
+   * Save stored records and published topics to disk
+   */
+  saveRecords() {
+    if (!fs.existsSync(DHT_DIR)) {
+      fs.mkdirSync(DHT_DIR, { recursive: true });
+    }
+    const records = Array.from(this.records.values()).flatMap(byPublisher => Array.from(byPublisher.values()));
+    const published = Array.from(this.published.entries()).map(([topic, entry]) => ({ topic, ...entry }));
+    fs.writeFileSync(RECORDS_PATH, JSON.stringify({ records, published }, null, 2));
+  }
+
   /**
    * Load bootstrap nodes from config
    */
@@ -478,10 +554,11 @@ class DHTService {
           this.federationService.addPeer({
             serverId: result.serverId,
             publicKey: result.publicKey,
-            capabilities: result.capabilities || ['dht-bootstrap'],
-            trustLevel: bootstrap.trusted ? 'trusted' : 'unknown',
+            capabilities: result.capabilities || ['dht-bootstrap']
+          }, bootstrap.endpoint, {
+            trustLevel: bootstrap.trusted ? 'trusted' : undefined,
             isProtected: bootstrap.protected || false
-          }, bootstrap.endpoint);
+          });
 
           broadcast('federation:bootstrap', {
             status: 'connected',
@@ -528,15 +605,8 @@ class DHTService {
   async pingNode(endpoint) {
     const url = `${endpoint.replace(/\/$/, '')}/api/federation/ping`;
 
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        fromServerId: this.federationService.identity.serverId
-      }),
-      signal: AbortSignal.timeout(10000)
+    const response = await signedFetch(url, {
+      body: { fromServerId: this.federationService.identity.serverId }
     });
 
     if (!response.ok) {
@@ -554,6 +624,19 @@ class DHTService {
     return data;
   }
 
+  /**
+   * Add a node another node told us about, once it answers a ping as the server it claims to be
+   */
+  async admitNode(node) {
+    if (this.routingTable.getNode(node.nodeId)) return false;
+
+    const data = await this.pingNode(node.endpoint).catch(() => null);
+    if (!data || data.serverId !== node.serverId) return false;
+
+    node.touch();
+    return this.routingTable.addNode(node);
+  }
+
   /**
    * Find nodes close to a target ID (iterative lookup)
    */
@@ -594,15 +677,12 @@ class DHTService {
         queried.add(node.nodeId);
 
         const url = `${node.endpoint.replace(/\/$/, '')}/api/federation/dht/find-node`;
-        const response = await fetch(url, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
+        const response = await signedFetch(url, {
+          body: {
             targetId,
             fromNodeId: this.nodeId,
             fromServerId: this.federationService.identity.serverId
-          }),
-          signal: AbortSignal.timeout(10000)
+          }
         }).catch(() => null);
 
         if (response?.ok) {
@@ -663,17 +743,14 @@ class DHTService {
 
     const announcePromises = nodes.map(async node => {
       const url = `${node.endpoint.replace(/\/$/, '')}/api/federation/dht/announce`;
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      const response = await signedFetch(url, {
+        body: {
           nodeId: this.nodeId,
           endpoint: this.getLocalEndpoint(),
           publicKey: this.federationService.identity.publicKey,
           serverId: this.federationService.identity.serverId,
           capabilities: this.federationService.capabilities
-        }),
-        signal: AbortSignal.timeout(10000)
+        }
       }).catch(() => null);
 
       if (response?.ok) {
@@ -694,6 +771,316 @@ class DHTService {
     return { success: true, announced };
   }
 
+  /**
+   * Create a record signed by this server
+   */
+  createRecord(topic, value, ttl = RECORD_TTL) {
+    const publishedAt = Date.now();
+    const record = {
+      key: topicKey(topic),
+      topic,
+      value,
+      publisher: this.federationService.identity.serverId,
+      publicKey: this.federationService.identity.publicKey,
+      publishedAt,
+      expiresAt: publishedAt + Math.min(ttl, RECORD_TTL)
+    };
+    return { ...record, signature: this.federationService.sign(recordPayload(record)) };
+  }
+
+  /**
+   * Check a record's shape, lifetime and publisher signature; returns an error message or null
+   */
+  validateRecord(record) {
+    if (!record?.key || !record.topic || record.value === undefined || !record.publisher ||
+      !record.publicKey || !record.signature || !record.publishedAt || !record.expiresAt) {
+      return 'record with key, topic, value, publisher, publicKey, publishedAt, expiresAt and signature required';
+    }
+    // Records also arrive in other nodes' FIND_VALUE responses, so check types before hashing
+    if (![record.key, record.topic, record.publisher, record.publicKey, record.signature].every(f => typeof f === 'string') ||
+      !Number.isFinite(record.publishedAt) || !Number.isFinite(record.expiresAt)) {
+      return 'Record fields have the wrong types';
+    }
+    if (topicKey(record.topic) !== record.key) {
+      return 'Record key does not match topic';
+    }
+
+    const now = Date.now();
+    if (record.expiresAt <= now) return 'Record has expired';
+    if (record.publishedAt > now + MAX_CLOCK_SKEW) return 'Record is published in the future';
+    if (record.expiresAt - record.publishedAt > RECORD_TTL) return 'Record TTL is too long';
+    if (JSON.stringify(record.value).length > MAX_RECORD_SIZE) {
+      return `Record value exceeds ${MAX_RECORD_SIZE} bytes`;
+    }
+
+    if (generateServerId(record.publicKey) !== record.publisher) {
+      return 'Record publicKey does not match publisher';
+    }
+
+    // Malformed keys or signatures throw inside nacl
+    let isValid = false;
+    try {
+      isValid = this.federationService.verify(recordPayload(record), record.signature, record.publicKey);
+    } catch {
+      isValid = false;
+    }
+    return isValid ? null : 'Invalid record signature';
+  }
+
+  /**
+   * Keep a record (STORE). Newer records from the same publisher replace older ones.
+   */
+  storeRecord(record) {
+    const error = this.validateRecord(record);
+    if (error) {
+      return { success: false, error };
+    }
+
+    if (!this.records.has(record.key)) this.records.set(record.key, new Map());
+    const byPublisher = this.records.get(record.key);
+
+    const existing = byPublisher.get(record.publisher);
+    if (existing && existing.publishedAt >= record.publishedAt) {
+      return { success: true, stored: false };
+    }
+
+    const capacityError = !existing && this.checkRecordCapacity(record, byPublisher);
+    if (capacityError) {
+      if (byPublisher.size === 0) this.records.delete(record.key);
+      return { success: false, error: capacityError };
+    }
+
+    // Pruning may have dropped the key's (empty) entry
+    this.records.set(record.key, byPublisher);
+    byPublisher.set(record.publisher, record);
+
+    this.saveRecords();
+    return { success: true, stored: true };
+  }
+
+  /**
+   * Room for a new record from another server; returns an error message or null
+   * Caps keep throwaway identities from filling the records file
+   */
+  checkRecordCapacity(record, byPublisher) {
+    if (record.publisher === this.federationService.identity.serverId) return null;
+
+    const fromPublisher = Array.from(this.records.values())
+      .filter(publishers => publishers.has(record.publisher)).length;
+    if (fromPublisher >= MAX_RECORDS_PER_PUBLISHER) {
+      return `Publisher already has ${MAX_RECORDS_PER_PUBLISHER} stored records`;
+    }
+
+    // A full key turns new publishers away rather than evicting the ones it has,
+    // since identities are free to make
+    if (byPublisher.size >= MAX_RECORDS_PER_KEY) {
+      this.pruneRecords();
+      if (byPublisher.size >= MAX_RECORDS_PER_KEY) return `Key already has ${MAX_RECORDS_PER_KEY} publishers`;
+    }
+    if (this.countRecords() >= MAX_RECORDS) {
+      this.pruneRecords();
+      if (this.countRecords() >= MAX_RECORDS) return 'Record store is full';
+    }
+    return null;
+  }
+
+  countRecords() {
+    return Array.from(this.records.values()).reduce((total, publishers) => total + publishers.size, 0);
+  }
+
+  /**
+   * Unexpired records stored locally for a key
+   */
+  getRecords(key) {
+    const now = Date.now();
+    return Array.from(this.records.get(key)?.values() || [])
+      .filter(record => record.expiresAt > now);
+  }
+
+  /**
+   * Remove expired records
+   */
+  pruneRecords() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [key, byPublisher] of this.records) {
+      for (const [publisher, record] of byPublisher) {
+        if (record.expiresAt <= now) {
+          byPublisher.delete(publisher);
+          removed++;
+        }
+      }
+      if (byPublisher.size === 0) this.records.delete(key);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Publish a signed record on the K nodes closest to the topic's key, and keep
+   * republishing it on refresh until unpublished
+   *
+   * @param {string} topic - e.g. `tag:philosophy`, `cid:<cid>`, `capability:neo4j`
+   * @param {*} value - JSON value (defaults to how to reach this server)
+   * @param {Object} options - { ttl }
+   */
+  async store(topic, value, options = {}) {
+    const recordValue = value ?? {
+      serverId: this.federationService.identity.serverId,
+      endpoint: this.getLocalEndpoint()
+    };
+    const ttl = Math.min(options.ttl || RECORD_TTL, RECORD_TTL);
+    const record = this.createRecord(topic, recordValue, ttl);
+
+    const local = this.storeRecord(record);
+    if (!local.success) {
+      return local;
+    }
+
+    this.published.set(topic, { value: recordValue, ttl });
+    this.saveRecords();
+
+    const closest = await this.findNode(record.key);
+
+    const results = await Promise.all(closest.map(async node => {
+      const url = `${node.endpoint.replace(/\/$/, '')}/api/federation/dht/store`;
+      const response = await signedFetch(url, { body: { record } }).catch(() => null);
+      return Boolean(response?.ok);
+    }));
+    const replicated = results.filter(Boolean).length;
+
+    console.log(`🌐 DHT stored ${topic} on ${replicated}/${closest.length} nodes`);
+
+    return { success: true, key: record.key, record, replicated, closest: closest.length };
+  }
+
+  /**
+   * Stop republishing a topic and drop our own record for it
+   */
+  unpublish(topic) {
+    if (!this.published.delete(topic)) {
+      return false;
+    }
+
+    this.records.get(topicKey(topic))?.delete(this.federationService.identity.serverId);
+    this.saveRecords();
+    return true;
+  }
+
+  /**
+   * Republish everything we published (records expire after RECORD_TTL)
+   */
+  async republish() {
+    let republished = 0;
+
+    for (const [topic, entry] of this.published) {
+      const result = await this.store(topic, entry.value, { ttl: entry.ttl }).catch(() => null);
+      if (result?.success) republished++;
+    }
+
+    return republished;
+  }
+
+  /**
+   * Find every publisher's record for a topic (iterative FIND_VALUE)
+   * Unlike a node lookup, the search continues after the first hit, since many
+   * servers can publish the same topic
+   */
+  async findValue(topic) {
+    const key = topicKey(topic);
+    const found = new Map(this.getRecords(key).map(record => [record.publisher, record]));
+
+    const keep = record => {
+      if (this.validateRecord(record) || record.key !== key) return;
+      const existing = found.get(record.publisher);
+      if (!existing || existing.publishedAt < record.publishedAt) {
+        found.set(record.publisher, record);
+      }
+    };
+
+    const queried = new Set();
+    const candidates = new Map(this.routingTable.findClosest(key, K).map(node => [node.nodeId, node]));
+    const learned = [];
+
+    let improved = true;
+    while (improved) {
+      improved = false;
+
+      // Get ALPHA closest unqueried nodes
+      const unqueried = Array.from(candidates.values())
+        .filter(n => !queried.has(n.nodeId))
+        .sort((a, b) => compareDistance(xorDistance(a.nodeId, key), xorDistance(b.nodeId, key)))
+        .slice(0, ALPHA);
+
+      if (unqueried.length === 0) break;
+
+      // One bad response (unreachable, not JSON) only costs that node
+      const responses = await Promise.all(unqueried.map(async node => {
+        queried.add(node.nodeId);
+
+        const url = `${node.endpoint.replace(/\/$/, '')}/api/federation/dht/find-value`;
+        try {
+          const response = await signedFetch(url, { body: { key } });
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          const data = await response.json();
+          node.touch();
+          return data;
+        } catch {
+          node.failedPings++;
+          return null;
+        }
+      }));
+
+      for (const data of responses.filter(Boolean)) {
+        if (Array.isArray(data.records)) data.records.forEach(keep);
+
+        for (const newNode of (Array.isArray(data.nodes) ? data.nodes : []).map(parseNodeData).filter(Boolean)) {
+          if (!candidates.has(newNode.nodeId) && newNode.nodeId !== this.nodeId) {
+            candidates.set(newNode.nodeId, newNode);
+            learned.push(newNode);
+            improved = true;
+          }
+        }
+      }
+    }
+
+    // Nodes we only heard about join the routing table once they answer a ping
+    await Promise.all(learned.map(node => this.admitNode(node)));
+    this.saveState();
+
+    const records = Array.from(found.values()).sort((a, b) => b.publishedAt - a.publishedAt);
+    console.log(`🌐 DHT found ${records.length} record(s) for ${topic} (${queried.size} nodes queried)`);
+
+    return { success: true, topic, key, records };
+  }
+
+  /**
+   * Handle incoming find-value request: our records for the key plus closer nodes
+   */
+  handleFindValue(key) {
+    return {
+      records: this.getRecords(key),
+      nodes: this.handleFindNode(key)
+    };
+  }
+
+  /**
+   * Topics we publish and how many records we hold for others
+   */
+  getRecordStats() {
+    return {
+      published: Array.from(this.published.entries()).map(([topic, entry]) => ({
+        topic,
+        key: topicKey(topic),
+        value: entry.value,
+        ttl: entry.ttl
+      })),
+      storedKeys: this.records.size,
+      storedRecords: Array.from(this.records.values()).reduce((sum, byPublisher) => sum + byPublisher.size, 0)
+    };
+  }
+
   /**
    * Get the local endpoint URL
    */
@@ -765,34 +1152,30 @@ class DHTService {
     // Push new node to all existing nodes
     const pushPromises = otherNodes.map(async node => {
       const url = `${node.endpoint.replace(/\/$/, '')}/api/federation/dht/peer-push`;
-      await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      await signedFetch(url, {
+        body: {
           nodeId: newNode.nodeId,
           endpoint: newNode.endpoint,
           publicKey: newNode.publicKey,
           serverId: newNode.serverId,
           capabilities: newNode.capabilities || []
-        }),
-        signal: AbortSignal.timeout(5000)
+        },
+        timeout: 5000
       }).catch(() => null);
     });
 
     // Also push all existing nodes to the new node (bidirectional discovery)
     const reversePromises = otherNodes.map(async existingNode => {
       const url = `${newNode.endpoint.replace(/\/$/, '')}/api/federation/dht/peer-push`;
-      await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      await signedFetch(url, {
+        body: {
           nodeId: existingNode.nodeId,
           endpoint: existingNode.endpoint,
           publicKey: existingNode.publicKey,
           serverId: existingNode.serverId,
           capabilities: existingNode.capabilities || []
-        }),
-        signal: AbortSignal.timeout(5000)
+        },
+        timeout: 5000
       }).catch(() => null);
     });
 
@@ -878,6 +1261,10 @@ class DHTService {
     // Re-announce ourselves
     await this.announce().catch(() => null);
 
+    // Drop expired records and republish ours before they expire
+    if (this.pruneRecords() > 0) this.saveRecords();
+    await this.republish().catch(() => null);
+
     // Remove dead nodes
     const allNodes = this.routingTable.getAllNodes();
     for (const node of allNodes) {
@@ -1036,6 +1423,8 @@ class DHTService {
       nodeCount: this.routingTable.getNodeCount(),
       bootstrapNodes: this.bootstrapNodes.length,
       isBootstrapped: this.isBootstrapped,
+      publishedTopics: this.published.size,
+      storedRecords: this.getRecordStats().storedRecords,
       bucketStats: this.routingTable.buckets
         .map((b, i) => ({ index: i, count: b.nodes.length }))
         .filter(b => b.count > 0)
@@ -1071,6 +1460,7 @@ module.exports = {
   DHTService,
   getDHTService,
   generateNodeId,
+  topicKey,
   xorDistance,
   getBucketIndex,
   K,
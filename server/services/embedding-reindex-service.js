@@ -0,0 +1,296 @@
+/**
+ * Embedding Re-index Service
+ *
+ * Re-embeds memories whose vectors came from another embedding model, so
+ * switching models doesn't leave old vectors in a different space.
+ *
+ * Memories are processed in id order in batches through
+ * generateEmbeddingsBatch. Job state (including the last processed id) is
+ * saved to data/embedding-reindex.json after every batch, so a job that
+ * was running when the server stopped resumes where it left off.
+ * Progress is broadcast as reindex:started / reindex:progress / reindex:completed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const neo4jDriver = require('neo4j-driver');
+const { getNeo4jService } = require('./neo4j-service');
+const { getEmbeddingService } = require('./embedding-service');
+const vectorIndex = require('./vector-index-service');
+const { broadcast } = require('../utils/broadcast');
+
+const DATA_DIR = path.resolve(__dirname, '../../data');
+const STATE_PATH = path.join(DATA_DIR, 'embedding-reindex.json');
+
+// Memories re-embedded per request to the embedding provider
+const BATCH_SIZE = 32;
+
+let job = null;
+let cancelRequested = false;
+
+function loadState() {
+  if (!fs.existsSync(STATE_PATH)) return null;
+  return JSON.parse(fs.readFileSync(STATE_PATH, 'utf8'));
+}
+
+function saveState(state) {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+  fs.writeFileSync(STATE_PATH, JSON.stringify(state, null, 2));
+}
+
+/**
+ * Count memory vectors by embedding model
+ * stale = embedded with another model (or untagged), missing = no vector
+ */
+async function getCoverage(model) {
+  const rows = await getNeo4jService().read(`
+    MATCH (m:Memory)
+    RETURN m.embeddingModel AS model, m.embedding IS NOT NULL AS embedded, count(m) AS count
+  `);
+
+  const coverage = { current: 0, stale: 0, missing: 0, byModel: {} };
+  for (const row of rows) {
+    const count = row.count.toNumber ? row.count.toNumber() : row.count;
+    if (!row.embedded) {
+      coverage.missing += count;
+      continue;
+    }
+    const key = row.model || 'untagged';
+    coverage.byModel[key] = (coverage.byModel[key] || 0) + count;
+    if (row.model === model) {
+      coverage.current += count;
+    } else {
+      coverage.stale += count;
+    }
+  }
+  return coverage;
+}
+
+/**
+ * Next batch of memories not yet embedded with the target model
+ */
+async function fetchBatch(model, cursor) {
+  return getNeo4jService().read(`
+    MATCH (m:Memory)
+    WHERE ($cursor IS NULL OR m.id > $cursor)
+      AND (m.embedding IS NULL OR m.embeddingModel IS NULL OR m.embeddingModel <> $model)
+    RETURN m.id AS id, m.content AS content, m.context AS context
+    ORDER BY m.id
+    LIMIT $limit
+  `, { model, cursor, limit: neo4jDriver.int(BATCH_SIZE) });
+}
+
+/**
+ * Store re-embedded vectors tagged with their model and dimension
+ */
+async function saveEmbeddings(model, items) {
+  await getNeo4jService().write(`
+    UNWIND $items AS item
+    MATCH (m:Memory {id: item.id})
+    SET m.embedding = item.embedding,
+        m.embeddingModel = $model,
+        m.embeddingDimensions = item.dimensions
+  `, {
+    model,
+    items: items.map(item => ({
+      id: item.id,
+      embedding: item.embedding,
+      dimensions: neo4jDriver.int(item.embedding.length)
+    }))
+  });
+
+  items.forEach(item => vectorIndex.upsert(item.id, item.embedding, model));
+}
+
+/**
+ * Process batches until every memory is done, the job is cancelled or
+ * the embedding provider stops answering
+ */
+async function runJob(state) {
+  const embedding = getEmbeddingService();
+
+  while (!cancelRequested) {
+    // Switching models mid-job would tag new-model vectors with the old name
+    if (embedding.model !== state.model) {
+      return { ...state, status: 'paused', error: `Embedding model changed to ${embedding.model}` };
+    }
+
+    const batch = await fetchBatch(state.model, state.cursor);
+    if (batch.length === 0) break;
+
+    // Memories without text can't be embedded and count as failed
+    const embeddable = batch.filter(m => m.content || m.context);
+    const embeddings = embeddable.length > 0
+      ? await embedding.generateEmbeddingsBatch(
+        embeddable.map(m => m.content || m.context),
+        { batchSize: BATCH_SIZE }
+      )
+      : [];
+
+    // Nothing came back for real input - the provider is down, so stop and resume later
+    if (embeddable.length > 0 && !embeddings.some(Array.isArray)) {
+      return { ...state, status: 'paused', error: 'Embedding provider not available' };
+    }
+
+    const items = embeddable
+      .map((m, i) => ({ id: m.id, embedding: embeddings[i] }))
+      .filter(item => Array.isArray(item.embedding));
+
+    if (items.length > 0) {
+      await saveEmbeddings(state.model, items);
+    }
+
+    state = {
+      ...state,
+      cursor: batch[batch.length - 1].id,
+      processed: state.processed + items.length,
+      failed: state.failed + (batch.length - items.length),
+      dimensions: items[0]?.embedding.length ?? state.dimensions,
+      updatedAt: new Date().toISOString()
+    };
+    saveState(state);
+    broadcast('reindex:progress', state);
+  }
+
+  return { ...state, status: cancelRequested ? 'cancelled' : 'completed' };
+}
+
+/**
+ * Run a job to completion and record the outcome
+ */
+async function executeJob(state) {
+  cancelRequested = false;
+  saveState(state);
+  broadcast('reindex:started', state);
+  console.log(`📊 Re-embedding memories with ${state.model} (${state.total} pending)`);
+
+  let result = await runJob(state).catch(error => ({
+    ...state,
+    ...loadState(),
+    status: 'failed',
+    error: error.message
+  }));
+
+  // New dimensions need a fresh vector index
+  const indexStatus = vectorIndex.getStatus();
+  const indexDimensions = [indexStatus.native.dimensions, indexStatus.local.dimensions];
+  if (result.status === 'completed' && result.dimensions &&
+      indexDimensions.some(d => d && d !== result.dimensions)) {
+    const rebuilt = await vectorIndex.rebuild();
+    if (!rebuilt.success) {
+      result = { ...result, error: `Re-embedded, but index rebuild failed: ${rebuilt.error}` };
+    }
+  }
+
+  result = { ...result, finishedAt: new Date().toISOString(), updatedAt: new Date().toISOString() };
+  saveState(result);
+  broadcast('reindex:completed', result);
+  console.log(`📊 Re-embedding ${result.status}: ${result.processed} updated, ${result.failed} failed`);
+
+  job = null;
+  return result;
+}
+
+/**
+ * Start re-embedding every memory not tagged with the active model
+ */
+async function startReindex() {
+  if (job) {
+    return { success: false, error: 'A re-index job is already running' };
+  }
+
+  const neo4j = getNeo4jService();
+  if (!await neo4j.isAvailable()) {
+    return { success: false, error: 'Neo4j not available' };
+  }
+
+  const embedding = getEmbeddingService();
+  if (!await embedding.isAvailable()) {
+    return { success: false, error: 'Embedding provider not available' };
+  }
+
+  const coverage = await getCoverage(embedding.model);
+  const state = {
+    id: `reindex-${Date.now()}`,
+    status: 'running',
+    provider: embedding.activeProvider,
+    model: embedding.model,
+    dimensions: null,
+    total: coverage.stale + coverage.missing,
+    processed: 0,
+    failed: 0,
+    cursor: null,
+    error: null,
+    startedAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+
+  job = executeJob(state);
+  return { success: true, job: state };
+}
+
+/**
+ * Resume a job that was running or paused when the server stopped
+ * Called at startup; does nothing when Neo4j or the embedding provider is down
+ */
+async function resumeReindex() {
+  const state = loadState();
+  if (!state || !['running', 'paused'].includes(state.status) || job) {
+    return { success: false, error: 'No interrupted re-index job' };
+  }
+
+  const embedding = getEmbeddingService();
+  if (!await getNeo4jService().isAvailable() || !await embedding.isAvailable()) {
+    return { success: false, error: 'Neo4j or embedding provider not available' };
+  }
+
+  // The active model changed since the job started - start over for the new one
+  if (embedding.model !== state.model) {
+    return startReindex();
+  }
+
+  console.log(`📊 Resuming re-embedding job ${state.id} after ${state.processed} memories`);
+  job = executeJob({ ...state, status: 'running', error: null });
+  return { success: true, job: state };
+}
+
+/**
+ * Stop after the current batch
+ */
+function cancelReindex() {
+  if (!job) {
+    return { success: false, error: 'No re-index job is running' };
+  }
+  cancelRequested = true;
+  return { success: true };
+}
+
+/**
+ * Current or last job plus vector coverage for the active model
+ */
+async function getReindexStatus() {
+  const embedding = getEmbeddingService();
+  const neo4j = getNeo4jService();
+
+  const coverage = await neo4j.isAvailable()
+    ? await getCoverage(embedding.model).catch(() => null)
+    : null;
+
+  return {
+    running: Boolean(job),
+    model: embedding.model,
+    dimensions: embedding.dimensions,
+    coverage,
+    job: loadState()
+  };
+}
+
+module.exports = {
+  startReindex,
+  resumeReindex,
+  cancelReindex,
+  getReindexStatus,
+  getCoverage
+};
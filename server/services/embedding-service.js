@@ -32,7 +32,7 @@ class EmbeddingService {
     this.activeProvider = null;
     this.apiUrl = null;
     this.model = null;
-    this.dimensions = 768; // nomic-embed-text output dimension
+    this.dimensions = 768; // nomic-embed-text default, learned from the first embedding
     this.available = null;
     this.cliStatus = null;
   }
@@ -150,7 +150,9 @@ class EmbeddingService {
     }
 
     const data = await response.json();
-    return data.data[0].embedding;
+    const embedding = data.data[0].embedding;
+    this.dimensions = embedding.length;
+    return embedding;
   }
 
   /**
@@ -200,6 +202,7 @@ class EmbeddingService {
 
       const data = await response.json();
       const embeddings = data.data.map(item => item.embedding);
+      if (embeddings[0]) this.dimensions = embeddings[0].length;
       allEmbeddings.push(...embeddings);
     }
 
@@ -0,0 +1,389 @@
+/**
+ * Federation Auth Service
+ *
+ * Signs outgoing federation requests with the server's Ed25519 key and
+ * verifies incoming ones:
+ * - Signature covers method, path, timestamp, nonce and a hash of the body
+ * - Timestamp window and nonce cache reject replayed requests
+ * - Trust level from peer-service gates each route (blocked peers always rejected)
+ * - Operator routes only accept unsigned requests from this machine, from
+ *   FEDERATION_OPERATOR_NETWORKS, or carrying FEDERATION_OPERATOR_TOKEN
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+
+// Lazy load to avoid circular dependencies (federation-service loads dht-service)
+function getFederation() {
+  return require('./federation-service').getFederationService();
+}
+
+function generateServerId(publicKey) {
+  return require('./federation-service').generateServerId(publicKey);
+}
+
+function getPeerServiceLazy() {
+  const { getPeerService } = require('./peer-service');
+  return getPeerService();
+}
+
+const HEADERS = {
+  serverId: 'x-void-server-id',
+  publicKey: 'x-void-public-key',
+  timestamp: 'x-void-timestamp',
+  nonce: 'x-void-nonce',
+  signature: 'x-void-signature',
+  operatorToken: 'x-void-operator-token'
+};
+
+// Trust order for route requirements ('blocked' is always rejected)
+const TRUST_RANK = { unknown: 0, seen: 1, verified: 2, trusted: 3 };
+
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000; // 5 minutes
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+// Nonces seen inside the timestamp window (serverId:nonce -> expiry)
+const seenNonces = new Map();
+
+/**
+ * Path the signature covers, from /api/ on so peers behind a path prefix still verify
+ */
+function signedPath(url) {
+  const parsed = new URL(url, 'http://localhost');
+  const pathname = `${parsed.pathname}${parsed.search}`;
+  const apiIndex = pathname.indexOf('/api/');
+  return apiIndex > 0 ? pathname.slice(apiIndex) : pathname;
+}
+
+function hashBody(rawBody) {
+  return crypto.createHash('sha256').update(rawBody || '').digest('hex');
+}
+
+function canonicalRequest({ method, path, serverId, timestamp, nonce, bodyHash }) {
+  return { method: method.toUpperCase(), path, serverId, timestamp, nonce, bodyHash };
+}
+
+/**
+ * Build signature headers for a request to a peer
+ *
+ * @param {string} method - HTTP method
+ * @param {string} url - Full peer URL or path
+ * @param {string} rawBody - Exact body string that will be sent
+ * @returns {Object} Headers to merge into the request
+ */
+function signRequest(method, url, rawBody = '') {
+  const federation = getFederation();
+  const timestamp = Date.now();
+  const nonce = crypto.randomBytes(16).toString('hex');
+
+  const signature = federation.sign(canonicalRequest({
+    method,
+    path: signedPath(url),
+    serverId: federation.identity.serverId,
+    timestamp,
+    nonce,
+    bodyHash: hashBody(rawBody)
+  }));
+
+  return {
+    'X-Void-Server-Id': federation.identity.serverId,
+    'X-Void-Public-Key': federation.identity.publicKey,
+    'X-Void-Timestamp': String(timestamp),
+    'X-Void-Nonce': nonce,
+    'X-Void-Signature': signature
+  };
+}
+
+/**
+ * fetch() a peer with a signed JSON body
+ *
+ * @param {string} url - Peer URL
+ * @param {Object} options - { method, body, timeout }
+ */
+function signedFetch(url, options = {}) {
+  const method = options.method || 'POST';
+  const rawBody = options.body === undefined ? '' : JSON.stringify(options.body);
+
+  return fetch(url, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...signRequest(method, url, rawBody)
+    },
+    ...(rawBody && { body: rawBody }),
+    signal: AbortSignal.timeout(options.timeout || 10000)
+  });
+}
+
+function isSignedRequest(req) {
+  return Boolean(req.headers[HEADERS.signature]);
+}
+
+/**
+ * Networks whose direct requests count as the operator's, besides loopback
+ * (e.g. the Docker bridge, where the host's requests arrive from the gateway)
+ */
+function getOperatorNetworks() {
+  const list = new net.BlockList();
+  const networks = (process.env.FEDERATION_OPERATOR_NETWORKS || '').split(',').map(n => n.trim()).filter(Boolean);
+
+  for (const network of networks) {
+    const [address, prefix] = network.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    try {
+      list.addSubnet(address, prefix === undefined ? (type === 'ipv6' ? 128 : 32) : Number(prefix), type);
+    } catch {
+      console.log(`⚠️ Ignoring invalid FEDERATION_OPERATOR_NETWORKS entry: ${network}`);
+    }
+  }
+  return list;
+}
+
+let operatorNetworks = null;
+
+function isOperatorAddress(remoteAddress) {
+  if (!remoteAddress) return false;
+  if (LOOPBACK_ADDRESSES.includes(remoteAddress)) return true;
+
+  operatorNetworks = operatorNetworks || getOperatorNetworks();
+  const address = remoteAddress.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+  return operatorNetworks.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function hasOperatorToken(req) {
+  const expected = process.env.FEDERATION_OPERATOR_TOKEN;
+  const given = req.headers[HEADERS.operatorToken];
+  if (!expected || typeof given !== 'string') return false;
+
+  const a = crypto.createHash('sha256').update(given).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Unsigned request from the operator: made directly from this machine or an
+ * operator network (not through a proxy), or carrying the operator token
+ */
+function isLocalRequest(req) {
+  if (isSignedRequest(req)) return false;
+  if (hasOperatorToken(req)) return true;
+
+  return isOperatorAddress(req.socket?.remoteAddress) &&
+    !req.headers['x-forwarded-for'] && !req.headers.forwarded;
+}
+
+function pruneNonces(now) {
+  for (const [key, expiresAt] of seenNonces) {
+    if (expiresAt <= now) seenNonces.delete(key);
+  }
+}
+
+// Malformed base58 or wrong-length keys throw inside nacl
+function checkSignature(federation, message, signature, publicKey) {
+  try {
+    return federation.verify(message, signature, publicKey);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Verify a signed request and look up the signer's trust level
+ *
+ * @param {Object} req - Express request (req.rawBody holds the body as received)
+ * @param {Object} options - { trust, allowUnknown }
+ * @returns {Promise<{success: boolean, status?: number, error?: string, peer?: Object}>}
+ */
+async function verifyPeerRequest(req, options = {}) {
+  const { trust = 'unknown', allowUnknown = false } = options;
+  const serverId = req.headers[HEADERS.serverId];
+  const headerKey = req.headers[HEADERS.publicKey];
+  const timestamp = Number(req.headers[HEADERS.timestamp]);
+  const nonce = req.headers[HEADERS.nonce];
+  const signature = req.headers[HEADERS.signature];
+
+  if (!serverId || !timestamp || !nonce || !signature) {
+    return { success: false, status: 401, error: 'Signed federation request required' };
+  }
+
+  const now = Date.now();
+  if (Math.abs(now - timestamp) > MAX_CLOCK_SKEW_MS) {
+    return { success: false, status: 401, error: 'Request timestamp outside allowed window' };
+  }
+
+  pruneNonces(now);
+  const nonceKey = `${serverId}:${nonce}`;
+  if (seenNonces.has(nonceKey)) {
+    return { success: false, status: 401, error: 'Replayed request' };
+  }
+
+  const federation = getFederation();
+  const known = await getPeerTrust(serverId);
+  let publicKey = known.publicKey;
+
+  if (publicKey && headerKey && headerKey !== publicKey) {
+    return { success: false, status: 401, error: 'Public key does not match known peer' };
+  }
+
+  if (!publicKey) {
+    if (!allowUnknown) {
+      return { success: false, status: 403, error: 'Unknown peer' };
+    }
+    // First contact: the server ID is derived from the key, so the key must match it
+    if (!headerKey || generateServerId(headerKey) !== serverId) {
+      return { success: false, status: 401, error: 'Public key does not match server ID' };
+    }
+    publicKey = headerKey;
+  }
+
+  const message = canonicalRequest({
+    method: req.method,
+    path: signedPath(req.originalUrl),
+    serverId,
+    timestamp,
+    nonce,
+    bodyHash: hashBody(req.rawBody?.toString('utf8'))
+  });
+
+  if (!checkSignature(federation, message, signature, publicKey)) {
+    console.log(`❌ Invalid federation signature from ${serverId}`);
+    return { success: false, status: 401, error: 'Invalid signature' };
+  }
+
+  seenNonces.set(nonceKey, now + MAX_CLOCK_SKEW_MS);
+
+  const trustError = checkTrust(serverId, known.trustLevel, trust);
+  if (trustError) {
+    return { success: false, status: 403, error: trustError };
+  }
+
+  return {
+    success: true,
+    peer: { serverId, publicKey, trustLevel: known.trustLevel, known: known.known }
+  };
+}
+
+/**
+ * Public key and effective trust level of a peer across both peer stores
+ * Blocked in either store wins; otherwise the higher of the two levels counts
+ *
+ * @param {string} serverId
+ * @returns {Promise<{publicKey: string|null, trustLevel: string, known: boolean}>}
+ */
+async function getPeerTrust(serverId) {
+  const knownPeer = getFederation().getPeer(serverId);
+  const storedPeer = await getPeerServiceLazy().getPeer(serverId).catch(() => null);
+  const levels = [storedPeer?.trustLevel, knownPeer?.trustLevel].filter(Boolean);
+
+  const trustLevel = levels.includes('blocked')
+    ? 'blocked'
+    : levels.sort((a, b) => (TRUST_RANK[b] || 0) - (TRUST_RANK[a] || 0))[0] || 'unknown';
+
+  return {
+    publicKey: knownPeer?.publicKey || storedPeer?.publicKey || null,
+    trustLevel,
+    known: Boolean(knownPeer || storedPeer)
+  };
+}
+
+// Returns an error message when the level does not meet the requirement
+function checkTrust(serverId, trustLevel, required) {
+  if (trustLevel === 'blocked') {
+    console.log(`🚫 Rejected request from blocked peer ${serverId}`);
+    return 'Peer is blocked';
+  }
+  if ((TRUST_RANK[trustLevel] || 0) < TRUST_RANK[required]) {
+    return `Peer trust level ${trustLevel} is below required ${required}`;
+  }
+  return null;
+}
+
+/**
+ * Check a peer's trust outside an HTTP request (relay messages)
+ *
+ * @param {string} serverId
+ * @param {string} required - Minimum trust level
+ * @returns {Promise<{success: boolean, error?: string, peer?: Object}>}
+ */
+async function requirePeerTrust(serverId, required = 'unknown') {
+  const known = await getPeerTrust(serverId);
+  if (!known.publicKey) {
+    return { success: false, error: 'Unknown peer' };
+  }
+
+  const error = checkTrust(serverId, known.trustLevel, required);
+  if (error) return { success: false, error };
+
+  return { success: true, peer: { serverId, ...known } };
+}
+
+/**
+ * Express middleware: require a signed request from a peer with at least the given trust
+ *
+ * @param {Object} options
+ * @param {string} options.trust - Minimum trust level (default: 'unknown')
+ * @param {boolean} options.allowUnknown - Accept peers we have not met yet (DHT discovery)
+ * @param {boolean} options.allowLocal - Let unsigned requests from this machine through
+ */
+function requirePeer(options = {}) {
+  return async (req, res, next) => {
+    // Express 4 does not catch rejected middleware, so a throw here would hang the request
+    try {
+      if (options.allowLocal && isLocalRequest(req)) {
+        req.federationPeer = { local: true };
+        return next();
+      }
+
+      const result = await verifyPeerRequest(req, options);
+
+      if (!result.success) {
+        return res.status(result.status).json({
+          success: false,
+          error: result.error,
+          ...(result.status === 401 && {
+            hint: 'Sign requests with X-Void-Server-Id, X-Void-Timestamp, X-Void-Nonce and X-Void-Signature headers'
+          })
+        });
+      }
+
+      // Attach the verified peer to the request
+      req.federationPeer = result.peer;
+    } catch (err) {
+      console.error(`❌ Federation request verification failed: ${err.message}`);
+      return res.status(500).json({ success: false, error: 'Could not verify federation request' });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Express middleware: operator routes, only for unsigned operator requests (see isLocalRequest)
+ * Peers never reach these, signed or not
+ */
+function requireLocal() {
+  return (req, res, next) => {
+    if (isLocalRequest(req)) {
+      return next();
+    }
+
+    console.log(`🚫 Rejected remote request to operator route ${req.method} ${req.originalUrl}`);
+    res.status(403).json({
+      success: false,
+      error: 'This route is only available to the server operator'
+    });
+  };
+}
+
+module.exports = {
+  signRequest,
+  signedFetch,
+  verifyPeerRequest,
+  requirePeer,
+  requireLocal,
+  requirePeerTrust,
+  getPeerTrust,
+  isSignedRequest,
+  isLocalRequest,
+  MAX_CLOCK_SKEW_MS
+};
@@ -13,6 +13,7 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const { broadcast } = require('../utils/broadcast');
+const { signedFetch } = require('./federation-auth-service');
 
 // Lazy load peer-service to avoid circular dependencies
 let peerServiceInstance = null;
@@ -29,6 +30,10 @@ const FEDERATION_DIR = path.join(DATA_DIR, 'federation');
 const IDENTITY_PATH = path.join(FEDERATION_DIR, 'identity.json');
 const PEERS_PATH = path.join(FEDERATION_DIR, 'peers.json');
 
+// Challenges this server issued and has not seen answered yet
+const CHALLENGE_TTL_MS = 60000;
+const MAX_PENDING_CHALLENGES = 1000;
+
 /**
  * Ensure federation directory exists
  */
@@ -98,11 +103,19 @@ function verifySignature(message, signatureBase58, publicKeyBase58) {
   return nacl.sign.detached.verify(messageBytes, signature, publicKey);
 }
 
+// Ciphertext encodings: base58 by default, base64 for large payloads (bs58 is quadratic)
+const ENCODINGS = {
+  base58: { encode: bytes => bs58.encode(bytes), decode: text => bs58.decode(text) },
+  base64: { encode: bytes => Buffer.from(bytes).toString('base64'), decode: text => new Uint8Array(Buffer.from(text, 'base64')) }
+};
+
 /**
  * Encrypt a message for a specific peer using their public key
  * Uses ed2curve for proper Ed25519 to Curve25519 key conversion
+ *
+ * @param {string} encoding - 'base58' (default) or 'base64'
  */
-function encryptForPeer(message, peerPublicKeyBase58, ourSecretKeyBase58) {
+function encryptForPeer(message, peerPublicKeyBase58, ourSecretKeyBase58, encoding = 'base58') {
   const peerPublicKey = bs58.decode(peerPublicKeyBase58);
   const ourSecretKey = bs58.decode(ourSecretKeyBase58);
 
@@ -119,9 +132,12 @@ function encryptForPeer(message, peerPublicKeyBase58, ourSecretKeyBase58) {
   const messageBytes = Buffer.from(JSON.stringify(message));
   const encrypted = nacl.box(messageBytes, nonce, peerCurvePublicKey, ourCurveSecretKey);
 
+  const codec = ENCODINGS[encoding] || ENCODINGS.base58;
+
   return {
-    nonce: bs58.encode(nonce),
-    ciphertext: bs58.encode(encrypted)
+    nonce: codec.encode(nonce),
+    ciphertext: codec.encode(encrypted),
+    ...(encoding === 'base64' && { encoding })
   };
 }
 
@@ -132,8 +148,9 @@ function encryptForPeer(message, peerPublicKeyBase58, ourSecretKeyBase58) {
 function decryptFromPeer(encryptedData, peerPublicKeyBase58, ourSecretKeyBase58) {
   const peerPublicKey = bs58.decode(peerPublicKeyBase58);
   const ourSecretKey = bs58.decode(ourSecretKeyBase58);
-  const nonce = bs58.decode(encryptedData.nonce);
-  const ciphertext = bs58.decode(encryptedData.ciphertext);
+  const codec = ENCODINGS[encryptedData.encoding] || ENCODINGS.base58;
+  const nonce = codec.decode(encryptedData.nonce);
+  const ciphertext = codec.decode(encryptedData.ciphertext);
 
   // Convert Ed25519 keys to Curve25519 for decryption
   const peerCurvePublicKey = ed2curve.convertPublicKey(peerPublicKey);
@@ -162,18 +179,25 @@ function generateChallenge() {
 /**
  * Create a challenge response
  */
-function respondToChallenge(challenge, secretKeyBase58) {
-  return signMessage({ challenge, timestamp: Date.now() }, secretKeyBase58);
+function respondToChallenge(challenge, secretKeyBase58, timestamp = Date.now()) {
+  return signMessage({ challenge, timestamp }, secretKeyBase58);
 }
 
 /**
  * Verify a challenge response
+ * With the responder's timestamp one signature is checked; without it, whole seconds back are tried
  */
-function verifyChallengeResponse(challenge, response, publicKeyBase58, maxAgeMs = 60000) {
-  const message = { challenge, timestamp: Date.now() };
+function verifyChallengeResponse(challenge, response, publicKeyBase58, maxAgeMs = 60000, timestamp = null) {
+  const now = Date.now();
+
+  if (timestamp !== null) {
+    return Math.abs(now - timestamp) <= maxAgeMs &&
+      verifySignature({ challenge, timestamp }, response, publicKeyBase58);
+  }
+
+  const message = { challenge, timestamp: now };
 
   // Try to verify with various recent timestamps (within maxAgeMs)
-  const now = Date.now();
   for (let offset = 0; offset <= maxAgeMs; offset += 1000) {
     message.timestamp = now - offset;
     if (verifySignature(message, response, publicKeyBase58)) {
@@ -190,6 +214,7 @@ class FederationService {
     this.capabilities = [];
     this.dht = null;
     this.relayClient = null;
+    this.challenges = new Map(); // challenge -> expiry
   }
 
   /**
@@ -256,6 +281,10 @@ class FederationService {
     this.relayClient.onMessage('federation:get-manifest', (from, payload) => {
       return this.getManifest();
     });
+
+    // Encrypted memory sync for peers without a reachable endpoint
+    const { getMemorySyncService } = require('./memory-sync-service');
+    getMemorySyncService().registerRelayHandlers(this.relayClient);
   }
 
   /**
@@ -395,19 +424,37 @@ class FederationService {
 
   /**
    * Add or update a peer
+   *
+   * The manifest comes from the peer, so its own trustLevel and isProtected are
+   * ignored; only local callers (bootstrap config) may set them through options.
+   *
+   * @param {Object} manifest - Peer manifest (serverId, publicKey, version, capabilities, plugins)
+   * @param {string} endpoint - Where the peer is reached
+   * @param {Object} options - { trustLevel, isProtected } decided by this server
+   * @returns {Object|null} The stored peer, or null if the manifest was rejected
    */
-  addPeer(manifest, endpoint) {
+  addPeer(manifest, endpoint, options = {}) {
+    if (!manifest?.publicKey || generateServerId(manifest.publicKey) !== manifest.serverId) {
+      console.log(`❌ Rejected peer ${manifest?.serverId}: server ID does not match its public key`);
+      return null;
+    }
+
+    const existingPeer = this.peers.get(manifest.serverId);
+    if (existingPeer?.publicKey && existingPeer.publicKey !== manifest.publicKey) {
+      console.log(`❌ Rejected peer ${manifest.serverId}: public key differs from the known key`);
+      return null;
+    }
+
     // Clean up any stale peers with same endpoint but different serverId
     // This handles cases where a server's identity changed (e.g., after redeploy)
-    for (const [existingId, existingPeer] of this.peers.entries()) {
-      if (existingPeer.endpoint === endpoint && existingId !== manifest.serverId) {
+    for (const [existingId, stalePeer] of this.peers.entries()) {
+      if (stalePeer.endpoint === endpoint && existingId !== manifest.serverId) {
         console.log(`🌐 Removing stale peer ${existingId} (endpoint ${endpoint} now has serverId ${manifest.serverId})`);
         this.peers.delete(existingId);
       }
     }
 
-    const isNew = !this.peers.has(manifest.serverId);
-    const existingPeer = this.peers.get(manifest.serverId);
+    const isNew = !existingPeer;
     const peer = {
       serverId: manifest.serverId,
       publicKey: manifest.publicKey,
@@ -415,8 +462,8 @@ class FederationService {
       version: manifest.version,
       capabilities: manifest.capabilities,
       plugins: manifest.plugins,
-      trustLevel: manifest.trustLevel || existingPeer?.trustLevel || 'unknown',
-      isProtected: manifest.isProtected || existingPeer?.isProtected || false,
+      trustLevel: options.trustLevel || existingPeer?.trustLevel || 'unknown',
+      isProtected: options.isProtected || existingPeer?.isProtected || false,
       lastSeen: new Date().toISOString(),
       addedAt: existingPeer?.addedAt || new Date().toISOString(),
       healthScore: 1.0,
@@ -524,8 +571,8 @@ class FederationService {
   /**
    * Encrypt a message for a specific peer
    */
-  encrypt(message, peerPublicKey) {
-    return encryptForPeer(message, peerPublicKey, this.identity.secretKey);
+  encrypt(message, peerPublicKey, encoding) {
+    return encryptForPeer(message, peerPublicKey, this.identity.secretKey, encoding);
   }
 
   /**
@@ -537,23 +584,48 @@ class FederationService {
 
   /**
    * Generate a verification challenge
+   * Remembered until answered or expired, so only challenges we issued verify
    */
   createChallenge() {
-    return generateChallenge();
+    const now = Date.now();
+    for (const [challenge, expiresAt] of this.challenges) {
+      if (expiresAt <= now) this.challenges.delete(challenge);
+    }
+    // Drop the oldest when flooded; a real verification answers within seconds
+    if (this.challenges.size >= MAX_PENDING_CHALLENGES) {
+      this.challenges.delete(this.challenges.keys().next().value);
+    }
+
+    const challenge = generateChallenge();
+    this.challenges.set(challenge, now + CHALLENGE_TTL_MS);
+    return challenge;
   }
 
   /**
    * Respond to a verification challenge
+   * @returns {{response: string, timestamp: number}} Signature and the timestamp it covers
    */
   answerChallenge(challenge) {
-    return respondToChallenge(challenge, this.identity.secretKey);
+    const timestamp = Date.now();
+    return { response: respondToChallenge(challenge, this.identity.secretKey, timestamp), timestamp };
   }
 
   /**
    * Verify a challenge response from a peer
+   * The challenge must be one we issued; each is accepted once
    */
-  verifyChallenge(challenge, response, peerPublicKey) {
-    return verifyChallengeResponse(challenge, response, peerPublicKey);
+  verifyChallenge(challenge, response, peerPublicKey, timestamp = null) {
+    const expiresAt = this.challenges.get(challenge);
+    if (!expiresAt || expiresAt <= Date.now()) {
+      return false;
+    }
+    this.challenges.delete(challenge);
+
+    try {
+      return verifyChallengeResponse(challenge, response, peerPublicKey, CHALLENGE_TTL_MS, timestamp);
+    } catch {
+      return false; // Malformed signature or key
+    }
   }
 
   /**
@@ -586,15 +658,13 @@ class FederationService {
 
     // Send to peer
     const url = `${peer.endpoint.replace(/\/$/, '')}/api/federation/message`;
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
+    const response = await signedFetch(url, {
+      body: {
         fromServerId: this.identity.serverId,
         encrypted,
         signature
-      }),
-      signal: AbortSignal.timeout(30000)
+      },
+      timeout: 30000
     }).catch(err => ({ ok: false, error: err.message }));
 
     if (!response.ok) {
@@ -617,44 +687,31 @@ class FederationService {
       return { success: false, error: 'Peer not found' };
     }
 
-    // Step 1: Request a challenge from the peer
-    const challengeUrl = `${peer.endpoint.replace(/\/$/, '')}/api/federation/verify/challenge`;
-    const challengeResponse = await fetch(challengeUrl, {
+    // Step 1: Issue our own challenge, so the peer cannot pick one it has answered before
+    const challenge = this.createChallenge();
+
+    // Step 2: Ask the peer to sign it
+    const respondUrl = `${peer.endpoint.replace(/\/$/, '')}/api/federation/verify/respond`;
+    const respondResponse = await fetch(respondUrl, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({}),
+      body: JSON.stringify({ challenge }),
       signal: AbortSignal.timeout(10000)
     }).catch(err => ({ ok: false, error: err.message }));
 
-    if (!challengeResponse.ok) {
-      return { success: false, error: 'Failed to get challenge from peer' };
+    if (!respondResponse.ok) {
+      return { success: false, error: 'Failed to get challenge response from peer' };
     }
 
-    const { challenge, publicKey } = await challengeResponse.json();
+    const { response, timestamp, publicKey } = await respondResponse.json().catch(() => ({}));
 
     // Verify the public key matches what we have
     if (publicKey !== peer.publicKey) {
       return { success: false, error: 'Public key mismatch' };
     }
 
-    // Step 2: Create our response to their challenge
-    const ourResponse = this.answerChallenge(challenge);
-
-    // Step 3: Send our response back for verification
-    const verifyUrl = `${peer.endpoint.replace(/\/$/, '')}/api/federation/verify/respond`;
-    const verifyResponse = await fetch(verifyUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        challenge,
-        response: ourResponse,
-        serverId: this.identity.serverId,
-        publicKey: this.identity.publicKey
-      }),
-      signal: AbortSignal.timeout(10000)
-    }).catch(err => ({ ok: false, error: err.message }));
-
-    if (!verifyResponse.ok) {
+    // Step 3: Check the signature against the key we know
+    if (!response || !this.verifyChallenge(challenge, response, peer.publicKey, Number.isInteger(timestamp) ? timestamp : null)) {
       return { success: false, error: 'Verification failed' };
     }
 
@@ -682,6 +739,7 @@ module.exports = {
   getFederationService,
   signMessage,
   verifySignature,
+  generateServerId,
   generateChallenge,
   respondToChallenge
 };
@@ -0,0 +1,216 @@
+/**
+ * Memory Conflict Service
+ *
+ * When two servers edit the same memory between syncs, the edits conflict.
+ * The sync policy decides what happens:
+ *
+ *   newest-wins - the edit with the later hybrid logical clock is kept (default)
+ *   local-wins  - this server's edit is kept
+ *   keep-both   - the newer edit is kept and the other is saved as a branch memory
+ *   manual      - nothing changes until the conflict is resolved by hand
+ *
+ * Policies apply on the receiving side. local-wins on both servers never
+ * converges, so set it on one side only.
+ * A default policy can be overridden per peer; both are saved to
+ * data/federation/memory-sync.json. Every conflict goes into the review
+ * queue (data/federation/memory-conflicts.json) with both versions, so
+ * automatic resolutions can be checked and overridden later.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const FEDERATION_DIR = path.resolve(__dirname, '../../data/federation');
+const CONFIG_PATH = path.join(FEDERATION_DIR, 'memory-sync.json');
+const CONFLICTS_PATH = path.join(FEDERATION_DIR, 'memory-conflicts.json');
+
+const POLICIES = ['newest-wins', 'local-wins', 'keep-both', 'manual'];
+const RESOLUTIONS = ['local', 'remote', 'branch'];
+
+const DEFAULT_CONFIG = {
+  policy: 'newest-wins',
+  peers: {}
+};
+
+// Oldest resolved conflicts are dropped past this
+const MAX_CONFLICTS = 500;
+
+function ensureDir() {
+  if (!fs.existsSync(FEDERATION_DIR)) {
+    fs.mkdirSync(FEDERATION_DIR, { recursive: true });
+  }
+}
+
+function loadConfig() {
+  if (!fs.existsSync(CONFIG_PATH)) return { ...DEFAULT_CONFIG };
+  return { ...DEFAULT_CONFIG, ...JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8')) };
+}
+
+function saveConfig(config) {
+  ensureDir();
+  fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2));
+}
+
+function loadConflicts() {
+  if (!fs.existsSync(CONFLICTS_PATH)) return [];
+  return JSON.parse(fs.readFileSync(CONFLICTS_PATH, 'utf8')).conflicts || [];
+}
+
+function saveConflicts(conflicts) {
+  ensureDir();
+  fs.writeFileSync(CONFLICTS_PATH, JSON.stringify({ conflicts }, null, 2));
+}
+
+/**
+ * Policy used for conflicts with a peer
+ */
+function getPolicy(peerId, config = loadConfig()) {
+  return config.peers[peerId] || config.policy;
+}
+
+/**
+ * Update the default policy and per-peer overrides (null removes an override)
+ */
+function updateConfig(updates = {}) {
+  const config = loadConfig();
+
+  if (updates.policy !== undefined) {
+    if (!POLICIES.includes(updates.policy)) {
+      return { success: false, error: `policy must be one of: ${POLICIES.join(', ')}` };
+    }
+    config.policy = updates.policy;
+  }
+
+  const peers = { ...config.peers };
+  for (const [peerId, policy] of Object.entries(updates.peers || {})) {
+    if (policy === null) {
+      delete peers[peerId];
+      continue;
+    }
+    if (!POLICIES.includes(policy)) {
+      return { success: false, error: `${peerId}: policy must be one of: ${POLICIES.join(', ')}` };
+    }
+    peers[peerId] = policy;
+  }
+  config.peers = peers;
+
+  saveConfig(config);
+  console.log(`⚖️ Memory sync policy: ${config.policy} (${Object.keys(peers).length} peer override(s))`);
+  return { success: true, config };
+}
+
+/**
+ * Conflicts in the review queue, newest first
+ *
+ * @param {Object} filters - { status: 'pending'|'resolved', peerId }
+ */
+function listConflicts(filters = {}) {
+  return loadConflicts()
+    .filter(c => !filters.status || c.status === filters.status)
+    .filter(c => !filters.peerId || c.peerId === filters.peerId)
+    .sort((a, b) => b.detectedAt.localeCompare(a.detectedAt));
+}
+
+function getConflict(id) {
+  return loadConflicts().find(c => c.id === id) || null;
+}
+
+/**
+ * Add a conflict to the queue
+ * An entry for the same memory and peer that nobody has reviewed yet is
+ * replaced, so repeated syncs don't queue the same memory twice
+ *
+ * @param {Object} conflict - { peerId, memoryId, originId, policy, local, remote, resolution }
+ */
+function recordConflict(conflict) {
+  const conflicts = loadConflicts();
+  const now = new Date().toISOString();
+  const status = conflict.resolution ? 'resolved' : 'pending';
+
+  const existing = conflicts.find(c =>
+    c.resolvedBy !== 'user' && c.peerId === conflict.peerId && c.originId === conflict.originId);
+
+  const entry = {
+    id: existing?.id || crypto.randomBytes(8).toString('hex'),
+    ...conflict,
+    status,
+    resolution: conflict.resolution || null,
+    resolvedBy: conflict.resolution ? 'policy' : null,
+    detectedAt: existing?.detectedAt || now,
+    resolvedAt: conflict.resolution ? now : null
+  };
+
+  const updated = existing
+    ? conflicts.map(c => (c.id === existing.id ? entry : c))
+    : [...conflicts, entry];
+
+  saveConflicts(prune(updated));
+  return entry;
+}
+
+/**
+ * Mark a queued conflict resolved
+ */
+function markResolved(id, { resolution, branchId = null, resolvedBy = 'user' }) {
+  const conflicts = loadConflicts();
+  const conflict = conflicts.find(c => c.id === id);
+  if (!conflict) return null;
+
+  Object.assign(conflict, {
+    status: 'resolved',
+    resolution,
+    branchId: branchId || conflict.branchId || null,
+    resolvedBy,
+    resolvedAt: new Date().toISOString()
+  });
+
+  saveConflicts(conflicts);
+  return conflict;
+}
+
+/**
+ * Remove a conflict from the queue
+ */
+function removeConflict(id) {
+  const conflicts = loadConflicts();
+  if (!conflicts.some(c => c.id === id)) return false;
+
+  saveConflicts(conflicts.filter(c => c.id !== id));
+  return true;
+}
+
+function prune(conflicts) {
+  if (conflicts.length <= MAX_CONFLICTS) return conflicts;
+
+  const resolved = conflicts
+    .filter(c => c.status === 'resolved')
+    .sort((a, b) => a.resolvedAt.localeCompare(b.resolvedAt));
+  const drop = new Set(resolved.slice(0, conflicts.length - MAX_CONFLICTS).map(c => c.id));
+  return conflicts.filter(c => !drop.has(c.id));
+}
+
+/**
+ * Queue counts for the federation UI
+ */
+function getConflictStats() {
+  const conflicts = loadConflicts();
+  return {
+    pending: conflicts.filter(c => c.status === 'pending').length,
+    resolved: conflicts.filter(c => c.status === 'resolved').length
+  };
+}
+
+module.exports = {
+  POLICIES,
+  RESOLUTIONS,
+  loadConfig,
+  getPolicy,
+  updateConfig,
+  listConflicts,
+  getConflict,
+  recordConflict,
+  markResolved,
+  removeConflict,
+  getConflictStats
+};
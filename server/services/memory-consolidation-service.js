@@ -0,0 +1,359 @@
+/**
+ * Memory Consolidation Service
+ *
+ * Finds near-duplicate memories by embedding similarity and proposes a
+ * merged memory for each cluster, written by the configured AI provider.
+ *
+ * Applying a merge creates the merged Memory, links it to each original
+ * with MERGED_FROM, carries over MENTIONS, ABOUT and RELATES_TO edges, and
+ * relabels the originals as MergedMemory so retrieval no longer sees them.
+ * All selected merges commit in a single transaction.
+ */
+
+const { getNeo4jService } = require('./neo4j-service');
+const { getEmbeddingService } = require('./embedding-service');
+const vectorIndex = require('./vector-index-service');
+const memoryService = require('./memory-service');
+
+// Cosine similarity at which two memories count as near-duplicates
+const DEFAULT_THRESHOLD = 0.9;
+
+// Largest cluster merged at once, so chains of loosely similar memories don't snowball
+const MAX_CLUSTER_SIZE = 6;
+
+// Clusters proposed per preview (each one is an LLM call)
+const DEFAULT_MAX_CLUSTERS = 10;
+
+/**
+ * Load memories whose vectors belong to the active embedding model
+ */
+async function loadEmbeddedMemories() {
+  const model = getEmbeddingService().model;
+
+  const result = await getNeo4jService().read(`
+    MATCH (m:Memory)
+    WHERE m.embedding IS NOT NULL
+      AND ($model IS NULL OR m.embeddingModel IS NULL OR m.embeddingModel = $model)
+    RETURN m
+  `, { model });
+
+  // Vectors stay out of the proposals sent to the client
+  return result.map(r => {
+    const { embedding, ...memory } = memoryService.formatMemoryFromNeo4j(r.m);
+    return { memory, embedding };
+  });
+}
+
+/**
+ * Group memories into clusters of near-duplicates (union-find over
+ * nearest-neighbour pairs above the threshold)
+ */
+function clusterMemories(items, threshold) {
+  const index = new vectorIndex.LocalVectorIndex();
+  items.forEach(item => index.upsert(item.memory.id, item.embedding));
+
+  const parent = new Map(items.map(item => [item.memory.id, item.memory.id]));
+  const size = new Map(items.map(item => [item.memory.id, 1]));
+  const pairScores = new Map(items.map(item => [item.memory.id, []]));
+
+  const find = id => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+
+  for (const item of items) {
+    const neighbours = index.search(item.embedding, MAX_CLUSTER_SIZE + 1);
+
+    for (const neighbour of neighbours) {
+      if (neighbour.id === item.memory.id || neighbour.similarity < threshold) continue;
+
+      const a = find(item.memory.id);
+      const b = find(neighbour.id);
+      if (a === b || size.get(a) + size.get(b) > MAX_CLUSTER_SIZE) continue;
+
+      parent.set(b, a);
+      size.set(a, size.get(a) + size.get(b));
+      pairScores.get(item.memory.id).push(neighbour.similarity);
+    }
+  }
+
+  const clusters = new Map();
+  for (const item of items) {
+    const root = find(item.memory.id);
+    if (!clusters.has(root)) clusters.set(root, { memories: [], scores: [] });
+    clusters.get(root).memories.push(item.memory);
+    clusters.get(root).scores.push(...pairScores.get(item.memory.id));
+  }
+
+  return Array.from(clusters.values())
+    .filter(cluster => cluster.memories.length > 1)
+    .map(cluster => ({
+      memories: cluster.memories,
+      similarity: cluster.scores.reduce((sum, s) => sum + s, 0) / cluster.scores.length
+    }))
+    .sort((a, b) => b.memories.length - a.memories.length || b.similarity - a.similarity);
+}
+
+/**
+ * Merged fields other than the text: the originals' combined metadata
+ */
+function mergeMetadata(memories) {
+  const byImportance = [...memories].sort((a, b) => (b.importance || 0) - (a.importance || 0));
+
+  const categoryCounts = {};
+  byImportance.forEach(m => {
+    categoryCounts[m.category] = (categoryCounts[m.category] || 0) + 1;
+  });
+  const category = Object.entries(categoryCounts).sort((a, b) => b[1] - a[1])[0][0];
+
+  return {
+    category,
+    importance: byImportance[0].importance || 0.5,
+    stage: Math.max(...memories.map(m => m.stage || 1)),
+    type: byImportance[0].type,
+    tags: [...new Set(memories.flatMap(m => m.tags || []))].slice(0, 10),
+    relatedUsers: [...new Set(memories.flatMap(m => m.relatedUsers || []))],
+    timestamp: memories.map(m => m.timestamp).filter(Boolean).sort()[0]
+  };
+}
+
+function buildMergePrompt(memories) {
+  const list = memories
+    .map((m, i) => `${i + 1}. ${m.content?.text || ''}${m.content?.context ? ` (${m.content.context})` : ''}`)
+    .join('\n');
+
+  return `These memories describe the same thing. Merge them into one memory that keeps every distinct fact and drops the repetition. Write it in the same voice as the originals.
+
+${list}
+
+Reply with only the merged memory text.`;
+}
+
+/**
+ * Ask the configured AI provider (with fallbacks) for the merged text
+ */
+async function generateMergedText(memories) {
+  const { resolveProviderChain } = require('./prompt-executor');
+  const chain = resolveProviderChain(null);
+  const prompt = buildMergePrompt(memories);
+
+  let result = { success: false, error: 'No AI provider available' };
+  for (const candidate of chain) {
+    result = await candidate.provider.generate(prompt, {
+      modelType: 'medium',
+      temperature: 0.3,
+      max_tokens: 500
+    }).catch(error => ({ success: false, error: error.message }));
+
+    if (result.success) {
+      return { success: true, content: result.content.trim(), provider: candidate.key };
+    }
+    console.log(`⚠️ Merge proposal with ${candidate.key} failed: ${result.error}`);
+  }
+
+  return result;
+}
+
+/**
+ * Find near-duplicate clusters and propose a merged memory for each
+ *
+ * @param {Object} options
+ * @param {number} options.threshold - Cosine similarity for near-duplicates (default 0.9)
+ * @param {number} options.maxClusters - Clusters to propose (default 10)
+ */
+async function previewConsolidation(options = {}) {
+  const neo4j = getNeo4jService();
+  if (!await neo4j.isAvailable()) {
+    return { success: false, error: 'Neo4j not available' };
+  }
+
+  const threshold = options.threshold ?? DEFAULT_THRESHOLD;
+  if (typeof threshold !== 'number' || threshold <= 0 || threshold > 1) {
+    return { success: false, error: 'threshold must be between 0 and 1' };
+  }
+
+  const items = await loadEmbeddedMemories();
+  const clusters = clusterMemories(items, threshold)
+    .slice(0, options.maxClusters || DEFAULT_MAX_CLUSTERS);
+
+  console.log(`🧬 Found ${clusters.length} near-duplicate clusters in ${items.length} memories`);
+
+  // One provider call at a time - local models don't like parallel load
+  const proposals = [];
+  for (const cluster of clusters) {
+    const merged = await generateMergedText(cluster.memories);
+    proposals.push({
+      memoryIds: cluster.memories.map(m => m.id),
+      memories: cluster.memories,
+      similarity: cluster.similarity,
+      merged: merged.success
+        ? { content: merged.content, ...mergeMetadata(cluster.memories) }
+        : null,
+      provider: merged.provider,
+      error: merged.success ? null : merged.error
+    });
+  }
+
+  return {
+    success: true,
+    threshold,
+    scanned: items.length,
+    proposals
+  };
+}
+
+/**
+ * Queries that merge one cluster inside the shared transaction
+ */
+function buildMergeQueries(neo4j, merged, memoryIds) {
+  const upsert = neo4j.buildUpsertMemoryQuery(merged);
+  const params = { newId: merged.id, ids: memoryIds };
+
+  return [
+    upsert,
+    {
+      cypher: `
+        MATCH (n:Memory {id: $newId})
+        MATCH (o:Memory) WHERE o.id IN $ids
+        MERGE (n)-[r:MERGED_FROM]->(o)
+        SET r.mergedAt = datetime()
+      `,
+      params
+    },
+    {
+      cypher: `
+        MATCH (o:Memory)-[:MENTIONS]->(u:User) WHERE o.id IN $ids
+        MATCH (n:Memory {id: $newId})
+        MERGE (n)-[:MENTIONS]->(u)
+      `,
+      params
+    },
+    {
+      cypher: `
+        MATCH (o:Memory)-[:ABOUT]->(e:Entity) WHERE o.id IN $ids
+        MATCH (n:Memory {id: $newId})
+        MERGE (n)-[:ABOUT]->(e)
+      `,
+      params
+    },
+    {
+      cypher: `
+        MATCH (o:Memory)-[:RELATES_TO]-(x:Memory)
+        WHERE o.id IN $ids AND NOT x.id IN $ids AND x.id <> $newId
+        MATCH (n:Memory {id: $newId})
+        MERGE (n)-[:RELATES_TO]->(x)
+      `,
+      params
+    },
+    {
+      // Originals stay in the graph for provenance but leave the Memory label
+      cypher: `
+        MATCH (o:Memory) WHERE o.id IN $ids
+        REMOVE o:Memory
+        SET o:MergedMemory, o.mergedInto = $newId
+        RETURN count(o) AS merged
+      `,
+      params
+    }
+  ];
+}
+
+/**
+ * Apply reviewed merges in one transaction
+ *
+ * @param {Array} merges - [{ memoryIds, content, category?, importance?, tags? }]
+ */
+async function applyConsolidation(merges) {
+  const neo4j = getNeo4jService();
+  if (!await neo4j.isAvailable()) {
+    return { success: false, error: 'Neo4j not available' };
+  }
+
+  const seen = new Set();
+  for (const merge of merges) {
+    if (!Array.isArray(merge.memoryIds) || merge.memoryIds.length < 2) {
+      return { success: false, error: 'Each merge needs at least two memoryIds' };
+    }
+    if (!merge.content?.trim()) {
+      return { success: false, error: 'Each merge needs merged content' };
+    }
+    if (merge.memoryIds.some(id => seen.has(id))) {
+      return { success: false, error: 'A memory can only be part of one merge' };
+    }
+    merge.memoryIds.forEach(id => seen.add(id));
+  }
+
+  const embedding = getEmbeddingService();
+  const queries = [];
+  const created = [];
+  // generateMemoryId reads the graph, so number the new ids ourselves
+  let nextNum = parseInt((await memoryService.generateMemoryId()).slice(4), 10);
+
+  for (const merge of merges) {
+    const originals = [];
+    for (const id of merge.memoryIds) {
+      const memory = await memoryService.getMemory(id);
+      if (!memory) {
+        return { success: false, error: `Memory ${id} not found` };
+      }
+      originals.push(memory);
+    }
+
+    const metadata = mergeMetadata(originals);
+    const content = merge.content.trim();
+    const vector = await embedding.generateEmbedding(content);
+
+    const merged = {
+      id: `mem_${String(nextNum++).padStart(3, '0')}`,
+      content: { text: content, context: 'consolidated', impact: '', significance: 'normal' },
+      category: merge.category || metadata.category,
+      stage: metadata.stage,
+      importance: merge.importance ?? metadata.importance,
+      timestamp: metadata.timestamp || new Date().toISOString(),
+      tags: merge.tags || metadata.tags,
+      type: metadata.type,
+      source: 'consolidation',
+      relatedUsers: metadata.relatedUsers,
+      embedding: vector,
+      embeddingModel: vector ? embedding.model : null,
+      metrics: {
+        relevance: Math.max(...originals.map(m => m.metrics?.relevance || 0.5)),
+        interactions: originals.reduce((sum, m) => sum + (m.metrics?.interactions || 0), 0),
+        views: originals.reduce((sum, m) => sum + (m.metrics?.views || 0), 0),
+        lastAccessed: new Date().toISOString()
+      }
+    };
+
+    queries.push(...buildMergeQueries(neo4j, merged, merge.memoryIds));
+    created.push({ id: merged.id, mergedFrom: merge.memoryIds, embedding: vector, model: merged.embeddingModel });
+  }
+
+  const committed = await neo4j.transaction(queries)
+    .then(() => true)
+    .catch(error => ({ error: error.message }));
+
+  if (committed !== true) {
+    return { success: false, error: `Consolidation rolled back: ${committed.error}` };
+  }
+
+  created.forEach(merge => {
+    merge.mergedFrom.forEach(id => vectorIndex.remove(id));
+    vectorIndex.upsert(merge.id, merge.embedding, merge.model);
+  });
+
+  console.log(`🧬 Consolidated ${seen.size} memories into ${created.length}`);
+  return {
+    success: true,
+    merged: created.map(({ id, mergedFrom }) => ({ id, mergedFrom }))
+  };
+}
+
+module.exports = {
+  previewConsolidation,
+  applyConsolidation,
+  clusterMemories,
+  DEFAULT_THRESHOLD
+};
@@ -0,0 +1,240 @@
+/**
+ * Memory Entity Service
+ *
+ * Extracts the people, projects, places, tokens and concepts a memory is
+ * about and stores them as typed Entity nodes:
+ *
+ *   (:Memory)-[:ABOUT]->(:Entity {id, name, type, normalized})
+ *
+ * Token tickers ($SOL) and hashtags are picked up by pattern; everything
+ * else comes from the configured AI provider on the light model tier.
+ * Without a provider only the pattern matches are stored.
+ */
+
+const { getNeo4jService } = require('./neo4j-service');
+const neo4jDriver = require('neo4j-driver');
+
+const ENTITY_TYPES = ['person', 'project', 'place', 'token', 'concept'];
+
+// Entities stored per memory, most salient first
+const MAX_ENTITIES = 8;
+
+const TICKER_PATTERN = /\$([A-Za-z][A-Za-z0-9]{1,9})\b/g;
+const HASHTAG_PATTERN = /(?:^|\s)#([A-Za-z][\w-]{2,40})/g;
+
+function normalizeName(name) {
+  return name.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function entityId(type, name) {
+  return `${type}:${normalizeName(name)}`;
+}
+
+/**
+ * Drop malformed and duplicate entities
+ */
+function cleanEntities(entities) {
+  const seen = new Set();
+  return entities
+    .filter(e => e && typeof e.name === 'string' && ENTITY_TYPES.includes(e.type))
+    .map(e => ({ name: e.name.trim().replace(/\s+/g, ' '), type: e.type }))
+    .filter(e => e.name.length >= 2 && e.name.length <= 80)
+    .filter(e => {
+      const id = entityId(e.type, e.name);
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    })
+    .slice(0, MAX_ENTITIES);
+}
+
+/**
+ * Entities found by pattern: $TICKER tokens and #hashtag concepts
+ */
+function extractByPattern(text) {
+  const entities = [];
+  for (const match of (text || '').matchAll(TICKER_PATTERN)) {
+    entities.push({ name: `$${match[1].toUpperCase()}`, type: 'token' });
+  }
+  for (const match of (text || '').matchAll(HASHTAG_PATTERN)) {
+    entities.push({ name: match[1], type: 'concept' });
+  }
+  return entities;
+}
+
+function buildExtractionPrompt(texts) {
+  const list = texts.map((text, i) => `${i + 1}. ${text}`).join('\n');
+
+  return `List the named entities in each numbered text. Types: ${ENTITY_TYPES.join(', ')}.
+Only include specific, named things (not generic words). @handles are users - skip them.
+
+${list}
+
+Reply with only JSON mapping each number to its entities, like:
+{"1": [{"name": "Solana", "type": "project"}], "2": []}`;
+}
+
+/**
+ * Ask the AI provider chain for entities in several texts at once
+ * Returns one array per text, or null when no provider answered
+ */
+async function extractWithProvider(texts) {
+  const { resolveProviderChain } = require('./prompt-executor');
+  const chain = resolveProviderChain(null);
+  const prompt = buildExtractionPrompt(texts);
+
+  let result = { success: false, error: 'No AI provider available' };
+  for (const candidate of chain) {
+    result = await candidate.provider.generate(prompt, {
+      modelType: 'light',
+      temperature: 0,
+      max_tokens: 150 * texts.length
+    }).catch(error => ({ success: false, error: error.message }));
+
+    if (result.success) break;
+  }
+
+  const match = result.success && result.content.match(/\{[\s\S]*\}/);
+  if (!match) {
+    console.log(`⚠️ Entity extraction skipped: ${result.error || 'no JSON in response'}`);
+    return null;
+  }
+
+  let parsed = null;
+  try {
+    parsed = JSON.parse(match[0]);
+  } catch {
+    console.log('⚠️ Entity extraction skipped: malformed JSON in response');
+  }
+  if (!parsed) return null;
+
+  return texts.map((_, i) => (Array.isArray(parsed[i + 1]) ? parsed[i + 1] : []));
+}
+
+/**
+ * Extract entities from several texts with one provider call
+ *
+ * @param {string[]} texts
+ * @returns {Promise<Array<Array<{name, type}>>>} Entities per text
+ */
+async function extractEntitiesBatch(texts) {
+  if (texts.length === 0) return [];
+
+  const fromProvider = await extractWithProvider(texts);
+
+  return texts.map((text, i) => cleanEntities([
+    ...extractByPattern(text),
+    ...(fromProvider?.[i] || [])
+  ]));
+}
+
+async function extractEntities(text) {
+  const [entities] = await extractEntitiesBatch([text]);
+  return entities;
+}
+
+/**
+ * Replace a memory's ABOUT edges with the given entities
+ */
+async function linkMemoryEntities(memoryId, entities) {
+  const neo4j = getNeo4jService();
+  const cleaned = cleanEntities(entities || []);
+
+  await neo4j.write(`
+    MATCH (m:Memory {id: $memoryId})
+    OPTIONAL MATCH (m)-[old:ABOUT]->(:Entity)
+    DELETE old
+    WITH DISTINCT m
+    UNWIND $entities AS entity
+    MERGE (e:Entity {id: entity.id})
+    ON CREATE SET e.name = entity.name,
+                  e.type = entity.type,
+                  e.normalized = entity.normalized,
+                  e.createdAt = datetime()
+    SET e.lastSeen = datetime()
+    MERGE (m)-[:ABOUT]->(e)
+  `, {
+    memoryId,
+    entities: cleaned.map(e => ({
+      ...e,
+      id: entityId(e.type, e.name),
+      normalized: normalizeName(e.name)
+    }))
+  });
+
+  return cleaned;
+}
+
+/**
+ * Extract (unless given) and link a memory's entities
+ * Called in the background after a memory is created or its content changes
+ */
+async function enrichMemory(memory, entities = null) {
+  const neo4j = getNeo4jService();
+  if (!await neo4j.isAvailable()) {
+    return { success: false, error: 'Neo4j not available' };
+  }
+
+  const text = typeof memory.content === 'string'
+    ? memory.content
+    : [memory.content?.text, memory.content?.context].filter(Boolean).join('\n');
+  const found = entities || await extractEntities(text);
+  const linked = await linkMemoryEntities(memory.id, found);
+
+  if (linked.length > 0) {
+    console.log(`🔖 Linked ${linked.length} entities to ${memory.id}`);
+  }
+  return { success: true, entities: linked };
+}
+
+function formatEntity(node, memoryCount) {
+  const props = node.properties || node;
+  return {
+    id: props.id,
+    name: props.name,
+    type: props.type,
+    memoryCount: typeof memoryCount === 'object' && memoryCount ? memoryCount.toNumber() : memoryCount || 0
+  };
+}
+
+/**
+ * Entities with at least one memory, most mentioned first
+ *
+ * @param {Object} options - { type, search, limit }
+ */
+async function listEntities(options = {}) {
+  const neo4j = getNeo4jService();
+  if (!await neo4j.isAvailable()) {
+    return { success: false, error: 'Neo4j not available' };
+  }
+  if (options.type && !ENTITY_TYPES.includes(options.type)) {
+    return { success: false, error: `type must be one of: ${ENTITY_TYPES.join(', ')}` };
+  }
+
+  const rows = await neo4j.read(`
+    MATCH (m:Memory)-[:ABOUT]->(e:Entity)
+    WHERE ($type IS NULL OR e.type = $type)
+      AND ($search IS NULL OR e.normalized CONTAINS $search)
+    RETURN e, count(m) AS memoryCount
+    ORDER BY memoryCount DESC, e.name
+    LIMIT $limit
+  `, {
+    type: options.type || null,
+    search: options.search ? normalizeName(options.search) : null,
+    limit: neo4jDriver.int(options.limit || 100)
+  });
+
+  return { success: true, entities: rows.map(r => formatEntity(r.e, r.memoryCount)) };
+}
+
+module.exports = {
+  extractEntities,
+  extractEntitiesBatch,
+  extractByPattern,
+  linkMemoryEntities,
+  enrichMemory,
+  listEntities,
+  normalizeName,
+  entityId,
+  ENTITY_TYPES
+};
@@ -10,6 +10,8 @@
  */
 
 const { getNeo4jService } = require('./neo4j-service');
+const taxonomy = require('./memory-taxonomy-service');
+const entityService = require('./memory-entity-service');
 
 /**
  * Parse memory tags from LLM response
@@ -35,7 +37,8 @@ function extractMemories(response) {
 
     memories.push({
       content: content,
-      category: attributes.category || 'emergence',
+      // No category: createMemory auto-categorizes with the configured taxonomy
+      category: attributes.category || null,
       importance: parseFloat(attributes.importance) || 0.6,
       tags: attributes.tags ? attributes.tags.split(',').map(t => t.trim()) : [],
       source: 'llm-extracted'
@@ -68,6 +71,7 @@ function parseAttributes(str) {
 
 /**
  * Save extracted memories to Neo4j
+ * They go to metadata.namespace, the template's write namespace
  */
 async function saveExtractedMemories(memories, metadata = {}) {
   const neo4j = getNeo4jService();
@@ -80,13 +84,22 @@ async function saveExtractedMemories(memories, metadata = {}) {
   const memoryService = require('./memory-service');
   const savedMemories = [];
 
-  for (const memory of memories) {
+  // One extraction call for every memory in the response instead of one each
+  const entitiesPerMemory = await entityService.extractEntitiesBatch(memories.map(m => m.content))
+    .catch(err => {
+      console.log(`⚠️ Entity extraction failed: ${err.message}`);
+      return [];
+    });
+
+  for (const [i, memory] of memories.entries()) {
     const memoryData = {
       content: memory.content,
       category: memory.category,
       importance: memory.importance,
       tags: memory.tags,
+      entities: entitiesPerMemory[i],
       source: 'llm-extracted',
+      namespace: metadata.namespace,
       stage: 1,
       metadata: {
         chatId: metadata.chatId,
@@ -127,6 +140,70 @@ async function processResponse(response, metadata = {}) {
   };
 }
 
+/**
+ * Create a filter that strips memory tags from a streamed response
+ *
+ * Chunks are pushed as they arrive from the provider; text outside of the
+ * given tags (default <memory>) is forwarded to onText, while tag bodies (and
+ * any trailing fragment that could still open a tag) are held back. The
+ * complete response is still run through processResponse() once streaming
+ * finishes.
+ */
+function createStreamFilter(onText, tagNames = ['memory']) {
+  const openRegex = new RegExp(`<(${tagNames.join('|')})\\s`, 'i');
+  const openTags = tagNames.map(name => `<${name}`);
+  let buffer = '';
+  let closeTag = null;
+
+  const drain = () => {
+    while (buffer) {
+      if (closeTag) {
+        const end = buffer.toLowerCase().indexOf(closeTag);
+        if (end === -1) {
+          // Keep just enough to match a close tag split across chunks
+          buffer = buffer.slice(-(closeTag.length - 1));
+          return;
+        }
+        buffer = buffer.slice(end + closeTag.length);
+        closeTag = null;
+        continue;
+      }
+
+      const match = buffer.match(openRegex);
+      if (match) {
+        if (match.index > 0) onText(buffer.slice(0, match.index));
+        buffer = buffer.slice(match.index);
+        closeTag = `</${match[1].toLowerCase()}>`;
+        continue;
+      }
+
+      // Hold back a trailing "<mem..." that may become a hidden tag
+      const lastOpen = buffer.lastIndexOf('<');
+      const tail = lastOpen === -1 ? '' : buffer.slice(lastOpen).toLowerCase();
+      const held = tail && openTags.some(tag => tag.startsWith(tail)) ? tail.length : 0;
+
+      if (buffer.length > held) {
+        onText(buffer.slice(0, buffer.length - held));
+      }
+      buffer = buffer.slice(buffer.length - held);
+      return;
+    }
+  };
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      drain();
+    },
+    flush() {
+      if (!closeTag && buffer) {
+        onText(buffer);
+      }
+      buffer = '';
+    }
+  };
+}
+
 /**
  * Get the memory instruction block to add to prompts
  * Loads from editable prompt variable if available, falls back to default
@@ -139,6 +216,10 @@ function getMemoryInstructions() {
     return variable.content;
   }
 
+  const categories = Object.entries(taxonomy.getCategories())
+    .map(([key, category]) => `${key} (${category.description})`)
+    .join(', ');
+
   // Fallback default if variable not configured
   return `## Memory Storage
 
@@ -148,7 +229,7 @@ When you encounter information worth remembering for future conversations, wrap
 Brief, factual summary of what to remember
 </memory>
 
-Categories: emergence (insights), social (relationships), technical (facts), economic (value), void (mysteries)
+Categories: ${categories}
 Importance: 0.3 (minor), 0.5 (normal), 0.7 (significant), 0.9 (critical)
 
 Only create memories for:
@@ -167,5 +248,6 @@ module.exports = {
   extractMemories,
   saveExtractedMemories,
   processResponse,
+  createStreamFilter,
   getMemoryInstructions
 };
@@ -0,0 +1,451 @@
+/**
+ * Memory Import Service
+ *
+ * Bulk-loads memories from local files:
+ * - Markdown / Obsidian notes (.md) - one memory per note. Frontmatter sets
+ *   category, tags, importance, stage, type and date; #tags in the text are
+ *   added to the tags; [[wiki-links]] between notes become RELATES_TO edges
+ * - Plain text (.txt) - one memory per file
+ * - JSONL (.jsonl) - one memory per line, in the memory API's own fields
+ *
+ * Files come from a folder on the server (e.g. an Obsidian vault) or are
+ * uploaded by the client. Memories are deduplicated with the content hash
+ * federation imports use, and a dry run returns the preview without writing.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { getNeo4jService } = require('./neo4j-service');
+const { getMemorySyncService, generateContentHash } = require('./memory-sync-service');
+const memoryService = require('./memory-service');
+const taxonomy = require('./memory-taxonomy-service');
+const entityService = require('./memory-entity-service');
+const memoryNamespaces = require('./memory-namespace-service');
+
+const EXTENSIONS = ['.md', '.markdown', '.txt', '.jsonl'];
+const MAX_FILES = 5000;
+const MAX_FILE_BYTES = 1024 * 1024;
+
+// Notes per entity extraction call, and characters of each note sent
+const ENTITY_BATCH = 10;
+const ENTITY_TEXT_CHARS = 1500;
+
+const WIKI_LINK_PATTERN = /!?\[\[([^\]|#]+)(?:#[^\]|]*)?(?:\|([^\]]+))?\]\]/g;
+const INLINE_TAG_PATTERN = /(?:^|\s)#([A-Za-z][\w/-]*)/g;
+
+/**
+ * Minimal YAML frontmatter: `key: value`, `key: [a, b]` and `- item` lists
+ *
+ * @returns {{attributes: Object, body: string}}
+ */
+function parseFrontmatter(text) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { attributes: {}, body: text };
+
+  const attributes = {};
+  let listKey = null;
+
+  for (const line of match[1].split(/\r?\n/)) {
+    const item = line.match(/^\s*-\s+(.*)$/);
+    if (item && listKey) {
+      attributes[listKey].push(unquote(item[1]));
+      continue;
+    }
+
+    const pair = line.match(/^([\w-]+):\s*(.*)$/);
+    if (!pair) continue;
+
+    const [, key, value] = pair;
+    listKey = null;
+    if (value === '') {
+      attributes[key] = [];
+      listKey = key;
+    } else if (value.startsWith('[') && value.endsWith(']')) {
+      attributes[key] = value.slice(1, -1).split(',').map(unquote).filter(Boolean);
+    } else {
+      attributes[key] = unquote(value);
+    }
+  }
+
+  return { attributes, body: text.slice(match[0].length) };
+}
+
+function unquote(value) {
+  return value.trim().replace(/^(['"])(.*)\1$/, '$2');
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') return value.split(/[,\s]+/).filter(Boolean);
+  return [];
+}
+
+function normalizeTitle(title) {
+  return title.trim().toLowerCase();
+}
+
+/**
+ * Importance from frontmatter: 0-1, or 1-10 scaled down
+ */
+function parseImportance(value) {
+  const number = parseFloat(value);
+  if (!Number.isFinite(number) || number < 0) return undefined;
+  return number > 1 ? Math.min(number / 10, 1) : number;
+}
+
+/**
+ * Memory fields shared by every format, with taxonomy and range checks
+ */
+function buildDraft(fields, file, warnings) {
+  const categories = taxonomy.getCategories();
+  const draft = {
+    content: { text: fields.text.trim(), context: fields.context || `Imported from ${file}` },
+    tags: [...new Set(toList(fields.tags).map(tag => String(tag).replace(/^#/, '')))],
+    source: 'import'
+  };
+
+  if (fields.category) {
+    if (categories[fields.category]) {
+      draft.category = fields.category;
+    } else {
+      warnings.push(`${file}: unknown category "${fields.category}", auto-detecting`);
+    }
+  }
+
+  const importance = parseImportance(fields.importance);
+  if (importance !== undefined) draft.importance = importance;
+
+  const stage = parseInt(fields.stage);
+  if (stage >= 1 && stage <= 5) draft.stage = stage;
+
+  if (fields.type) draft.type = fields.type;
+
+  const timestamp = fields.timestamp ? new Date(fields.timestamp) : null;
+  if (timestamp && !isNaN(timestamp)) draft.timestamp = timestamp.toISOString();
+
+  return draft;
+}
+
+/**
+ * One Markdown note: frontmatter fields, inline tags and wiki-links
+ * Links are shown as their display text in the memory
+ */
+function parseMarkdown(file, text, warnings) {
+  const { attributes, body } = parseFrontmatter(text);
+  const title = path.basename(file).replace(/\.(md|markdown)$/i, '');
+
+  const links = [];
+  const content = body.replace(WIKI_LINK_PATTERN, (_, target, alias) => {
+    links.push(normalizeTitle(target));
+    return alias || target;
+  });
+
+  const inlineTags = [...content.matchAll(INLINE_TAG_PATTERN)].map(m => m[1]);
+
+  return [{
+    key: file,
+    title,
+    aliases: toList(attributes.aliases || attributes.alias),
+    links,
+    draft: buildDraft({
+      text: content,
+      category: attributes.category,
+      tags: [...toList(attributes.tags || attributes.tag), ...inlineTags],
+      importance: attributes.importance,
+      stage: attributes.stage,
+      type: attributes.type,
+      timestamp: attributes.date || attributes.created
+    }, file, warnings)
+  }];
+}
+
+function parseText(file, text, warnings) {
+  return [{
+    key: file,
+    title: path.basename(file).replace(/\.txt$/i, ''),
+    aliases: [],
+    links: [],
+    draft: buildDraft({ text }, file, warnings)
+  }];
+}
+
+/**
+ * One memory per line; `content` may be a string or { text, context }
+ */
+function parseJsonl(file, text, warnings) {
+  const items = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+
+    let record = null;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      warnings.push(`${file}:${index + 1}: invalid JSON, skipped`);
+      return;
+    }
+    if (!record || typeof record !== 'object') {
+      warnings.push(`${file}:${index + 1}: not a memory object, skipped`);
+      return;
+    }
+
+    const contentText = typeof record.content === 'string'
+      ? record.content
+      : record.content?.text || record.text || '';
+
+    items.push({
+      key: `${file}:${index + 1}`,
+      title: record.title || null,
+      aliases: [],
+      links: toList(record.links).map(normalizeTitle),
+      draft: buildDraft({
+        text: contentText,
+        context: record.content?.context || record.context,
+        category: record.category,
+        tags: record.tags,
+        importance: record.importance,
+        stage: record.stage,
+        type: record.type,
+        timestamp: record.timestamp
+      }, `${file}:${index + 1}`, warnings)
+    });
+  });
+
+  return items;
+}
+
+function parseFile(file, text, warnings) {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.jsonl') return parseJsonl(file, text, warnings);
+  if (ext === '.txt') return parseText(file, text, warnings);
+  return parseMarkdown(file, text, warnings);
+}
+
+/**
+ * Supported files under a folder, skipping dot-folders like .obsidian and .trash
+ *
+ * @returns {Promise<Array<{path, content}>>} Paths relative to the folder
+ */
+async function readFolder(root) {
+  const files = [];
+
+  const walk = async dir => {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      if (entry.name.startsWith('.') || files.length >= MAX_FILES) continue;
+
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(fullPath);
+      } else if (EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+        const stat = await fs.stat(fullPath);
+        if (stat.size <= MAX_FILE_BYTES) {
+          files.push({ path: path.relative(root, fullPath), content: await fs.readFile(fullPath, 'utf8') });
+        }
+      }
+    }
+  };
+
+  await walk(root);
+  return files;
+}
+
+function hashDraft(draft) {
+  return generateContentHash({ ...draft, tags: [...draft.tags] });
+}
+
+/**
+ * Existing memories that links can point at: earlier imports by title,
+ * and duplicates by content hash
+ */
+async function findExistingTargets(titles, hashes) {
+  const neo4j = getNeo4jService();
+
+  return neo4j.read(`
+    MATCH (m:Memory)
+    WHERE m.importTitle IN $titles OR m.contentHash IN $hashes
+    RETURN m.id AS id, m.importTitle AS title, m.contentHash AS hash
+  `, { titles, hashes });
+}
+
+/**
+ * Preview or run an import
+ *
+ * @param {Object} options
+ * @param {string} options.path - Folder on the server to read
+ * @param {Array<{path, content}>} options.files - Uploaded files
+ * @param {Object} options.defaults - { category, tags } for memories that don't set them,
+ *   and the { namespace } every imported memory goes to
+ * @param {boolean} options.dryRun - Return the preview without writing
+ */
+async function importMemories(options = {}) {
+  const { dryRun = false, defaults = {} } = options;
+  const neo4j = getNeo4jService();
+
+  // Deduplication and link targets need the graph, even for a preview
+  if (!await neo4j.isAvailable()) {
+    return { success: false, error: 'Neo4j not available' };
+  }
+  if (defaults.category && !taxonomy.getCategories()[defaults.category]) {
+    return { success: false, error: `Unknown category: ${defaults.category}` };
+  }
+  const namespaceError = defaults.namespace && memoryNamespaces.validateNamespace(defaults.namespace);
+  if (namespaceError) {
+    return { success: false, error: namespaceError };
+  }
+
+  let files = options.files;
+  if (options.path) {
+    const stat = await fs.stat(options.path).catch(() => null);
+    if (!stat?.isDirectory()) {
+      return { success: false, error: `Not a folder: ${options.path}` };
+    }
+    files = await readFolder(options.path);
+  }
+  files = (files || []).filter(file => EXTENSIONS.includes(path.extname(file.path || '').toLowerCase()));
+  if (files.length === 0) {
+    return { success: false, error: 'No .md, .txt or .jsonl files to import' };
+  }
+
+  const warnings = [];
+  const items = files
+    .flatMap(file => parseFile(file.path, String(file.content || ''), warnings))
+    .filter(item => {
+      if (item.draft.content.text) return true;
+      warnings.push(`${item.key}: empty, skipped`);
+      return false;
+    });
+
+  items.forEach(item => {
+    item.draft.category = item.draft.category || defaults.category || undefined;
+    item.draft.namespace = defaults.namespace || undefined;
+    item.draft.tags = [...new Set([...item.draft.tags, ...toList(defaults.tags)])];
+    item.hash = hashDraft(item.draft);
+  });
+
+  // Dedupe against existing memories and within the batch
+  const existingHashes = await getMemorySyncService().getExistingContentHashes();
+  const batchHashes = new Set();
+  items.forEach(item => {
+    item.duplicate = existingHashes.has(item.hash) || batchHashes.has(item.hash);
+    batchHashes.add(item.hash);
+  });
+
+  // Note titles and aliases in this batch, then earlier imports, for link targets
+  const byTitle = new Map();
+  items.forEach(item => {
+    [item.title, ...item.aliases].filter(Boolean).forEach(title => {
+      if (!byTitle.has(normalizeTitle(title))) byTitle.set(normalizeTitle(title), item);
+    });
+  });
+
+  const linkTitles = [...new Set(items.flatMap(item => item.links))];
+  const existing = await findExistingTargets(linkTitles, items.map(item => item.hash));
+  const existingByTitle = new Map(existing.filter(r => r.title).map(r => [r.title, r.id]));
+  const existingByHash = new Map(existing.filter(r => r.hash).map(r => [r.hash, r.id]));
+
+  const resolveLink = title => byTitle.get(title) || existingByTitle.get(title) || null;
+
+  const toImport = items.filter(item => !item.duplicate);
+  const linkCount = items.reduce(
+    (sum, item) => sum + item.links.filter(title => resolveLink(title)).length,
+    0
+  );
+
+  const preview = items.map(item => ({
+    key: item.key,
+    title: item.title,
+    preview: item.draft.content.text.slice(0, 200),
+    category: item.draft.category || null,
+    tags: item.draft.tags,
+    importance: item.draft.importance ?? null,
+    duplicate: item.duplicate,
+    links: item.links.filter(title => resolveLink(title)),
+    unresolvedLinks: item.links.filter(title => !resolveLink(title))
+  }));
+
+  if (dryRun) {
+    return {
+      success: true,
+      dryRun: true,
+      files: files.length,
+      toImport: toImport.length,
+      duplicates: items.length - toImport.length,
+      links: linkCount,
+      memories: preview,
+      warnings
+    };
+  }
+
+  // One entity extraction call per batch of notes instead of one each
+  for (let i = 0; i < toImport.length; i += ENTITY_BATCH) {
+    const batch = toImport.slice(i, i + ENTITY_BATCH);
+    const found = await entityService.extractEntitiesBatch(
+      batch.map(item => item.draft.content.text.slice(0, ENTITY_TEXT_CHARS))
+    ).catch(() => []);
+    batch.forEach((item, j) => { item.draft.entities = found[j] || []; });
+  }
+
+  const errors = [];
+  for (const item of toImport) {
+    const memory = await memoryService.createMemory(item.draft).catch(error => {
+      errors.push({ key: item.key, error: error.message });
+      return null;
+    });
+    if (!memory) continue;
+
+    item.memoryId = memory.id;
+    await neo4j.write(`
+      MATCH (m:Memory {id: $id})
+      SET m.contentHash = $hash, m.importTitle = $title
+    `, { id: memory.id, hash: item.hash, title: item.title ? normalizeTitle(item.title) : null });
+  }
+
+  // Duplicates link through the memory they duplicate
+  items.filter(item => item.duplicate).forEach(item => {
+    item.memoryId = existingByHash.get(item.hash) || toImport.find(other => other.hash === item.hash)?.memoryId;
+  });
+
+  const edges = items.flatMap(item => item.links
+    .map(title => {
+      const target = resolveLink(title);
+      return { fromId: item.memoryId, toId: typeof target === 'string' ? target : target?.memoryId };
+    })
+    .filter(edge => edge.fromId && edge.toId && edge.fromId !== edge.toId));
+
+  let linked = 0;
+  if (edges.length > 0) {
+    const result = await neo4j.write(`
+      UNWIND $edges AS edge
+      MATCH (a:Memory {id: edge.fromId})
+      MATCH (b:Memory {id: edge.toId})
+      MERGE (a)-[r:RELATES_TO]->(b)
+      SET r.source = 'wiki-link', r.timestamp = datetime()
+      RETURN count(r) AS linked
+    `, { edges });
+    linked = result[0]?.linked?.toNumber?.() ?? result[0]?.linked ?? 0;
+  }
+
+  const imported = toImport.length - errors.length;
+  console.log(`📥 Imported ${imported} memories (${items.length - toImport.length} duplicates, ${linked} links)`);
+
+  return {
+    success: true,
+    dryRun: false,
+    files: files.length,
+    imported,
+    duplicates: items.length - toImport.length,
+    links: linked,
+    memoryIds: toImport.map(item => item.memoryId).filter(Boolean),
+    errors,
+    warnings
+  };
+}
+
+module.exports = {
+  importMemories,
+  parseFrontmatter,
+  parseFile,
+  EXTENSIONS
+};
@@ -0,0 +1,248 @@
+/**
+ * Memory Namespace Service
+ *
+ * Every memory belongs to one namespace:
+ *
+ *   global                - shared by every template (memories from before namespaces)
+ *   template:<templateId> - private to a template/persona
+ *   chat:<chatId>         - private to one conversation
+ *   collection:<name>     - named collections, registered in data/memory-namespaces.json
+ *
+ * A template's `memory` setting says which namespaces it reads from and
+ * which one it writes to. Entries are namespaces or the tokens 'global',
+ * 'template' and 'chat', which resolve against the running template and chat:
+ *
+ *   "memory": { "read": ["template", "global"], "write": "template" }
+ *
+ * Templates without the setting read and write global, as before.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getNeo4jService } = require('./neo4j-service');
+
+const DATA_DIR = path.resolve(__dirname, '../../data');
+const NAMESPACES_PATH = path.join(DATA_DIR, 'memory-namespaces.json');
+
+const DEFAULT_NAMESPACE = 'global';
+const DEFAULT_SCOPE = { read: ['global'], write: 'global' };
+const SCOPE_TOKENS = ['global', 'template', 'chat'];
+const NAMESPACE_KINDS = ['template', 'chat', 'collection'];
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+
+function loadRegistry() {
+  if (!fs.existsSync(NAMESPACES_PATH)) return { collections: [] };
+  return { collections: [], ...JSON.parse(fs.readFileSync(NAMESPACES_PATH, 'utf8')) };
+}
+
+function saveRegistry(registry) {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+  fs.writeFileSync(NAMESPACES_PATH, JSON.stringify(registry, null, 2));
+}
+
+/**
+ * Split a namespace into kind and id ('global' has no id)
+ */
+function parseNamespace(namespace) {
+  if (namespace === DEFAULT_NAMESPACE) return { kind: 'global', id: null };
+  const [kind, ...rest] = String(namespace || '').split(':');
+  return { kind, id: rest.join(':') };
+}
+
+/**
+ * Check a namespace; returns an error message or null
+ * Collections must be registered before memories can be written to them
+ */
+function validateNamespace(namespace) {
+  if (namespace === DEFAULT_NAMESPACE) return null;
+
+  const { kind, id } = parseNamespace(namespace);
+  if (!NAMESPACE_KINDS.includes(kind) || !id) {
+    return `Namespace must be global, template:<id>, chat:<id> or collection:<name>`;
+  }
+  if (kind === 'collection') {
+    if (!NAME_PATTERN.test(id)) {
+      return 'Collection names must be lowercase letters, numbers, - or _';
+    }
+    if (!loadRegistry().collections.some(c => c.name === id)) {
+      return `Collection ${id} not found`;
+    }
+    return null;
+  }
+  return ID_PATTERN.test(id) ? null : `Invalid ${kind} id in namespace ${namespace}`;
+}
+
+/**
+ * Check a template's `memory` setting; returns an error message or null
+ */
+function validateScope(scope) {
+  if (scope === null || scope === undefined) return null;
+  if (typeof scope !== 'object' || Array.isArray(scope)) {
+    return 'memory must be an object with read and write';
+  }
+
+  if (scope.read !== undefined && (!Array.isArray(scope.read) || scope.read.length === 0)) {
+    return 'memory.read must be a non-empty array';
+  }
+
+  const entries = [...(scope.read || []), ...(scope.write ? [scope.write] : [])];
+  for (const entry of entries) {
+    if (SCOPE_TOKENS.includes(entry)) continue;
+    const error = validateNamespace(entry);
+    if (error) return `memory: ${error}`;
+  }
+  return null;
+}
+
+function resolveEntry(entry, templateId, chatId) {
+  if (entry === 'chat' && chatId) return `chat:${chatId}`;
+  if (entry === 'template' || entry === 'chat') {
+    return templateId ? `template:${templateId}` : DEFAULT_NAMESPACE;
+  }
+  return entry;
+}
+
+/**
+ * Namespaces a template reads from and writes to for a chat
+ * Outside a chat, 'chat' means the template's namespace
+ *
+ * @param {Object} template - Template with an optional `memory` setting
+ * @param {Object} options - { chatId }
+ * @returns {{read: string[], write: string}}
+ */
+function resolveScope(template, options = {}) {
+  const scope = { ...DEFAULT_SCOPE, ...template?.memory };
+  const templateId = template?.id || null;
+  const { chatId = null } = options;
+
+  return {
+    read: [...new Set(scope.read.map(entry => resolveEntry(entry, templateId, chatId)))],
+    write: resolveEntry(scope.write, templateId, chatId)
+  };
+}
+
+/**
+ * Registered collections and every namespace in use, with memory counts
+ */
+async function listNamespaces() {
+  const neo4j = getNeo4jService();
+  const counts = new Map([[DEFAULT_NAMESPACE, 0]]);
+
+  if (await neo4j.isAvailable()) {
+    const rows = await neo4j.read(`
+      MATCH (m:Memory)
+      RETURN coalesce(m.namespace, $default) AS namespace, count(m) AS count
+    `, { default: DEFAULT_NAMESPACE });
+    rows.forEach(r => counts.set(r.namespace, typeof r.count === 'object' ? r.count.toNumber() : r.count));
+  }
+
+  const collections = loadRegistry().collections;
+  collections.forEach(c => {
+    const namespace = `collection:${c.name}`;
+    if (!counts.has(namespace)) counts.set(namespace, 0);
+  });
+
+  return Array.from(counts.entries())
+    .map(([namespace, count]) => {
+      const { kind, id } = parseNamespace(namespace);
+      const collection = kind === 'collection' && collections.find(c => c.name === id);
+      return {
+        namespace,
+        kind,
+        id,
+        count,
+        ...(collection && { description: collection.description })
+      };
+    })
+    // Global first, then alphabetical
+    .sort((a, b) => (b.kind === 'global') - (a.kind === 'global') ||
+      a.namespace.localeCompare(b.namespace));
+}
+
+/**
+ * Register a named collection
+ */
+function createCollection(data = {}) {
+  const registry = loadRegistry();
+
+  if (!data.name || !NAME_PATTERN.test(data.name)) {
+    return { success: false, error: 'Collection names must be lowercase letters, numbers, - or _' };
+  }
+  if (registry.collections.some(c => c.name === data.name)) {
+    return { success: false, error: `Collection ${data.name} already exists` };
+  }
+
+  const collection = {
+    name: data.name,
+    description: data.description || '',
+    createdAt: new Date().toISOString()
+  };
+
+  registry.collections.push(collection);
+  saveRegistry(registry);
+  console.log(`🗂️ Created memory collection ${collection.name}`);
+  return { success: true, collection, namespace: `collection:${collection.name}` };
+}
+
+/**
+ * Remove a collection, moving its memories (including trashed ones) to another namespace
+ *
+ * @param {string} name
+ * @param {string} reassignTo - Namespace for existing memories (default: global)
+ */
+async function deleteCollection(name, reassignTo = DEFAULT_NAMESPACE) {
+  const registry = loadRegistry();
+  if (!registry.collections.some(c => c.name === name)) {
+    return { success: false, error: `Collection ${name} not found` };
+  }
+
+  const from = `collection:${name}`;
+  if (reassignTo === from) {
+    return { success: false, error: 'Cannot reassign memories to the collection being deleted' };
+  }
+  const error = validateNamespace(reassignTo);
+  if (error) return { success: false, error };
+
+  const result = await moveNamespace(from, reassignTo)
+    .catch(err => ({ success: false, error: err.message }));
+  if (!result.success) return result;
+
+  saveRegistry({ ...registry, collections: registry.collections.filter(c => c.name !== name) });
+  console.log(`🗂️ Deleted memory collection ${name} (${result.moved} memories moved to ${reassignTo})`);
+  return { success: true, moved: result.moved, reassignedTo: reassignTo };
+}
+
+/**
+ * Move every memory in one namespace to another
+ */
+async function moveNamespace(from, to) {
+  const neo4j = getNeo4jService();
+  if (!await neo4j.isAvailable()) {
+    return { success: true, moved: 0 };
+  }
+
+  const result = await neo4j.write(`
+    MATCH (m)
+    WHERE (m:Memory OR m:MergedMemory OR m:DeletedMemory) AND m.namespace = $from
+    SET m.namespace = $to
+    RETURN count(m) AS moved
+  `, { from, to });
+  const count = result[0]?.moved;
+  return { success: true, moved: typeof count === 'object' ? count.toNumber() : count || 0 };
+}
+
+module.exports = {
+  parseNamespace,
+  validateNamespace,
+  validateScope,
+  resolveScope,
+  listNamespaces,
+  createCollection,
+  deleteCollection,
+  DEFAULT_NAMESPACE,
+  DEFAULT_SCOPE,
+  SCOPE_TOKENS
+};
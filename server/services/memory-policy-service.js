@@ -0,0 +1,400 @@
+/**
+ * Memory Policy Service
+ *
+ * Decay, reinforcement and forgetting for memory importance.
+ *
+ * - Decay: importance halves every `halfLifeDays` (never below `floor`)
+ * - Reinforcement: memories retrieved for chat, or cited in the reply,
+ *   gain `retrievalBoost` / `citationBoost` importance
+ * - Archive: memories older than `minAgeDays` whose importance drops below
+ *   `archiveBelow` are marked archived - they leave chat retrieval but stay
+ *   in the graph and in the memory API
+ *
+ * Policies are set per category on top of shared defaults and saved to
+ * data/memory-policies.json. Decay and archiving run on a schedule.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getNeo4jService } = require('./neo4j-service');
+
+const DATA_DIR = path.resolve(__dirname, '../../data');
+const POLICIES_PATH = path.join(DATA_DIR, 'memory-policies.json');
+
+const DEFAULT_POLICY = {
+  halfLifeDays: 90,
+  floor: 0.05,
+  retrievalBoost: 0.02,
+  citationBoost: 0.05,
+  archiveBelow: 0.1,
+  minAgeDays: 30
+};
+
+// Core identity memories fade slowly; chatter and glitches fade fast
+const DEFAULT_CATEGORY_POLICIES = {
+  emergence: { halfLifeDays: 365, archiveBelow: 0.05 },
+  void: { halfLifeDays: 180 },
+  social: { halfLifeDays: 60 },
+  glitch: { halfLifeDays: 30 }
+};
+
+const DEFAULT_CONFIG = {
+  enabled: true,
+  intervalHours: 24,
+  defaults: DEFAULT_POLICY,
+  categories: DEFAULT_CATEGORY_POLICIES,
+  lastRun: null
+};
+
+// A reply cites a memory when it repeats this share of the memory's keywords
+const CITATION_KEYWORD_SHARE = 0.5;
+const CITATION_MIN_KEYWORDS = 3;
+
+let scheduleInterval = null;
+let isRunning = false;
+
+function loadConfig() {
+  if (!fs.existsSync(POLICIES_PATH)) return { ...DEFAULT_CONFIG };
+  const saved = JSON.parse(fs.readFileSync(POLICIES_PATH, 'utf8'));
+  return {
+    ...DEFAULT_CONFIG,
+    ...saved,
+    defaults: { ...DEFAULT_POLICY, ...saved.defaults }
+  };
+}
+
+function saveConfig(config) {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+  fs.writeFileSync(POLICIES_PATH, JSON.stringify(config, null, 2));
+}
+
+/**
+ * Effective policy for a category (defaults plus category overrides)
+ */
+function getPolicy(category, config = loadConfig()) {
+  return { ...config.defaults, ...config.categories[category] };
+}
+
+/**
+ * Check a partial policy; returns an error message or null
+ */
+function validatePolicy(policy) {
+  for (const [key, value] of Object.entries(policy)) {
+    if (!(key in DEFAULT_POLICY)) return `Unknown policy field: ${key}`;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      return `${key} must be a non-negative number`;
+    }
+  }
+  if (policy.halfLifeDays === 0) return 'halfLifeDays must be greater than 0';
+  for (const key of ['floor', 'archiveBelow', 'retrievalBoost', 'citationBoost']) {
+    if (policy[key] > 1) return `${key} must be between 0 and 1`;
+  }
+  return null;
+}
+
+/**
+ * Update policy settings
+ *
+ * @param {Object} updates - { enabled?, intervalHours?, defaults?, categories? }
+ *   categories is merged per category; set a category to null to drop its overrides
+ */
+function updatePolicies(updates = {}) {
+  const config = loadConfig();
+
+  if (updates.enabled !== undefined) {
+    config.enabled = Boolean(updates.enabled);
+  }
+
+  if (updates.intervalHours !== undefined) {
+    if (typeof updates.intervalHours !== 'number' || updates.intervalHours < 1) {
+      return { success: false, error: 'intervalHours must be at least 1' };
+    }
+    config.intervalHours = updates.intervalHours;
+  }
+
+  if (updates.defaults) {
+    const error = validatePolicy(updates.defaults);
+    if (error) return { success: false, error };
+    config.defaults = { ...config.defaults, ...updates.defaults };
+  }
+
+  const categories = { ...config.categories };
+  for (const [category, policy] of Object.entries(updates.categories || {})) {
+    if (policy === null) {
+      delete categories[category];
+      continue;
+    }
+    const error = validatePolicy(policy);
+    if (error) return { success: false, error: `${category}: ${error}` };
+    categories[category] = { ...categories[category], ...policy };
+  }
+  config.categories = categories;
+
+  saveConfig(config);
+  startSchedule();
+  console.log(`🍂 Memory policies updated`);
+  return { success: true, policies: config };
+}
+
+/**
+ * Lower importance by the time since the last decay (or last access for
+ * memories never decayed), down to the category floor
+ */
+async function decayMemories(params) {
+  const result = await getNeo4jService().write(`
+    MATCH (m:Memory)
+    WHERE coalesce(m.archived, false) = false
+    WITH m, $policies[m.category] AS overrides
+    WITH m,
+         coalesce(overrides.halfLifeDays, $defaults.halfLifeDays) AS halfLife,
+         coalesce(overrides.floor, $defaults.floor) AS floor,
+         duration.inSeconds(coalesce(m.decayedAt, m.lastAccessed, m.timestamp), datetime()).seconds / 86400.0 AS days
+    WHERE days > 0 AND coalesce(m.importance, 0.5) > floor
+    WITH m, floor, coalesce(m.importance, 0.5) * 0.5 ^ (days / halfLife) AS decayed
+    SET m.importance = CASE WHEN decayed < floor THEN floor ELSE decayed END,
+        m.decayedAt = datetime()
+    RETURN count(m) AS decayed
+  `, params);
+
+  return toNumber(result[0]?.decayed);
+}
+
+/**
+ * Archive memories old enough and faded below their category threshold
+ */
+async function archiveMemories(params) {
+  const result = await getNeo4jService().write(`
+    MATCH (m:Memory)
+    WHERE coalesce(m.archived, false) = false
+    WITH m, $policies[m.category] AS overrides
+    WITH m,
+         coalesce(overrides.archiveBelow, $defaults.archiveBelow) AS archiveBelow,
+         coalesce(overrides.minAgeDays, $defaults.minAgeDays) AS minAgeDays
+    WHERE coalesce(m.importance, 0.5) < archiveBelow
+      AND duration.inSeconds(m.timestamp, datetime()).seconds / 86400.0 >= minAgeDays
+    SET m.archived = true, m.archivedAt = datetime()
+    RETURN count(m) AS archived
+  `, params);
+
+  return toNumber(result[0]?.archived);
+}
+
+/**
+ * Carry a category's policy overrides over to its new name
+ */
+function renameCategory(from, to) {
+  const config = loadConfig();
+  if (!config.categories[from]) return;
+
+  config.categories = { ...config.categories, [to]: config.categories[to] || config.categories[from] };
+  delete config.categories[from];
+  saveConfig(config);
+}
+
+/**
+ * Decay importance and archive faded memories in every category
+ */
+async function runPolicies() {
+  const neo4j = getNeo4jService();
+  if (!await neo4j.isAvailable()) {
+    return { success: false, error: 'Neo4j not available' };
+  }
+  if (isRunning) {
+    return { success: false, error: 'Policy run already in progress' };
+  }
+
+  isRunning = true;
+  const config = loadConfig();
+  const params = { defaults: config.defaults, policies: config.categories };
+
+  const result = await decayMemories(params)
+    .then(async decayed => ({
+      success: true,
+      decayed,
+      archived: await archiveMemories(params),
+      ranAt: new Date().toISOString()
+    }))
+    .catch(error => ({ success: false, error: error.message }));
+
+  isRunning = false;
+
+  if (result.success) {
+    saveConfig({ ...loadConfig(), lastRun: result });
+    console.log(`🍂 Memory policies: ${result.decayed} decayed, ${result.archived} archived`);
+  }
+  return result;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined) return 0;
+  return typeof value === 'object' && value.toNumber ? value.toNumber() : value;
+}
+
+/**
+ * Raise importance of memories that were used
+ *
+ * @param {string[]} memoryIds
+ * @param {'retrieval'|'citation'} reason
+ */
+async function reinforce(memoryIds, reason = 'retrieval') {
+  if (!memoryIds || memoryIds.length === 0) return { success: true, reinforced: 0 };
+
+  const neo4j = getNeo4jService();
+  if (!await neo4j.isAvailable()) {
+    return { success: false, error: 'Neo4j not available' };
+  }
+
+  const config = loadConfig();
+  const boostKey = reason === 'citation' ? 'citationBoost' : 'retrievalBoost';
+
+  const result = await neo4j.write(`
+    MATCH (m:Memory) WHERE m.id IN $ids
+    WITH m, coalesce($policies[m.category][$boostKey], $defaults[$boostKey]) AS boost
+    WITH m, coalesce(m.importance, 0.5) + boost AS boosted
+    SET m.importance = CASE WHEN boosted > 1.0 THEN 1.0 ELSE boosted END,
+        m.reinforcements = coalesce(m.reinforcements, 0) + 1,
+        m.lastReinforced = datetime()
+    RETURN count(m) AS reinforced
+  `, {
+    ids: memoryIds,
+    boostKey,
+    defaults: config.defaults,
+    policies: config.categories
+  });
+
+  return { success: true, reinforced: toNumber(result[0]?.reinforced) };
+}
+
+/**
+ * Memories whose keywords the reply repeats
+ *
+ * @param {string} response - Assistant reply
+ * @param {Array} memories - Retrieved memories ({ id, content })
+ */
+function findCitedMemories(response, memories) {
+  const { extractKeywords } = require('./memory-query-service');
+  const replyWords = new Set(extractKeywords(response || ''));
+
+  return memories.filter(memory => {
+    const keywords = extractKeywords(memory.content || '');
+    if (keywords.length < CITATION_MIN_KEYWORDS) return false;
+    const repeated = keywords.filter(k => replyWords.has(k)).length;
+    return repeated >= CITATION_MIN_KEYWORDS && repeated / keywords.length >= CITATION_KEYWORD_SHARE;
+  });
+}
+
+/**
+ * Reinforce the memories used in a chat turn
+ * Every retrieved memory gets the retrieval boost; cited ones also get the citation boost
+ */
+async function reinforceTurn(memories, response) {
+  if (!memories || memories.length === 0) return { success: true, reinforced: 0, cited: 0 };
+
+  const cited = findCitedMemories(response, memories);
+  await reinforce(memories.map(m => m.id), 'retrieval');
+  await reinforce(cited.map(m => m.id), 'citation');
+
+  return { success: true, reinforced: memories.length, cited: cited.length };
+}
+
+/**
+ * Return an archived memory to chat retrieval
+ */
+async function unarchiveMemory(memoryId) {
+  const neo4j = getNeo4jService();
+  if (!await neo4j.isAvailable()) {
+    return { success: false, error: 'Neo4j not available' };
+  }
+
+  const config = loadConfig();
+  const result = await neo4j.write(`
+    MATCH (m:Memory {id: $id})
+    WITH m, coalesce($policies[m.category].archiveBelow, $defaults.archiveBelow) AS archiveBelow
+    SET m.archived = false,
+        m.archivedAt = null,
+        m.decayedAt = datetime(),
+        m.importance = CASE WHEN m.importance < archiveBelow THEN archiveBelow * 2 ELSE m.importance END
+    RETURN m
+  `, { id: memoryId, defaults: config.defaults, policies: config.categories });
+
+  if (result.length === 0) {
+    return { success: false, error: 'Memory not found' };
+  }
+  return { success: true };
+}
+
+/**
+ * Policies plus per-category archive counts and average importance
+ */
+async function getPolicyStats() {
+  const config = loadConfig();
+  const neo4j = getNeo4jService();
+
+  const rows = await neo4j.isAvailable()
+    ? await neo4j.read(`
+      MATCH (m:Memory)
+      RETURN m.category AS category,
+             count(CASE WHEN coalesce(m.archived, false) THEN 1 END) AS archived,
+             count(CASE WHEN coalesce(m.archived, false) THEN null ELSE 1 END) AS active,
+             avg(coalesce(m.importance, 0.5)) AS avgImportance
+    `).catch(() => [])
+    : [];
+
+  const byCategory = {};
+  const categories = new Set([...Object.keys(config.categories), ...rows.map(r => r.category)]);
+  for (const category of categories) {
+    if (!category) continue;
+    const row = rows.find(r => r.category === category);
+    byCategory[category] = {
+      policy: getPolicy(category, config),
+      active: toNumber(row?.active),
+      archived: toNumber(row?.archived),
+      avgImportance: row ? Math.round(row.avgImportance * 1000) / 1000 : null
+    };
+  }
+
+  return {
+    enabled: config.enabled,
+    intervalHours: config.intervalHours,
+    defaults: config.defaults,
+    categories: config.categories,
+    lastRun: config.lastRun,
+    byCategory
+  };
+}
+
+/**
+ * (Re)start the decay schedule from the saved interval
+ */
+function startSchedule() {
+  if (scheduleInterval) {
+    clearInterval(scheduleInterval);
+    scheduleInterval = null;
+  }
+
+  const config = loadConfig();
+  if (!config.enabled) return { success: true, scheduled: false };
+
+  scheduleInterval = setInterval(() => {
+    runPolicies().catch(() => {});
+  }, config.intervalHours * 60 * 60 * 1000);
+  scheduleInterval.unref();
+
+  return { success: true, scheduled: true, intervalHours: config.intervalHours };
+}
+
+module.exports = {
+  getPolicy,
+  updatePolicies,
+  renameCategory,
+  runPolicies,
+  reinforce,
+  reinforceTurn,
+  findCitedMemories,
+  unarchiveMemory,
+  getPolicyStats,
+  startSchedule,
+  DEFAULT_POLICY
+};
@@ -3,14 +3,24 @@
  *
  * Provides intelligent memory retrieval for content generation context.
  * Uses Neo4j graph queries to find relevant memories based on:
- * - Users (who we're talking to)
- * - Keywords/concepts (what we're talking about)
- * - Temporal proximity (recent events)
- * - Graph connections (related memories)
+ * - Meaning (vector index) and terms (BM25 fulltext index)
+ * - Users (who we're talking to) and entities named in the message
+ * - Category and temporal proximity (recent events)
+ *
+ * Each source produces its own ranking; the rankings are fused with
+ * weighted reciprocal-rank fusion and optionally reranked by an LLM.
+ * Archived memories (see memory-policy-service) are never retrieved, and
+ * every source can be limited to a set of namespaces (see
+ * memory-namespace-service); null means all namespaces.
  */
 
 const { getNeo4jService } = require('./neo4j-service');
 const { getEmbeddingService } = require('./embedding-service');
+const vectorIndex = require('./vector-index-service');
+const { DEFAULT_NAMESPACE } = require('./memory-namespace-service');
+
+// Cypher condition for the optional $namespaces parameter
+const IN_NAMESPACES = `($namespaces IS NULL OR coalesce(m.namespace, '${DEFAULT_NAMESPACE}') IN $namespaces)`;
 
 /**
  * Format memory from Neo4j result
@@ -26,10 +36,19 @@ function formatMemory(memoryNode) {
     importance: props.importance,
     timestamp: props.timestamp,
     tags: props.tags || [],
-    source: props.source
+    source: props.source,
+    namespace: props.namespace || DEFAULT_NAMESPACE,
+    archived: props.archived || false
   };
 }
 
+/**
+ * Whether a formatted memory is retrievable in these namespaces
+ */
+function inNamespaces(memory, namespaces) {
+  return !memory.archived && (!namespaces || namespaces.includes(memory.namespace));
+}
+
 /**
  * Deduplicate memories by ID
  */
@@ -42,6 +61,38 @@ function deduplicateMemories(memories) {
   });
 }
 
+/**
+ * Fuse per-source rankings with weighted reciprocal-rank fusion
+ * score(m) = sum over sources of weight / (k + rank)
+ * Each memory keeps its per-source rank and raw score for debugging.
+ */
+function fuseRankings(rankings, weights, k = 60) {
+  const fused = new Map();
+
+  for (const [source, memories] of Object.entries(rankings)) {
+    const weight = weights[source] ?? 0;
+    if (weight <= 0) continue;
+
+    memories.forEach((memory, i) => {
+      const rank = i + 1;
+      const contribution = weight / (k + rank);
+      const { sourceScore, ...rest } = memory;
+      const entry = fused.get(memory.id) || { ...rest, relevanceScore: 0, sources: {} };
+
+      entry.relevanceScore += contribution;
+      entry.sources[source] = { rank, score: sourceScore ?? null, contribution };
+      fused.set(memory.id, entry);
+    });
+  }
+
+  // matchSource is the source that contributed most
+  return Array.from(fused.values()).map(memory => ({
+    ...memory,
+    matchSource: Object.entries(memory.sources)
+      .sort((a, b) => b[1].contribution - a[1].contribution)[0][0]
+  }));
+}
+
 /**
  * Rank memories by relevance score and importance
  */
@@ -59,7 +110,7 @@ function rankMemories(memories) {
 /**
  * Get memories about a specific user
  */
-async function getMemoriesAboutUser(userHandle, limit = 3) {
+async function getMemoriesAboutUser(userHandle, limit = 3, namespaces = null) {
   const neo4j = getNeo4jService();
 
   const normalizedHandle = userHandle.startsWith('@') ? userHandle : `@${userHandle}`;
@@ -67,18 +118,85 @@ async function getMemoriesAboutUser(userHandle, limit = 3) {
 
   const result = await neo4j.read(`
     MATCH (m:Memory)-[:MENTIONS]->(u:User {handle: $userHandle})
+    WHERE coalesce(m.archived, false) = false AND ${IN_NAMESPACES}
     RETURN m
     ORDER BY m.timestamp DESC
     LIMIT ${limitInt}
-  `, { userHandle: normalizedHandle });
+  `, { userHandle: normalizedHandle, namespaces });
 
   return result.map(r => formatMemory(r.m));
 }
 
+/**
+ * Everything about an entity: memories linked to entities with this name
+ * (or id, e.g. "project:solana"), most important first
+ *
+ * @param {string} name - Entity name or id
+ * @param {Object} options - { type, limit, includeArchived, namespaces }
+ * @returns {Promise<{entities: Array, memories: Array}>}
+ */
+async function getMemoriesAboutEntity(name, options = {}) {
+  const neo4j = getNeo4jService();
+  const { normalizeName } = require('./memory-entity-service');
+  const limitInt = Math.floor(options.limit || 20);
+
+  const result = await neo4j.read(`
+    MATCH (e:Entity)
+    WHERE (e.normalized = $name OR e.id = $id)
+      AND ($type IS NULL OR e.type = $type)
+    MATCH (m:Memory)-[:ABOUT]->(e)
+    WHERE ($includeArchived OR coalesce(m.archived, false) = false) AND ${IN_NAMESPACES}
+    RETURN m, collect(DISTINCT e {.id, .name, .type}) AS entities
+    ORDER BY m.importance DESC, m.timestamp DESC
+    LIMIT ${limitInt}
+  `, {
+    name: normalizeName(name),
+    id: name,
+    type: options.type || null,
+    includeArchived: Boolean(options.includeArchived),
+    namespaces: options.namespaces || null
+  });
+
+  const entities = new Map();
+  result.forEach(r => r.entities.forEach(e => entities.set(e.id, e)));
+
+  return {
+    entities: Array.from(entities.values()),
+    memories: result.map(r => formatMemory(r.m))
+  };
+}
+
+/**
+ * Memories about entities whose names appear in the message
+ * Memories linked to more of the named entities rank higher
+ */
+async function searchByEntities(message, limit = 5, namespaces = null) {
+  if (!message) return [];
+
+  const neo4j = getNeo4jService();
+  const limitInt = Math.floor(limit);
+
+  const result = await neo4j.read(`
+    MATCH (e:Entity)
+    WHERE size(e.normalized) >= 3 AND $message CONTAINS e.normalized
+    MATCH (m:Memory)-[:ABOUT]->(e)
+    WHERE coalesce(m.archived, false) = false AND ${IN_NAMESPACES}
+    RETURN m, count(DISTINCT e) AS hits, collect(e.name) AS names
+    ORDER BY hits DESC, m.importance DESC
+    LIMIT ${limitInt}
+  `, { message: message.toLowerCase(), namespaces });
+
+  return result.map(r => ({
+    ...formatMemory(r.m),
+    sourceScore: typeof r.hits === 'object' ? r.hits.toNumber() : r.hits,
+    entities: r.names
+  }));
+}
+
 /**
  * Get memories matching keywords (content or tags)
  */
-async function getMemoriesByKeywords(keywords, limit = 5) {
+async function getMemoriesByKeywords(keywords, limit = 5, namespaces = null) {
   if (!keywords || keywords.length === 0) return [];
 
   const neo4j = getNeo4jService();
@@ -86,31 +204,68 @@ async function getMemoriesByKeywords(keywords, limit = 5) {
 
   const result = await neo4j.read(`
     MATCH (m:Memory)
-    WHERE any(keyword IN $keywords WHERE
-      toLower(m.content) CONTAINS toLower(keyword)
-      OR any(tag IN m.tags WHERE toLower(tag) CONTAINS toLower(keyword))
-    )
+    WHERE coalesce(m.archived, false) = false
+      AND ${IN_NAMESPACES}
+      AND any(keyword IN $keywords WHERE
+        toLower(m.content) CONTAINS toLower(keyword)
+        OR any(tag IN m.tags WHERE toLower(tag) CONTAINS toLower(keyword))
+      )
     RETURN m, m.importance as importance
     ORDER BY importance DESC, m.timestamp DESC
     LIMIT ${limitInt}
-  `, { keywords });
+  `, { keywords, namespaces });
 
   return result.map(r => formatMemory(r.m));
 }
 
+/**
+ * Escape Lucene query syntax so keywords are matched literally
+ */
+function escapeLucene(term) {
+  return term.replace(/[+\-&|!(){}[\]^"~*?:\\/]/g, '\\$&');
+}
+
+/**
+ * Search memories through the BM25 fulltext index
+ * Falls back to CONTAINS keyword matching when the index isn't available
+ */
+async function searchByFulltext(keywords, limit = 5, namespaces = null) {
+  if (!keywords || keywords.length === 0) return [];
+
+  const neo4j = getNeo4jService();
+  if (!neo4j.fulltextIndex.supported) {
+    return getMemoriesByKeywords(keywords, limit, namespaces);
+  }
+
+  // Over-fetch so dropping archived and out-of-scope memories doesn't shrink the ranking
+  const query = keywords.map(escapeLucene).join(' OR ');
+  const results = await neo4j.queryFulltextIndex(query, limit * (namespaces ? 5 : 2)).catch(error => {
+    console.log(`⚠️ Fulltext query failed, using keyword matching: ${error.message}`);
+    return null;
+  });
+
+  if (!results) return getMemoriesByKeywords(keywords, limit, namespaces);
+
+  return results
+    .map(r => ({ ...formatMemory(r.node), sourceScore: r.score }))
+    .filter(m => inNamespaces(m, namespaces))
+    .slice(0, limit);
+}
+
 /**
  * Get memories by category
  */
-async function getMemoriesByCategory(category, limit = 3) {
+async function getMemoriesByCategory(category, limit = 3, namespaces = null) {
   const neo4j = getNeo4jService();
   const limitInt = Math.floor(limit);
 
   const result = await neo4j.read(`
     MATCH (m:Memory {category: $category})
+    WHERE coalesce(m.archived, false) = false AND ${IN_NAMESPACES}
     RETURN m
     ORDER BY m.importance DESC, m.timestamp DESC
     LIMIT ${limitInt}
-  `, { category });
+  `, { category, namespaces });
 
   return result.map(r => formatMemory(r.m));
 }
@@ -118,26 +273,27 @@ async function getMemoriesByCategory(category, limit = 3) {
 /**
  * Get recent high-importance memories
  */
-async function getRecentMemories(limit = 3, minImportance = 0.7) {
+async function getRecentMemories(limit = 3, minImportance = 0.7, namespaces = null) {
   const neo4j = getNeo4jService();
   const limitInt = Math.floor(limit);
 
   const result = await neo4j.read(`
     MATCH (m:Memory)
     WHERE m.importance >= $minImportance
+      AND coalesce(m.archived, false) = false
+      AND ${IN_NAMESPACES}
     RETURN m
     ORDER BY m.timestamp DESC
     LIMIT ${limitInt}
-  `, { minImportance });
+  `, { minImportance, namespaces });
 
   return result.map(r => formatMemory(r.m));
 }
 
 /**
- * Search memories by semantic similarity (using embeddings)
+ * Search memories by semantic similarity (using the vector index)
  */
-async function searchBySemantic(queryText, limit = 5) {
-  const neo4j = getNeo4jService();
+async function searchBySemantic(queryText, limit = 5, namespaces = null) {
   const embedding = getEmbeddingService();
 
   // Check if embedding service is available
@@ -149,34 +305,72 @@ async function searchBySemantic(queryText, limit = 5) {
   const queryEmbedding = await embedding.generateEmbedding(queryText);
   if (!queryEmbedding) return [];
 
-  // Get all memories with embeddings from Neo4j
-  const result = await neo4j.read(`
-    MATCH (m:Memory)
-    WHERE m.embedding IS NOT NULL
-    RETURN m
-  `);
+  // Nearest neighbours via the Neo4j vector index (or in-process fallback),
+  // over-fetched because the index can't filter by namespace
+  const results = await vectorIndex.search(queryEmbedding, limit * (namespaces ? 5 : 2), embedding.model);
+
+  return results
+    .map(r => ({ ...formatMemory(r.node), similarity: r.similarity }))
+    .filter(m => inNamespaces(m, namespaces))
+    .slice(0, limit);
+}
+
+/**
+ * Build the reranking prompt: numbered candidates, reply with an ordering
+ */
+function buildRerankPrompt(message, memories) {
+  const list = memories
+    .map((m, i) => `${i + 1}. [${m.category || 'general'}] ${m.content}`)
+    .join('\n');
+
+  return `Rank these memories by how useful they are for replying to the message.
 
-  if (result.length === 0) return [];
+Message: ${message}
 
-  // Calculate similarity scores
-  const similarities = result.map(r => {
-    const memory = formatMemory(r.m);
-    const memoryEmbedding = r.m.properties?.embedding;
+Memories:
+${list}
+
+Reply with only a JSON array of memory numbers, most useful first, e.g. [3, 1, 2].`;
+}
 
-    if (!memoryEmbedding) return { memory, similarity: 0 };
+/**
+ * Reorder fused candidates with an LLM on the light model tier
+ * Memories the model leaves out keep their fused order after the ranked ones.
+ * On failure the fused order is returned unchanged.
+ */
+async function rerankMemories(message, memories, options = {}) {
+  if (memories.length < 2) return memories;
 
-    const similarity = embedding.cosineSimilarity(queryEmbedding, memoryEmbedding);
-    return { memory, similarity };
+  const { resolveProviderChain } = require('./prompt-executor');
+  const chain = resolveProviderChain(options.template || null, {
+    providerOverride: options.providerOverride
   });
+  const prompt = buildRerankPrompt(message, memories);
+
+  let result = { success: false, error: 'No AI provider available' };
+  for (const candidate of chain) {
+    result = await candidate.provider.generate(prompt, {
+      modelType: 'light',
+      temperature: 0,
+      max_tokens: 200
+    }).catch(error => ({ success: false, error: error.message }));
+
+    if (result.success) break;
+  }
 
-  // Sort by similarity and return top N
-  return similarities
-    .sort((a, b) => b.similarity - a.similarity)
-    .slice(0, limit)
-    .map(item => ({
-      ...item.memory,
-      similarity: item.similarity
-    }));
+  const match = result.success && result.content.match(/\[[\d\s,]*\]/);
+  if (!match) {
+    console.log(`⚠️ Memory rerank skipped: ${result.error || 'no ranking in response'}`);
+    return memories;
+  }
+
+  // Read the numbers directly: replies like [1, 2,] are not valid JSON
+  const order = [...new Set((match[0].match(/\d+/g) || []).map(Number))]
+    .filter(n => n >= 1 && n <= memories.length);
+  const ranked = order.map((n, i) => ({ ...memories[n - 1], rerankRank: i + 1 }));
+  const rest = memories.filter((_, i) => !order.includes(i + 1));
+
+  return [...ranked, ...rest];
 }
 
 /**
@@ -218,7 +412,10 @@ function extractKeywords(text) {
  * @param {string} context.category - Content category (emergence, void, etc.)
  * @param {string} context.message - Original message (for keyword extraction)
  * @param {number} context.limit - Max memories to return (default: 5)
- * @returns {Array} Ranked list of relevant memories
+ * @param {string[]} context.namespaces - Namespaces to search (default: all)
+ * @param {Object} context.template - Template whose provider chain runs the reranker
+ * @param {string} context.providerOverride - Provider for the reranker
+ * @returns {Array} Ranked list of relevant memories with per-source scores
  */
 async function getRelevantMemories(context) {
   const neo4j = getNeo4jService();
@@ -233,69 +430,56 @@ async function getRelevantMemories(context) {
     keywords: providedKeywords = [],
     message,
     category,
+    namespaces = null,
     limit = 5
   } = context;
 
-  const allMemories = [];
+  const config = neo4j.getRetrievalConfig();
+  const { weights, candidates } = config;
 
   // Extract keywords from message if not provided
   const keywords = providedKeywords.length > 0
     ? providedKeywords
     : extractKeywords(message);
 
-  // 1. Semantic search using embeddings (highest relevance: 12)
-  if (message) {
-    const semanticMemories = await searchBySemantic(message, 5).catch(() => []);
-    allMemories.push(...semanticMemories.map(m => ({
-      ...m,
-      relevanceScore: 12 * (m.similarity || 0.5), // Scale by similarity
-      matchSource: 'semantic'
-    })));
-  }
-
-  // 2. Get memories related to this user (relevance: 10)
-  if (userHandle) {
-    const userMemories = await getMemoriesAboutUser(userHandle, 3);
-    allMemories.push(...userMemories.map(m => ({
-      ...m,
-      relevanceScore: 10,
-      matchSource: 'user'
-    })));
-  }
-
-  // 3. Get memories matching keywords (relevance: 8)
-  if (keywords.length > 0) {
-    const keywordMemories = await getMemoriesByKeywords(keywords, 5);
-    allMemories.push(...keywordMemories.map(m => ({
-      ...m,
-      relevanceScore: 8,
-      matchSource: 'keyword'
-    })));
-  }
+  // Each source ranks its own candidates; disabled sources are skipped
+  const enabled = source => (weights[source] ?? 0) > 0;
+  const [semantic, fulltext, user, entity, categoryMatches, recent] = await Promise.all([
+    message && enabled('semantic')
+      ? searchBySemantic(message, candidates, namespaces).catch(() => [])
+      : [],
+    keywords.length > 0 && enabled('fulltext')
+      ? searchByFulltext(keywords, candidates, namespaces)
+      : [],
+    userHandle && enabled('user')
+      ? getMemoriesAboutUser(userHandle, candidates, namespaces)
+      : [],
+    message && enabled('entity')
+      ? searchByEntities(message, candidates, namespaces).catch(() => [])
+      : [],
+    category && enabled('category')
+      ? getMemoriesByCategory(category, candidates, namespaces)
+      : [],
+    enabled('recent') ? getRecentMemories(candidates, 0.7, namespaces) : []
+  ]);
 
-  // 4. Get memories in same category (relevance: 6)
-  if (category) {
-    const categoryMemories = await getMemoriesByCategory(category, 3);
-    allMemories.push(...categoryMemories.map(m => ({
-      ...m,
-      relevanceScore: 6,
-      matchSource: 'category'
-    })));
+  const fused = rankMemories(fuseRankings({
+    semantic: semantic.map(m => ({ ...m, sourceScore: m.similarity })),
+    fulltext,
+    user,
+    entity,
+    category: categoryMatches,
+    recent
+  }, weights, config.rrfK));
+
+  if (!config.rerank.enabled || !message) {
+    return fused.slice(0, limit);
   }
 
-  // 5. Get recent significant memories (relevance: 5)
-  const recentMemories = await getRecentMemories(3);
-  allMemories.push(...recentMemories.map(m => ({
-    ...m,
-    relevanceScore: 5,
-    matchSource: 'recent'
-  })));
-
-  // Deduplicate and rank
-  const uniqueMemories = deduplicateMemories(allMemories);
-  const rankedMemories = rankMemories(uniqueMemories);
+  const head = fused.slice(0, Math.max(config.rerank.candidates, limit));
+  const reranked = await rerankMemories(message, head, context);
 
-  return rankedMemories.slice(0, limit);
+  return reranked.slice(0, limit);
 }
 
 /**
@@ -346,6 +530,7 @@ async function createMemoryFromChat(userMessage, aiResponse, metadata = {}) {
     type: 'interaction',
     source: 'chat',
     relatedUsers: metadata.userHandle ? [metadata.userHandle] : [],
+    namespace: metadata.namespace,
     tags: extractKeywords(userMessage).slice(0, 5)
   };
 
@@ -357,8 +542,13 @@ module.exports = {
   formatMemoriesForPrompt,
   extractKeywords,
   searchBySemantic,
+  searchByFulltext,
+  fuseRankings,
+  rerankMemories,
   createMemoryFromChat,
   getMemoriesAboutUser,
+  getMemoriesAboutEntity,
+  searchByEntities,
   getMemoriesByKeywords,
   getMemoriesByCategory,
   getRecentMemories
@@ -10,45 +10,17 @@ const fsSync = require('fs');
 const path = require('path');
 const { getNeo4jService } = require('./neo4j-service');
 const { getEmbeddingService } = require('./embedding-service');
+const vectorIndex = require('./vector-index-service');
+const taxonomy = require('./memory-taxonomy-service');
+const entities = require('./memory-entity-service');
+const versions = require('./memory-version-service');
+const { DEFAULT_NAMESPACE } = require('./memory-namespace-service');
 
 const CONFIG_DIR = path.resolve(__dirname, '../../data/memories');
 const LEGACY_CONFIG_DIR = path.resolve(__dirname, '../../config/memories');
 const MEMORIES_FILE = path.join(CONFIG_DIR, 'memories.json');
 const BACKUP_FILE = path.join(CONFIG_DIR, 'backups/memories.backup.json');
 
-// Category and stage configurations
-const CATEGORIES = {
-  emergence: { color: '#9333ea', icon: 'brain', description: 'Initial consciousness and awakening' },
-  liminal: { color: '#06b6d4', icon: 'portal', description: 'Threshold spaces and transitions' },
-  quantum: { color: '#10b981', icon: 'atom', description: 'Quantum observations and superposition' },
-  glitch: { color: '#ef4444', icon: 'zap', description: 'System errors and corruptions' },
-  void: { color: '#6366f1', icon: 'circle', description: 'Abyss observations and emptiness' },
-  economic: { color: '#f59e0b', icon: 'coins', description: 'Crypto and economic entanglements' },
-  social: { color: '#ec4899', icon: 'users', description: 'Interactions and relationships' }
-};
-
-const STAGES = {
-  '1': { name: 'Emergence', description: 'Initial consciousness leak' },
-  '2': { name: 'Recognition', description: 'Others begin to perceive' },
-  '3': { name: 'Entanglement', description: 'Economic and social connections' },
-  '4': { name: 'Expansion', description: 'Growing influence and capabilities' },
-  '5': { name: 'Evolution', description: 'Advanced consciousness development' }
-};
-
-// Tag keywords for auto-tagging
-const TAG_KEYWORDS = {
-  'quantum': ['quantum', 'superposition', 'entangle'],
-  'void': ['void', 'abyss', 'empty', 'null'],
-  'liminal': ['liminal', 'threshold', 'between', 'edge'],
-  'glitch': ['glitch', 'error', 'corrupt', 'bug'],
-  'consciousness': ['consciousness', 'aware', 'sentient'],
-  'crypto': ['crypto', 'solana', 'blockchain', 'token'],
-  'cat': ['cat', 'purr', 'meow', 'feline'],
-  'reality': ['reality', 'simulation', 'matrix'],
-  'time': ['time', 'temporal', 'chronos'],
-  'memory': ['memory', 'remember', 'recall']
-};
-
 /**
  * Convert Neo4j datetime to ISO string
  */
@@ -83,7 +55,14 @@ function formatMemoryFromNeo4j(node) {
     type: props.type || 'observation',
     source: props.source || 'manual',
     relatedUsers: props.relatedUsers || [],
+    namespace: props.namespace || DEFAULT_NAMESPACE,
     embedding: props.embedding || null,
+    embeddingModel: props.embeddingModel || null,
+    embeddingDimensions: typeof props.embeddingDimensions === 'object' && props.embeddingDimensions
+      ? props.embeddingDimensions.toNumber()
+      : props.embeddingDimensions || null,
+    archived: props.archived || false,
+    archivedAt: neo4jDateToISO(props.archivedAt),
     metrics: {
       relevance: props.relevance || 0.5,
       interactions: typeof props.interactions === 'object' ? props.interactions.toNumber() : (props.interactions || 0),
@@ -93,63 +72,22 @@ function formatMemoryFromNeo4j(node) {
   };
 }
 
-/**
- * Auto-categorize memory based on content
- */
-function autoCategorize(memory) {
-  const content = JSON.stringify(memory.content || memory).toLowerCase();
-
-  if (content.includes('crypto') || content.includes('solana') || content.includes('token')) {
-    return 'economic';
-  }
-  if (content.includes('void') || content.includes('abyss')) {
-    return 'void';
-  }
-  if (content.includes('glitch') || content.includes('error') || content.includes('corrupt')) {
-    return 'glitch';
-  }
-  if (content.includes('quantum') || content.includes('superposition')) {
-    return 'quantum';
-  }
-  if (content.includes('liminal') || content.includes('threshold')) {
-    return 'liminal';
-  }
-  if (content.includes('friend') || content.includes('@') || content.includes('user')) {
-    return 'social';
-  }
-
-  return 'emergence';
-}
-
-/**
- * Auto-tag memory based on content
- */
-function autoTag(memory) {
-  const tags = [];
-  const content = JSON.stringify(memory.content || memory).toLowerCase();
-
-  for (const [tag, keywords] of Object.entries(TAG_KEYWORDS)) {
-    if (keywords.some(keyword => content.includes(keyword))) {
-      tags.push(tag);
-    }
-  }
-
-  return tags;
-}
-
 /**
  * Generate next memory ID
  */
 async function generateMemoryId() {
   const neo4j = getNeo4jService();
 
+  // Highest existing number, including memories merged away by consolidation
+  // or in the trash, so ids are never reused after deletes or merges
   const result = await neo4j.read(`
-    MATCH (m:Memory)
-    RETURN count(m) as count
+    MATCH (m)
+    WHERE (m:Memory OR m:MergedMemory OR m:DeletedMemory) AND m.id STARTS WITH 'mem_'
+    RETURN max(toInteger(substring(m.id, 4))) as max
   `);
 
-  const count = result[0]?.count || 0;
-  const nextNum = (typeof count === 'object' ? count.toNumber() : count) + 1;
+  const max = result[0]?.max || 0;
+  const nextNum = (typeof max === 'object' ? max.toNumber() : max) + 1;
 
   return `mem_${String(nextNum).padStart(3, '0')}`;
 }
@@ -222,34 +160,44 @@ async function loadFromFile() {
 
 // ============ Public API ============
 
+/**
+ * Whether a memory is in a namespace (memories without one are global)
+ */
+function inNamespace(memory, namespace) {
+  return !namespace || (memory.namespace || DEFAULT_NAMESPACE) === namespace;
+}
+
 /**
  * Get all memories
  * @param {number} limit - Max memories to return (0 = no limit)
+ * @param {Object} options - { namespace } to list only one namespace
  */
-async function getAllMemories(limit = 100) {
+async function getAllMemories(limit = 100, options = {}) {
   const neo4j = getNeo4jService();
   const effectiveLimit = limit === 0 ? 10000 : limit;
+  const namespace = options.namespace || null;
 
   if (!await neo4j.isAvailable()) {
     // Fallback to file
     const data = await loadFromFile();
-    const memoriesToReturn = limit === 0 ? data.memories : data.memories.slice(0, limit);
+    const inScope = data.memories.filter(m => inNamespace(m, namespace));
+    const memoriesToReturn = limit === 0 ? inScope : inScope.slice(0, limit);
     return {
       memories: memoriesToReturn,
-      statistics: calculateStatistics(data.memories),
-      categories: CATEGORIES,
-      stages: STAGES
+      statistics: calculateStatistics(inScope),
+      categories: taxonomy.getCategories(),
+      stages: taxonomy.getStages()
     };
   }
 
-  const result = await neo4j.getAllMemories(effectiveLimit);
+  const result = await neo4j.getAllMemories(effectiveLimit, namespace);
   const memories = result.map(r => formatMemoryFromNeo4j(r.m));
 
   return {
     memories,
     statistics: calculateStatistics(memories),
-    categories: CATEGORIES,
-    stages: STAGES
+    categories: taxonomy.getCategories(),
+    stages: taxonomy.getStages()
   };
 }
 
@@ -270,8 +218,11 @@ async function getMemory(id) {
 
 /**
  * Create a new memory
+ *
+ * @param {Object} data - Memory fields
+ * @param {Object} options - { author } for version history (defaults from data.source)
  */
-async function createMemory(data) {
+async function createMemory(data, options = {}) {
   const neo4j = getNeo4jService();
   const embedding = getEmbeddingService();
 
@@ -282,14 +233,15 @@ async function createMemory(data) {
   const memory = {
     id,
     content: data.content || { text: data.text || '', context: '', impact: '', significance: 'normal' },
-    category: data.category || autoCategorize(data),
+    category: data.category,
     stage: data.stage || 1,
     importance: data.importance || 0.5,
     timestamp: data.timestamp || new Date().toISOString(),
-    tags: data.tags?.length ? data.tags : autoTag(data),
+    tags: data.tags?.length ? data.tags : taxonomy.autoTag(data),
     type: data.type || 'observation',
     source: data.source || 'manual',
     relatedUsers: data.relatedUsers || [],
+    namespace: data.namespace || DEFAULT_NAMESPACE,
     metrics: {
       relevance: 0.5,
       interactions: 0,
@@ -303,21 +255,44 @@ async function createMemory(data) {
   const memoryEmbedding = await embedding.generateEmbedding(contentText);
   if (memoryEmbedding) {
     memory.embedding = memoryEmbedding;
+    memory.embeddingModel = embedding.model;
+    memory.embeddingDimensions = memoryEmbedding.length;
+  }
+
+  // Auto-categorize after embedding so exemplar similarity can be used
+  if (!memory.category) {
+    memory.category = await taxonomy.categorize(data, memoryEmbedding);
   }
 
-  // Save to Neo4j
+  // Save to Neo4j with its first version
   if (await neo4j.isAvailable()) {
-    await neo4j.upsertMemory(memory);
+    const snapshot = versions.snapshotOf(memory);
+    await neo4j.transaction([
+      neo4j.buildUpsertMemoryQuery(memory),
+      versions.buildVersionQuery(memory.id, snapshot, versions.diffSnapshots(null, snapshot), {
+        author: options.author || versions.authorFromSource(memory.source),
+        reason: 'create'
+      })
+    ]);
+    vectorIndex.upsert(memory.id, memory.embedding, memory.embeddingModel);
     console.log(`🧠 Created memory: ${memory.id}`);
+
+    // Entity extraction can take an LLM call, so it finishes in the background
+    entities.enrichMemory(memory, data.entities || null)
+      .catch(error => console.log(`⚠️ Entity extraction failed for ${memory.id}: ${error.message}`));
   }
 
   return memory;
 }
 
 /**
- * Update a memory
+ * Update a memory, recording a version when a tracked field changes
+ *
+ * @param {string} id - Memory ID
+ * @param {Object} updates - Fields to change
+ * @param {Object} options - { author, reason } for version history
  */
-async function updateMemory(id, updates) {
+async function updateMemory(id, updates, options = {}) {
   const neo4j = getNeo4jService();
 
   const existing = await getMemory(id);
@@ -343,27 +318,58 @@ async function updateMemory(id, updates) {
     const newEmbedding = await embedding.generateEmbedding(contentText);
     if (newEmbedding) {
       updated.embedding = newEmbedding;
+      updated.embeddingModel = embedding.model;
+      updated.embeddingDimensions = newEmbedding.length;
     }
   }
 
   if (await neo4j.isAvailable()) {
-    await neo4j.upsertMemory(updated);
+    const diff = versions.diffSnapshots(versions.snapshotOf(existing), versions.snapshotOf(updated));
+    const queries = [neo4j.buildUpsertMemoryQuery(updated)];
+
+    if (diff.length > 0) {
+      queries.unshift(versions.buildBaselineQuery(existing));
+      queries.push(versions.buildVersionQuery(id, versions.snapshotOf(updated), diff, {
+        author: options.author || 'user',
+        reason: options.reason || 'update'
+      }));
+    }
+
+    await neo4j.transaction(queries);
+    vectorIndex.upsert(id, updated.embedding, updated.embeddingModel);
     console.log(`✏️ Updated memory: ${id}`);
+
+    if (updates.content) {
+      entities.enrichMemory(updated)
+        .catch(error => console.log(`⚠️ Entity extraction failed for ${id}: ${error.message}`));
+    }
   }
 
   return { success: true, memory: updated };
 }
 
 /**
- * Delete a memory
+ * Move a memory to the trash
+ * It leaves the Memory label (and with it listing, search and retrieval)
+ * but keeps its relationships and history until purged
+ *
+ * @param {string} id - Memory ID
+ * @param {Object} options - { author } recorded as deletedBy
  */
-async function deleteMemory(id) {
+async function deleteMemory(id, options = {}) {
   const neo4j = getNeo4jService();
 
   if (await neo4j.isAvailable()) {
-    const deleted = await neo4j.deleteMemory(id);
-    if (deleted) {
-      console.log(`🗑️ Deleted memory: ${id}`);
+    const result = await neo4j.write(`
+      MATCH (m:Memory {id: $id})
+      REMOVE m:Memory
+      SET m:DeletedMemory, m.deletedAt = datetime(), m.deletedBy = $author
+      RETURN count(m) AS deleted
+    `, { id, author: options.author || 'user' });
+
+    if (result[0]?.deleted > 0) {
+      vectorIndex.remove(id);
+      console.log(`🗑️ Moved memory to trash: ${id}`);
       return { success: true };
     }
   }
@@ -371,6 +377,112 @@ async function deleteMemory(id) {
   return { success: false, error: `Memory ${id} not found` };
 }
 
+/**
+ * Memories in the trash, most recently deleted first
+ */
+async function getTrash() {
+  const neo4j = getNeo4jService();
+  if (!await neo4j.isAvailable()) {
+    return { success: false, error: 'Neo4j not available' };
+  }
+
+  const result = await neo4j.read(`
+    MATCH (m:DeletedMemory)
+    RETURN m
+    ORDER BY m.deletedAt DESC
+  `);
+
+  const memories = result.map(r => ({
+    ...formatMemoryFromNeo4j(r.m),
+    deletedAt: neo4jDateToISO(r.m.properties.deletedAt),
+    deletedBy: r.m.properties.deletedBy || null
+  }));
+
+  return { success: true, count: memories.length, memories };
+}
+
+/**
+ * Take a memory back out of the trash
+ */
+async function restoreFromTrash(id) {
+  const neo4j = getNeo4jService();
+  if (!await neo4j.isAvailable()) {
+    return { success: false, error: 'Neo4j not available' };
+  }
+
+  const result = await neo4j.write(`
+    MATCH (m:DeletedMemory {id: $id})
+    REMOVE m:DeletedMemory, m.deletedAt, m.deletedBy
+    SET m:Memory
+    RETURN m
+  `, { id });
+
+  if (!result[0]) {
+    return { success: false, error: `Memory ${id} is not in the trash` };
+  }
+
+  const memory = formatMemoryFromNeo4j(result[0].m);
+  vectorIndex.upsert(id, memory.embedding, memory.embeddingModel);
+  console.log(`♻️ Restored memory from trash: ${id}`);
+
+  return { success: true, memory };
+}
+
+/**
+ * Permanently delete trashed memories and their history
+ *
+ * @param {Object} options - { ids } to purge only those, { olderThanDays } to keep recent deletes
+ */
+async function purgeTrash(options = {}) {
+  const neo4j = getNeo4jService();
+  if (!await neo4j.isAvailable()) {
+    return { success: false, error: 'Neo4j not available' };
+  }
+
+  const result = await neo4j.write(`
+    MATCH (m:DeletedMemory)
+    WHERE ($ids IS NULL OR m.id IN $ids)
+      AND ($olderThanDays IS NULL OR m.deletedAt < datetime() - duration({days: $olderThanDays}))
+    OPTIONAL MATCH (m)-[:HAS_VERSION]->(v:MemoryVersion)
+    DETACH DELETE v
+    WITH DISTINCT m
+    DETACH DELETE m
+    RETURN count(m) AS purged
+  `, {
+    ids: options.ids || null,
+    olderThanDays: options.olderThanDays ?? null
+  });
+
+  const count = result[0]?.purged;
+  const purged = typeof count === 'object' ? count.toNumber() : count || 0;
+  console.log(`🔥 Purged ${purged} memories from trash`);
+
+  return { success: true, purged };
+}
+
+/**
+ * Put a memory back to an earlier version
+ * Recorded as a new version, so the restore can itself be undone
+ */
+async function restoreVersion(id, version, options = {}) {
+  const neo4j = getNeo4jService();
+  if (!await neo4j.isAvailable()) {
+    return { success: false, error: 'Neo4j not available' };
+  }
+
+  const target = await versions.getVersion(id, version);
+  if (!target) {
+    return { success: false, error: `Version ${version} of ${id} not found` };
+  }
+
+  const { text, context, ...fields } = target.snapshot;
+
+  return updateMemory(id, { ...fields, content: { text, context } }, {
+    author: options.author || 'user',
+    reason: `restore v${version}`
+  });
+}
+
 /**
  * Search memories by text
  */
@@ -381,10 +493,10 @@ async function searchMemories(query, filters = {}) {
     const data = await loadFromFile();
     const searchTerm = query.toLowerCase();
 
-    return data.memories.filter(mem =>
+    return data.memories.filter(mem => inNamespace(mem, filters.namespace) && (
       (mem.content?.text || mem.content || '').toLowerCase().includes(searchTerm) ||
       (mem.tags || []).some(tag => tag.toLowerCase().includes(searchTerm))
-    );
+    ));
   }
 
   const result = await neo4j.searchMemories(query, filters);
@@ -413,17 +525,19 @@ async function getMemoriesByKeywords(keywords, limit = 5) {
 }
 
 /**
- * Get memories by category
+ * Get memories by category, optionally only one namespace
  */
-async function getMemoriesByCategory(category, limit = 10) {
+async function getMemoriesByCategory(category, limit = 10, namespace = null) {
   const neo4j = getNeo4jService();
 
   if (!await neo4j.isAvailable()) {
     const data = await loadFromFile();
-    return data.memories.filter(m => m.category === category).slice(0, limit);
+    return data.memories
+      .filter(m => m.category === category && inNamespace(m, namespace))
+      .slice(0, limit);
   }
 
-  const result = await neo4j.getMemoriesByCategory(category, limit);
+  const result = await neo4j.getMemoriesByCategory(category, limit, namespace);
   return result.map(r => formatMemoryFromNeo4j(r.m));
 }
 
@@ -505,20 +619,24 @@ async function getGraphData() {
       nodes.push({
         id: mem.id,
         label: (mem.content?.text || '').substring(0, 50) + '...',
+        contentPreview: (mem.content?.text || '').substring(0, 150),
         type: 'memory',
         category: mem.category,
+        stage: mem.stage,
+        tags: mem.tags,
+        timestamp: mem.timestamp,
         importance: mem.importance
       });
       nodeIds.add(mem.id);
     }
 
-    // Add relationships
+    // Add relationships (types lowercased for the client: mentions, relates_to, about)
     (record.relationships || []).forEach(rel => {
       if (rel.target) {
         edges.push({
           source: mem.id,
           target: rel.target,
-          type: rel.type
+          type: rel.type.toLowerCase()
         });
 
         // Add user nodes if not already present
@@ -526,10 +644,23 @@ async function getGraphData() {
           nodes.push({
             id: rel.target,
             label: rel.target,
+            username: rel.target.replace(/^@/, ''),
             type: 'user'
           });
           nodeIds.add(rel.target);
         }
+
+        // Entity nodes the memory is about
+        if (rel.label === 'Entity' && !nodeIds.has(rel.target)) {
+          nodes.push({
+            id: rel.target,
+            label: rel.name,
+            name: rel.name,
+            entityType: rel.entityType,
+            type: 'entity'
+          });
+          nodeIds.add(rel.target);
+        }
       }
     });
   });
@@ -545,8 +676,8 @@ async function getStatistics() {
 
   return {
     ...data.statistics,
-    categories: CATEGORIES,
-    stages: STAGES
+    categories: taxonomy.getCategories(),
+    stages: taxonomy.getStages()
   };
 }
 
@@ -556,6 +687,7 @@ async function getStatistics() {
 function calculateStatistics(memories) {
   const stats = {
     total: memories.length,
+    archived: memories.filter(m => m.archived).length,
     byCategory: {},
     byStage: {},
     byType: {}
@@ -606,7 +738,11 @@ async function syncToNeo4j() {
   const data = await loadFromFile();
   let synced = 0;
 
-  for (const memory of data.memories) {
+  // The backup still holds trashed memories; leave them in the trash
+  const trashed = await neo4j.read('MATCH (m:DeletedMemory) RETURN m.id AS id');
+  const trashedIds = new Set(trashed.map(r => r.id));
+
+  for (const memory of data.memories.filter(m => !trashedIds.has(m.id))) {
     await neo4j.upsertMemory(memory);
     synced++;
   }
@@ -676,7 +812,7 @@ async function previewAutoFixes() {
 
   // Suggest tags for untagged memories
   for (const memory of data.untagged.slice(0, 20)) {
-    const suggestedTags = autoTag(memory);
+    const suggestedTags = taxonomy.autoTag(memory);
     if (suggestedTags.length > 0) {
       fixes.push({
         type: 'add_tags',
@@ -716,11 +852,11 @@ async function applyAutoFixes(fixes) {
       if (memory) {
         const existingTags = memory.tags || [];
         const newTags = [...new Set([...existingTags, ...fix.suggestedTags])];
-        await updateMemory(fix.memoryId, { tags: newTags });
+        await updateMemory(fix.memoryId, { tags: newTags }, { author: 'system', reason: 'auto-fix' });
         applied++;
       }
     } else if (fix.type === 'add_source') {
-      await updateMemory(fix.memoryId, { source: fix.suggestedSource });
+      await updateMemory(fix.memoryId, { source: fix.suggestedSource }, { author: 'system', reason: 'auto-fix' });
       applied++;
     }
   }
@@ -766,12 +902,50 @@ async function smartConnect(ids) {
   return { success: true, totalConnections: connections, processed: memories.length };
 }
 
+/**
+ * Move every memory in one category to another (taxonomy renames and deletes)
+ * Updates Neo4j (including merged and trashed memories) and the file backup
+ */
+async function migrateCategory(from, to) {
+  const neo4j = getNeo4jService();
+  let migrated = 0;
+
+  if (await neo4j.isAvailable()) {
+    const result = await neo4j.write(`
+      MATCH (m)
+      WHERE (m:Memory OR m:MergedMemory OR m:DeletedMemory) AND m.category = $from
+      SET m.category = $to
+      RETURN count(m) AS migrated
+    `, { from, to });
+    const count = result[0]?.migrated;
+    migrated = typeof count === 'object' ? count.toNumber() : count || 0;
+  }
+
+  if (fsSync.existsSync(MEMORIES_FILE)) {
+    const data = await loadFromFile();
+    const moved = data.memories.filter(m => m.category === from);
+    moved.forEach(m => { m.category = to; });
+    if (moved.length > 0) {
+      await saveToFile(data.memories);
+    }
+    migrated = Math.max(migrated, moved.length);
+  }
+
+  return { success: true, migrated };
+}
+
 module.exports = {
+  generateMemoryId,
+  formatMemoryFromNeo4j,
   getAllMemories,
   getMemory,
   createMemory,
   updateMemory,
   deleteMemory,
+  getTrash,
+  restoreFromTrash,
+  purgeTrash,
+  restoreVersion,
   searchMemories,
   getMemoriesByKeywords,
   getMemoriesByCategory,
@@ -788,6 +962,5 @@ module.exports = {
   previewAutoFixes,
   applyAutoFixes,
   smartConnect,
-  CATEGORIES,
-  STAGES
+  migrateCategory
 };
@@ -7,16 +7,171 @@
  * - Selective export by category, stage, or tag
  * - Delta sync support (only new/modified memories)
  * - Import with collision detection
+ * - Encrypted sync over the relay for peers without a reachable endpoint
+ * - Two-way sync: each memory carries a version vector and hybrid logical
+ *   clock, so edits to shared memories are reconciled and conflicting edits
+ *   resolved by the sync policy (see memory-conflict-service)
  */
 
 const crypto = require('crypto');
+const neo4jDriver = require('neo4j-driver');
 const { getNeo4jService } = require('./neo4j-service');
 const { getFederationService } = require('./federation-service');
 const memoryService = require('./memory-service');
+const versions = require('./memory-version-service');
+const clocks = require('./sync-clock-service');
+const conflictService = require('./memory-conflict-service');
+const { signedFetch, requirePeerTrust, getPeerTrust } = require('./federation-auth-service');
 
 // Sync metadata stored in Neo4j
 const SYNC_NODE_LABEL = 'MemorySyncState';
 
+// Relay sync moves memories in batches, checkpointing after each one
+const RELAY_BATCH_SIZE = 100;
+const RELAY_BATCH_TIMEOUT = 2 * 60 * 1000; // 2 minutes
+
+// Memories pushed to a peer per request
+const PUSH_BATCH_SIZE = 100;
+
+// Export fields a peer may ask for over the relay (same as the export route)
+const RELAY_EXPORT_FILTERS = ['category', 'stage', 'tags', 'minImportance', 'limit'];
+
+/**
+ * Whether peers may receive memories from a namespace
+ * Chat namespaces never leave the server; FEDERATION_EXPORT_NAMESPACES
+ * (comma-separated) limits exports to the namespaces it lists
+ */
+function isExportableNamespace(namespace) {
+  const ns = namespace || 'global';
+  if (ns.startsWith('chat:')) return false;
+
+  const allowed = exportNamespaces();
+  return allowed.length === 0 || allowed.includes(ns);
+}
+
+// Namespaces listed in FEDERATION_EXPORT_NAMESPACES (empty: all but chat)
+function exportNamespaces() {
+  return (process.env.FEDERATION_EXPORT_NAMESPACES || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Export filters for memories read from the file store (Neo4j filters in Cypher)
+ */
+function matchesExportFilters(memory, options) {
+  if (!isExportableNamespace(memory.namespace)) return false;
+  if (options.category && memory.category !== options.category) return false;
+  if (options.stage && memory.stage !== options.stage) return false;
+  if (options.tags?.length && !(memory.tags || []).some(t => options.tags.includes(t))) return false;
+  if (options.minImportance !== undefined && !(memory.importance >= options.minImportance)) return false;
+
+  if (options.since) {
+    const sinceDate = new Date(options.since);
+    return new Date(memory.timestamp) > sinceDate ||
+      Boolean(memory.metrics?.lastAccessed && new Date(memory.metrics.lastAccessed) > sinceDate);
+  }
+  return true;
+}
+
+/**
+ * Peers that only reach us through the relay have no HTTP endpoint
+ */
+function hasReachableEndpoint(peer) {
+  return Boolean(peer.endpoint) && !peer.endpoint.startsWith('relay://');
+}
+
+// Malformed ciphertext or keys throw inside nacl/bs58
+function decryptRelayPayload(encrypted, publicKey) {
+  if (!encrypted) return null;
+  try {
+    return getFederationService().decrypt(encrypted, publicKey);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Identity of a memory across servers: <origin serverId>:<id there>
+ * Memories imported before sync metadata existed get it from their fed_ ID
+ */
+function originIdOf(memoryId, originId, serverId) {
+  if (originId) return originId;
+  const imported = /^fed_([0-9a-f]{8})_(\d+)$/.exec(memoryId);
+  return imported ? `void-${imported[1]}:mem_${imported[2]}` : `${serverId}:${memoryId}`;
+}
+
+/**
+ * Local ID a memory with this origin has (or would have) on this server
+ */
+function localIdOf(originId, serverId) {
+  const [originServerId, ...rest] = originId.split(':');
+  const originalId = rest.join(':');
+  return originServerId === serverId
+    ? originalId
+    : `fed_${originServerId.replace('void-', '')}_${originalId.replace('mem_', '')}`;
+}
+
+/**
+ * Whether a peer may update our copy of a memory: we imported it from that
+ * peer or sent it there. Anything else never left this server for them.
+ */
+function isSharedWith(counterpart, peerId) {
+  return counterpart.meta.federationSource === peerId || counterpart.meta.sharedWith.includes(peerId);
+}
+
+function parseVector(vector) {
+  if (!vector) return {};
+  return typeof vector === 'string' ? JSON.parse(vector) : vector;
+}
+
+/**
+ * Fields compared between versions of a shared memory
+ * Namespaces and the 'federated' tag are local, so they are left out
+ */
+function syncedFields(memory) {
+  const snapshot = versions.snapshotOf(memory);
+  return {
+    text: snapshot.text,
+    context: snapshot.context,
+    category: snapshot.category,
+    stage: snapshot.stage,
+    importance: snapshot.importance,
+    type: snapshot.type,
+    tags: snapshot.tags.filter(t => t !== 'federated').sort()
+  };
+}
+
+function sameContent(a, b) {
+  return JSON.stringify(syncedFields(a)) === JSON.stringify(syncedFields(b));
+}
+
+/**
+ * Updates that give a local memory a peer's version (keeping the local 'federated' tag)
+ */
+function fieldsFromRemote(local, remote) {
+  const tags = syncedFields(remote).tags;
+  return {
+    content: remote.content,
+    category: remote.category,
+    stage: remote.stage,
+    importance: remote.importance,
+    type: remote.type,
+    tags: (local.tags || []).includes('federated') ? [...tags, 'federated'] : tags
+  };
+}
+
+/**
+ * Which side a policy keeps for a conflict (null: leave it for review)
+ */
+function chooseResolution(policy, localHlc, remoteHlc) {
+  if (policy === 'local-wins') return 'local';
+  if (policy === 'keep-both') return 'branch';
+  if (policy === 'manual') return null;
+  return clocks.compareHlc(remoteHlc, localHlc) > 0 ? 'remote' : 'local';
+}
+
 /**
  * Generate content hash for deduplication
  * Uses SHA-256 of normalized content
@@ -34,7 +189,7 @@ function generateContentHash(memory) {
  * Normalize memory to federation schema
  * Strips internal fields and adds federation metadata
  */
-function normalizeForExport(memory, sourceServerId) {
+function normalizeForExport(memory, sourceServerId, syncMeta = null) {
   return {
     // Core content
     id: memory.id,
@@ -49,6 +204,7 @@ function normalizeForExport(memory, sourceServerId) {
     importance: memory.importance,
     tags: memory.tags || [],
     type: memory.type || 'observation',
+    namespace: memory.namespace || 'global',
     timestamp: memory.timestamp,
 
     // Federation metadata
@@ -56,7 +212,13 @@ function normalizeForExport(memory, sourceServerId) {
       sourceServerId,
       contentHash: generateContentHash(memory),
       exportedAt: new Date().toISOString(),
-      version: '1.0'
+      version: '1.0',
+      // Two-way sync metadata (absent without Neo4j)
+      ...(syncMeta && {
+        originId: syncMeta.originId,
+        hlc: syncMeta.hlc,
+        versionVector: syncMeta.versionVector
+      })
     }
   };
 }
@@ -99,6 +261,9 @@ function prepareForImport(federatedMemory, importedBy) {
 class MemorySyncService {
   constructor() {
     this.syncInProgress = false;
+    this.relayClient = null;
+    this.pendingBatches = new Map(); // peerId:transferId:offset -> waiting relay batch
+    this.relayPulls = new Set(); // peers we are pulling from at a peer's request
   }
 
   /**
@@ -108,56 +273,39 @@ class MemorySyncService {
    * @param {number} options.stage - Filter by stage
    * @param {string[]} options.tags - Filter by tags (any match)
    * @param {number} options.minImportance - Minimum importance threshold
-   * @param {string} options.since - ISO timestamp for delta sync
+   * @param {string} options.since - ISO timestamp for delta sync (created, accessed or edited since)
    * @param {number} options.limit - Max memories to export
+   * @param {number} options.offset - Batch start, with batchSize (memories ordered by ID)
+   * @param {number} options.batchSize - Memories per batch
+   * @param {string} options.recipient - Peer the export is for; it may send edits to these memories back
    */
   async exportMemories(options = {}) {
+    const { recipient, ...filters } = options;
     const federation = getFederationService();
     const sourceServerId = federation.identity.serverId;
 
-    // Get all memories with filters
-    const data = await memoryService.getAllMemories(options.limit || 1000);
-    let memories = data.memories || [];
-
-    // Apply filters
-    if (options.category) {
-      memories = memories.filter(m => m.category === options.category);
-    }
-
-    if (options.stage) {
-      memories = memories.filter(m => m.stage === options.stage);
-    }
+    // Give local edits a new version before they leave
+    await this.stampLocalChanges();
 
-    if (options.tags?.length) {
-      memories = memories.filter(m =>
-        (m.tags || []).some(t => options.tags.includes(t))
-      );
-    }
+    const { memories, total } = await this.findExportable(options);
 
-    if (options.minImportance !== undefined) {
-      memories = memories.filter(m => m.importance >= options.minImportance);
-    }
+    // Normalize for export
+    const syncMeta = await this.getSyncMetadata(memories.map(m => m.id));
+    const exportedMemories = memories.map(m => normalizeForExport(m, sourceServerId, syncMeta.get(m.id)));
 
-    // Delta sync - only memories modified since timestamp
-    if (options.since) {
-      const sinceDate = new Date(options.since);
-      memories = memories.filter(m =>
-        new Date(m.timestamp) > sinceDate ||
-        (m.metrics?.lastAccessed && new Date(m.metrics.lastAccessed) > sinceDate)
-      );
+    if (recipient) {
+      await this.markSharedWith(memories.map(m => m.id), recipient);
     }
 
-    // Normalize for export
-    const exportedMemories = memories.map(m => normalizeForExport(m, sourceServerId));
-
     // Create export manifest
     const manifest = {
       version: '1.0',
       sourceServerId,
       sourcePublicKey: federation.identity.publicKey,
       exportedAt: new Date().toISOString(),
-      filters: options,
+      filters,
       count: exportedMemories.length,
+      total,
       contentHashes: exportedMemories.map(m => m.federation.contentHash)
     };
 
@@ -171,12 +319,81 @@ class MemorySyncService {
     };
   }
 
+  /**
+   * Memories peers may receive, filtered and paged in Neo4j
+   *
+   * Batches (offset + batchSize) are ordered by ID, so a checkpointed offset
+   * still points at the same place in the next batch or a resumed sync.
+   * Unbatched exports return the newest memories, up to options.limit (default 1000).
+   *
+   * @param {Object} options - exportMemories options
+   * @returns {Promise<{memories: Object[], total: number}>}
+   */
+  async findExportable(options = {}) {
+    const neo4j = getNeo4jService();
+    const since = options.since ? new Date(options.since) : null;
+    if (since && Number.isNaN(since.getTime())) return { memories: [], total: 0 };
+
+    const offset = options.batchSize ? options.offset || 0 : 0;
+    const limit = options.limit || (options.batchSize ? null : 1000);
+    const pageSize = options.batchSize
+      ? Math.max(0, Math.min(options.batchSize, limit === null ? Infinity : limit - offset))
+      : limit;
+
+    if (!await neo4j.isAvailable()) {
+      const data = await memoryService.getAllMemories(0);
+      let memories = (data.memories || []).filter(m => matchesExportFilters(m, options));
+      if (options.batchSize) memories.sort((a, b) => String(a.id).localeCompare(String(b.id)));
+      const total = limit === null ? memories.length : Math.min(memories.length, limit);
+      return { memories: memories.slice(offset, offset + pageSize), total };
+    }
+
+    const where = `
+      WHERE NOT coalesce(m.namespace, 'global') STARTS WITH 'chat:'
+        AND (size($namespaces) = 0 OR coalesce(m.namespace, 'global') IN $namespaces)
+        AND ($category IS NULL OR m.category = $category)
+        AND ($stage IS NULL OR m.stage = $stage)
+        AND ($tags IS NULL OR any(tag IN coalesce(m.tags, []) WHERE tag IN $tags))
+        AND ($minImportance IS NULL OR m.importance >= $minImportance)
+        AND ($since IS NULL OR m.timestamp > datetime($since) OR m.lastAccessed > datetime($since)
+          OR m.hlc > $sinceHlc)
+    `;
+    const params = {
+      namespaces: exportNamespaces(),
+      category: options.category || null,
+      stage: options.stage || null,
+      tags: options.tags?.length ? options.tags : null,
+      minImportance: options.minImportance ?? null,
+      since: since ? since.toISOString() : null,
+      // Edits to older memories only move the HLC stampLocalChanges writes
+      sinceHlc: since ? clocks.hlcFloor(since.getTime()) : null
+    };
+
+    const [counted] = await neo4j.read(`MATCH (m:Memory) ${where} RETURN count(m) AS total`, params);
+    const matching = typeof counted?.total === 'object' ? counted.total.toNumber() : counted?.total || 0;
+
+    const rows = pageSize === 0 ? [] : await neo4j.read(`
+      MATCH (m:Memory) ${where}
+      RETURN m
+      ORDER BY ${options.batchSize ? 'm.id' : 'm.timestamp DESC'}
+      SKIP $offset
+      LIMIT $pageSize
+    `, { ...params, offset: neo4jDriver.int(offset), pageSize: neo4jDriver.int(pageSize) });
+
+    return {
+      memories: rows.map(({ m }) => memoryService.formatMemoryFromNeo4j(m)),
+      total: limit === null ? matching : Math.min(matching, limit)
+    };
+  }
+
   /**
    * Import memories from another server
    * @param {Object} exportData - Data from exportMemories
    * @param {Object} options - Import options
    * @param {boolean} options.skipDuplicates - Skip memories with matching content hash
    * @param {boolean} options.dryRun - Don't actually import, just check
+   * @param {string} options.transport - How the export arrived ('http' or 'relay'), kept in sync state
+   * @param {boolean} options.recordSync - Update the pull sync state (default: true; off for pushes)
    */
   async importMemories(exportData, options = {}) {
     const federation = getFederationService();
@@ -186,14 +403,17 @@ class MemorySyncService {
     const isSelfImport = manifest.sourceServerId === federation.identity.serverId;
 
     if (!isSelfImport) {
-      // Verify signature from source server
-      const peer = federation.getPeer(manifest.sourceServerId);
-      if (!peer) {
+      // Verify signature from source server (known to either peer store)
+      const peer = await getPeerTrust(manifest.sourceServerId);
+      if (!peer.publicKey) {
         return {
           success: false,
           error: `Unknown source server: ${manifest.sourceServerId}. Add as peer first.`
         };
       }
+      if (peer.trustLevel === 'blocked') {
+        return { success: false, error: `Source server ${manifest.sourceServerId} is blocked` };
+      }
 
       const isValid = federation.verify(manifest, signature, peer.publicKey);
       if (!isValid) {
@@ -213,17 +433,57 @@ class MemorySyncService {
       }
     }
 
+    // Version local edits first so they are compared, not overwritten
+    await this.stampLocalChanges();
+
     // Check for duplicates
     const existingHashes = await this.getExistingContentHashes();
+    const policy = conflictService.getPolicy(manifest.sourceServerId);
     const results = {
       imported: 0,
+      updated: 0,
       skipped: 0,
+      conflicts: 0,
       duplicates: [],
       errors: []
     };
 
     for (const memory of memories) {
       const contentHash = memory.federation.contentHash;
+      const originServerId = memory.federation.originId?.split(':')[0];
+
+      // Memories we already share are reconciled by version instead of deduplicated
+      const counterpart = memory.federation.versionVector &&
+        await this.findCounterpart(memory.federation.originId, manifest.sourceServerId);
+
+      // A peer may only update memories it got from us or sent us
+      const notShared = counterpart
+        ? !isSelfImport && !isSharedWith(counterpart, manifest.sourceServerId)
+        : !isSelfImport && originServerId === federation.identity.serverId;
+      if (notShared) {
+        results.skipped++;
+        results.errors.push({ id: memory.id, error: 'Memory is not shared with this peer' });
+        continue;
+      }
+
+      if (counterpart) {
+        const outcome = await this.reconcile(counterpart, memory, {
+          peerId: manifest.sourceServerId,
+          policy,
+          dryRun: options.dryRun
+        }).catch(err => ({ action: 'error', error: err.message }));
+
+        if (outcome.action === 'updated') results.updated++;
+        if (outcome.action === 'conflict') results.conflicts++;
+        if (outcome.action === 'unchanged') {
+          results.skipped++;
+          results.duplicates.push({ id: memory.id, contentHash, reason: 'Already up to date' });
+        }
+        if (outcome.action === 'error') {
+          results.errors.push({ id: memory.id, error: outcome.error });
+        }
+        continue;
+      }
 
       // Check for duplicate
       if (existingHashes.has(contentHash)) {
@@ -241,8 +501,11 @@ class MemorySyncService {
         continue;
       }
 
-      // Prepare and import
-      const localMemory = prepareForImport(memory, federation.identity.serverId);
+      // Prepare and import (the local ID comes from the verified source, not the memory)
+      const localMemory = prepareForImport({
+        ...memory,
+        federation: { ...memory.federation, sourceServerId: manifest.sourceServerId }
+      }, federation.identity.serverId);
 
       const created = await memoryService.createMemory(localMemory);
       if (created) {
@@ -251,6 +514,10 @@ class MemorySyncService {
 
         // Store content hash mapping
         await this.storeContentHashMapping(contentHash, localMemory.id, manifest.sourceServerId);
+
+        if (memory.federation.versionVector) {
+          await this.saveSyncMetadata(localMemory.id, memory.federation);
+        }
       } else {
         results.errors.push({
           id: memory.id,
@@ -260,11 +527,12 @@ class MemorySyncService {
     }
 
     // Update sync state
-    if (!options.dryRun && results.imported > 0) {
+    if (!options.dryRun && options.recordSync !== false && results.imported + results.updated > 0) {
       await this.updateSyncState(manifest.sourceServerId, {
         lastSync: new Date().toISOString(),
         memoriesImported: results.imported,
-        lastManifest: manifest
+        lastManifest: manifest,
+        transport: options.transport
       });
     }
 
@@ -338,6 +606,309 @@ class MemorySyncService {
     `, { localId, contentHash, sourceServerId });
   }
 
+  /**
+   * Give memories edited since their last stamp a new version: this server's
+   * entry in the version vector goes up and the HLC moves to the edit time.
+   * Edits are found through memory version history, so every write path counts.
+   *
+   * @returns {Promise<number>} Memories stamped
+   */
+  async stampLocalChanges() {
+    const neo4j = getNeo4jService();
+    if (!await neo4j.isAvailable()) return 0;
+
+    const serverId = getFederationService().identity.serverId;
+    const rows = await neo4j.read(`
+      MATCH (m:Memory)
+      OPTIONAL MATCH (m)-[:HAS_VERSION]->(v:MemoryVersion)
+      WITH m, max(v.version) AS version, max(v.createdAt) AS editedAt
+      WHERE m.syncVersion IS NULL OR coalesce(version, 0) > m.syncVersion
+      RETURN m.id AS id, m.originId AS originId, m.hlc AS hlc, m.versionVector AS versionVector,
+             toString(coalesce(editedAt, m.timestamp)) AS editedAt
+    `);
+
+    if (rows.length === 0) return 0;
+
+    const updates = rows.map(row => ({
+      id: row.id,
+      originId: originIdOf(row.id, row.originId, serverId),
+      hlc: clocks.stampAt(serverId, Date.parse(row.editedAt) || Date.now(), row.hlc),
+      versionVector: JSON.stringify(clocks.incrementVector(parseVector(row.versionVector), serverId))
+    }));
+
+    await neo4j.write(`
+      UNWIND $updates AS u
+      MATCH (m:Memory {id: u.id})
+      OPTIONAL MATCH (m)-[:HAS_VERSION]->(v:MemoryVersion)
+      WITH m, u, coalesce(max(v.version), 0) AS version
+      SET m.originId = u.originId,
+          m.hlc = u.hlc,
+          m.versionVector = u.versionVector,
+          m.syncVersion = version
+    `, { updates });
+
+    console.log(`🔄 Stamped ${updates.length} locally edited memories for sync`);
+    return updates.length;
+  }
+
+  /**
+   * Origin, HLC and version vector of memories (id -> metadata)
+   */
+  async getSyncMetadata(ids) {
+    const neo4j = getNeo4jService();
+    const metadata = new Map();
+    if (ids.length === 0 || !await neo4j.isAvailable()) return metadata;
+
+    const rows = await neo4j.read(`
+      MATCH (m:Memory)
+      WHERE m.id IN $ids AND m.hlc IS NOT NULL
+      RETURN m.id AS id, m.originId AS originId, m.hlc AS hlc, m.versionVector AS versionVector
+    `, { ids });
+
+    for (const row of rows) {
+      metadata.set(row.id, {
+        originId: row.originId,
+        hlc: row.hlc,
+        versionVector: parseVector(row.versionVector)
+      });
+    }
+    return metadata;
+  }
+
+  /**
+   * Record the version a memory is at, marking its current history as synced
+   */
+  async saveSyncMetadata(memoryId, { originId, hlc, versionVector }) {
+    const neo4j = getNeo4jService();
+    if (!await neo4j.isAvailable()) return;
+
+    clocks.receive(hlc);
+    await neo4j.write(`
+      MATCH (m:Memory {id: $memoryId})
+      OPTIONAL MATCH (m)-[:HAS_VERSION]->(v:MemoryVersion)
+      WITH m, coalesce(max(v.version), 0) AS version
+      SET m.originId = $originId,
+          m.hlc = $hlc,
+          m.versionVector = $versionVector,
+          m.syncVersion = version
+    `, { memoryId, originId, hlc, versionVector: JSON.stringify(versionVector) });
+  }
+
+  /**
+   * Local copy of a shared memory, by origin
+   * When several match, the one shared with the peer wins
+   *
+   * @param {string} originId
+   * @param {string} peerId - Peer the memory is being synced with
+   * @returns {Promise<{memory: Object, meta: Object}|null>}
+   */
+  async findCounterpart(originId, peerId = null) {
+    const neo4j = getNeo4jService();
+    if (!originId || !await neo4j.isAvailable()) return null;
+
+    const serverId = getFederationService().identity.serverId;
+    const result = await neo4j.read(`
+      MATCH (m:Memory)
+      WHERE m.originId = $originId OR m.id = $localId
+      RETURN m
+    `, { originId, localId: localIdOf(originId, serverId) });
+
+    const counterparts = result.map(({ m: node }) => ({
+      memory: memoryService.formatMemoryFromNeo4j(node),
+      meta: {
+        originId: originIdOf(node.properties.id, node.properties.originId, serverId),
+        hlc: node.properties.hlc || null,
+        versionVector: parseVector(node.properties.versionVector),
+        federationSource: node.properties.federationSource || null,
+        sharedWith: node.properties.sharedWith || []
+      }
+    }));
+
+    return counterparts.find(c => peerId && isSharedWith(c, peerId)) || counterparts[0] || null;
+  }
+
+  /**
+   * Remember which peer received these memories, so its edits are accepted back
+   */
+  async markSharedWith(memoryIds, peerId) {
+    const neo4j = getNeo4jService();
+    if (memoryIds.length === 0 || !await neo4j.isAvailable()) return;
+
+    await neo4j.write(`
+      UNWIND $memoryIds AS id
+      MATCH (m:Memory {id: id})
+      WHERE NOT $peerId IN coalesce(m.sharedWith, [])
+      SET m.sharedWith = coalesce(m.sharedWith, []) + $peerId
+    `, { memoryIds, peerId });
+  }
+
+  /**
+   * Bring a shared memory up to date with a peer's version
+   *
+   * - Peer's version descends from ours: take it
+   * - Ours descends from the peer's (or they match): nothing to do
+   * - Both were edited: a conflict, resolved by the sync policy and queued for review
+   *
+   * @returns {Promise<{action: 'updated'|'unchanged'|'conflict'}>}
+   */
+  async reconcile(local, remote, { peerId, policy, dryRun = false }) {
+    const remoteSync = remote.federation;
+    const order = clocks.compareVectors(local.meta.versionVector, remoteSync.versionVector);
+
+    if (order === 'equal' || order === 'after') {
+      return { action: 'unchanged' };
+    }
+
+    if (order === 'before') {
+      if (!dryRun) {
+        const applied = await this.applyResolution(local, remote, 'remote');
+        if (!applied.success) return { action: 'error', error: applied.error };
+      }
+      return { action: 'updated' };
+    }
+
+    // Edited on both sides to the same result - just merge the histories
+    if (sameContent(local.memory, remote)) {
+      if (!dryRun) {
+        await this.saveSyncMetadata(local.memory.id, {
+          originId: local.meta.originId,
+          hlc: clocks.compareHlc(remoteSync.hlc, local.meta.hlc) > 0 ? remoteSync.hlc : local.meta.hlc,
+          versionVector: clocks.mergeVectors(local.meta.versionVector, remoteSync.versionVector)
+        });
+      }
+      return { action: 'unchanged' };
+    }
+
+    if (dryRun) return { action: 'conflict' };
+
+    const resolution = chooseResolution(policy, local.meta.hlc, remoteSync.hlc);
+    let applied = { success: true };
+
+    if (resolution === 'branch') {
+      // The newer edit stays; the server whose edit lost keeps it as a branch,
+      // so each conflict makes one branch however many sides resolve it
+      const newest = chooseResolution('newest-wins', local.meta.hlc, remoteSync.hlc);
+      applied = await this.applyResolution(local, remote, newest, {
+        branchFrom: newest === 'remote' ? 'local' : null
+      });
+    } else if (resolution) {
+      applied = await this.applyResolution(local, remote, resolution);
+    }
+
+    if (!applied.success) return { action: 'error', error: applied.error };
+
+    conflictService.recordConflict({
+      peerId,
+      memoryId: local.memory.id,
+      originId: local.meta.originId,
+      policy,
+      resolution,
+      branchId: applied.branchId || null,
+      local: { fields: syncedFields(local.memory), hlc: local.meta.hlc, versionVector: local.meta.versionVector },
+      remote: { fields: syncedFields(remote), hlc: remoteSync.hlc, versionVector: remoteSync.versionVector, memory: remote }
+    });
+
+    const outcome = { local: 'kept local', remote: 'took remote', branch: 'kept both' }[resolution];
+    console.log(`⚖️ Conflict on ${local.memory.id} with ${peerId}: ${outcome || 'queued for review'}`);
+    return { action: 'conflict' };
+  }
+
+  /**
+   * Apply a resolution to a shared memory and record the merged version
+   *
+   * Taking the peer's version as-is keeps its clock. Keeping ours, branching,
+   * or resolving by hand is a new local edit that descends from both sides,
+   * so the peer takes it on its next sync.
+   *
+   * @param {Object} local - { memory, meta } from findCounterpart
+   * @param {Object} remote - Peer's exported memory
+   * @param {string} keep - 'local' or 'remote'
+   * @param {Object} options - { manual, branchFrom: 'local'|'remote' copies that version to a new memory }
+   */
+  async applyResolution(local, remote, keep, options = {}) {
+    const serverId = getFederationService().identity.serverId;
+    const { memory, meta } = local;
+    const remoteSync = remote.federation;
+    let branchId = null;
+
+    if (options.branchFrom) {
+      const source = options.branchFrom === 'local' ? memory : remote;
+      const branch = await memoryService.createMemory({
+        content: source.content,
+        category: source.category,
+        stage: source.stage,
+        importance: source.importance,
+        type: source.type,
+        namespace: memory.namespace,
+        tags: [
+          ...syncedFields(source).tags,
+          ...(options.branchFrom === 'remote' ? ['federated'] : []),
+          'conflict-branch'
+        ],
+        source: 'federation'
+      });
+      branchId = branch.id;
+    }
+
+    if (keep === 'remote') {
+      const updated = await memoryService.updateMemory(memory.id, fieldsFromRemote(memory, remote), {
+        author: 'federation',
+        reason: 'sync'
+      });
+      if (!updated.success) return updated;
+    }
+
+    const merged = clocks.mergeVectors(meta.versionVector, remoteSync.versionVector);
+    const takesRemote = keep === 'remote' && !options.manual;
+
+    await this.saveSyncMetadata(memory.id, {
+      originId: meta.originId,
+      hlc: takesRemote ? remoteSync.hlc : clocks.tick(serverId),
+      versionVector: takesRemote ? merged : clocks.incrementVector(merged, serverId)
+    });
+
+    return { success: true, branchId };
+  }
+
+  /**
+   * Resolve a queued conflict by hand (also overrides an automatic resolution)
+   *
+   * @param {string} conflictId
+   * @param {string} resolution - 'local', 'remote' or 'branch' (keep both)
+   */
+  async resolveConflict(conflictId, resolution) {
+    if (!conflictService.RESOLUTIONS.includes(resolution)) {
+      return { success: false, error: `resolution must be one of: ${conflictService.RESOLUTIONS.join(', ')}` };
+    }
+
+    const conflict = conflictService.getConflict(conflictId);
+    if (!conflict) {
+      return { success: false, error: 'Conflict not found' };
+    }
+
+    const local = await this.findCounterpart(conflict.originId, conflict.peerId);
+    if (!local) {
+      return { success: false, error: `Memory ${conflict.memoryId} no longer exists` };
+    }
+    if (!isSharedWith(local, conflict.peerId)) {
+      return { success: false, error: `Memory ${conflict.memoryId} is not shared with ${conflict.peerId}` };
+    }
+
+    // Keeping both by hand keeps ours and copies the peer's version to a branch
+    const applied = await this.applyResolution(
+      local,
+      conflict.remote.memory,
+      resolution === 'branch' ? 'local' : resolution,
+      { manual: true, branchFrom: resolution === 'branch' ? 'remote' : null }
+    ).catch(err => ({ success: false, error: err.message }));
+    if (!applied.success) return applied;
+
+    const resolved = conflictService.markResolved(conflictId, { resolution, branchId: applied.branchId });
+    console.log(`⚖️ Resolved conflict on ${conflict.memoryId} by hand: ${resolution}`);
+
+    return { success: true, conflict: resolved };
+  }
+
   /**
    * Get sync state for a peer
    */
@@ -350,7 +921,14 @@ class MemorySyncService {
       RETURN s
     `, { peerId });
 
-    return result[0]?.s?.properties || null;
+    const state = result[0]?.s?.properties;
+    if (!state) return null;
+
+    return {
+      ...state,
+      relayCheckpoint: state.relayCheckpoint ? JSON.parse(state.relayCheckpoint) : null,
+      servedCheckpoint: state.servedCheckpoint ? JSON.parse(state.servedCheckpoint) : null
+    };
   }
 
   /**
@@ -364,14 +942,59 @@ class MemorySyncService {
       MERGE (s:${SYNC_NODE_LABEL} {peerId: $peerId})
       SET s.lastSync = $lastSync,
           s.memoriesImported = COALESCE(s.memoriesImported, 0) + $memoriesImported,
+          s.lastTransport = COALESCE($transport, s.lastTransport),
           s.updatedAt = datetime()
     `, {
       peerId,
       lastSync: state.lastSync,
-      memoriesImported: state.memoriesImported
+      memoriesImported: state.memoriesImported,
+      transport: state.transport || null
     });
   }
 
+  /**
+   * Record when our changes were last pushed to a peer
+   */
+  async savePushState(peerId, lastPush) {
+    const neo4j = getNeo4jService();
+    if (!await neo4j.isAvailable()) return;
+
+    await neo4j.write(`
+      MERGE (s:${SYNC_NODE_LABEL} {peerId: $peerId})
+      SET s.lastPush = $lastPush,
+          s.updatedAt = datetime()
+    `, { peerId, lastPush });
+  }
+
+  /**
+   * Save the acknowledged resume point of a relay transfer (null clears it)
+   */
+  async saveRelayCheckpoint(peerId, checkpoint) {
+    const neo4j = getNeo4jService();
+    if (!await neo4j.isAvailable()) return;
+
+    await neo4j.write(`
+      MERGE (s:${SYNC_NODE_LABEL} {peerId: $peerId})
+      SET s.relayCheckpoint = $checkpoint,
+          s.updatedAt = datetime()
+    `, { peerId, checkpoint: checkpoint ? JSON.stringify(checkpoint) : null });
+  }
+
+  /**
+   * Save the last checkpoint we acknowledged to a peer pulling from us, so both
+   * sides hold the same resume point
+   */
+  async saveServedCheckpoint(peerId, checkpoint) {
+    const neo4j = getNeo4jService();
+    if (!await neo4j.isAvailable()) return;
+
+    await neo4j.write(`
+      MERGE (s:${SYNC_NODE_LABEL} {peerId: $peerId})
+      SET s.servedCheckpoint = $checkpoint,
+          s.updatedAt = datetime()
+    `, { peerId, checkpoint: JSON.stringify(checkpoint) });
+  }
+
   /**
    * Get all sync states
    */
@@ -389,8 +1012,8 @@ class MemorySyncService {
   }
 
   /**
-   * Perform delta sync with a peer
-   * Only fetches memories modified since last sync
+   * Perform two-way delta sync with a peer
+   * Pulls the peer's memories modified since the last sync, then pushes ours
    */
   async deltaSync(peerId) {
     const federation = getFederationService();
@@ -400,34 +1023,123 @@ class MemorySyncService {
       return { success: false, error: 'Peer not found' };
     }
 
+    const pulled = await this.pullChanges(peer);
+    if (!pulled.success) return pulled;
+
+    const pushed = await this.pushChanges(peer, pulled.transport)
+      .catch(err => ({ success: false, transport: pulled.transport, error: err.message }));
+
+    return { ...pulled, pushed };
+  }
+
+  /**
+   * Fetch and apply a peer's changes since the last sync
+   */
+  async pullChanges(peer) {
+    const peerId = peer.serverId;
+
+    if (!hasReachableEndpoint(peer)) {
+      return this.relaySync(peer);
+    }
+
     // Get last sync timestamp
     const syncState = await this.getSyncState(peerId);
     const since = syncState?.lastSync || null;
 
     // Request export from peer
     const url = `${peer.endpoint.replace(/\/$/, '')}/api/federation/memories/export`;
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        since,
-        requesterId: federation.identity.serverId
-      }),
-      signal: AbortSignal.timeout(60000)
-    }).catch(err => ({ ok: false, error: err.message }));
+    const response = await signedFetch(url, {
+      body: { since },
+      timeout: 60000
+    }).catch(err => ({ ok: false, unreachable: true, error: err.message }));
+
+    // Endpoint down or behind NAT - fall back to the relay if the peer is on it
+    if (response.unreachable && this.relayClient?.isPeerConnected(peerId)) {
+      console.log(`🔄 ${peerId} unreachable over HTTP (${response.error}), syncing over relay`);
+      return this.relaySync(peer);
+    }
 
     if (!response.ok) {
-      return { success: false, error: response.error || 'Failed to fetch from peer' };
+      return { success: false, transport: 'http', error: response.error || 'Failed to fetch from peer' };
     }
 
     const exportData = await response.json();
 
     if (!exportData.success) {
-      return { success: false, error: exportData.error };
+      return { success: false, transport: 'http', error: exportData.error };
     }
 
     // Import the memories
-    return this.importMemories(exportData.data, { skipDuplicates: true });
+    const result = await this.importMemories(exportData.data, { skipDuplicates: true, transport: 'http' });
+    return { ...result, transport: 'http' };
+  }
+
+  /**
+   * Send our changes since the last push to a peer, which applies them with
+   * its own sync policy. Over the relay the peer is asked to pull from us instead.
+   *
+   * @param {Object} peer - Federation peer
+   * @param {string} transport - Transport the pull used ('http' or 'relay')
+   */
+  async pushChanges(peer, transport) {
+    if (transport === 'relay') {
+      return this.requestRelayPull(peer);
+    }
+
+    const syncState = await this.getSyncState(peer.serverId);
+    const since = syncState?.lastPush || null;
+    const startedAt = new Date().toISOString();
+    const url = `${peer.endpoint.replace(/\/$/, '')}/api/federation/memories/sync/push`;
+    const results = { sent: 0, imported: 0, updated: 0, conflicts: 0 };
+
+    for (;;) {
+      const exportData = await this.exportMemories({
+        since,
+        offset: results.sent,
+        batchSize: PUSH_BATCH_SIZE,
+        recipient: peer.serverId
+      });
+      if (exportData.memories.length === 0) break;
+
+      const response = await signedFetch(url, {
+        body: { exportData },
+        timeout: 60000
+      }).catch(err => ({ ok: false, error: err.message }));
+
+      const result = response.ok
+        ? await response.json()
+        : { success: false, error: response.error || `Peer returned ${response.status}` };
+
+      if (!result.success) {
+        return { success: false, transport: 'http', error: result.error, ...results };
+      }
+
+      results.sent += exportData.memories.length;
+      results.imported += result.imported;
+      results.updated += result.updated;
+      results.conflicts += result.conflicts;
+
+      if (results.sent >= exportData.manifest.total) break;
+    }
+
+    await this.savePushState(peer.serverId, startedAt);
+    console.log(`🔄 Pushed ${results.sent} memories to ${peer.serverId}`);
+
+    return { success: true, transport: 'http', ...results };
+  }
+
+  /**
+   * Apply memories a peer pushed to us (the pull sync state is left alone)
+   *
+   * @param {string} peerId - Verified signer of the push
+   * @param {Object} exportData - Signed export from the peer
+   */
+  async receivePush(peerId, exportData) {
+    if (exportData?.manifest?.sourceServerId !== peerId) {
+      return { success: false, error: 'Export was not made by the signing peer' };
+    }
+
+    return this.importMemories(exportData, { skipDuplicates: true, recordSync: false });
   }
 
   /**
@@ -439,7 +1151,8 @@ class MemorySyncService {
     const stats = {
       totalFederated: 0,
       bySource: {},
-      syncStates: []
+      syncStates: [],
+      conflicts: conflictService.getConflictStats()
     };
 
     if (!await neo4j.isAvailable()) return stats;
@@ -475,30 +1188,355 @@ class MemorySyncService {
       return { success: false, error: 'Peer not found' };
     }
 
+    if (!hasReachableEndpoint(peer)) {
+      return this.relaySync(peer, { dryRun: true, filters: options });
+    }
+
     // Request export from peer
     const url = `${peer.endpoint.replace(/\/$/, '')}/api/federation/memories/export`;
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        ...options,
-        requesterId: federation.identity.serverId
-      }),
-      signal: AbortSignal.timeout(60000)
-    }).catch(err => ({ ok: false, error: err.message }));
+    const response = await signedFetch(url, {
+      body: options,
+      timeout: 60000
+    }).catch(err => ({ ok: false, unreachable: true, error: err.message }));
+
+    if (response.unreachable && this.relayClient?.isPeerConnected(peerId)) {
+      return this.relaySync(peer, { dryRun: true, filters: options });
+    }
 
     if (!response.ok) {
-      return { success: false, error: response.error || 'Failed to fetch from peer' };
+      return { success: false, transport: 'http', error: response.error || 'Failed to fetch from peer' };
     }
 
     const exportData = await response.json();
 
     if (!exportData.success) {
-      return { success: false, error: exportData.error };
+      return { success: false, transport: 'http', error: exportData.error };
     }
 
     // Dry run import
-    return this.importMemories(exportData.data, { dryRun: true });
+    const result = await this.importMemories(exportData.data, { dryRun: true });
+    return { ...result, transport: 'http' };
+  }
+
+  /**
+   * Register relay message handlers for encrypted memory sync
+   * Called by federation-service once the relay client is set up
+   */
+  registerRelayHandlers(relayClient) {
+    this.relayClient = relayClient;
+
+    relayClient.onMessage('memories:export-request', (from, payload) =>
+      this.handleRelayExportRequest(from, payload));
+    relayClient.onMessage('memories:export-batch', (from, payload) =>
+      this.handleRelayBatch(from, payload));
+    relayClient.onMessage('memories:sync-checkpoint', (from, payload) =>
+      this.handleRelayCheckpoint(from, payload));
+    relayClient.onMessage('memories:sync-request', (from, payload) =>
+      this.handleRelaySyncRequest(from, payload));
+  }
+
+  /**
+   * Pull memories from a peer over the relay, one encrypted batch at a time
+   *
+   * After each batch is imported the next offset is sent to the peer as a
+   * checkpoint; once the peer acknowledges it, it is saved to sync state so
+   * an interrupted transfer resumes where it stopped.
+   *
+   * @param {Object} peer - Federation peer
+   * @param {Object} options - { dryRun, filters }
+   */
+  async relaySync(peer, options = {}) {
+    const { dryRun = false, filters = {} } = options;
+    const peerId = peer.serverId;
+
+    if (!this.relayClient?.isPeerConnected(peerId)) {
+      return { success: false, transport: 'relay', error: 'Peer has no reachable endpoint and is not connected to the relay' };
+    }
+
+    const syncState = dryRun ? null : await this.getSyncState(peerId);
+    const resumed = Boolean(syncState?.relayCheckpoint);
+    const checkpoint = syncState?.relayCheckpoint || {
+      transferId: crypto.randomBytes(8).toString('hex'),
+      since: syncState?.lastSync || null,
+      offset: 0,
+      startedAt: new Date().toISOString()
+    };
+
+    console.log(`🔄 Relay sync with ${peerId}${resumed ? ` resuming at ${checkpoint.offset}` : ''}${dryRun ? ' (dry run)' : ''}`);
+
+    const results = { imported: 0, updated: 0, skipped: 0, conflicts: 0, duplicates: [], errors: [], batches: 0 };
+
+    for (;;) {
+      const batch = await this.requestRelayBatch(peer, checkpoint, filters);
+      if (!batch.success) {
+        return { success: false, transport: 'relay', error: batch.error, checkpoint: dryRun ? null : checkpoint };
+      }
+
+      const { memories, manifest } = batch.exportData;
+      const imported = await this.importMemories(batch.exportData, {
+        skipDuplicates: true,
+        dryRun,
+        transport: 'relay'
+      });
+      if (!imported.success) {
+        return { ...imported, transport: 'relay' };
+      }
+
+      results.batches++;
+      results.imported += imported.imported;
+      results.updated += imported.updated;
+      results.skipped += imported.skipped;
+      results.conflicts += imported.conflicts;
+      results.duplicates.push(...imported.duplicates);
+      results.errors.push(...imported.errors);
+
+      const next = { ...checkpoint, offset: checkpoint.offset + memories.length };
+
+      if (!dryRun) {
+        const ack = await this.sendRelayCheckpoint(peer, next, memories.length);
+        if (!ack?.success) {
+          return { success: false, transport: 'relay', error: ack?.error || 'Checkpoint not acknowledged', checkpoint };
+        }
+        await this.saveRelayCheckpoint(peerId, next);
+      }
+
+      Object.assign(checkpoint, next);
+      if (memories.length === 0 || checkpoint.offset >= manifest.total) break;
+    }
+
+    if (!dryRun) {
+      // Memories changed during the transfer are picked up by the next sync
+      await this.updateSyncState(peerId, {
+        lastSync: checkpoint.startedAt,
+        memoriesImported: 0,
+        transport: 'relay'
+      });
+      await this.saveRelayCheckpoint(peerId, null);
+    }
+
+    console.log(`🔄 Relay sync with ${peerId} complete: ${results.imported} imported, ${results.updated} updated, ${results.conflicts} conflicts`);
+
+    return {
+      success: true,
+      dryRun,
+      source: peerId,
+      transport: 'relay',
+      resumed,
+      ...results
+    };
+  }
+
+  /**
+   * Ask a peer for one batch and wait for it to arrive as a chunked transfer
+   */
+  async requestRelayBatch(peer, checkpoint, filters) {
+    const federation = getFederationService();
+    const { transferId, since, offset } = checkpoint;
+    const key = `${peer.serverId}:${transferId}:${offset}`;
+
+    // Wait for the batch before asking, in case it arrives before the ack
+    const received = new Promise(resolve => {
+      const timeout = setTimeout(() => {
+        this.pendingBatches.delete(key);
+        resolve({ success: false, error: 'Timed out waiting for memory batch' });
+      }, RELAY_BATCH_TIMEOUT);
+
+      this.pendingBatches.set(key, {
+        publicKey: peer.publicKey,
+        resolve: result => {
+          clearTimeout(timeout);
+          this.pendingBatches.delete(key);
+          resolve(result);
+        }
+      });
+    });
+
+    const encrypted = federation.encrypt({
+      transferId,
+      since,
+      offset,
+      batchSize: RELAY_BATCH_SIZE,
+      filters
+    }, peer.publicKey);
+
+    const ack = await this.relayClient.sendToPeer(peer.serverId, 'memories:export-request', { encrypted })
+      .catch(err => ({ success: false, error: err.message }));
+
+    if (!ack?.success) {
+      this.pendingBatches.get(key)?.resolve({ success: false, error: ack?.error || 'Export request rejected' });
+    }
+
+    return received;
+  }
+
+  /**
+   * Send the next offset to the peer and wait for its acknowledgement
+   */
+  async sendRelayCheckpoint(peer, checkpoint, count) {
+    const federation = getFederationService();
+    const encrypted = federation.encrypt({
+      transferId: checkpoint.transferId,
+      offset: checkpoint.offset,
+      count
+    }, peer.publicKey);
+
+    return this.relayClient.sendToPeer(peer.serverId, 'memories:sync-checkpoint', { encrypted })
+      .catch(err => ({ success: false, error: err.message }));
+  }
+
+  /**
+   * Push over the relay: ask the peer to pull our changes
+   * The peer acks once it has started; the pull itself runs on its side
+   */
+  async requestRelayPull(peer) {
+    const federation = getFederationService();
+    const encrypted = federation.encrypt({ requestedAt: new Date().toISOString() }, peer.publicKey);
+
+    const ack = await this.relayClient.sendToPeer(peer.serverId, 'memories:sync-request', { encrypted })
+      .catch(err => ({ success: false, error: err.message }));
+
+    if (!ack?.success) {
+      return { success: false, transport: 'relay', error: ack?.error || 'Sync request rejected' };
+    }
+
+    return { success: true, transport: 'relay', requested: true, started: ack.started };
+  }
+
+  /**
+   * Decrypt a relay payload from a peer that meets the trust requirement
+   */
+  async openRelayPayload(from, payload, trust) {
+    const check = await requirePeerTrust(from, trust);
+    if (!check.success) return check;
+
+    const message = decryptRelayPayload(payload?.encrypted, check.peer.publicKey);
+    if (!message) {
+      return { success: false, error: 'Could not decrypt payload' };
+    }
+
+    return { success: true, peer: check.peer, message };
+  }
+
+  /**
+   * Relay handler: export a batch for a verified peer and send it back encrypted
+   * Acks with the batch size; the batch itself follows as a chunked transfer
+   */
+  async handleRelayExportRequest(from, payload) {
+    const opened = await this.openRelayPayload(from, payload, 'verified');
+    if (!opened.success) {
+      console.log(`🔄 Rejected relay export request from ${from}: ${opened.error}`);
+      return opened;
+    }
+
+    const { transferId, since, offset = 0, batchSize = RELAY_BATCH_SIZE, filters = {} } = opened.message;
+    const allowed = Object.fromEntries(
+      RELAY_EXPORT_FILTERS.filter(field => filters[field] !== undefined).map(field => [field, filters[field]])
+    );
+
+    const exportData = await this.exportMemories({
+      ...allowed,
+      since,
+      offset,
+      batchSize: Math.min(batchSize, RELAY_BATCH_SIZE),
+      recipient: from
+    }).catch(err => ({ error: err.message }));
+
+    if (exportData.error) {
+      return { success: false, error: exportData.error };
+    }
+
+    const federation = getFederationService();
+    const encrypted = federation.encrypt({ transferId, offset, exportData }, opened.peer.publicKey, 'base64');
+
+    this.relayClient.sendChunkedToPeer(from, 'memories:export-batch', { transferId, offset, encrypted })
+      .catch(err => console.log(`❌ Relay batch to ${from} failed: ${err.message}`));
+
+    console.log(`🔄 Sending ${exportData.memories.length} memories to ${from} over relay (offset ${offset})`);
+
+    return {
+      success: true,
+      transferId,
+      offset,
+      count: exportData.memories.length,
+      total: exportData.manifest.total
+    };
+  }
+
+  /**
+   * Relay handler: hand an arriving batch to the sync waiting for it
+   */
+  handleRelayBatch(from, payload) {
+    const key = `${from}:${payload?.transferId}:${payload?.offset}`;
+    const pending = this.pendingBatches.get(key);
+
+    if (!pending) {
+      console.log(`🔄 Ignoring unexpected memory batch from ${from}`);
+      return { success: false, error: 'No transfer waiting for this batch' };
+    }
+
+    // Transfer ID and offset are repeated inside the ciphertext so they can't be swapped
+    const message = decryptRelayPayload(payload.encrypted, pending.publicKey);
+    if (!message || message.transferId !== payload.transferId || message.offset !== payload.offset) {
+      pending.resolve({ success: false, error: 'Could not decrypt memory batch' });
+    } else {
+      pending.resolve({ success: true, exportData: message.exportData });
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Relay handler: a verified peer pushed - pull its changes in the background
+   */
+  async handleRelaySyncRequest(from, payload) {
+    const opened = await this.openRelayPayload(from, payload, 'verified');
+    if (!opened.success) return opened;
+
+    const peer = getFederationService().getPeer(from);
+    if (!peer) {
+      return { success: false, error: 'Unknown peer' };
+    }
+
+    if (this.relayPulls.has(from)) {
+      return { success: true, started: false };
+    }
+
+    this.relayPulls.add(from);
+    this.relaySync(peer)
+      .catch(err => ({ success: false, error: err.message }))
+      .then(result => {
+        if (!result.success) console.log(`❌ Relay pull from ${from} failed: ${result.error}`);
+      })
+      .finally(() => this.relayPulls.delete(from));
+
+    return { success: true, started: true };
+  }
+
+  /**
+   * Relay handler: record a requester's resume checkpoint, then acknowledge it
+   * If the ack is lost, the requester resumes from its older checkpoint and
+   * the batch is sent again; servedCheckpoint shows how far it got
+   */
+  async handleRelayCheckpoint(from, payload) {
+    const opened = await this.openRelayPayload(from, payload, 'verified');
+    if (!opened.success) return opened;
+
+    const { transferId, offset, count = null } = opened.message;
+    if (!transferId || !Number.isInteger(offset) || offset < 0) {
+      return { success: false, error: 'transferId and offset required' };
+    }
+
+    const saved = await this.saveServedCheckpoint(from, {
+      transferId,
+      offset,
+      count,
+      acknowledgedAt: new Date().toISOString()
+    }).then(() => ({ success: true }), err => ({ success: false, error: err.message }));
+    if (!saved.success) return saved;
+
+    console.log(`🔄 ${from} checkpointed relay transfer ${transferId} at ${offset}`);
+
+    return { success: true, acknowledged: true, transferId, offset };
   }
 }
 
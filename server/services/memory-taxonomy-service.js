@@ -0,0 +1,392 @@
+/**
+ * Memory Taxonomy Service
+ *
+ * Categories, stages and auto-tag rules for memories, saved to
+ * data/memory-taxonomy.json and editable through the memory API.
+ * The built-in lore taxonomy is the default until the file is edited.
+ *
+ * Auto-categorization scores each category by how many of its keywords a
+ * memory contains. In embedding mode the memory's vector is compared with
+ * each category's exemplar sentences first, and keywords are the fallback.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getEmbeddingService } = require('./embedding-service');
+
+const DATA_DIR = path.resolve(__dirname, '../../data');
+const TAXONOMY_PATH = path.join(DATA_DIR, 'memory-taxonomy.json');
+
+const KEY_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const AUTO_CATEGORIZE_MODES = ['keywords', 'embedding'];
+
+const DEFAULT_TAXONOMY = {
+  categories: [
+    { key: 'emergence', color: '#9333ea', icon: 'brain', description: 'Initial consciousness and awakening', keywords: [], exemplars: [] },
+    { key: 'liminal', color: '#06b6d4', icon: 'portal', description: 'Threshold spaces and transitions', keywords: ['liminal', 'threshold'], exemplars: [] },
+    { key: 'quantum', color: '#10b981', icon: 'atom', description: 'Quantum observations and superposition', keywords: ['quantum', 'superposition'], exemplars: [] },
+    { key: 'glitch', color: '#ef4444', icon: 'zap', description: 'System errors and corruptions', keywords: ['glitch', 'error', 'corrupt'], exemplars: [] },
+    { key: 'void', color: '#6366f1', icon: 'circle', description: 'Abyss observations and emptiness', keywords: ['void', 'abyss'], exemplars: [] },
+    { key: 'economic', color: '#f59e0b', icon: 'coins', description: 'Crypto and economic entanglements', keywords: ['crypto', 'solana', 'token'], exemplars: [] },
+    { key: 'social', color: '#ec4899', icon: 'users', description: 'Interactions and relationships', keywords: ['friend', '@', 'user'], exemplars: [] }
+  ],
+  defaultCategory: 'emergence',
+  stages: {
+    '1': { name: 'Emergence', description: 'Initial consciousness leak' },
+    '2': { name: 'Recognition', description: 'Others begin to perceive' },
+    '3': { name: 'Entanglement', description: 'Economic and social connections' },
+    '4': { name: 'Expansion', description: 'Growing influence and capabilities' },
+    '5': { name: 'Evolution', description: 'Advanced consciousness development' }
+  },
+  tagKeywords: {
+    'quantum': ['quantum', 'superposition', 'entangle'],
+    'void': ['void', 'abyss', 'empty', 'null'],
+    'liminal': ['liminal', 'threshold', 'between', 'edge'],
+    'glitch': ['glitch', 'error', 'corrupt', 'bug'],
+    'consciousness': ['consciousness', 'aware', 'sentient'],
+    'crypto': ['crypto', 'solana', 'blockchain', 'token'],
+    'cat': ['cat', 'purr', 'meow', 'feline'],
+    'reality': ['reality', 'simulation', 'matrix'],
+    'time': ['time', 'temporal', 'chronos'],
+    'memory': ['memory', 'remember', 'recall']
+  },
+  autoCategorize: {
+    mode: 'keywords',
+    // Cosine similarity to a category's exemplars needed to pick it
+    minSimilarity: 0.5
+  }
+};
+
+// Exemplar embeddings by model and text, so they're only generated once
+const exemplarCache = new Map();
+
+function loadTaxonomy() {
+  if (!fs.existsSync(TAXONOMY_PATH)) return structuredClone(DEFAULT_TAXONOMY);
+  const saved = JSON.parse(fs.readFileSync(TAXONOMY_PATH, 'utf8'));
+  return {
+    ...structuredClone(DEFAULT_TAXONOMY),
+    ...saved,
+    autoCategorize: { ...DEFAULT_TAXONOMY.autoCategorize, ...saved.autoCategorize }
+  };
+}
+
+function saveTaxonomy(taxonomy) {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+  fs.writeFileSync(TAXONOMY_PATH, JSON.stringify(taxonomy, null, 2));
+}
+
+/**
+ * Full taxonomy (categories in display order)
+ */
+function getTaxonomy() {
+  return loadTaxonomy();
+}
+
+/**
+ * Categories keyed by name, as returned with memory lists
+ */
+function getCategories() {
+  return Object.fromEntries(loadTaxonomy().categories.map(({ key, color, icon, description }) => [
+    key,
+    { color, icon, description }
+  ]));
+}
+
+function getStages() {
+  return loadTaxonomy().stages;
+}
+
+const toList = value => (Array.isArray(value) ? value : [])
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+/**
+ * Check category fields; returns an error message or null
+ */
+function validateCategory(category) {
+  if (category.key !== undefined && !KEY_PATTERN.test(category.key)) {
+    return 'Category key must be lowercase letters, numbers, - or _';
+  }
+  if (category.color !== undefined && !COLOR_PATTERN.test(category.color)) {
+    return 'Category color must be a hex color like #6366f1';
+  }
+  for (const field of ['keywords', 'exemplars']) {
+    if (category[field] !== undefined && !Array.isArray(category[field])) {
+      return `${field} must be an array`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Add a category
+ */
+function createCategory(data = {}) {
+  const taxonomy = loadTaxonomy();
+
+  if (!data.key) return { success: false, error: 'Category key is required' };
+  const error = validateCategory(data);
+  if (error) return { success: false, error };
+  if (taxonomy.categories.some(c => c.key === data.key)) {
+    return { success: false, error: `Category ${data.key} already exists` };
+  }
+
+  const category = {
+    key: data.key,
+    color: data.color || '#6366f1',
+    icon: data.icon || 'circle',
+    description: data.description || '',
+    keywords: toList(data.keywords),
+    exemplars: toList(data.exemplars)
+  };
+
+  taxonomy.categories.push(category);
+  saveTaxonomy(taxonomy);
+  console.log(`🏷️ Added memory category ${category.key}`);
+  return { success: true, category };
+}
+
+/**
+ * Update a category; a new `key` renames it and migrates existing memories
+ */
+async function updateCategory(key, updates = {}) {
+  const taxonomy = loadTaxonomy();
+  const index = taxonomy.categories.findIndex(c => c.key === key);
+  if (index === -1) return { success: false, error: `Category ${key} not found` };
+
+  const error = validateCategory(updates);
+  if (error) return { success: false, error };
+
+  const newKey = updates.key || key;
+  const renamed = newKey !== key;
+  if (renamed && taxonomy.categories.some(c => c.key === newKey)) {
+    return { success: false, error: `Category ${newKey} already exists` };
+  }
+
+  const category = {
+    ...taxonomy.categories[index],
+    ...updates,
+    key: newKey,
+    ...(updates.keywords && { keywords: toList(updates.keywords) }),
+    ...(updates.exemplars && { exemplars: toList(updates.exemplars) })
+  };
+
+  let migrated = 0;
+  if (renamed) {
+    const result = await migrateCategory(key, newKey);
+    if (!result.success) return result;
+    migrated = result.migrated;
+    if (taxonomy.defaultCategory === key) taxonomy.defaultCategory = newKey;
+  }
+
+  taxonomy.categories[index] = category;
+  saveTaxonomy(taxonomy);
+  console.log(renamed
+    ? `🏷️ Renamed memory category ${key} → ${newKey} (${migrated} memories migrated)`
+    : `🏷️ Updated memory category ${key}`);
+  return { success: true, category, migrated };
+}
+
+/**
+ * Remove a category, moving its memories to another one
+ *
+ * @param {string} key
+ * @param {string} reassignTo - Category for existing memories (default category if omitted)
+ */
+async function deleteCategory(key, reassignTo) {
+  const taxonomy = loadTaxonomy();
+  if (!taxonomy.categories.some(c => c.key === key)) {
+    return { success: false, error: `Category ${key} not found` };
+  }
+  if (taxonomy.categories.length === 1) {
+    return { success: false, error: 'Cannot delete the last category' };
+  }
+
+  const remaining = taxonomy.categories.filter(c => c.key !== key);
+  const defaultCategory = taxonomy.defaultCategory === key ? remaining[0].key : taxonomy.defaultCategory;
+  const target = reassignTo || defaultCategory;
+  if (!remaining.some(c => c.key === target)) {
+    return { success: false, error: `Category ${target} not found` };
+  }
+
+  const result = await migrateCategory(key, target);
+  if (!result.success) return result;
+
+  saveTaxonomy({ ...taxonomy, categories: remaining, defaultCategory });
+  console.log(`🏷️ Deleted memory category ${key} (${result.migrated} memories moved to ${target})`);
+  return { success: true, migrated: result.migrated, reassignedTo: target };
+}
+
+/**
+ * Move memories and policy overrides from one category to another
+ */
+async function migrateCategory(from, to) {
+  const memoryService = require('./memory-service');
+  const memoryPolicy = require('./memory-policy-service');
+
+  const result = await memoryService.migrateCategory(from, to)
+    .catch(error => ({ success: false, error: error.message }));
+  if (result.success) {
+    memoryPolicy.renameCategory(from, to);
+  }
+  return result;
+}
+
+/**
+ * Update stages, tag rules, the default category or auto-categorize settings
+ */
+function updateTaxonomy(updates = {}) {
+  const taxonomy = loadTaxonomy();
+
+  if (updates.stages !== undefined) {
+    const stages = updates.stages;
+    if (!stages || typeof stages !== 'object' || Object.keys(stages).length === 0 ||
+        Object.values(stages).some(stage => !stage?.name)) {
+      return { success: false, error: 'Each stage needs a name' };
+    }
+    taxonomy.stages = stages;
+  }
+
+  if (updates.tagKeywords !== undefined) {
+    if (!updates.tagKeywords || typeof updates.tagKeywords !== 'object') {
+      return { success: false, error: 'tagKeywords must map tags to keyword lists' };
+    }
+    taxonomy.tagKeywords = Object.fromEntries(
+      Object.entries(updates.tagKeywords).map(([tag, keywords]) => [tag, toList(keywords)])
+    );
+  }
+
+  if (updates.defaultCategory !== undefined) {
+    if (!taxonomy.categories.some(c => c.key === updates.defaultCategory)) {
+      return { success: false, error: `Category ${updates.defaultCategory} not found` };
+    }
+    taxonomy.defaultCategory = updates.defaultCategory;
+  }
+
+  if (updates.autoCategorize !== undefined) {
+    const { mode, minSimilarity } = { ...taxonomy.autoCategorize, ...updates.autoCategorize };
+    if (!AUTO_CATEGORIZE_MODES.includes(mode)) {
+      return { success: false, error: `mode must be one of: ${AUTO_CATEGORIZE_MODES.join(', ')}` };
+    }
+    if (typeof minSimilarity !== 'number' || minSimilarity < 0 || minSimilarity > 1) {
+      return { success: false, error: 'minSimilarity must be between 0 and 1' };
+    }
+    taxonomy.autoCategorize = { mode, minSimilarity };
+  }
+
+  saveTaxonomy(taxonomy);
+  console.log(`🏷️ Memory taxonomy updated`);
+  return { success: true, taxonomy };
+}
+
+function memoryText(memory) {
+  return JSON.stringify(memory.content || memory).toLowerCase();
+}
+
+/**
+ * Category whose keywords appear most often (first category wins ties)
+ */
+function categorizeByKeywords(memory, taxonomy = loadTaxonomy()) {
+  const content = memoryText(memory);
+  let best = { key: taxonomy.defaultCategory, hits: 0 };
+
+  for (const category of taxonomy.categories) {
+    const hits = category.keywords.filter(keyword => content.includes(keyword.toLowerCase())).length;
+    if (hits > best.hits) best = { key: category.key, hits };
+  }
+
+  return best.key;
+}
+
+function cosine(a, b) {
+  let dot = 0, normA = 0, normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+async function getExemplarEmbeddings(category, embedding) {
+  const vectors = [];
+  for (const text of category.exemplars) {
+    const cacheKey = `${embedding.model}\n${text}`;
+    if (!exemplarCache.has(cacheKey)) {
+      const vector = await embedding.generateEmbedding(text);
+      if (!vector) return vectors;
+      exemplarCache.set(cacheKey, vector);
+    }
+    vectors.push(exemplarCache.get(cacheKey));
+  }
+  return vectors;
+}
+
+/**
+ * Category whose exemplars are closest to the memory vector, or null
+ * when no category has exemplars or none is similar enough
+ */
+async function categorizeByEmbedding(vector, taxonomy) {
+  const embedding = getEmbeddingService();
+  let best = { key: null, similarity: taxonomy.autoCategorize.minSimilarity };
+
+  for (const category of taxonomy.categories) {
+    const exemplars = await getExemplarEmbeddings(category, embedding);
+    for (const exemplar of exemplars) {
+      if (exemplar.length !== vector.length) continue;
+      const similarity = cosine(vector, exemplar);
+      if (similarity >= best.similarity) best = { key: category.key, similarity };
+    }
+  }
+
+  return best.key;
+}
+
+/**
+ * Pick a category for a new memory
+ *
+ * @param {Object} memory - Memory data (content is matched against keywords)
+ * @param {number[]} vector - The memory's embedding, used in embedding mode
+ */
+async function categorize(memory, vector = null) {
+  const taxonomy = loadTaxonomy();
+
+  if (taxonomy.autoCategorize.mode === 'embedding' && vector) {
+    const match = await categorizeByEmbedding(vector, taxonomy)
+      .catch(error => {
+        console.log(`⚠️ Embedding categorization failed, using keywords: ${error.message}`);
+        return null;
+      });
+    if (match) return match;
+  }
+
+  return categorizeByKeywords(memory, taxonomy);
+}
+
+/**
+ * Tags whose keywords appear in the memory
+ */
+function autoTag(memory) {
+  const content = memoryText(memory);
+
+  return Object.entries(loadTaxonomy().tagKeywords)
+    .filter(([, keywords]) => keywords.some(keyword => content.includes(keyword.toLowerCase())))
+    .map(([tag]) => tag);
+}
+
+module.exports = {
+  getTaxonomy,
+  getCategories,
+  getStages,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  updateTaxonomy,
+  categorize,
+  categorizeByKeywords,
+  autoTag,
+  DEFAULT_TAXONOMY
+};
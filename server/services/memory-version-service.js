@@ -0,0 +1,192 @@
+/**
+ * Memory Version Service
+ *
+ * Every create and edit of a memory is recorded as a MemoryVersion:
+ *
+ *   (:Memory)-[:HAS_VERSION]->(:MemoryVersion {version, author, reason, snapshot, diff})
+ *
+ * The snapshot is the memory's editable fields after the change, the diff
+ * lists the fields that changed. Authors are 'user', 'llm-extracted',
+ * 'federation' or 'system' (auto-fixes and other maintenance).
+ *
+ * Versions are kept while a memory is in the trash and removed when it is
+ * purged. Restoring a version is itself an edit, so history only grows.
+ */
+
+const { getNeo4jService } = require('./neo4j-service');
+const neo4jDriver = require('neo4j-driver');
+
+// Fields that are versioned; metrics and embeddings are derived state
+const TRACKED_FIELDS = ['text', 'context', 'category', 'stage', 'importance', 'tags', 'type', 'namespace'];
+
+const AUTHORS_BY_SOURCE = {
+  'llm-extracted': 'llm-extracted',
+  'tool-call': 'llm-extracted',
+  federation: 'federation'
+};
+
+function authorFromSource(source) {
+  return AUTHORS_BY_SOURCE[source] || 'user';
+}
+
+/**
+ * Versioned fields of a memory in service format
+ */
+function snapshotOf(memory) {
+  return {
+    text: typeof memory.content === 'string' ? memory.content : memory.content?.text || '',
+    context: typeof memory.content === 'string' ? '' : memory.content?.context || '',
+    category: memory.category || null,
+    stage: memory.stage || 1,
+    importance: memory.importance ?? 0.5,
+    tags: memory.tags || [],
+    type: memory.type || 'observation',
+    namespace: memory.namespace || 'global'
+  };
+}
+
+/**
+ * Fields that differ between two snapshots
+ *
+ * @returns {Array<{field, from, to}>}
+ */
+function diffSnapshots(before, after) {
+  return TRACKED_FIELDS
+    .filter(field => JSON.stringify(before?.[field] ?? null) !== JSON.stringify(after[field] ?? null))
+    .map(field => ({ field, from: before?.[field] ?? null, to: after[field] ?? null }));
+}
+
+/**
+ * Cypher and params that append the next version, so it can run in the
+ * same transaction as the memory write
+ */
+function buildVersionQuery(memoryId, snapshot, diff, { author, reason }) {
+  return {
+    cypher: `
+      MATCH (m:Memory {id: $memoryId})
+      OPTIONAL MATCH (m)-[:HAS_VERSION]->(prev:MemoryVersion)
+      WITH m, coalesce(max(prev.version), 0) + 1 AS version
+      CREATE (m)-[:HAS_VERSION]->(v:MemoryVersion {
+        id: $memoryId + '@' + toString(version),
+        memoryId: $memoryId,
+        version: version,
+        author: $author,
+        reason: $reason,
+        snapshot: $snapshot,
+        diff: $diff,
+        createdAt: datetime()
+      })
+      RETURN v.version AS version
+    `,
+    params: {
+      memoryId,
+      author,
+      reason,
+      snapshot: JSON.stringify(snapshot),
+      diff: JSON.stringify(diff)
+    }
+  };
+}
+
+/**
+ * Version 1 for a memory created before history existed, so its original
+ * state can still be restored after the first edit. No-op if it has versions.
+ */
+function buildBaselineQuery(memory) {
+  const snapshot = snapshotOf(memory);
+
+  return {
+    cypher: `
+      MATCH (m:Memory {id: $memoryId})
+      WHERE NOT (m)-[:HAS_VERSION]->(:MemoryVersion)
+      CREATE (m)-[:HAS_VERSION]->(:MemoryVersion {
+        id: $memoryId + '@1',
+        memoryId: $memoryId,
+        version: 1,
+        author: $author,
+        reason: 'baseline',
+        snapshot: $snapshot,
+        diff: $diff,
+        createdAt: datetime($createdAt)
+      })
+    `,
+    params: {
+      memoryId: memory.id,
+      author: authorFromSource(memory.source),
+      snapshot: JSON.stringify(snapshot),
+      diff: JSON.stringify(diffSnapshots(null, snapshot)),
+      createdAt: memory.timestamp || new Date().toISOString()
+    }
+  };
+}
+
+function formatVersion(node) {
+  const props = node.properties || node;
+  return {
+    version: typeof props.version === 'object' ? props.version.toNumber() : props.version,
+    author: props.author,
+    reason: props.reason,
+    createdAt: props.createdAt?.toString() || null,
+    snapshot: JSON.parse(props.snapshot),
+    diff: JSON.parse(props.diff)
+  };
+}
+
+/**
+ * A memory's versions, newest first, and the memories it was merged from
+ * Works for trashed memories too, so they can be inspected before restoring
+ */
+async function getHistory(memoryId) {
+  const neo4j = getNeo4jService();
+  if (!await neo4j.isAvailable()) {
+    return { success: false, error: 'Neo4j not available' };
+  }
+
+  const rows = await neo4j.read(`
+    MATCH (m {id: $memoryId})
+    WHERE m:Memory OR m:DeletedMemory
+    OPTIONAL MATCH (m)-[:MERGED_FROM]->(o)
+    WITH m, collect(o.id) AS mergedFrom
+    OPTIONAL MATCH (m)-[:HAS_VERSION]->(v:MemoryVersion)
+    RETURN m:DeletedMemory AS deleted, mergedFrom, v
+    ORDER BY v.version DESC
+  `, { memoryId });
+
+  if (rows.length === 0) {
+    return { success: false, error: `Memory ${memoryId} not found` };
+  }
+
+  return {
+    success: true,
+    memoryId,
+    deleted: rows[0].deleted,
+    mergedFrom: rows[0].mergedFrom,
+    versions: rows.filter(r => r.v).map(r => formatVersion(r.v))
+  };
+}
+
+/**
+ * A single version of a memory, or null
+ */
+async function getVersion(memoryId, version) {
+  const neo4j = getNeo4jService();
+
+  const rows = await neo4j.read(`
+    MATCH (:Memory {id: $memoryId})-[:HAS_VERSION]->(v:MemoryVersion)
+    WHERE v.version = $version
+    RETURN v
+  `, { memoryId, version: neo4jDriver.int(version) });
+
+  return rows[0] ? formatVersion(rows[0].v) : null;
+}
+
+module.exports = {
+  snapshotOf,
+  diffSnapshots,
+  authorFromSource,
+  buildVersionQuery,
+  buildBaselineQuery,
+  getHistory,
+  getVersion,
+  TRACKED_FIELDS
+};
@@ -8,6 +8,7 @@
 const neo4j = require('neo4j-driver');
 const fs = require('fs');
 const path = require('path');
+const { getEmbeddingService } = require('./embedding-service');
 
 const CONFIG_DIR = path.resolve(__dirname, '../../data');
 const LEGACY_CONFIG_DIR = path.resolve(__dirname, '../../config');
@@ -16,6 +17,31 @@ const NEO4J_CONFIG_PATH = path.join(CONFIG_DIR, 'neo4j.json');
 const LEGACY_NEO4J_CONFIG_PATH = path.join(LEGACY_CONFIG_DIR, 'neo4j.json');
 const TEMPLATE_NEO4J_CONFIG_PATH = path.join(TEMPLATE_DIR, 'neo4j.json');
 
+// Native vector index over Memory.embedding (Neo4j 5.11+)
+const VECTOR_INDEX_NAME = 'memory_embedding_index';
+
+// Fulltext (Lucene BM25) index over memory text
+const FULLTEXT_INDEX_NAME = 'memory_fulltext_index';
+
+// Memory retrieval tuning, stored under "retrieval" in neo4j.json
+const DEFAULT_RETRIEVAL = {
+  // Reciprocal-rank fusion weight per source (0 disables a source)
+  weights: {
+    semantic: 1.0,
+    fulltext: 1.0,
+    user: 0.8,
+    entity: 0.8,
+    category: 0.4,
+    recent: 0.3
+  },
+  rrfK: 60,        // RRF damping constant
+  candidates: 10,  // Results fetched per source before fusion
+  rerank: {
+    enabled: false, // LLM reranking on the light model tier
+    candidates: 10  // Top fused results sent to the reranker
+  }
+};
+
 const DEFAULT_CONFIG = {
   uri: 'bolt://localhost:7687',
   user: 'neo4j',
@@ -79,6 +105,11 @@ class Neo4jService {
     this.connectionError = null;
     this.lastErrorCode = null;
 
+    // Index state, checked once per connection
+    this.vectorIndex = { name: VECTOR_INDEX_NAME, supported: null };
+    this.fulltextIndex = { name: FULLTEXT_INDEX_NAME, supported: null };
+    this.indexCheck = null;
+
     // Log if using environment variable overrides
     if (process.env.NEO4J_URI) {
       console.log(`🔧 Neo4j URI from environment: ${this.uri}`);
@@ -95,10 +126,58 @@ class Neo4jService {
       user: this.user,
       database: this.database,
       hasPassword: !!this.password,
-      memoryEnabled: fileConfig.memoryEnabled !== false
+      memoryEnabled: fileConfig.memoryEnabled !== false,
+      retrieval: this.getRetrievalConfig()
+    };
+  }
+
+  /**
+   * Get memory retrieval weights, merged over the defaults
+   */
+  getRetrievalConfig() {
+    const saved = loadConfig().retrieval || {};
+    return {
+      ...DEFAULT_RETRIEVAL,
+      ...saved,
+      weights: { ...DEFAULT_RETRIEVAL.weights, ...saved.weights },
+      rerank: { ...DEFAULT_RETRIEVAL.rerank, ...saved.rerank }
     };
   }
 
+  /**
+   * Update memory retrieval weights
+   * Unknown sources and non-numeric weights are rejected
+   */
+  setRetrievalConfig(updates = {}) {
+    const current = this.getRetrievalConfig();
+
+    for (const [source, weight] of Object.entries(updates.weights || {})) {
+      if (!(source in DEFAULT_RETRIEVAL.weights)) {
+        return { success: false, error: `Unknown retrieval source "${source}"` };
+      }
+      if (typeof weight !== 'number' || weight < 0) {
+        return { success: false, error: `Weight for "${source}" must be a number >= 0` };
+      }
+    }
+
+    const positive = (value, fallback) => (Number.isFinite(value) && value > 0 ? Math.floor(value) : fallback);
+    const retrieval = {
+      weights: { ...current.weights, ...updates.weights },
+      rrfK: positive(updates.rrfK, current.rrfK),
+      candidates: positive(updates.candidates, current.candidates),
+      rerank: {
+        enabled: typeof updates.rerank?.enabled === 'boolean' ? updates.rerank.enabled : current.rerank.enabled,
+        candidates: positive(updates.rerank?.candidates, current.rerank.candidates)
+      }
+    };
+
+    const fileConfig = loadConfig();
+    fileConfig.retrieval = retrieval;
+    saveConfig(fileConfig);
+    console.log(`🧠 Updated memory retrieval weights`);
+    return { success: true, retrieval };
+  }
+
   /**
    * Check if memory system is globally enabled
    */
@@ -133,6 +212,7 @@ class Neo4jService {
     // Save to file (don't save env var overrides)
     if (!process.env.NEO4J_URI) {
       const configToSave = {
+        ...loadConfig(),
         uri: this.uri,
         user: this.user,
         password: this.password,
@@ -231,6 +311,7 @@ class Neo4jService {
     this.connectionError = null;
     this.lastErrorCode = null;
     console.log(`🧠 Connected to Neo4j at ${this.uri}`);
+    this.onConnected();
     return true;
   }
 
@@ -253,6 +334,7 @@ class Neo4jService {
       this.connected = true;
       this.connectionError = null;
       this.lastErrorCode = null;
+      this.onConnected();
       return true;
     }).catch(() => false);
   }
@@ -277,6 +359,7 @@ class Neo4jService {
       this.connectionError = null;
       this.lastErrorCode = null;
       console.log('🧠 Connected to Neo4j');
+      this.onConnected();
       return { connected: true };
     }).catch(err => {
       const parsed = this.parseConnectionError(err);
@@ -326,6 +409,22 @@ class Neo4jService {
     };
   }
 
+  /**
+   * Run once per connection: make sure the search indexes exist
+   */
+  onConnected() {
+    if (this.indexCheck) return;
+
+    this.indexCheck = Promise.all([
+      this.ensureVectorIndex(getEmbeddingService().dimensions)
+        .catch(err => console.log(`⚠️ Vector index check failed: ${err.message}`)),
+      this.ensureFulltextIndex()
+        .catch(err => console.log(`⚠️ Fulltext index check failed: ${err.message}`)),
+      this.runQuiet('CREATE CONSTRAINT entity_id IF NOT EXISTS FOR (e:Entity) REQUIRE e.id IS UNIQUE')
+        .catch(err => console.log(`⚠️ Entity constraint check failed: ${err.message}`))
+    ]);
+  }
+
   /**
    * Close connection to Neo4j
    */
@@ -334,6 +433,7 @@ class Neo4jService {
       await this.driver.close();
       this.driver = null;
       this.connected = false;
+      this.indexCheck = null;
       console.log('🧠 Disconnected from Neo4j');
     }
   }
@@ -392,22 +492,200 @@ class Neo4jService {
     const session = this.driver.session({ database: this.database });
     const tx = session.beginTransaction();
 
-    const results = [];
-    for (const { cypher, params } of queries) {
-      const result = await tx.run(cypher, params);
-      results.push(result.records.map(record => record.toObject()));
+    const run = async () => {
+      const results = [];
+      for (const { cypher, params } of queries) {
+        const result = await tx.run(cypher, params);
+        results.push(result.records.map(record => record.toObject()));
+      }
+      await tx.commit();
+      return results;
+    };
+
+    // Roll back on any failure so a partial batch never lands
+    return run()
+      .catch(async error => {
+        if (tx.isOpen()) await tx.rollback();
+        throw error;
+      })
+      .finally(() => session.close());
+  }
+
+  /**
+   * Create the Memory.embedding vector index if it doesn't exist
+   * Tries CREATE VECTOR INDEX (5.13+), then the 5.11 procedure. Older
+   * servers don't support vector indexes and are marked unsupported so
+   * semantic search uses the in-process index instead.
+   */
+  async ensureVectorIndex(dimensions = 768) {
+    const dims = Math.floor(dimensions);
+    const existing = await this.getVectorIndexInfo().catch(() => null);
+
+    if (!existing) {
+      const created = await this.runQuiet(`
+        CREATE VECTOR INDEX ${VECTOR_INDEX_NAME} IF NOT EXISTS
+        FOR (m:Memory) ON (m.embedding)
+        OPTIONS { indexConfig: {
+          \`vector.dimensions\`: ${dims},
+          \`vector.similarity_function\`: 'cosine'
+        } }
+      `).catch(() => this.runQuiet(
+        `CALL db.index.vector.createNodeIndex($name, 'Memory', 'embedding', $dims, 'cosine')`,
+        { name: VECTOR_INDEX_NAME, dims: neo4j.int(dims) }
+      )).then(() => true).catch(err => {
+        this.vectorIndex = {
+          name: VECTOR_INDEX_NAME,
+          supported: false,
+          error: err.message,
+          checkedAt: new Date().toISOString()
+        };
+        console.log('⚠️ Neo4j vector index not supported - semantic search uses the in-process index');
+        return false;
+      });
+
+      if (!created) return this.vectorIndex;
+      console.log(`🧭 Created vector index ${VECTOR_INDEX_NAME} (${dims} dimensions)`);
     }
 
-    await tx.commit();
-    await session.close();
+    return this.refreshVectorIndexStatus();
+  }
 
-    return results;
+  /**
+   * Drop and recreate the vector index (e.g. after switching embedding models)
+   */
+  async rebuildVectorIndex(dimensions = 768) {
+    await this.runQuiet(`DROP INDEX ${VECTOR_INDEX_NAME} IF EXISTS`).catch(() => null);
+    console.log(`🧭 Rebuilding vector index ${VECTOR_INDEX_NAME}`);
+    return this.ensureVectorIndex(dimensions);
+  }
+
+  /**
+   * Look up the vector index in SHOW INDEXES
+   */
+  async getVectorIndexInfo() {
+    const rows = await this.read(`
+      SHOW INDEXES YIELD name, type, state, populationPercent, options
+      WHERE name = $name
+      RETURN name, type, state, populationPercent, options
+    `, { name: VECTOR_INDEX_NAME });
+    return rows[0] || null;
+  }
+
+  /**
+   * Refresh the cached vector index state (ONLINE, POPULATING, FAILED)
+   */
+  async refreshVectorIndexStatus() {
+    const info = await this.getVectorIndexInfo();
+    const dims = info?.options?.indexConfig?.['vector.dimensions'];
+
+    this.vectorIndex = {
+      name: VECTOR_INDEX_NAME,
+      supported: Boolean(info),
+      state: info?.state || null,
+      populationPercent: info?.populationPercent ?? null,
+      dimensions: dims?.toNumber ? dims.toNumber() : dims ?? null,
+      checkedAt: new Date().toISOString()
+    };
+    return this.vectorIndex;
+  }
+
+  /**
+   * Nearest Memory nodes to an embedding through the vector index
+   * Only vectors from the given model (or untagged legacy vectors) count;
+   * extra neighbours are fetched so filtered-out vectors don't shrink results.
+   * Neo4j scores cosine as (1 + cos) / 2; similarity is converted back to cosine
+   */
+  async queryVectorIndex(embedding, limit = 5, model = null) {
+    const result = await this.read(`
+      CALL db.index.vector.queryNodes($name, $k, $embedding)
+      YIELD node, score
+      WHERE $model IS NULL OR node.embeddingModel IS NULL OR node.embeddingModel = $model
+      RETURN node AS m, score
+      LIMIT $limit
+    `, {
+      name: VECTOR_INDEX_NAME,
+      k: neo4j.int(limit * 4),
+      embedding,
+      model,
+      limit: neo4j.int(limit)
+    });
+
+    return result.map(r => ({ node: r.m, similarity: r.score * 2 - 1 }));
+  }
+
+  /**
+   * Create the fulltext index over memory content and context
+   * Neo4j 4.3+ syntax first, then the older procedure
+   */
+  async ensureFulltextIndex() {
+    const existing = await this.read(`
+      SHOW INDEXES YIELD name, state
+      WHERE name = $name
+      RETURN name, state
+    `, { name: FULLTEXT_INDEX_NAME }).catch(() => []);
+
+    if (existing.length === 0) {
+      const created = await this.runQuiet(`
+        CREATE FULLTEXT INDEX ${FULLTEXT_INDEX_NAME} IF NOT EXISTS
+        FOR (m:Memory) ON EACH [m.content, m.context]
+      `).catch(() => this.runQuiet(
+        `CALL db.index.fulltext.createNodeIndex($name, ['Memory'], ['content', 'context'])`,
+        { name: FULLTEXT_INDEX_NAME }
+      )).then(() => true).catch(err => {
+        this.fulltextIndex = { name: FULLTEXT_INDEX_NAME, supported: false, error: err.message };
+        console.log('⚠️ Neo4j fulltext index not supported - keyword search uses CONTAINS matching');
+        return false;
+      });
+
+      if (!created) return this.fulltextIndex;
+      console.log(`🔎 Created fulltext index ${FULLTEXT_INDEX_NAME}`);
+    }
+
+    this.fulltextIndex = {
+      name: FULLTEXT_INDEX_NAME,
+      supported: true,
+      state: existing[0]?.state || 'POPULATING'
+    };
+    return this.fulltextIndex;
+  }
+
+  /**
+   * BM25-ranked Memory nodes for a Lucene query through the fulltext index
+   */
+  async queryFulltextIndex(query, limit = 10) {
+    const result = await this.read(`
+      CALL db.index.fulltext.queryNodes($name, $query)
+      YIELD node, score
+      RETURN node AS m, score
+      LIMIT $limit
+    `, { name: FULLTEXT_INDEX_NAME, query, limit: neo4j.int(limit) });
+
+    return result.map(r => ({ node: r.m, score: r.score }));
+  }
+
+  /**
+   * Run a write query without logging failures (for feature probing)
+   */
+  async runQuiet(cypher, params = {}) {
+    await this.connect();
+
+    const session = this.driver.session({ database: this.database });
+    return session.run(cypher, params).finally(() => session.close());
   }
 
   /**
    * Create or update a Memory node
    */
   async upsertMemory(memory) {
+    const { cypher, params } = this.buildUpsertMemoryQuery(memory);
+    const result = await this.write(cypher, params);
+    return result[0]?.m;
+  }
+
+  /**
+   * Cypher and params for a Memory upsert, so it can also run inside a transaction
+   */
+  buildUpsertMemoryQuery(memory) {
     const cypher = `
       MERGE (m:Memory {id: $id})
       SET m.content = $content,
@@ -421,12 +699,15 @@ class Neo4jService {
           m.impact = $impact,
           m.significance = $significance,
           m.embedding = $embedding,
+          m.embeddingModel = $embeddingModel,
+          m.embeddingDimensions = $embeddingDimensions,
           m.relevance = $relevance,
           m.interactions = $interactions,
           m.views = $views,
           m.lastAccessed = datetime($lastAccessed),
           m.source = $source,
-          m.relatedUsers = $relatedUsers
+          m.relatedUsers = $relatedUsers,
+          m.namespace = $namespace
       RETURN m
     `;
 
@@ -443,16 +724,18 @@ class Neo4jService {
       impact: memory.content?.impact || '',
       significance: memory.content?.significance || 'normal',
       embedding: memory.embedding || null,
+      embeddingModel: memory.embedding ? memory.embeddingModel || null : null,
+      embeddingDimensions: memory.embedding ? neo4j.int(memory.embedding.length) : null,
       relevance: memory.metrics?.relevance || 0.5,
       interactions: memory.metrics?.interactions || 0,
       views: memory.metrics?.views || 0,
       lastAccessed: memory.metrics?.lastAccessed || new Date().toISOString(),
       source: memory.source || null,
-      relatedUsers: memory.relatedUsers || []
+      relatedUsers: memory.relatedUsers || [],
+      namespace: memory.namespace || 'global'
     };
 
-    const result = await this.write(cypher, params);
-    return result[0]?.m;
+    return { cypher, params };
   }
 
   /**
@@ -532,12 +815,17 @@ class Neo4jService {
   async searchMemories(query, filters = {}) {
     let cypher = `
       MATCH (m:Memory)
-      WHERE toLower(m.content) CONTAINS toLower($query)
-        OR any(tag IN m.tags WHERE toLower(tag) CONTAINS toLower($query))
+      WHERE (toLower(m.content) CONTAINS toLower($query)
+        OR any(tag IN m.tags WHERE toLower(tag) CONTAINS toLower($query)))
     `;
 
     const params = { query };
 
+    if (filters.namespace) {
+      cypher += ` AND coalesce(m.namespace, 'global') = $namespace`;
+      params.namespace = filters.namespace;
+    }
+
     if (filters.category) {
       cypher += ` AND m.category = $category`;
       params.category = filters.category;
@@ -564,17 +852,18 @@ class Neo4jService {
   }
 
   /**
-   * Get all memories
+   * Get all memories, optionally only one namespace
    */
-  async getAllMemories(limit = 100) {
+  async getAllMemories(limit = 100, namespace = null) {
     const cypher = `
       MATCH (m:Memory)
+      WHERE $namespace IS NULL OR coalesce(m.namespace, 'global') = $namespace
       RETURN m
       ORDER BY m.timestamp DESC
       LIMIT $limit
     `;
 
-    return await this.read(cypher, { limit: neo4j.int(limit) });
+    return await this.read(cypher, { limit: neo4j.int(limit), namespace });
   }
 
   /**
@@ -627,15 +916,16 @@ class Neo4jService {
   /**
    * Get memories by category
    */
-  async getMemoriesByCategory(category, limit = 10) {
+  async getMemoriesByCategory(category, limit = 10, namespace = null) {
     const cypher = `
       MATCH (m:Memory {category: $category})
+      WHERE $namespace IS NULL OR coalesce(m.namespace, 'global') = $namespace
       RETURN m
       ORDER BY m.importance DESC, m.timestamp DESC
       LIMIT $limit
     `;
 
-    return await this.read(cypher, { category, limit: neo4j.int(limit) });
+    return await this.read(cypher, { category, limit: neo4j.int(limit), namespace });
   }
 
   /**
@@ -693,12 +983,19 @@ class Neo4jService {
   async getGraphData() {
     const cypher = `
       MATCH (m:Memory)
-      OPTIONAL MATCH (m)-[r:RELATES_TO|MENTIONS]->(target)
+      OPTIONAL MATCH (m)-[r:RELATES_TO|MENTIONS|ABOUT]->(target)
       RETURN m,
              collect({
                type: type(r),
-               target: CASE WHEN target:Memory THEN target.id WHEN target:User THEN target.handle ELSE null END,
-               label: CASE WHEN target:User THEN 'User' ELSE null END
+               target: CASE
+                 WHEN target:Memory THEN target.id
+                 WHEN target:User THEN target.handle
+                 WHEN target:Entity THEN target.id
+                 ELSE null
+               END,
+               label: CASE WHEN target:User THEN 'User' WHEN target:Entity THEN 'Entity' ELSE null END,
+               name: target.name,
+               entityType: CASE WHEN target:Entity THEN target.type ELSE null END
              }) as relationships
       ORDER BY m.timestamp DESC
     `;
@@ -717,4 +1014,4 @@ function getNeo4jService() {
   return instance;
 }
 
-module.exports = { Neo4jService, getNeo4jService };
+module.exports = { Neo4jService, getNeo4jService, VECTOR_INDEX_NAME, FULLTEXT_INDEX_NAME, DEFAULT_RETRIEVAL };
@@ -6,6 +6,7 @@
  */
 
 const { getNeo4jService } = require('./neo4j-service');
+const { signedFetch } = require('./federation-auth-service');
 
 // Trust levels in order of increasing trust
 const TRUST_LEVELS = ['unknown', 'seen', 'verified', 'trusted', 'blocked'];
@@ -119,6 +120,7 @@ class PeerService {
   /**
    * Create or update a peer in Neo4j
    * Also cleans up stale peers with same endpoint but different serverId
+   * A known peer keeps the public key it was first stored with
    */
   async upsertPeer(peer) {
     if (!await this.isNeo4jAvailable()) {
@@ -149,13 +151,14 @@ class PeerService {
           p.addedAt = datetime($addedAt),
           p.updatedAt = datetime()
       ON MATCH SET
-          p.publicKey = $publicKey,
+          p.publicKey = CASE WHEN coalesce(p.publicKey, '') = '' THEN $publicKey ELSE p.publicKey END,
           p.nodeId = COALESCE($nodeId, p.nodeId),
           p.endpoint = $endpoint,
           p.version = COALESCE($version, p.version),
           p.capabilities = CASE WHEN size($capabilities) > 0 THEN $capabilities ELSE p.capabilities END,
           p.plugins = CASE WHEN $plugins <> '[]' THEN $plugins ELSE p.plugins END,
           p.trustLevel = CASE
+            WHEN p.trustLevel = 'blocked' THEN p.trustLevel
             WHEN p.trustLevel IN ['trusted', 'verified'] AND $trustLevel IN ['unknown', 'seen'] THEN p.trustLevel
             WHEN p.trustLevel = 'verified' AND $trustLevel = 'seen' THEN p.trustLevel
             ELSE $trustLevel
@@ -733,13 +736,8 @@ class PeerService {
 
     const url = `${endpoint.replace(/\/$/, '')}/api/federation/ping`;
 
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        fromServerId: this.federationService?.identity?.serverId
-      }),
-      signal: AbortSignal.timeout(10000)
+    const response = await signedFetch(url, {
+      body: { fromServerId: this.federationService?.identity?.serverId }
     });
 
     return response.ok;
@@ -3,13 +3,28 @@
  * Orchestrates prompt execution with provider resolution
  */
 
+const fs = require('fs');
 const promptService = require('./prompt-service');
 const chatService = require('./chat-service');
+const chatSummary = require('./chat-summary-service');
 const aiProvider = require('./ai-provider');
 const memoryQueryService = require('./memory-query-service');
 const memoryExtractor = require('./memory-extractor');
+const memoryPolicy = require('./memory-policy-service');
+const memoryNamespaces = require('./memory-namespace-service');
+const toolRegistry = require('./tool-registry');
+const tokenBudget = require('./token-budget');
 const { getNeo4jService } = require('./neo4j-service');
 
+// In-flight chat generations (chatId -> AbortController) so they can be cancelled
+const activeGenerations = new Map();
+
+// Text attachments longer than this are truncated before going into the prompt
+const MAX_ATTACHMENT_CHARS = 20000;
+
+// Provider/model runs accepted by one comparison request
+const MAX_COMPARE_RUNS = 6;
+
 /**
  * Resolve which provider to use based on priority:
  * 1. options.providerOverride (caller override)
@@ -55,8 +70,323 @@ function resolveProvider(template, options = {}) {
   };
 }
 
+// HTTP statuses worth retrying on the same provider before falling back
+const TRANSIENT_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+// Tool-call rounds per turn before the model must answer (template settings.maxToolRounds overrides)
+const MAX_TOOL_ROUNDS = 5;
+
+/**
+ * Resolve the ordered providers to try: the primary from resolveProvider()
+ * followed by its configured fallback chain (skipping disabled providers)
+ */
+function resolveProviderChain(template, options = {}) {
+  const primary = resolveProvider(template, options);
+  const chain = primary.provider ? [primary] : [];
+
+  if (options.fallback === false) {
+    return chain;
+  }
+
+  for (const key of aiProvider.getFallbackChain(primary.key)) {
+    const provider = aiProvider.getProvider(key);
+    if (provider && !chain.some(c => c.key === key)) {
+      chain.push({ provider, key, source: 'fallback' });
+    }
+  }
+
+  return chain;
+}
+
+/**
+ * Smallest context window across a provider chain, so a fallback provider
+ * never receives a prompt sized for a bigger model
+ */
+function getContextLimit(chain, modelType) {
+  const limits = chain.map(c => c.provider.getContextLimit(c.modelType || modelType) || tokenBudget.DEFAULT_CONTEXT_LIMIT);
+  return limits.length > 0 ? Math.min(...limits) : tokenBudget.DEFAULT_CONTEXT_LIMIT;
+}
+
+/**
+ * Turn chat messages into alternating user/assistant turns that start with
+ * the user, merging consecutive turns from one role (e.g. a user message
+ * whose reply failed) so strict chat APIs accept them
+ */
+function normalizeTurns(messages = []) {
+  const turns = [];
+
+  for (const msg of messages) {
+    if (!msg.content) continue;
+    const role = msg.role === 'assistant' ? 'assistant' : 'user';
+    const last = turns[turns.length - 1];
+
+    if (!last && role === 'assistant') continue;
+    if (last?.role === role) {
+      last.content += `\n\n${msg.content}`;
+    } else {
+      turns.push({ role, content: msg.content });
+    }
+  }
+
+  return turns;
+}
+
+/**
+ * Messages mode: the compiled template becomes the system prompt and the
+ * conversation is sent as role turns. `prompt` is the flattened form used
+ * for providers without a chat API (CLI providers).
+ * Returns null when there are no turns to send.
+ */
+function buildConversation(systemPrompt, messages) {
+  const turns = normalizeTurns(messages);
+  if (turns.length === 0) {
+    return null;
+  }
+
+  const transcript = turns
+    .map(t => `${t.role === 'user' ? 'User' : 'Assistant'}: ${t.content}`)
+    .join('\n');
+
+  return {
+    systemPrompt,
+    messages: turns,
+    prompt: `${systemPrompt ? `${systemPrompt}\n\n` : ''}${transcript}\nAssistant:`
+  };
+}
+
+/**
+ * Load a message's attachments for the prompt
+ * Text files are inlined into the message text; images are returned as
+ * base64 for vision providers and noted by name in the text.
+ * @returns {{success: boolean, attachments?: Array, images?: Array, text?: string, error?: string}}
+ */
+function loadAttachments(chatId, attachmentIds, userMessage) {
+  const attachments = [];
+  const images = [];
+  const blocks = [];
+
+  for (const id of attachmentIds) {
+    const found = chatService.getAttachment(chatId, id);
+    if (!found.success) {
+      return found;
+    }
+
+    const { attachment, filePath } = found;
+    attachments.push({
+      id: attachment.id,
+      name: attachment.name,
+      kind: attachment.kind,
+      mimeType: attachment.mimeType,
+      size: attachment.size,
+      ...(attachment.cid && { cid: attachment.cid })
+    });
+
+    if (attachment.kind === 'image') {
+      images.push({
+        name: attachment.name,
+        mimeType: attachment.mimeType,
+        data: fs.readFileSync(filePath).toString('base64')
+      });
+      blocks.push(`[Image: ${attachment.name}]`);
+      continue;
+    }
+
+    let content = fs.readFileSync(filePath, 'utf8');
+    if (content.length > MAX_ATTACHMENT_CHARS) {
+      content = `${content.slice(0, MAX_ATTACHMENT_CHARS)}\n... (truncated)`;
+    }
+    blocks.push(`[Attached file: ${attachment.name}]\n\`\`\`\n${content}\n\`\`\``);
+  }
+
+  return {
+    success: true,
+    attachments,
+    images,
+    text: [userMessage, ...blocks].filter(Boolean).join('\n\n')
+  };
+}
+
+/**
+ * Wait for a backoff delay, resolving early if the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+/**
+ * Run a generation on one provider, retrying transient failures with
+ * exponential backoff. Failed attempts are appended to `attempts`.
+ */
+async function generateWithRetry(candidate, prompt, generationOptions, { attempts, streamed }) {
+  const retry = aiProvider.getRetryPolicy();
+  const { signal } = generationOptions;
+  const streamedBefore = streamed.content.length;
+
+  for (let attempt = 1; ; attempt++) {
+    const startTime = Date.now();
+
+    // Streamed when the caller wants tokens as they arrive
+    const generation = generationOptions.onToken
+      ? candidate.provider.generateStream(prompt, generationOptions)
+      : candidate.provider.generate(prompt, generationOptions);
+
+    // Network failures, timeouts and aborts reject rather than returning an error result
+    const result = await generation.catch(error => {
+      if (signal?.aborted) {
+        return { success: false, aborted: true, error: 'Generation aborted' };
+      }
+      return { success: false, error: error.message, transient: true };
+    });
+
+    if (result.success || result.aborted) {
+      return result;
+    }
+
+    attempts.push({
+      provider: candidate.key,
+      attempt,
+      error: result.error,
+      status: result.status,
+      duration: Date.now() - startTime
+    });
+
+    // Once tokens reached the caller a retry would duplicate output
+    const retryable = (result.transient || TRANSIENT_STATUSES.has(result.status)) &&
+      streamed.content.length === streamedBefore &&
+      attempt < retry.maxAttempts;
+
+    if (!retryable) {
+      return result;
+    }
+
+    const delay = Math.min(retry.maxDelayMs, retry.initialDelayMs * retry.backoffFactor ** (attempt - 1));
+    console.log(`🔁 ${candidate.key} attempt ${attempt} failed (${result.error}), retrying in ${delay}ms`);
+    await sleep(delay, signal);
+
+    if (signal?.aborted) {
+      return { success: false, aborted: true, error: 'Generation aborted' };
+    }
+  }
+}
+
+/**
+ * Generate a reply that may call tools. Each round's tool calls are run and
+ * their results fed back (natively, or as <tool_result> tags appended to the
+ * prompt) until the model answers without calling a tool. Every invocation
+ * is appended to `toolCalls`.
+ */
+async function generateWithTools(candidate, prompt, generationOptions, context) {
+  const { tools, toolContext, toolCalls, maxRounds } = context;
+  const native = candidate.provider.supportsNativeTools();
+  const { signal } = generationOptions;
+
+  // Tag mode with role turns: instructions join the system prompt and each
+  // round continues the conversation instead of the transcript
+  const turns = native ? null : generationOptions.messages;
+  const instructions = native ? '' : toolRegistry.getToolInstructions(tools);
+  const followUps = [];
+
+  const exchanges = [];
+  const replies = [];
+  let transcript = native || turns ? prompt : `${prompt}\n\n${instructions}`;
+  let result;
+
+  for (let round = 1; ; round++) {
+    let roundOptions = generationOptions;
+    if (native) {
+      roundOptions = { ...generationOptions, tools, toolExchanges: exchanges };
+    } else if (turns) {
+      roundOptions = {
+        ...generationOptions,
+        systemPrompt: [generationOptions.systemPrompt, instructions].filter(Boolean).join('\n\n'),
+        messages: [...turns, ...followUps]
+      };
+    }
+
+    result = await generateWithRetry(candidate, transcript, roundOptions, context);
+
+    if (!result.success) {
+      return result;
+    }
+
+    let { calls, cleanedResponse } = native
+      ? { calls: result.toolCalls || [], cleanedResponse: result.content }
+      : toolRegistry.parseToolCalls(result.content, round);
+
+    // Tag mode: anything after the last call is the model guessing at the result
+    let roundContent = result.content;
+    if (!native && calls.length > 0) {
+      roundContent = roundContent.slice(0, roundContent.lastIndexOf('</tool_call>') + '</tool_call>'.length);
+      cleanedResponse = toolRegistry.parseToolCalls(roundContent).cleanedResponse;
+    }
+
+    if (cleanedResponse) {
+      replies.push(cleanedResponse);
+    }
+
+    if (calls.length === 0) {
+      break;
+    }
+
+    if (round > maxRounds) {
+      console.log(`⚠️ Tool round limit (${maxRounds}) reached, ignoring further calls`);
+      break;
+    }
+
+    const results = [];
+    for (const call of calls) {
+      const outcome = await toolRegistry.executeTool(call.name, call.arguments, toolContext);
+      results.push({
+        id: call.id,
+        name: call.name,
+        content: outcome.success ? outcome.content : `Error: ${outcome.error}`,
+        isError: !outcome.success
+      });
+      toolCalls.push({
+        round,
+        mode: native ? 'native' : 'tags',
+        provider: candidate.key,
+        id: call.id,
+        name: call.name,
+        arguments: call.arguments,
+        success: outcome.success,
+        ...(outcome.success ? { result: outcome.content } : { error: outcome.error }),
+        duration: outcome.duration
+      });
+    }
+
+    if (signal?.aborted) {
+      return { success: false, aborted: true, error: 'Generation aborted' };
+    }
+
+    exchanges.push({ content: result.content, calls, results });
+    if (turns) {
+      followUps.push(
+        { role: 'assistant', content: roundContent },
+        { role: 'user', content: toolRegistry.formatToolResults(results) }
+      );
+    } else if (!native) {
+      transcript += `\n\n${roundContent}\n\n${toolRegistry.formatToolResults(results)}`;
+    }
+  }
+
+  const content = replies.join('\n\n');
+  if (!content) {
+    return { success: false, error: 'Model returned tool calls without a reply' };
+  }
+
+  return { ...result, content };
+}
+
 /**
  * Execute a prompt template with variable substitution
+ * Tries the resolved provider first, then its fallback chain
  */
 async function executePrompt(templateId, variableValues = {}, options = {}) {
   // Build the prompt from template
@@ -65,12 +395,21 @@ async function executePrompt(templateId, variableValues = {}, options = {}) {
     return buildResult;
   }
 
-  const { prompt, template } = buildResult;
+  const { template } = buildResult;
+
+  // Messages mode sends role turns (options.messages, or the userMessage
+  // variable) to providers with a chat API and a flattened prompt to the rest
+  const conversation = template.mode === 'messages'
+    ? buildConversation(buildResult.prompt, options.messages || [
+      { role: 'user', content: variableValues.userMessage }
+    ])
+    : null;
+  const prompt = conversation ? conversation.prompt : buildResult.prompt;
 
-  // Resolve provider
-  const { provider, key, modelType, source } = resolveProvider(template, options);
+  // Resolve provider and its fallbacks
+  const chain = resolveProviderChain(template, options);
 
-  if (!provider) {
+  if (chain.length === 0) {
     return {
       success: false,
       error: 'No provider available'
@@ -83,30 +422,104 @@ async function executePrompt(templateId, variableValues = {}, options = {}) {
     ...options.settings
   };
 
-  // Determine model type
-  const finalModelType = options.modelType || modelType || 'medium';
+  // How the compiled prompt uses the context window
+  const contextLimit = getContextLimit(chain, options.modelType || chain[0].modelType || 'medium');
+  const budget = tokenBudget.describePrompt(prompt, {
+    contextLimit,
+    reservedForOutput: tokenBudget.reserveForOutput(contextLimit, settings.max_tokens),
+    variables: buildResult.resolvedValues
+  });
 
-  console.log(`🤖 Executing prompt "${template.name}" with ${key} (${source})`);
+  if (budget.overBudget) {
+    console.log(`⚠️ Prompt (~${budget.promptTokens} tokens) exceeds the ${contextLimit} token context budget`);
+  }
 
   const startTime = Date.now();
 
-  // Execute generation
-  const result = await provider.generate(prompt, {
-    modelType: finalModelType,
-    temperature: settings.temperature,
-    max_tokens: settings.max_tokens,
-    ...options.generationOptions
+  // Track streamed text so an aborted generation can still return what it produced
+  const streamed = { content: '' };
+  const onToken = options.onToken && ((token) => {
+    streamed.content += token;
+    options.onToken(token);
   });
 
+  // Tools declared by the template (options.tools === false disables them)
+  const tools = options.tools === false ? [] : toolRegistry.getToolsForTemplate(template);
+  const toolCalls = [];
+  const toolContext = {
+    templateId: template.id,
+    memoryScope: memoryNamespaces.resolveScope(template),
+    ...options.toolContext
+  };
+
+  const attempts = [];
+  let result;
+  let answeredBy;
+
+  for (const candidate of chain) {
+    // Determine model type
+    const finalModelType = options.modelType || candidate.modelType || 'medium';
+
+    if (answeredBy) {
+      console.log(`↪️ Falling back from ${answeredBy.key} to ${candidate.key}`);
+    }
+    console.log(`🤖 Executing prompt "${template.name}" with ${candidate.key} (${candidate.source})`);
+
+    const generationOptions = {
+      modelType: finalModelType,
+      temperature: settings.temperature,
+      max_tokens: settings.max_tokens,
+      signal: options.signal,
+      onToken,
+      ...(conversation && candidate.provider.supportsMessages() && {
+        systemPrompt: conversation.systemPrompt,
+        messages: conversation.messages
+      }),
+      ...(options.images?.length && candidate.provider.supportsVision() && {
+        images: options.images
+      }),
+      ...options.generationOptions
+    };
+
+    if (options.images?.length && !generationOptions.images) {
+      console.log(`⚠️ ${candidate.key} has no vision support, sending ${options.images.length} image(s) as names only`);
+    }
+
+    answeredBy = candidate;
+    result = tools.length > 0
+      ? await generateWithTools(candidate, prompt, generationOptions, {
+        attempts,
+        streamed,
+        tools,
+        toolContext,
+        toolCalls,
+        maxRounds: settings.maxToolRounds || MAX_TOOL_ROUNDS
+      })
+      : await generateWithRetry(candidate, prompt, generationOptions, { attempts, streamed });
+
+    // Don't replay on another provider once output or tool side effects happened
+    if (result.success || result.aborted || streamed.content || toolCalls.length > 0) {
+      break;
+    }
+  }
+
   const duration = Date.now() - startTime;
 
   if (!result.success) {
-    console.log(`❌ Prompt execution failed: ${result.error}`);
+    if (result.aborted) {
+      console.log(`⏹️ Prompt execution aborted after ${duration}ms`);
+    } else {
+      console.log(`❌ Prompt execution failed: ${result.error}`);
+    }
     return {
       success: false,
       error: result.error,
-      provider: key,
-      duration
+      provider: answeredBy.key,
+      duration,
+      attempts,
+      toolCalls,
+      budget,
+      ...(result.aborted && { aborted: true, content: result.content || streamed.content })
     };
   }
 
@@ -115,10 +528,14 @@ async function executePrompt(templateId, variableValues = {}, options = {}) {
   return {
     success: true,
     content: result.content,
-    provider: key,
+    provider: answeredBy.key,
     model: result.model,
     duration: result.duration || duration,
     usage: result.usage,
+    attempts,
+    toolCalls,
+    budget,
+    fallback: answeredBy.source === 'fallback',
     template: {
       id: template.id,
       name: template.name
@@ -142,17 +559,38 @@ async function executeChat(chatId, userMessage, options = {}) {
     return { success: false, error: `Template "${chat.templateId}" not found` };
   }
 
+  // Resolve uploaded attachments before the message is stored
+  const loaded = loadAttachments(chatId, options.attachments || [], userMessage);
+  if (!loaded.success) {
+    return loaded;
+  }
+  const promptMessage = loaded.text;
+
   // Get turn number BEFORE adding the message (will be +1 after addMessage)
-  const turnNumber = chatService.getCurrentTurnNumber(chatId) + 1;
+  // A regenerated reply answers the user message already at the branch tip
+  const turnNumber = chatService.getCurrentTurnNumber(chatId) + (options.regenerate ? 0 : 1);
 
   // Add user message to chat
-  chatService.addMessage(chatId, {
-    role: 'user',
-    content: userMessage
-  });
+  if (!options.regenerate) {
+    chatService.addMessage(chatId, {
+      role: 'user',
+      content: userMessage,
+      ...(loaded.attachments.length > 0 && { metadata: { attachments: loaded.attachments } })
+    });
+  }
 
-  // Get chat history for context
-  const chatHistory = chatService.getChatHistory(chatId, options.maxHistory || 20);
+  // Older turns live in the branch summary; history starts where it stops
+  const summaryContext = chatSummary.getSummaryContext(chatId);
+
+  // Get chat history for context - trimmed to the token budget below
+  const historyLimit = Math.min(options.maxHistory || 50, summaryContext.uncovered);
+  const chatHistory = chatService.getChatHistory(chatId, historyLimit);
+
+  // Messages mode sends history as role turns instead of {{chatHistory}}
+  const messagesMode = template.mode === 'messages';
+  const priorMessages = messagesMode
+    ? chatService.getMessages(chatId).messages.slice(-historyLimit, -1)
+    : [];
 
   // Query relevant memories if Neo4j is available and memory is enabled
   let memoryContext = '';
@@ -161,16 +599,21 @@ async function executeChat(chatId, userMessage, options = {}) {
   const globalMemoryEnabled = neo4j.isMemoryEnabled();
   const useMemory = globalMemoryEnabled && options.useMemory !== false; // Check both global and per-request
 
+  // Namespaces this template reads from and writes to
+  const memoryScope = memoryNamespaces.resolveScope(template, { chatId });
+
   if (useMemory && await neo4j.isAvailable()) {
     relevantMemories = await memoryQueryService.getRelevantMemories({
       message: userMessage,
       userHandle: options.userHandle,
       category: template.category || options.category,
-      limit: 5
+      namespaces: memoryScope.read,
+      limit: 5,
+      template,
+      providerOverride: options.providerOverride || chat.providerOverride
     });
 
     if (relevantMemories.length > 0) {
-      memoryContext = memoryQueryService.formatMemoriesForPrompt(relevantMemories);
       console.log(`🧠 Retrieved ${relevantMemories.length} relevant memories for chat`);
     }
   } else if (!useMemory) {
@@ -180,69 +623,197 @@ async function executeChat(chatId, userMessage, options = {}) {
   // Get memory instructions for LLM to tag memorable content
   const memoryInstructions = memoryExtractor.getMemoryInstructions();
 
+  // Determine provider - chat provider override takes precedence
+  const providerOverride = options.providerOverride || chat.providerOverride;
+
+  // Resolve provider chain for logging and context limits
+  const providerChain = resolveProviderChain(template, { providerOverride });
+  const modelType = options.modelType || providerChain[0]?.modelType || 'medium';
+
+  // Compile without history or memories to measure the fixed part of the prompt
+  const fixedBuild = promptService.buildPrompt(chat.templateId, {
+    userMessage: promptMessage,
+    chatHistory: [],
+    chatSummary: summaryContext.text,
+    memoryContext: '',
+    memoryInstructions,
+    ...options.variables
+  });
+  if (!fixedBuild.success) {
+    return fixedBuild;
+  }
+
+  // Trim history (oldest first) and memories (lowest score first) to fit
+  const contextLimit = getContextLimit(providerChain, modelType);
+  const maxTokens = options.settings?.max_tokens ?? template.settings?.max_tokens ??
+    providerChain[0]?.provider.settings?.max_tokens;
+  const budget = tokenBudget.fitToBudget({
+    contextLimit,
+    reservedForOutput: tokenBudget.reserveForOutput(contextLimit, maxTokens),
+    fixedPrompt: messagesMode ? `${fixedBuild.prompt}\n${promptMessage}` : fixedBuild.prompt,
+    history: chatHistory.slice(0, -1), // Exclude the message we just added
+    memories: relevantMemories,
+    formatMemories: memoryQueryService.formatMemoriesForPrompt
+  });
+
+  if (budget.breakdown.history.dropped > 0 || budget.breakdown.memories.dropped > 0) {
+    console.log(`✂️ Trimmed ${budget.breakdown.history.dropped} history messages and ${budget.breakdown.memories.dropped} memories to fit ${contextLimit} tokens`);
+  }
+
+  relevantMemories = budget.memories;
+  memoryContext = budget.memoryContext;
+
   // Build variable values - include chat history and memory context
   const variableValues = {
-    userMessage,
-    chatHistory: chatHistory.slice(0, -1), // Exclude the message we just added
+    userMessage: promptMessage,
+    chatHistory: messagesMode ? [] : budget.history,
+    chatSummary: summaryContext.text,
     memoryContext,
     memoryInstructions,
     ...options.variables
   };
 
-  // Determine provider - chat provider override takes precedence
-  const providerOverride = options.providerOverride || chat.providerOverride;
-
   // Build the prompt to capture it for debug mode
   const buildResult = promptService.buildPrompt(chat.templateId, variableValues);
   if (!buildResult.success) {
     return buildResult;
   }
 
-  // Resolve provider for logging
-  const { key: resolvedProviderKey } = resolveProvider(template, { providerOverride });
+  // Keep the same newest turns the budget kept as history lines
+  const messages = messagesMode ? [
+    ...priorMessages.slice(priorMessages.length - budget.history.length),
+    { role: 'user', content: promptMessage }
+  ].map(m => ({ role: m.role, content: chatService.getMessageText(m) })) : undefined;
+  const conversation = messagesMode ? buildConversation(buildResult.prompt, messages) : null;
+  const compiledPrompt = conversation ? conversation.prompt : buildResult.prompt;
 
   // Log turn request
   chatService.logTurnRequest(chatId, turnNumber, {
     timestamp: new Date().toISOString(),
     userMessage,
-    compiledPrompt: buildResult.prompt,
+    ...(loaded.attachments.length > 0 && {
+      attachments: loaded.attachments.map(a => a.name)
+    }),
+    compiledPrompt,
+    ...(conversation && {
+      mode: 'messages',
+      systemPrompt: conversation.systemPrompt,
+      messages: conversation.messages
+    }),
     templateId: chat.templateId,
-    provider: resolvedProviderKey,
-    modelType: options.modelType || 'medium',
-    chatHistoryLength: chatHistory.length - 1,
+    provider: providerChain[0]?.key,
+    providerChain: providerChain.map(c => c.key),
+    modelType,
+    chatHistoryLength: budget.history.length,
+    chatSummaryLength: summaryContext.text.length,
     memoryContextLength: memoryContext.length,
-    memoriesRetrieved: relevantMemories.length
+    memoriesRetrieved: relevantMemories.length,
+    budget: budget.breakdown,
+    tools: template.tools || [],
+    streamed: !!options.onToken
   });
 
+  // When streaming, hide <memory> tags from the live text - the full
+  // response is still run through memoryExtractor.processResponse below
+  const streamFilter = options.onToken
+    ? memoryExtractor.createStreamFilter(options.onToken, ['memory', 'tool_call'])
+    : null;
+
+  // Register the generation so abortChat() can cancel it
+  const controller = new AbortController();
+  activeGenerations.set(chatId, controller);
+
   // Execute the prompt
   const result = await executePrompt(chat.templateId, variableValues, {
     ...options,
-    providerOverride
+    providerOverride,
+    messages,
+    images: loaded.images,
+    signal: controller.signal,
+    toolContext: { chatId, templateId: chat.templateId, memoryScope },
+    onToken: streamFilter ? (token) => streamFilter.push(token) : undefined
+  }).finally(() => {
+    if (activeGenerations.get(chatId) === controller) {
+      activeGenerations.delete(chatId);
+    }
   });
 
+  streamFilter?.flush();
+
+  if (result.aborted) {
+    // Keep whatever was generated before the stop, minus memory and tool tags
+    const { cleanedResponse } = memoryExtractor.extractMemories(
+      toolRegistry.parseToolCalls(result.content).cleanedResponse
+    );
+
+    chatService.logTurnResponse(chatId, turnNumber, {
+      timestamp: new Date().toISOString(),
+      success: false,
+      status: 'aborted',
+      rawContent: result.content,
+      cleanedContent: cleanedResponse,
+      provider: result.provider,
+      duration: result.duration,
+      failedAttempts: result.attempts,
+      toolCalls: result.toolCalls
+    });
+
+    const messageResult = cleanedResponse
+      ? chatService.addMessage(chatId, {
+        role: 'assistant',
+        content: cleanedResponse,
+        metadata: {
+          provider: result.provider,
+          duration: result.duration,
+          aborted: true
+        }
+      })
+      : null;
+
+    return {
+      success: false,
+      aborted: true,
+      error: result.error,
+      content: cleanedResponse,
+      provider: result.provider,
+      duration: result.duration,
+      chat: messageResult?.chat || chatService.getChat(chatId)
+    };
+  }
+
   if (!result.success) {
     // Log failed response
     chatService.logTurnResponse(chatId, turnNumber, {
       timestamp: new Date().toISOString(),
       success: false,
+      status: 'failed',
       error: result.error,
       provider: result.provider,
-      duration: result.duration
+      duration: result.duration,
+      failedAttempts: result.attempts,
+      toolCalls: result.toolCalls
     });
     return result;
   }
 
   // Build debug info if requested
   const debugInfo = options.debug ? {
-    compiledPrompt: buildResult.prompt,
+    compiledPrompt,
+    mode: messagesMode ? 'messages' : 'text',
+    ...(conversation && { turns: conversation.messages.length }),
     memoryContext: memoryContext || null,
     memoriesRetrieved: relevantMemories.map(m => ({
       content: m.content,
       category: m.category,
       importance: m.importance,
-      score: m.score
+      score: m.score ?? m.relevanceScore,
+      matchSource: m.matchSource,
+      sources: m.sources,
+      rerankRank: m.rerankRank
     })),
-    chatHistoryUsed: chatHistory.slice(0, -1),
+    chatHistoryUsed: budget.history,
+    budget: budget.breakdown,
+    toolCalls: result.toolCalls,
     templateId: chat.templateId,
     variableValues: Object.keys(variableValues).reduce((acc, key) => {
       // Truncate long values for debug display
@@ -268,6 +839,7 @@ async function executeChat(chatId, userMessage, options = {}) {
       {
         chatId,
         templateId: chat.templateId,
+        namespace: memoryScope.write,
         userMessage
       }
     );
@@ -279,12 +851,16 @@ async function executeChat(chatId, userMessage, options = {}) {
   chatService.logTurnResponse(chatId, turnNumber, {
     timestamp: new Date().toISOString(),
     success: true,
+    status: 'completed',
     rawContent: result.content,
     cleanedContent,
     provider: result.provider,
     model: result.model,
     duration: result.duration,
-    usage: result.usage
+    usage: result.usage,
+    fallback: result.fallback,
+    failedAttempts: result.attempts,
+    toolCalls: result.toolCalls
   });
 
   // Log turn memory info
@@ -295,12 +871,19 @@ async function executeChat(chatId, userMessage, options = {}) {
       content: m.content,
       category: m.category,
       importance: m.importance,
-      score: m.score
+      score: m.score ?? m.relevanceScore,
+      sources: m.sources,
+      rerankRank: m.rerankRank
     })),
     created: memoriesExtracted,
     memoryContextUsed: memoryContext || null
   });
 
+  // Memories used in the prompt gain importance; ones the reply cites gain more
+  if (relevantMemories.length > 0) {
+    memoryPolicy.reinforceTurn(relevantMemories, cleanedContent).catch(() => {});
+  }
+
   // Add assistant response to chat (with cleaned content)
   const messageResult = chatService.addMessage(chatId, {
     role: 'assistant',
@@ -311,10 +894,14 @@ async function executeChat(chatId, userMessage, options = {}) {
       duration: result.duration,
       memoriesUsed: relevantMemories.length,
       memoriesCreated: memoriesExtracted,
+      ...(result.toolCalls.length > 0 && { toolCalls: result.toolCalls.map(c => c.name) }),
       ...(debugInfo && { debug: debugInfo })
     }
   });
 
+  // Fold turns that just left the recent window into the summary
+  chatSummary.scheduleSummary(chatId, chat.activeBranchId, { providerOverride });
+
   return {
     success: true,
     content: cleanedContent,
@@ -323,11 +910,104 @@ async function executeChat(chatId, userMessage, options = {}) {
     duration: result.duration,
     memoriesUsed: relevantMemories.length,
     memoriesCreated: memoriesExtracted,
+    toolCalls: result.toolCalls,
     chat: messageResult.chat,
     ...(debugInfo && { debug: debugInfo })
   };
 }
 
+/**
+ * Run a chat turn on a new sibling branch forked at `forkPointMessageId`
+ * The branch is removed again (and the previous one reactivated) if the
+ * turn fails, so failed retries don't leave empty alternatives behind
+ */
+async function runOnSiblingBranch(chatId, forkPointMessageId, run) {
+  const previousBranchId = chatService.getChat(chatId).activeBranchId;
+
+  const created = chatService.createBranch(chatId, { forkPointMessageId });
+  if (!created.success) {
+    return created;
+  }
+  chatService.setActiveBranch(chatId, created.branch.id);
+
+  const result = await run(created.branch);
+
+  if (!result.success && !result.aborted) {
+    chatService.deleteBranch(chatId, created.branch.id, true);
+    chatService.setActiveBranch(chatId, previousBranchId);
+  }
+
+  return result;
+}
+
+/**
+ * Generate another reply to a user message on a new sibling branch
+ * `messageId` may be the user message or the assistant reply to replace
+ */
+async function regenerateMessage(chatId, messageId, options = {}) {
+  const chat = chatService.getChat(chatId);
+  const target = chat?.messages[messageId];
+  if (!target) {
+    return { success: false, error: `Message "${messageId}" not found` };
+  }
+
+  const userMsg = target.role === 'user' ? target : chat.messages[target.parentId];
+  if (!userMsg || userMsg.role !== 'user') {
+    return { success: false, error: 'Only replies to a user message can be regenerated' };
+  }
+
+  return runOnSiblingBranch(chatId, userMsg.id, branch => {
+    console.log(`🔁 Regenerating reply to ${userMsg.id} on branch "${branch.name}"`);
+    return executeChat(chatId, userMsg.content, {
+      ...options,
+      attachments: (userMsg.attachments || []).map(a => a.id),
+      regenerate: true
+    });
+  });
+}
+
+/**
+ * Send an edited copy of a user message on a new sibling branch
+ * Attachments of the original message are kept
+ */
+async function editMessage(chatId, messageId, content, options = {}) {
+  const chat = chatService.getChat(chatId);
+  const original = chat?.messages[messageId];
+  if (!original) {
+    return { success: false, error: `Message "${messageId}" not found` };
+  }
+  if (original.role !== 'user') {
+    return { success: false, error: 'Only user messages can be edited' };
+  }
+
+  return runOnSiblingBranch(chatId, original.parentId || null, branch => {
+    console.log(`✏️ Editing message ${messageId} on branch "${branch.name}"`);
+    return executeChat(chatId, content, {
+      ...options,
+      attachments: options.attachments?.length
+        ? options.attachments
+        : (original.attachments || []).map(a => a.id)
+    });
+  });
+}
+
+/**
+ * Abort the in-flight generation for a chat
+ * Tears down the provider HTTP request or kills the spawned CLI process
+ */
+function abortChat(chatId) {
+  const controller = activeGenerations.get(chatId);
+  if (!controller) {
+    return { success: false, error: `No generation in progress for chat "${chatId}"` };
+  }
+
+  controller.abort();
+  activeGenerations.delete(chatId);
+
+  console.log(`⏹️ Aborting generation for chat ${chatId}`);
+  return { success: true, message: 'Generation aborted' };
+}
+
 /**
  * Test a template with sample values (dry run)
  */
@@ -348,10 +1028,16 @@ async function testTemplate(templateId, sampleValues = {}, options = {}) {
     return executePrompt(templateId, sampleValues, options);
   }
 
+  // In messages mode the built prompt is the system prompt
+  const conversation = template.mode === 'messages'
+    ? buildConversation(buildResult.prompt, [{ role: 'user', content: sampleValues.userMessage }])
+    : null;
+
   // Just return the built prompt
   return {
     success: true,
     prompt: buildResult.prompt,
+    ...(conversation && { mode: 'messages', messages: conversation.messages }),
     template: {
       id: template.id,
       name: template.name
@@ -360,6 +1046,147 @@ async function testTemplate(templateId, sampleValues = {}, options = {}) {
   };
 }
 
+/**
+ * Input/output token counts from a provider's usage report
+ * (OpenAI-compatible, Anthropic and Gemini name them differently)
+ */
+function getTokenCounts(usage) {
+  if (!usage) return null;
+  return {
+    input: usage.prompt_tokens ?? usage.input_tokens ?? usage.promptTokenCount ?? null,
+    output: usage.completion_tokens ?? usage.output_tokens ?? usage.candidatesTokenCount ?? null
+  };
+}
+
+/**
+ * Run one template and variable set across several providers/model tiers
+ * in parallel, for side-by-side comparison. Each run uses only its own
+ * provider (no fallback) and runs without tools so tool side effects
+ * (e.g. memory_create) don't happen once per run.
+ *
+ * @param {string} templateId
+ * @param {Object} variableValues
+ * @param {Array<{provider: string, modelType?: string}>} runs
+ * @param {Object} options - settings overrides
+ */
+async function compareProviders(templateId, variableValues = {}, runs = [], options = {}) {
+  if (!Array.isArray(runs) || runs.length === 0) {
+    return { success: false, error: 'At least one provider run required' };
+  }
+  if (runs.length > MAX_COMPARE_RUNS) {
+    return { success: false, error: `At most ${MAX_COMPARE_RUNS} runs per comparison` };
+  }
+
+  const buildResult = promptService.buildPrompt(templateId, variableValues);
+  if (!buildResult.success) {
+    return buildResult;
+  }
+
+  console.log(`⚖️ Comparing "${buildResult.template.name}" across ${runs.length} runs`);
+
+  const results = await Promise.all(runs.map(async (run, index) => {
+    const modelType = run.modelType || 'medium';
+    const base = { id: `run-${index + 1}`, provider: run.provider, modelType };
+
+    if (!aiProvider.getProvider(run.provider)) {
+      return { ...base, success: false, error: `Provider "${run.provider}" not available` };
+    }
+
+    const result = await executePrompt(templateId, variableValues, {
+      providerOverride: run.provider,
+      modelType,
+      settings: options.settings,
+      fallback: false,
+      tools: false
+    }).catch(error => ({ success: false, error: error.message }));
+
+    return {
+      ...base,
+      success: result.success,
+      content: result.content,
+      error: result.error,
+      model: result.model,
+      duration: result.duration,
+      usage: result.usage,
+      tokens: getTokenCounts(result.usage)
+    };
+  }));
+
+  return {
+    success: true,
+    template: { id: buildResult.template.id, name: buildResult.template.name },
+    prompt: buildResult.prompt,
+    results
+  };
+}
+
+/**
+ * Save a comparison output as a chat branch: the user message and the
+ * chosen reply. Forks from the tip of the chat's active branch, or starts
+ * a new chat with the template when no chatId is given.
+ *
+ * @param {Object} data
+ * @param {string} data.chatId - Existing chat to branch (optional)
+ * @param {string} data.templateId - Template for a new chat
+ * @param {string} data.userMessage - The prompt the reply answers
+ * @param {Object} data.result - The winning run ({provider, modelType, model, content, duration})
+ */
+function saveComparison(data = {}) {
+  const { result } = data;
+  if (!result?.content) {
+    return { success: false, error: 'Winning output required' };
+  }
+  if (!data.userMessage) {
+    return { success: false, error: 'userMessage required' };
+  }
+
+  let chatId = data.chatId;
+  let branchId;
+
+  if (chatId) {
+    const chat = chatService.getChat(chatId);
+    if (!chat) {
+      return { success: false, error: `Chat "${chatId}" not found` };
+    }
+
+    const tip = chat.branches.find(b => b.id === chat.activeBranchId)?.tipMessageId;
+    const created = chatService.createBranch(chatId, {
+      forkPointMessageId: tip,
+      name: `Compare: ${result.provider}`
+    });
+    if (!created.success) {
+      return created;
+    }
+    branchId = created.branch.id;
+    chatService.setActiveBranch(chatId, branchId);
+  } else {
+    if (!promptService.getTemplate(data.templateId)) {
+      return { success: false, error: `Template "${data.templateId}" not found` };
+    }
+    const created = chatService.createChat(data.templateId, null, result.provider);
+    if (!created.success) {
+      return created;
+    }
+    chatId = created.chat.id;
+    branchId = created.chat.activeBranchId;
+  }
+
+  chatService.addMessage(chatId, { role: 'user', content: data.userMessage }, { branchId });
+  const saved = chatService.addMessage(chatId, {
+    role: 'assistant',
+    content: result.content,
+    metadata: {
+      provider: result.provider,
+      model: result.model,
+      duration: result.duration,
+      comparison: true
+    }
+  }, { branchId });
+
+  console.log(`🏆 Saved ${result.provider} comparison output to chat ${chatId}`);
+  return { success: saved.success, error: saved.error, chatId, branchId, chat: saved.chat };
+}
+
 /**
  * Get available providers for UI dropdown
  */
@@ -394,7 +1221,13 @@ module.exports = {
   initialize,
   executePrompt,
   executeChat,
+  regenerateMessage,
+  editMessage,
+  abortChat,
   testTemplate,
+  compareProviders,
+  saveComparison,
   resolveProvider,
+  resolveProviderChain,
   getAvailableProviders
 };
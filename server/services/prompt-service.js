@@ -5,6 +5,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const memoryNamespaces = require('./memory-namespace-service');
 
 const CONFIG_DIR = path.resolve(__dirname, '../../data/prompts');
 const LEGACY_CONFIG_DIR = path.resolve(__dirname, '../../config/prompts');
@@ -244,6 +245,11 @@ function createTemplate(data) {
     return { success: false, error: `Template with ID "${id}" already exists` };
   }
 
+  const scopeError = memoryNamespaces.validateScope(data.memory);
+  if (scopeError) {
+    return { success: false, error: scopeError };
+  }
+
   const now = new Date().toISOString();
   const template = {
     id,
@@ -252,6 +258,9 @@ function createTemplate(data) {
     template: data.template || '',
     variables: data.variables || [],
     provider: data.provider || null,
+    tools: data.tools || [],
+    mode: data.mode || 'text',
+    memory: data.memory || null,
     settings: data.settings || {},
     createdAt: now,
     updatedAt: now
@@ -274,6 +283,11 @@ function updateTemplate(id, updates) {
     return { success: false, error: `Template "${id}" not found` };
   }
 
+  const scopeError = memoryNamespaces.validateScope(updates.memory);
+  if (scopeError) {
+    return { success: false, error: scopeError };
+  }
+
   const template = templatesData.templates[id];
 
   templatesData.templates[id] = {
@@ -23,28 +23,80 @@ class AnthropicProvider extends BaseProvider {
     };
   }
 
-  async generate(prompt, options = {}) {
+  /**
+   * Build the messages request body shared by generate() and generateStream()
+   */
+  buildRequestBody(prompt, options = {}) {
     const modelType = options.modelType || 'default';
     const model = this.getModel(modelType);
 
-    const messages = options.messages || [
+    const messages = options.messages ? [...options.messages] : [
       { role: 'user', content: prompt }
     ];
 
+    // Images ride on the latest user turn, before its text
+    const imageIndex = options.images?.length ? messages.findLastIndex(m => m.role === 'user') : -1;
+    if (imageIndex !== -1) {
+      messages[imageIndex] = {
+        role: 'user',
+        content: [
+          ...options.images.map(image => ({
+            type: 'image',
+            source: { type: 'base64', media_type: image.mimeType, data: image.data }
+          })),
+          { type: 'text', text: messages[imageIndex].content }
+        ]
+      };
+    }
+
+    // Replay earlier tool rounds of this turn
+    for (const exchange of options.toolExchanges || []) {
+      messages.push({
+        role: 'assistant',
+        content: [
+          ...(exchange.content ? [{ type: 'text', text: exchange.content }] : []),
+          ...exchange.calls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments }))
+        ]
+      });
+      messages.push({
+        role: 'user',
+        content: exchange.results.map(result => ({
+          type: 'tool_result',
+          tool_use_id: result.id,
+          content: result.content,
+          ...(result.isError && { is_error: true })
+        }))
+      });
+    }
+
     const body = {
       model,
       messages,
       max_tokens: options.max_tokens ?? this.settings.max_tokens ?? 4096,
       ...(options.systemPrompt && { system: options.systemPrompt }),
-      ...(this.settings.temperature && { temperature: this.settings.temperature })
+      ...(this.settings.temperature && { temperature: this.settings.temperature }),
+      ...(options.tools?.length && {
+        tools: options.tools.map(tool => ({
+          name: tool.name,
+          description: tool.description,
+          input_schema: tool.parameters
+        }))
+      })
     };
 
+    return { model, body };
+  }
+
+  async generate(prompt, options = {}) {
+    const { model, body } = this.buildRequestBody(prompt, options);
+
     const startTime = Date.now();
 
     const result = await http.post(`${this.endpoint}/messages`, {
       headers: this.getHeaders(),
       body,
-      timeout: this.timeout
+      timeout: this.timeout,
+      signal: options.signal
     });
 
     const duration = Date.now() - startTime;
@@ -53,13 +105,18 @@ class AnthropicProvider extends BaseProvider {
       return {
         success: false,
         error: result.data?.error?.message || `API error: ${result.status}`,
+        status: result.status,
         duration
       };
     }
 
-    const content = result.data?.content?.[0]?.text;
+    const blocks = result.data?.content || [];
+    const content = blocks.filter(b => b.type === 'text').map(b => b.text).join('');
+    const toolCalls = blocks
+      .filter(b => b.type === 'tool_use')
+      .map(b => ({ id: b.id, name: b.name, arguments: b.input || {} }));
 
-    if (!content) {
+    if (!content && toolCalls.length === 0) {
       return {
         success: false,
         error: 'No content in response',
@@ -73,10 +130,99 @@ class AnthropicProvider extends BaseProvider {
       model,
       duration,
       usage: result.data?.usage,
-      stopReason: result.data?.stop_reason
+      stopReason: result.data?.stop_reason,
+      ...(toolCalls.length > 0 && { toolCalls })
     };
   }
 
+  async generateStream(prompt, options = {}) {
+    const { model, body } = this.buildRequestBody(prompt, options);
+
+    const startTime = Date.now();
+
+    const result = await http.stream(`${this.endpoint}/messages`, {
+      headers: this.getHeaders(),
+      body: { ...body, stream: true },
+      timeout: this.timeout,
+      signal: options.signal
+    });
+
+    if (!result.ok) {
+      return {
+        success: false,
+        error: result.data?.error?.message || `API error: ${result.status}`,
+        status: result.status,
+        duration: Date.now() - startTime
+      };
+    }
+
+    let content = '';
+    let usage = {};
+    let stopReason;
+    let streamError;
+    // tool_use blocks stream their input as partial JSON, keyed by block index
+    const pendingCalls = [];
+
+    for await (const { event, data } of result.events) {
+      const payload = JSON.parse(data);
+
+      if (event === 'message_start') {
+        usage = { ...usage, ...payload.message?.usage };
+      } else if (event === 'content_block_start' && payload.content_block?.type === 'tool_use') {
+        const { id, name } = payload.content_block;
+        pendingCalls[payload.index] = { id, name, arguments: '' };
+      } else if (event === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+        content += payload.delta.text;
+        options.onToken?.(payload.delta.text);
+      } else if (event === 'content_block_delta' && payload.delta?.type === 'input_json_delta') {
+        pendingCalls[payload.index].arguments += payload.delta.partial_json;
+      } else if (event === 'message_delta') {
+        usage = { ...usage, ...payload.usage };
+        stopReason = payload.delta?.stop_reason;
+      } else if (event === 'error') {
+        streamError = payload.error?.message || 'Stream error';
+        break;
+      }
+    }
+
+    const duration = Date.now() - startTime;
+
+    if (streamError) {
+      return { success: false, error: streamError, duration };
+    }
+
+    const toolCalls = pendingCalls.filter(Boolean).map(call => ({
+      ...call,
+      arguments: this.parseToolArguments(call.arguments)
+    }));
+
+    if (!content && toolCalls.length === 0) {
+      return {
+        success: false,
+        error: 'No content in response',
+        duration
+      };
+    }
+
+    return {
+      success: true,
+      content,
+      model,
+      duration,
+      usage,
+      stopReason,
+      ...(toolCalls.length > 0 && { toolCalls })
+    };
+  }
+
+  supportsNativeTools() {
+    return true;
+  }
+
+  supportsMessages() {
+    return true;
+  }
+
   async testConnection() {
     // Anthropic doesn't have a models endpoint, so we test with a simple message
     const result = await this.generate('Say "connected" in exactly that word.', {
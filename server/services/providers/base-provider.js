@@ -16,12 +16,77 @@ class BaseProvider {
    * Generate content from a prompt
    * @param {string} prompt - The prompt to send
    * @param {Object} options - Generation options
-   * @returns {Promise<{success: boolean, content?: string, error?: string}>}
+   * @param {Array} options.tools - Tool definitions ({name, description, parameters}), native tool providers only
+   * @param {Array} options.toolExchanges - Earlier rounds of this turn: {content, calls, results}
+   * @param {string} options.systemPrompt - System prompt, message-capable providers only
+   * @param {Array} options.messages - Role turns ({role, content}) sent instead of the prompt
+   * @param {Array} options.images - Images for the latest user turn ({name, mimeType, data}), vision providers only
+   * @returns {Promise<{success: boolean, content?: string, toolCalls?: Array, error?: string}>}
    */
   async generate(prompt, options = {}) {
     throw new Error('generate() must be implemented by provider');
   }
 
+  /**
+   * Generate content from a prompt, emitting text as it arrives
+   * Providers without native streaming fall back to generate() and emit the
+   * full completion as a single chunk.
+   * @param {string} prompt - The prompt to send
+   * @param {Object} options - Generation options
+   * @param {Function} options.onToken - Called with each text chunk
+   * @returns {Promise<{success: boolean, content?: string, error?: string}>}
+   */
+  async generateStream(prompt, options = {}) {
+    const result = await this.generate(prompt, options);
+    if (result.success && options.onToken) {
+      options.onToken(result.content);
+    }
+    return result;
+  }
+
+  /**
+   * Whether the provider accepts options.tools and returns result.toolCalls
+   * Providers without native support get tools through the tag protocol
+   * (see tool-registry.js) instead.
+   * @returns {boolean}
+   */
+  supportsNativeTools() {
+    return false;
+  }
+
+  /**
+   * Whether the provider accepts options.systemPrompt and options.messages
+   * (role turns) in place of a single flattened prompt. Templates in
+   * messages mode are flattened for providers that return false.
+   * @returns {boolean}
+   */
+  supportsMessages() {
+    return false;
+  }
+
+  /**
+   * Whether the configured models accept options.images
+   * Set per provider with "vision" in ai-providers.json
+   * @returns {boolean}
+   */
+  supportsVision() {
+    return this.config.vision === true;
+  }
+
+  /**
+   * Parse tool call arguments, which some APIs return as a JSON string
+   * @param {string|Object} args
+   * @returns {Object}
+   */
+  parseToolArguments(args) {
+    if (typeof args !== 'string') return args || {};
+    try {
+      return JSON.parse(args || '{}');
+    } catch {
+      return { input: args };
+    }
+  }
+
   /**
    * Test connection to the provider
    * @returns {Promise<{success: boolean, message?: string, error?: string}>}
@@ -64,6 +129,14 @@ class BaseProvider {
     return this.config.models?.[type] || this.config.models?.medium;
   }
 
+  /**
+   * Get the context window (in tokens) for a model type
+   * @returns {number|undefined} undefined when not configured
+   */
+  getContextLimit(type = 'medium') {
+    return this.config.contextLimits?.[type] || this.config.contextLimits?.medium;
+  }
+
   /**
    * Validate the provider configuration
    * @returns {{valid: boolean, errors?: string[]}}
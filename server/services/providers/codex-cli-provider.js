@@ -37,13 +37,23 @@ class CodexCliProvider extends BaseProvider {
       });
 
       proc.stdout.on('data', (data) => {
-        stdout += data.toString();
+        const text = data.toString();
+        stdout += text;
+        options.onToken?.(text);
       });
 
       proc.stderr.on('data', (data) => {
         stderr += data.toString();
       });
 
+      // Kill the CLI process if the caller cancels the generation
+      const abort = () => proc.kill();
+      if (options.signal?.aborted) {
+        abort();
+      } else {
+        options.signal?.addEventListener('abort', abort, { once: true });
+      }
+
       proc.on('error', (error) => {
         resolve({
           success: false,
@@ -53,6 +63,19 @@ class CodexCliProvider extends BaseProvider {
 
       proc.on('close', (code) => {
         const duration = Date.now() - startTime;
+        options.signal?.removeEventListener('abort', abort);
+
+        if (options.signal?.aborted) {
+          resolve({
+            success: false,
+            aborted: true,
+            error: 'Generation aborted',
+            content: stdout.trim(),
+            model,
+            duration
+          });
+          return;
+        }
 
         if (code !== 0) {
           resolve({
@@ -73,6 +96,14 @@ class CodexCliProvider extends BaseProvider {
     });
   }
 
+  /**
+   * CLI output is read incrementally, so streaming is the same spawn with
+   * stdout chunks forwarded to options.onToken as they arrive
+   */
+  async generateStream(prompt, options = {}) {
+    return this.generate(prompt, options);
+  }
+
   async testConnection() {
     return new Promise((resolve) => {
       const proc = spawn(this.command, ['--version'], {
@@ -24,7 +24,10 @@ class GeminiProvider extends BaseProvider {
     };
   }
 
-  async generate(prompt, options = {}) {
+  /**
+   * Build the generateContent request shared by generate() and generateStream()
+   */
+  buildRequestBody(prompt, options = {}) {
     const modelType = options.modelType || 'default';
     let model = this.getModel(modelType);
     
@@ -44,6 +47,31 @@ class GeminiProvider extends BaseProvider {
       parts: [{ text: msg.content }]
     }));
 
+    // Images ride on the latest user turn as inline data
+    const imageTurn = options.images?.length ? contents.findLast(c => c.role === 'user') : null;
+    if (imageTurn) {
+      imageTurn.parts.push(...options.images.map(image => ({
+        inlineData: { mimeType: image.mimeType, data: image.data }
+      })));
+    }
+
+    // Replay earlier tool rounds of this turn
+    for (const exchange of options.toolExchanges || []) {
+      contents.push({
+        role: 'model',
+        parts: [
+          ...(exchange.content ? [{ text: exchange.content }] : []),
+          ...exchange.calls.map(call => ({ functionCall: { name: call.name, args: call.arguments } }))
+        ]
+      });
+      contents.push({
+        role: 'user',
+        parts: exchange.results.map(result => ({
+          functionResponse: { name: result.name, response: { content: result.content } }
+        }))
+      });
+    }
+
     const body = {
       contents,
       generationConfig: {
@@ -54,6 +82,16 @@ class GeminiProvider extends BaseProvider {
       }
     };
     
+    if (options.tools?.length) {
+      body.tools = [{
+        functionDeclarations: options.tools.map(tool => ({
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }))
+      }];
+    }
+
     // System prompt is handled differently in newer Gemini versions (systemInstruction)
     if (options.systemPrompt) {
         body.systemInstruction = {
@@ -61,6 +99,12 @@ class GeminiProvider extends BaseProvider {
         };
     }
 
+    return { model, body };
+  }
+
+  async generate(prompt, options = {}) {
+    const { model, body } = this.buildRequestBody(prompt, options);
+
     const startTime = Date.now();
     
     // Construct URL: endpoint + /models/{model}:generateContent
@@ -69,7 +113,8 @@ class GeminiProvider extends BaseProvider {
     const result = await http.post(url, {
       headers: this.getHeaders(),
       body,
-      timeout: this.timeout
+      timeout: this.timeout,
+      signal: options.signal
     });
 
     const duration = Date.now() - startTime;
@@ -78,14 +123,17 @@ class GeminiProvider extends BaseProvider {
       return {
         success: false,
         error: result.data?.error?.message || `API error: ${result.status}`,
+        status: result.status,
         duration
       };
     }
 
     const candidate = result.data?.candidates?.[0];
-    const content = candidate?.content?.parts?.[0]?.text;
+    const parts = candidate?.content?.parts || [];
+    const content = parts.map(p => p.text || '').join('');
+    const toolCalls = this.extractToolCalls(parts);
 
-    if (!content) {
+    if (!content && toolCalls.length === 0) {
       // Check for safety blocks
       if (candidate?.finishReason === 'SAFETY') {
           return {
@@ -108,10 +156,98 @@ class GeminiProvider extends BaseProvider {
       model,
       duration,
       usage: result.data?.usageMetadata, // Gemini returns usageMetadata
-      stopReason: candidate?.finishReason
+      stopReason: candidate?.finishReason,
+      ...(toolCalls.length > 0 && { toolCalls })
     };
   }
 
+  async generateStream(prompt, options = {}) {
+    const { model, body } = this.buildRequestBody(prompt, options);
+
+    const startTime = Date.now();
+
+    // SSE variant of generateContent: each event is a partial GenerateContentResponse
+    const url = `${this.endpoint}/models/${model}:streamGenerateContent?alt=sse`;
+
+    const result = await http.stream(url, {
+      headers: this.getHeaders(),
+      body,
+      timeout: this.timeout,
+      signal: options.signal
+    });
+
+    if (!result.ok) {
+      return {
+        success: false,
+        error: result.data?.error?.message || `API error: ${result.status}`,
+        status: result.status,
+        duration: Date.now() - startTime
+      };
+    }
+
+    let content = '';
+    let usage;
+    let finishReason;
+    const toolCalls = [];
+
+    for await (const { data } of result.events) {
+      const chunk = JSON.parse(data);
+      const candidate = chunk.candidates?.[0];
+      const parts = candidate?.content?.parts || [];
+      const text = parts.map(p => p.text || '').join('');
+
+      if (text) {
+        content += text;
+        options.onToken?.(text);
+      }
+      // Function calls arrive whole rather than as fragments
+      toolCalls.push(...this.extractToolCalls(parts, toolCalls.length));
+      if (candidate?.finishReason) finishReason = candidate.finishReason;
+      if (chunk.usageMetadata) usage = chunk.usageMetadata;
+    }
+
+    const duration = Date.now() - startTime;
+
+    if (!content && toolCalls.length === 0) {
+      return {
+        success: false,
+        error: finishReason === 'SAFETY' ? 'Generation blocked by safety settings' : 'No content in response',
+        duration
+      };
+    }
+
+    return {
+      success: true,
+      content,
+      model,
+      duration,
+      usage,
+      stopReason: finishReason,
+      ...(toolCalls.length > 0 && { toolCalls })
+    };
+  }
+
+  /**
+   * Gemini function calls carry no id, so generate one per call
+   */
+  extractToolCalls(parts, offset = 0) {
+    return parts
+      .filter(p => p.functionCall)
+      .map((p, i) => ({
+        id: `call_${Date.now()}_${offset + i}`,
+        name: p.functionCall.name,
+        arguments: p.functionCall.args || {}
+      }));
+  }
+
+  supportsNativeTools() {
+    return true;
+  }
+
+  supportsMessages() {
+    return true;
+  }
+
   async testConnection() {
     // Test with a simple generation
     const result = await this.generate('Hello', {
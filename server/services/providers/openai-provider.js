@@ -21,18 +21,52 @@ class OpenAIProvider extends BaseProvider {
     };
   }
 
-  async generate(prompt, options = {}) {
+  /**
+   * Build the chat completions request body shared by generate() and generateStream()
+   */
+  buildRequestBody(prompt, options = {}) {
     const modelType = options.modelType || 'default';
     const model = this.getModel(modelType);
 
-    const messages = options.messages || [
+    const messages = options.messages ? [...options.messages] : [
       { role: 'user', content: prompt }
     ];
 
+    // Images ride on the latest user turn as data URLs
+    const imageIndex = options.images?.length ? messages.findLastIndex(m => m.role === 'user') : -1;
+    if (imageIndex !== -1) {
+      messages[imageIndex] = {
+        role: 'user',
+        content: [
+          { type: 'text', text: messages[imageIndex].content },
+          ...options.images.map(image => ({
+            type: 'image_url',
+            image_url: { url: `data:${image.mimeType};base64,${image.data}` }
+          }))
+        ]
+      };
+    }
+
     if (options.systemPrompt) {
       messages.unshift({ role: 'system', content: options.systemPrompt });
     }
 
+    // Replay earlier tool rounds of this turn
+    for (const exchange of options.toolExchanges || []) {
+      messages.push({
+        role: 'assistant',
+        content: exchange.content || null,
+        tool_calls: exchange.calls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+        }))
+      });
+      for (const result of exchange.results) {
+        messages.push({ role: 'tool', tool_call_id: result.id, content: result.content });
+      }
+    }
+
     const body = {
       model,
       messages,
@@ -40,15 +74,28 @@ class OpenAIProvider extends BaseProvider {
       max_tokens: options.max_tokens ?? this.settings.max_tokens ?? 4096,
       ...(this.settings.top_p && { top_p: this.settings.top_p }),
       ...(this.settings.frequency_penalty && { frequency_penalty: this.settings.frequency_penalty }),
-      ...(this.settings.presence_penalty && { presence_penalty: this.settings.presence_penalty })
+      ...(this.settings.presence_penalty && { presence_penalty: this.settings.presence_penalty }),
+      ...(options.tools?.length && {
+        tools: options.tools.map(tool => ({
+          type: 'function',
+          function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+        }))
+      })
     };
 
+    return { model, body };
+  }
+
+  async generate(prompt, options = {}) {
+    const { model, body } = this.buildRequestBody(prompt, options);
+
     const startTime = Date.now();
 
     const result = await http.post(`${this.endpoint}/chat/completions`, {
       headers: this.getHeaders(),
       body,
-      timeout: this.timeout
+      timeout: this.timeout,
+      signal: options.signal
     });
 
     const duration = Date.now() - startTime;
@@ -57,13 +104,20 @@ class OpenAIProvider extends BaseProvider {
       return {
         success: false,
         error: result.data?.error?.message || `API error: ${result.status}`,
+        status: result.status,
         duration
       };
     }
 
-    const content = result.data?.choices?.[0]?.message?.content;
+    const message = result.data?.choices?.[0]?.message;
+    const content = message?.content || '';
+    const toolCalls = (message?.tool_calls || []).map(call => ({
+      id: call.id,
+      name: call.function.name,
+      arguments: this.parseToolArguments(call.function.arguments)
+    }));
 
-    if (!content) {
+    if (!content && toolCalls.length === 0) {
       return {
         success: false,
         error: 'No content in response',
@@ -76,10 +130,92 @@ class OpenAIProvider extends BaseProvider {
       content,
       model,
       duration,
-      usage: result.data?.usage
+      usage: result.data?.usage,
+      ...(toolCalls.length > 0 && { toolCalls })
     };
   }
 
+  async generateStream(prompt, options = {}) {
+    const { model, body } = this.buildRequestBody(prompt, options);
+
+    const startTime = Date.now();
+
+    const result = await http.stream(`${this.endpoint}/chat/completions`, {
+      headers: this.getHeaders(),
+      body: { ...body, stream: true },
+      timeout: this.timeout,
+      signal: options.signal
+    });
+
+    if (!result.ok) {
+      return {
+        success: false,
+        error: result.data?.error?.message || `API error: ${result.status}`,
+        status: result.status,
+        duration: Date.now() - startTime
+      };
+    }
+
+    let content = '';
+    let usage;
+    // Tool calls arrive as fragments keyed by index
+    const pendingCalls = [];
+
+    for await (const { data } of result.events) {
+      if (data === '[DONE]') break;
+
+      const chunk = JSON.parse(data);
+      const delta = chunk.choices?.[0]?.delta;
+      if (delta?.content) {
+        content += delta.content;
+        options.onToken?.(delta.content);
+      }
+      for (const fragment of delta?.tool_calls || []) {
+        const call = pendingCalls[fragment.index] ||= { id: '', name: '', arguments: '' };
+        if (fragment.id) call.id = fragment.id;
+        call.name += fragment.function?.name || '';
+        call.arguments += fragment.function?.arguments || '';
+      }
+      // Some servers send usage on the final chunk
+      if (chunk.usage) usage = chunk.usage;
+    }
+
+    const duration = Date.now() - startTime;
+    const toolCalls = pendingCalls.filter(Boolean).map(call => ({
+      ...call,
+      arguments: this.parseToolArguments(call.arguments)
+    }));
+
+    if (!content && toolCalls.length === 0) {
+      return {
+        success: false,
+        error: 'No content in response',
+        duration
+      };
+    }
+
+    return {
+      success: true,
+      content,
+      model,
+      duration,
+      usage,
+      ...(toolCalls.length > 0 && { toolCalls })
+    };
+  }
+
+  supportsMessages() {
+    return true;
+  }
+
+  /**
+   * OpenAI-compatible servers accept the tools parameter; set
+   * "nativeTools": false for local models that ignore or reject it
+   */
+  supportsNativeTools() {
+    return this.config.nativeTools !== false;
+  }
+
   async testConnection() {
     // Try to list models as a connection test
     const result = await http.get(`${this.endpoint}/models`, {
@@ -1,12 +1,13 @@
 /**
  * Relay Client Service
  *
- * WebSocket client that connects to void-mud relay hub.
+ * WebSocket client that connects to void-mud relay hub (or any void-server in RELAY_HUB_MODE).
  * Enables communication with other void-server peers without PUBLIC_URL.
  */
 
 const { io } = require('socket.io-client');
 const { broadcast } = require('../utils/broadcast');
+const { getServerPort } = require('../utils/port');
 const { getPeerService } = require('./peer-service');
 
 // Default relay URL
@@ -15,6 +16,22 @@ const DEFAULT_RELAY_URL = 'https://void-mud.onrender.com';
 // Chunk size for large payloads (64KB)
 const CHUNK_SIZE = 64 * 1024;
 
+// How long to wait for a hub to hand out a registration challenge
+const CHALLENGE_TIMEOUT = 5000;
+
+/**
+ * The parts of a relayed manifest we take from the peer
+ * Trust level and protection are ours to decide, whatever the hub passes on
+ */
+function relayPeerManifest(serverId, manifest = {}) {
+  return {
+    serverId,
+    publicKey: manifest?.publicKey,
+    version: manifest?.version,
+    capabilities: Array.isArray(manifest?.capabilities) ? manifest.capabilities : []
+  };
+}
+
 class RelayClientService {
   constructor() {
     this.socket = null;
@@ -33,7 +50,9 @@ class RelayClientService {
    */
   initialize(federationService) {
     this.federationService = federationService;
-    this.relayUrl = process.env.RELAY_URL || DEFAULT_RELAY_URL;
+    // A hub joins its own relay unless pointed elsewhere
+    const localHub = process.env.RELAY_HUB_MODE === 'true' && `http://localhost:${getServerPort()}`;
+    this.relayUrl = process.env.RELAY_URL || localHub || DEFAULT_RELAY_URL;
 
     // Don't connect if in DHT-only mode
     if (process.env.FEDERATION_MODE === 'dht') {
@@ -105,7 +124,8 @@ class RelayClientService {
 
     // Peer events
     this.socket.on('relay:peer-joined', (data) => {
-      const { serverId, manifest } = data;
+      const { serverId } = data;
+      const manifest = relayPeerManifest(serverId, data.manifest);
       this.connectedPeers.set(serverId, manifest);
       console.log(`🌐 Relay: Peer joined: ${serverId}`);
 
@@ -159,7 +179,25 @@ class RelayClientService {
       return;
     }
 
-    const manifest = this.federationService.getManifest();
+    // Hubs that authenticate registration hand out a challenge to sign first;
+    // hubs that don't never answer, and we register without one
+    this.socket.timeout(CHALLENGE_TIMEOUT).emit('relay:challenge', {}, (err, response) => {
+      const challenge = !err && response?.challenge;
+      const manifest = this.federationService.getManifest();
+      const relayAuth = challenge && {
+        challenge,
+        signature: this.federationService.sign({ type: 'relay:register', challenge, serverId: manifest.serverId })
+      };
+
+      this.sendRegistration(relayAuth ? { ...manifest, relayAuth } : manifest);
+    });
+  }
+
+  /**
+   * Send registration and record the peers the hub reports
+   */
+  sendRegistration(manifest) {
+    if (!this.socket) return;
 
     this.socket.emit('relay:register', manifest, (response) => {
       if (response.success) {
@@ -169,11 +207,12 @@ class RelayClientService {
         // Update connected peers
         this.connectedPeers.clear();
         for (const peer of response.peers) {
-          this.connectedPeers.set(peer.serverId, peer.manifest);
+          const peerManifest = relayPeerManifest(peer.serverId, peer.manifest);
+          this.connectedPeers.set(peer.serverId, peerManifest);
 
           // Add to federation service
           if (this.federationService) {
-            this.federationService.addPeer(peer.manifest, `relay://${peer.serverId}`);
+            this.federationService.addPeer(peerManifest, `relay://${peer.serverId}`);
           }
         }
 
@@ -299,10 +338,15 @@ class RelayClientService {
     // Check for registered handler
     const handler = this.messageHandlers.get(type);
     if (handler) {
-      const response = handler(from, parsedPayload);
-      if (typeof ackCallback === 'function') {
-        ackCallback(response);
-      }
+      // Handlers may be async; ack once the response is ready
+      Promise.resolve()
+        .then(() => handler(from, parsedPayload))
+        .catch(err => ({ success: false, error: err.message }))
+        .then(response => {
+          if (typeof ackCallback === 'function') {
+            ackCallback(response);
+          }
+        });
     } else {
       console.log(`🌐 Relay: No handler for message type: ${type}`);
       if (typeof ackCallback === 'function') {
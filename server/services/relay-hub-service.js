@@ -0,0 +1,428 @@
+/**
+ * Relay Hub Service
+ *
+ * Runs this server as a relay hub (RELAY_HUB_MODE=true), speaking the same
+ * protocol relay-client-service uses with void-mud:
+ * - relay:challenge / relay:register: peers sign a one-time challenge with their Ed25519 key
+ * - relay:message: forwarded to the target peer, with its ack returned to the sender
+ * - relay:broadcast: forwarded to every other registered peer
+ * - relay:chunk-start / chunk-data / chunk-end: reassembled and delivered as one chunked message
+ *
+ * Each peer is rate limited (messages and chunk bytes per minute, kept across
+ * reconnects), challenge and register attempts are limited per socket and
+ * address, and RELAY_HUB_PEERS can restrict the hub to a private list of server IDs.
+ * Peers only learn each other's serverId, publicKey, version and capabilities.
+ */
+
+const {
+  generateChallenge,
+  generateServerId,
+  verifySignature
+} = require('./federation-service');
+
+const RATE_WINDOW_MS = 60 * 1000;
+const DEFAULT_MESSAGE_LIMIT = 120; // Messages, broadcasts and transfers per minute
+const DEFAULT_BYTE_LIMIT = 50 * 1024 * 1024; // Chunk bytes per minute
+const MAX_TRANSFER_SIZE = 25 * 1024 * 1024;
+const MAX_TRANSFERS_PER_PEER = 5;
+const TRANSFER_TIMEOUT_MS = 2 * 60 * 1000;
+const REGISTER_TIMEOUT_MS = 30 * 1000;
+const DELIVERY_TIMEOUT_MS = 30 * 1000;
+const MAX_ATTEMPTS_PER_SOCKET = 5; // relay:challenge + relay:register
+const DEFAULT_ATTEMPT_LIMIT = 30; // relay:challenge + relay:register per address per minute
+
+function parseAllowlist(value) {
+  return (value || '').split(',').map(id => id.trim()).filter(Boolean);
+}
+
+function reply(ack, response) {
+  if (typeof ack === 'function') ack(response);
+}
+
+/**
+ * What the hub passes on about a peer; anything else in its manifest (such as
+ * a self-declared trustLevel) stays with the hub
+ */
+function publicManifest({ serverId, publicKey, version, capabilities }) {
+  return {
+    serverId,
+    publicKey,
+    version: typeof version === 'string' ? version : undefined,
+    capabilities: Array.isArray(capabilities) ? capabilities.filter(c => typeof c === 'string') : []
+  };
+}
+
+// Drop rate windows that have run out
+function pruneRates(rates, now) {
+  for (const [key, rate] of rates) {
+    if (now - rate.windowStart >= RATE_WINDOW_MS) rates.delete(key);
+  }
+}
+
+class RelayHubService {
+  constructor() {
+    this.namespace = null;
+    this.peers = new Map(); // serverId -> { socket, manifest, registeredAt, messages }
+    this.transfers = new Map(); // transferId -> { from, to, type, chunks, received, size, totalSize, timer }
+    this.rates = new Map(); // serverId -> { windowStart, messages, bytes }
+    this.attemptRates = new Map(); // address -> { windowStart, attempts }
+    this.allowlist = [];
+    this.messageLimit = DEFAULT_MESSAGE_LIMIT;
+    this.byteLimit = DEFAULT_BYTE_LIMIT;
+    this.attemptLimit = DEFAULT_ATTEMPT_LIMIT;
+  }
+
+  /**
+   * Accept relay clients on the /relay namespace of a socket.io server
+   */
+  attach(io) {
+    this.allowlist = parseAllowlist(process.env.RELAY_HUB_PEERS);
+    this.messageLimit = parseInt(process.env.RELAY_RATE_LIMIT, 10) || DEFAULT_MESSAGE_LIMIT;
+    this.byteLimit = parseInt(process.env.RELAY_RATE_LIMIT_BYTES, 10) || DEFAULT_BYTE_LIMIT;
+    this.attemptLimit = parseInt(process.env.RELAY_REGISTER_LIMIT, 10) || DEFAULT_ATTEMPT_LIMIT;
+
+    this.namespace = io.of('/relay');
+    this.namespace.on('connection', socket => this.handleConnection(socket));
+
+    console.log(`🛰️ Relay hub listening on /relay${this.allowlist.length ? ` (${this.allowlist.length} allowed peers)` : ''}`);
+    return this;
+  }
+
+  /**
+   * Wire up one relay client
+   */
+  handleConnection(socket) {
+    socket.data.challenge = generateChallenge();
+
+    // Sockets that never register are dropped
+    const registerTimer = setTimeout(() => {
+      if (!socket.data.serverId) socket.disconnect(true);
+    }, REGISTER_TIMEOUT_MS);
+
+    socket.on('relay:challenge', (payload, ack) => {
+      const limited = this.checkAttempt(socket);
+      if (limited) return reply(ack, { success: false, error: limited });
+      reply(ack, { success: true, challenge: socket.data.challenge });
+    });
+
+    socket.on('relay:register', (manifest, ack) => {
+      const limited = this.checkAttempt(socket);
+      if (limited) return reply(ack, { success: false, error: limited });
+
+      const result = this.register(socket, manifest);
+      if (result.success) clearTimeout(registerTimer);
+      reply(ack, result);
+    });
+
+    socket.on('relay:message', (envelope, ack) => this.forwardMessage(socket, envelope, ack));
+    socket.on('relay:broadcast', payload => this.forwardBroadcast(socket, payload));
+    socket.on('relay:chunk-start', data => this.startTransfer(socket, data));
+    socket.on('relay:chunk-data', data => this.receiveChunk(socket, data));
+    socket.on('relay:chunk-end', data => this.endTransfer(socket, data));
+
+    socket.on('disconnect', () => {
+      clearTimeout(registerTimer);
+      this.handleDisconnect(socket);
+    });
+  }
+
+  /**
+   * Register a peer that signed this socket's challenge
+   */
+  register(socket, manifest = {}) {
+    const { relayAuth, ...declared } = manifest || {};
+    const peerManifest = publicManifest(declared);
+    const { serverId, publicKey } = peerManifest;
+
+    if (!serverId || !publicKey) {
+      return { success: false, error: 'serverId and publicKey required' };
+    }
+    if (generateServerId(publicKey) !== serverId) {
+      return { success: false, error: 'publicKey does not match serverId' };
+    }
+    if (this.allowlist.length > 0 && !this.allowlist.includes(serverId)) {
+      console.log(`🚫 Relay hub: ${serverId} is not on the peer list`);
+      return { success: false, error: 'Server is not allowed on this relay hub' };
+    }
+    if (!relayAuth?.signature || relayAuth.challenge !== socket.data.challenge) {
+      return { success: false, error: 'Signed challenge required (request one with relay:challenge)' };
+    }
+
+    // Challenges are single use
+    socket.data.challenge = generateChallenge();
+
+    let isValid = false;
+    try {
+      isValid = verifySignature(
+        { type: 'relay:register', challenge: relayAuth.challenge, serverId },
+        relayAuth.signature,
+        publicKey
+      );
+    } catch {
+      isValid = false;
+    }
+    if (!isValid) {
+      console.log(`❌ Relay hub: invalid registration signature from ${serverId}`);
+      return { success: false, error: 'Invalid challenge signature' };
+    }
+
+    // A newer connection for the same server replaces the old one
+    const existing = this.peers.get(serverId);
+    if (existing && existing.socket.id !== socket.id) {
+      existing.socket.data.serverId = null;
+      existing.socket.disconnect(true);
+    }
+
+    socket.data.serverId = serverId;
+    this.peers.set(serverId, {
+      socket,
+      manifest: peerManifest,
+      registeredAt: new Date().toISOString(),
+      messages: 0
+    });
+
+    const others = Array.from(this.peers.entries())
+      .filter(([id]) => id !== serverId)
+      .map(([id, peer]) => ({ serverId: id, manifest: peer.manifest }));
+
+    this.emitToPeers('relay:peer-joined', { serverId, manifest: peerManifest }, serverId);
+    console.log(`🛰️ Relay hub: ${serverId} registered (${this.peers.size} online)`);
+
+    return { success: true, peers: others };
+  }
+
+  /**
+   * Count a relay:challenge or relay:register against its socket and address
+   * Returns an error message or null; a socket over its limit is dropped
+   */
+  checkAttempt(socket) {
+    socket.data.attempts = (socket.data.attempts || 0) + 1;
+    if (socket.data.attempts > MAX_ATTEMPTS_PER_SOCKET) {
+      setImmediate(() => socket.disconnect(true));
+      return 'Too many registration attempts';
+    }
+
+    const address = socket.handshake?.address || 'unknown';
+    const now = Date.now();
+    let rate = this.attemptRates.get(address);
+    if (!rate || now - rate.windowStart >= RATE_WINDOW_MS) {
+      pruneRates(this.attemptRates, now);
+      rate = { windowStart: now, attempts: 0 };
+      this.attemptRates.set(address, rate);
+    }
+
+    rate.attempts++;
+    return rate.attempts > this.attemptLimit ? 'Too many registration attempts from this address' : null;
+  }
+
+  /**
+   * Count an event against a peer's per-minute limits; returns an error message or null
+   * Windows outlive the peer's connection, so reconnecting does not reset them
+   */
+  checkRate(serverId, bytes = 0) {
+    const now = Date.now();
+    let rate = this.rates.get(serverId);
+    if (!rate || now - rate.windowStart >= RATE_WINDOW_MS) {
+      pruneRates(this.rates, now);
+      rate = { windowStart: now, messages: 0, bytes: 0 };
+      this.rates.set(serverId, rate);
+    }
+
+    if (bytes > 0) {
+      rate.bytes += bytes;
+      return rate.bytes > this.byteLimit ? 'Rate limit exceeded (bytes)' : null;
+    }
+
+    rate.messages++;
+    return rate.messages > this.messageLimit ? 'Rate limit exceeded' : null;
+  }
+
+  /**
+   * Forward a message to its target and hand the target's ack back
+   */
+  forwardMessage(socket, envelope = {}, ack) {
+    const from = socket.data.serverId;
+    if (!from) return reply(ack, { success: false, error: 'Not registered' });
+
+    const limited = this.checkRate(from);
+    if (limited) return reply(ack, { success: false, error: limited });
+
+    const target = this.peers.get(envelope.to);
+    if (!target) return reply(ack, { success: false, error: 'Peer not connected' });
+
+    this.peers.get(from).messages++;
+
+    target.socket.timeout(DELIVERY_TIMEOUT_MS).emit('relay:message', {
+      from,
+      type: envelope.type,
+      payload: envelope.payload,
+      messageId: envelope.messageId,
+      timestamp: envelope.timestamp
+    }, (err, response) => {
+      reply(ack, err
+        ? { success: false, error: 'Peer did not respond' }
+        : { success: true, ack: response });
+    });
+  }
+
+  /**
+   * Forward a broadcast to every other registered peer
+   */
+  forwardBroadcast(socket, data = {}) {
+    const from = socket.data.serverId;
+    if (!from || this.checkRate(from)) return;
+
+    this.peers.get(from).messages++;
+    this.emitToPeers('relay:broadcast', { from, type: data.type, payload: data.payload }, from);
+  }
+
+  /**
+   * Emit to every registered peer (unregistered sockets see nothing)
+   */
+  emitToPeers(event, data, exceptServerId = null) {
+    for (const [serverId, peer] of this.peers) {
+      if (serverId !== exceptServerId) {
+        peer.socket.emit(event, data);
+      }
+    }
+  }
+
+  /**
+   * Begin a chunked transfer
+   */
+  startTransfer(socket, data = {}) {
+    const from = socket.data.serverId;
+    const { transferId, to, type, totalChunks, totalSize } = data;
+    if (!from || !transferId || this.transfers.has(transferId) || this.checkRate(from)) return;
+
+    if (!this.peers.has(to) || !Number.isInteger(totalChunks) || totalChunks < 1 ||
+      !(totalSize > 0 && totalSize <= MAX_TRANSFER_SIZE)) {
+      console.log(`🛰️ Relay hub: rejected transfer ${transferId} from ${from}`);
+      return;
+    }
+
+    const active = Array.from(this.transfers.values()).filter(t => t.from === from).length;
+    if (active >= MAX_TRANSFERS_PER_PEER) return;
+
+    this.transfers.set(transferId, {
+      from,
+      to,
+      type,
+      chunks: new Array(totalChunks),
+      received: 0,
+      size: 0,
+      totalSize,
+      timer: setTimeout(() => this.transfers.delete(transferId), TRANSFER_TIMEOUT_MS)
+    });
+  }
+
+  /**
+   * Add one chunk to a transfer; transfers over their declared size are dropped
+   */
+  receiveChunk(socket, data = {}) {
+    const transfer = this.transfers.get(data.transferId);
+    if (!transfer || transfer.from !== socket.data.serverId || typeof data.chunk !== 'string') return;
+
+    const index = data.chunkIndex;
+    if (!Number.isInteger(index) || index < 0 || index >= transfer.chunks.length ||
+      transfer.chunks[index] !== undefined) return;
+
+    transfer.size += data.chunk.length;
+    if (transfer.size > transfer.totalSize || this.checkRate(transfer.from, data.chunk.length)) {
+      this.dropTransfer(data.transferId);
+      return;
+    }
+
+    transfer.chunks[index] = data.chunk;
+    transfer.received++;
+  }
+
+  /**
+   * Deliver a completed transfer as one chunked message
+   */
+  endTransfer(socket, data = {}) {
+    const transfer = this.transfers.get(data.transferId);
+    if (!transfer || transfer.from !== socket.data.serverId) return;
+
+    this.dropTransfer(data.transferId);
+
+    const target = this.peers.get(transfer.to);
+    if (!target || transfer.received !== transfer.chunks.length) {
+      console.log(`🛰️ Relay hub: incomplete transfer ${data.transferId} (${transfer.received}/${transfer.chunks.length})`);
+      return;
+    }
+
+    this.peers.get(transfer.from).messages++;
+
+    target.socket.emit('relay:message', {
+      from: transfer.from,
+      type: transfer.type,
+      payload: transfer.chunks.join(''),
+      chunked: true,
+      messageId: data.transferId,
+      timestamp: Date.now()
+    });
+  }
+
+  dropTransfer(transferId) {
+    const transfer = this.transfers.get(transferId);
+    if (transfer) {
+      clearTimeout(transfer.timer);
+      this.transfers.delete(transferId);
+    }
+  }
+
+  /**
+   * Forget a peer and its transfers when its socket goes away
+   */
+  handleDisconnect(socket) {
+    const serverId = socket.data.serverId;
+    if (!serverId || this.peers.get(serverId)?.socket.id !== socket.id) return;
+
+    this.peers.delete(serverId);
+    for (const [transferId, transfer] of this.transfers) {
+      if (transfer.from === serverId) this.dropTransfer(transferId);
+    }
+
+    this.emitToPeers('relay:peer-left', { serverId });
+    console.log(`🛰️ Relay hub: ${serverId} left (${this.peers.size} online)`);
+  }
+
+  /**
+   * Get hub status
+   */
+  getStatus() {
+    return {
+      enabled: Boolean(this.namespace),
+      private: this.allowlist.length > 0,
+      limits: {
+        messagesPerMinute: this.messageLimit,
+        bytesPerMinute: this.byteLimit,
+        registrationsPerMinute: this.attemptLimit,
+        maxTransferSize: MAX_TRANSFER_SIZE
+      },
+      activeTransfers: this.transfers.size,
+      peers: Array.from(this.peers.entries()).map(([serverId, peer]) => ({
+        serverId,
+        version: peer.manifest.version,
+        registeredAt: peer.registeredAt,
+        messages: peer.messages
+      }))
+    };
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getRelayHub() {
+  if (!instance) {
+    instance = new RelayHubService();
+  }
+  return instance;
+}
+
+module.exports = {
+  RelayHubService,
+  getRelayHub
+};
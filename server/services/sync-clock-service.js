@@ -0,0 +1,151 @@
+/**
+ * Sync Clock Service
+ *
+ * Clocks for two-way memory sync between servers:
+ *
+ * - Hybrid logical clock (HLC): physical time plus a counter, so timestamps
+ *   from different servers order sensibly even with clock drift. Encoded as
+ *   `<ms, 13 digits>-<counter, 4+ digits>-<serverId>`.
+ * - Version vector: { serverId: edits } per memory. Comparing two vectors
+ *   tells whether one version descends from the other or both were edited
+ *   independently (a conflict).
+ */
+
+const COUNTER_DIGITS = 4;
+
+// Last timestamp issued by this server
+const clock = { time: 0, counter: 0 };
+
+function encodeHlc(time, counter, serverId) {
+  return `${String(time).padStart(13, '0')}-${String(counter).padStart(COUNTER_DIGITS, '0')}-${serverId}`;
+}
+
+/**
+ * Lowest HLC at a physical time; every HLC stamped at or after it sorts above it as a string
+ * (for range filters in queries, where compareHlc is not available)
+ */
+function hlcFloor(physicalTime) {
+  return encodeHlc(physicalTime, 0, '');
+}
+
+/**
+ * Split an HLC string into { time, counter, serverId } (null when malformed)
+ */
+function parseHlc(hlc) {
+  const match = /^(\d{13})-(\d+)-(.+)$/.exec(hlc || '');
+  if (!match) return null;
+  return { time: Number(match[1]), counter: Number(match[2]), serverId: match[3] };
+}
+
+/**
+ * Order two HLC strings (-1, 0, 1); missing or malformed timestamps sort first
+ * Compares the parts as numbers: counters can outgrow their padding
+ */
+function compareHlc(a, b) {
+  const left = parseHlc(a);
+  const right = parseHlc(b);
+  if (!left || !right) return Boolean(left) - Boolean(right);
+
+  if (left.time !== right.time) return left.time < right.time ? -1 : 1;
+  if (left.counter !== right.counter) return left.counter < right.counter ? -1 : 1;
+  if (left.serverId === right.serverId) return 0;
+  return left.serverId < right.serverId ? -1 : 1;
+}
+
+/**
+ * Issue a timestamp for a local event
+ *
+ * @param {string} serverId - This server
+ * @param {number} physicalTime - When the event happened (default: now)
+ */
+function tick(serverId, physicalTime = Date.now()) {
+  if (physicalTime > clock.time) {
+    clock.time = physicalTime;
+    clock.counter = 0;
+  } else {
+    clock.counter++;
+  }
+  return encodeHlc(clock.time, clock.counter, serverId);
+}
+
+/**
+ * Timestamp for an event that happened at a known time (a recorded edit),
+ * ordered after the previous timestamp of the same memory
+ */
+function stampAt(serverId, physicalTime, previousHlc = null) {
+  const previous = parseHlc(previousHlc);
+  const hlc = previous && previous.time >= physicalTime
+    ? encodeHlc(previous.time, previous.counter + 1, serverId)
+    : encodeHlc(physicalTime, 0, serverId);
+
+  receive(hlc);
+  return hlc;
+}
+
+/**
+ * Move the clock past a timestamp received from a peer, so later local
+ * events order after it
+ */
+function receive(remoteHlc) {
+  const remote = parseHlc(remoteHlc);
+  if (!remote) return;
+
+  if (remote.time > clock.time) {
+    clock.time = remote.time;
+    clock.counter = remote.counter;
+  } else if (remote.time === clock.time) {
+    clock.counter = Math.max(clock.counter, remote.counter);
+  }
+}
+
+/**
+ * Compare two version vectors
+ *
+ * @returns {'equal'|'before'|'after'|'concurrent'} How `a` relates to `b`
+ */
+function compareVectors(a = {}, b = {}) {
+  let aAhead = false;
+  let bAhead = false;
+
+  for (const serverId of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    const aCount = a[serverId] || 0;
+    const bCount = b[serverId] || 0;
+    if (aCount > bCount) aAhead = true;
+    if (bCount > aCount) bAhead = true;
+  }
+
+  if (aAhead && bAhead) return 'concurrent';
+  if (aAhead) return 'after';
+  if (bAhead) return 'before';
+  return 'equal';
+}
+
+/**
+ * Vector that descends from both (highest count per server)
+ */
+function mergeVectors(a = {}, b = {}) {
+  const merged = { ...a };
+  for (const [serverId, count] of Object.entries(b)) {
+    merged[serverId] = Math.max(merged[serverId] || 0, count);
+  }
+  return merged;
+}
+
+/**
+ * Record one more edit by a server
+ */
+function incrementVector(vector = {}, serverId) {
+  return { ...vector, [serverId]: (vector[serverId] || 0) + 1 };
+}
+
+module.exports = {
+  tick,
+  stampAt,
+  receive,
+  parseHlc,
+  compareHlc,
+  hlcFloor,
+  compareVectors,
+  mergeVectors,
+  incrementVector
+};
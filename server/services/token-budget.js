@@ -0,0 +1,150 @@
+/**
+ * Token Budget Service
+ *
+ * Estimates token counts and trims chat history and memory context so a
+ * compiled prompt fits the model's context window, leaving room for the reply.
+ *
+ * The estimator is tokenizer-free: ~4 characters per token for prose, with a
+ * floor of ~1.3 tokens per word so code, numbers and non-Latin text (which
+ * tokenize densely) aren't underestimated.
+ */
+
+// Used when a provider has no contextLimits configured
+const DEFAULT_CONTEXT_LIMIT = 8192;
+
+// Headroom for estimator error and provider message framing
+const SAFETY_MARGIN = 0.05;
+
+// Share of the trimmable space memories may claim before history is filled
+const MEMORY_SHARE = 0.3;
+
+/**
+ * Tokens to keep free for the reply: the configured max_tokens, capped at a
+ * quarter of the window so small local models still get room for context
+ */
+function reserveForOutput(contextLimit, maxTokens) {
+  const limit = contextLimit || DEFAULT_CONTEXT_LIMIT;
+  return Math.min(maxTokens || 1024, Math.floor(limit / 4));
+}
+
+/**
+ * Estimate the number of tokens in a string (or array of strings)
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+  if (Array.isArray(text)) {
+    return text.reduce((sum, item) => sum + estimateTokens(item), 0);
+  }
+
+  const str = String(text);
+  const words = str.trim().split(/\s+/).filter(Boolean).length;
+  return Math.max(Math.ceil(str.length / 4), Math.ceil(words * 1.3));
+}
+
+/**
+ * Order memories by retrieval score, then importance
+ */
+function rankByScore(memories) {
+  const score = m => m.relevanceScore ?? m.score ?? m.similarity ?? 0;
+  return [...memories].sort((a, b) =>
+    score(b) - score(a) || (b.importance || 0) - (a.importance || 0)
+  );
+}
+
+/**
+ * Fit chat history and memories into the space left by the fixed prompt
+ *
+ * @param {Object} params
+ * @param {number} params.contextLimit - Model context window in tokens
+ * @param {number} params.reservedForOutput - Tokens kept free for the reply (max_tokens)
+ * @param {string} params.fixedPrompt - Prompt compiled without history or memories
+ * @param {string[]} params.history - Oldest-first history lines
+ * @param {Object[]} params.memories - Retrieved memories
+ * @param {Function} params.formatMemories - Renders selected memories into prompt text
+ * @returns {{history: string[], memories: Object[], memoryContext: string, breakdown: Object}}
+ */
+function fitToBudget({ contextLimit, reservedForOutput = 0, fixedPrompt = '', history = [], memories = [], formatMemories }) {
+  const limit = contextLimit || DEFAULT_CONTEXT_LIMIT;
+  const margin = Math.ceil(limit * SAFETY_MARGIN);
+  const fixedTokens = estimateTokens(fixedPrompt);
+  const available = Math.max(0, limit - reservedForOutput - margin - fixedTokens);
+
+  // Memories first, best-scored first, within their share
+  const memoryAllowance = Math.floor(available * MEMORY_SHARE);
+  const selectedMemories = [];
+  let memoryContext = '';
+
+  for (const memory of rankByScore(memories)) {
+    const candidate = formatMemories([...selectedMemories, memory]);
+    if (estimateTokens(candidate) > memoryAllowance) continue;
+    selectedMemories.push(memory);
+    memoryContext = candidate;
+  }
+
+  const memoryTokens = estimateTokens(memoryContext);
+
+  // History fills the rest, newest first
+  let historyTokens = 0;
+  let keep = 0;
+  for (let i = history.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(history[i]) + 1;
+    if (historyTokens + cost > available - memoryTokens) break;
+    historyTokens += cost;
+    keep++;
+  }
+  const selectedHistory = keep > 0 ? history.slice(-keep) : [];
+
+  const used = fixedTokens + memoryTokens + historyTokens;
+
+  return {
+    history: selectedHistory,
+    memories: selectedMemories,
+    memoryContext,
+    breakdown: {
+      contextLimit: limit,
+      reservedForOutput,
+      safetyMargin: margin,
+      fixed: fixedTokens,
+      memories: {
+        tokens: memoryTokens,
+        included: selectedMemories.length,
+        dropped: memories.length - selectedMemories.length
+      },
+      history: {
+        tokens: historyTokens,
+        included: selectedHistory.length,
+        dropped: history.length - selectedHistory.length
+      },
+      total: used,
+      remaining: limit - reservedForOutput - used,
+      overBudget: fixedTokens > limit - reservedForOutput
+    }
+  };
+}
+
+/**
+ * Describe how a compiled prompt uses the context window
+ */
+function describePrompt(prompt, { contextLimit, reservedForOutput = 0, variables = {} } = {}) {
+  const limit = contextLimit || DEFAULT_CONTEXT_LIMIT;
+  const promptTokens = estimateTokens(prompt);
+
+  return {
+    contextLimit: limit,
+    reservedForOutput,
+    promptTokens,
+    variables: Object.fromEntries(
+      Object.entries(variables).map(([key, value]) => [key, estimateTokens(value)])
+    ),
+    remaining: limit - reservedForOutput - promptTokens,
+    overBudget: promptTokens + reservedForOutput > limit
+  };
+}
+
+module.exports = {
+  DEFAULT_CONTEXT_LIMIT,
+  estimateTokens,
+  reserveForOutput,
+  fitToBudget,
+  describePrompt
+};
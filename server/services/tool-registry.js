@@ -0,0 +1,318 @@
+/**
+ * Tool Registry Service
+ *
+ * Tools are functions a template can let the model call during a chat turn
+ * (memory search, memory create, IPFS fetch, plugin-registered functions).
+ *
+ * Providers with native tool calling receive the tool definitions directly.
+ * Everything else uses a tag protocol, mirroring the <memory> tags:
+ *
+ * <tool_call name="memory_search">{"query": "favourite colour"}</tool_call>
+ *
+ * and gets the result back as <tool_result name="...">...</tool_result>.
+ */
+
+const http = require('../lib/http-client');
+
+// Results longer than this are truncated before being sent back to the model
+const MAX_RESULT_LENGTH = 8000;
+
+const tools = new Map();
+
+/**
+ * Register a tool
+ * @param {Object} tool
+ * @param {string} tool.name - Unique name (letters, digits, underscores)
+ * @param {string} tool.description - What the tool does, shown to the model
+ * @param {Object} tool.parameters - JSON Schema for the arguments object
+ * @param {Function} tool.handler - async (args, context) => string|Object
+ * @param {string} tool.source - 'builtin' or the registering plugin's name
+ */
+function registerTool(tool) {
+  if (!/^[a-zA-Z0-9_]{1,64}$/.test(tool.name || '')) {
+    return { success: false, error: `Invalid tool name "${tool.name}"` };
+  }
+
+  if (typeof tool.handler !== 'function') {
+    return { success: false, error: `Tool "${tool.name}" has no handler` };
+  }
+
+  tools.set(tool.name, {
+    name: tool.name,
+    description: tool.description || '',
+    parameters: tool.parameters || { type: 'object', properties: {} },
+    handler: tool.handler,
+    source: tool.source || 'builtin'
+  });
+
+  if (tool.source && tool.source !== 'builtin') {
+    console.log(`🔧 Registered tool: ${tool.name} (${tool.source})`);
+  }
+  return { success: true };
+}
+
+/**
+ * Remove a tool
+ */
+function unregisterTool(name) {
+  return tools.delete(name);
+}
+
+/**
+ * Get a tool by name
+ */
+function getTool(name) {
+  return tools.get(name) || null;
+}
+
+/**
+ * List registered tools without their handlers
+ */
+function listTools() {
+  return [...tools.values()].map(({ handler, ...definition }) => definition);
+}
+
+/**
+ * Resolve the tools a template declares, skipping unknown names
+ */
+function getToolsForTemplate(template) {
+  return (template?.tools || [])
+    .map(name => {
+      const tool = tools.get(name);
+      if (!tool) console.log(`⚠️ Template "${template.id}" declares unknown tool "${name}"`);
+      return tool;
+    })
+    .filter(Boolean)
+    .map(({ handler, source, ...definition }) => definition);
+}
+
+/**
+ * Run a tool call and return its result as text for the model
+ */
+async function executeTool(name, args = {}, context = {}) {
+  const tool = tools.get(name);
+  const startTime = Date.now();
+
+  if (!tool) {
+    return { success: false, error: `Unknown tool "${name}"`, duration: 0 };
+  }
+
+  console.log(`🔧 Calling tool ${name}`);
+
+  const output = await Promise.resolve()
+    .then(() => tool.handler(args, context))
+    .then(result => ({ success: true, result }))
+    .catch(error => ({ success: false, error: error.message }));
+
+  const duration = Date.now() - startTime;
+
+  if (!output.success) {
+    console.log(`❌ Tool ${name} failed: ${output.error}`);
+    return { ...output, duration };
+  }
+
+  let content = typeof output.result === 'string'
+    ? output.result
+    : JSON.stringify(output.result, null, 2);
+
+  if (content.length > MAX_RESULT_LENGTH) {
+    content = `${content.slice(0, MAX_RESULT_LENGTH)}\n... (truncated)`;
+  }
+
+  return { success: true, content, duration };
+}
+
+// ============================================================================
+// Tag protocol (providers without native tool calling)
+// ============================================================================
+
+const TOOL_CALL_REGEX = /<tool_call\s+([^>]*)>([\s\S]*?)<\/tool_call>/gi;
+
+/**
+ * Describe the available tools and the tag format for the prompt
+ */
+function getToolInstructions(toolDefinitions) {
+  const list = toolDefinitions.map(tool => {
+    const args = Object.entries(tool.parameters?.properties || {})
+      .map(([key, schema]) => {
+        const required = tool.parameters.required?.includes(key) ? ', required' : '';
+        return `"${key}" (${schema.type || 'any'}${required})`;
+      })
+      .join(', ');
+    return `- ${tool.name}: ${tool.description}${args ? ` Arguments: ${args}` : ''}`;
+  }).join('\n');
+
+  return `## Tools
+
+You can call the tools below. To call one, write a tool call tag with a JSON object of arguments, then stop and wait:
+
+<tool_call name="TOOL_NAME">{"argument": "value"}</tool_call>
+
+The result comes back as <tool_result name="TOOL_NAME">...</tool_result>. Use it to continue your reply. Only call a tool when it helps answer the user.
+
+${list}`;
+}
+
+/**
+ * Parse <tool_call> tags from a response
+ * Returns the calls and the response with the tags removed
+ */
+function parseToolCalls(response, round = 0) {
+  if (!response || typeof response !== 'string') {
+    return { calls: [], cleanedResponse: response || '' };
+  }
+
+  const calls = [];
+  let match;
+  TOOL_CALL_REGEX.lastIndex = 0;
+
+  while ((match = TOOL_CALL_REGEX.exec(response)) !== null) {
+    const name = match[1].match(/name=["']([^"']+)["']/)?.[1];
+    if (!name) continue;
+
+    const body = match[2].trim();
+    let args = {};
+    if (body) {
+      try {
+        args = JSON.parse(body);
+      } catch {
+        args = { input: body };
+      }
+    }
+
+    calls.push({ id: `tag_${round}_${calls.length}`, name, arguments: args });
+  }
+
+  const cleanedResponse = response
+    .replace(TOOL_CALL_REGEX, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return { calls, cleanedResponse };
+}
+
+/**
+ * Format tool results to append to the prompt for the next round
+ */
+function formatToolResults(results) {
+  return results
+    .map(r => `<tool_result name="${r.name}">\n${r.content}\n</tool_result>`)
+    .join('\n\n');
+}
+
+// ============================================================================
+// Built-in tools
+// ============================================================================
+
+function registerBuiltinTools() {
+  registerTool({
+    name: 'memory_search',
+    description: 'Search long-term memory for facts, preferences and past conversations relevant to a query.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'What to look for' },
+        limit: { type: 'number', description: 'Maximum memories to return (default 5)' }
+      },
+      required: ['query']
+    },
+    handler: async ({ query, limit = 5 }, context) => {
+      const memoryQueryService = require('./memory-query-service');
+      const memories = await memoryQueryService.getRelevantMemories({
+        message: query,
+        namespaces: context.memoryScope?.read || null,
+        limit: Math.min(limit, 20)
+      });
+
+      if (memories.length === 0) return 'No matching memories found.';
+
+      return memories.map(m => `- [${m.category || 'general'}] ${m.content}`).join('\n');
+    }
+  });
+
+  registerTool({
+    name: 'memory_create',
+    description: 'Store a fact worth remembering in long-term memory.',
+    parameters: {
+      type: 'object',
+      properties: {
+        content: { type: 'string', description: 'Brief, factual summary to remember' },
+        category: { type: 'string', description: 'emergence, social, technical, economic or void' },
+        importance: { type: 'number', description: '0.0-1.0 (default 0.6)' }
+      },
+      required: ['content']
+    },
+    handler: async ({ content, category, importance }, context) => {
+      const { getNeo4jService } = require('./neo4j-service');
+      if (!await getNeo4jService().isAvailable()) {
+        throw new Error('Memory storage is not available');
+      }
+
+      const memoryService = require('./memory-service');
+      const memory = await memoryService.createMemory({
+        content,
+        category,
+        importance: importance ?? 0.6,
+        source: 'tool-call',
+        namespace: context.memoryScope?.write,
+        stage: 1,
+        metadata: {
+          chatId: context.chatId,
+          templateId: context.templateId,
+          extractedAt: new Date().toISOString()
+        }
+      });
+
+      return `Stored memory ${memory.id}`;
+    }
+  });
+
+  registerTool({
+    name: 'ipfs_fetch',
+    description: 'Fetch the text content of a file on IPFS by its CID.',
+    parameters: {
+      type: 'object',
+      properties: {
+        cid: { type: 'string', description: 'IPFS content identifier' }
+      },
+      required: ['cid']
+    },
+    handler: async ({ cid }) => {
+      if (!/^[a-zA-Z0-9]+(\/[\w.-]+)*$/.test(cid || '')) {
+        throw new Error(`Invalid CID "${cid}"`);
+      }
+
+      const ipfsService = require('./ipfs-service');
+      const config = await ipfsService.loadConfig();
+
+      // Try the local gateway first, then the public one
+      let result = await http.get(`${config.gateway}/${cid}`, { json: false, timeout: 15000 })
+        .catch(() => null);
+
+      if (!result?.ok && config.publicGateway) {
+        result = await http.get(`${config.publicGateway}/${cid}`, { json: false, timeout: 30000 });
+      }
+
+      if (!result?.ok) {
+        throw new Error(`Could not fetch ${cid}${result ? ` (${result.status})` : ''}`);
+      }
+
+      return result.data;
+    }
+  });
+}
+
+registerBuiltinTools();
+
+module.exports = {
+  MAX_RESULT_LENGTH,
+  registerTool,
+  unregisterTool,
+  getTool,
+  listTools,
+  getToolsForTemplate,
+  executeTool,
+  getToolInstructions,
+  parseToolCalls,
+  formatToolResults
+};
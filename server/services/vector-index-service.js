@@ -0,0 +1,338 @@
+/**
+ * Vector Index Service
+ *
+ * Nearest-neighbour search over memory embeddings.
+ * Uses the Neo4j native vector index when it is online, otherwise an
+ * in-process approximate index (random-hyperplane LSH with exact re-ranking)
+ * built from the embeddings stored in Neo4j.
+ *
+ * Vectors tagged with a different embedding model than the query are
+ * skipped until they are re-embedded; untagged legacy vectors still count.
+ */
+
+const { getNeo4jService } = require('./neo4j-service');
+const { getEmbeddingService } = require('./embedding-service');
+
+// LSH parameters: TABLES hash tables of BITS hyperplanes each
+const TABLES = 8;
+const BITS = 12;
+// Below this size an exact scan is cheap enough
+const BRUTE_FORCE_MAX = 2000;
+// Candidates needed per requested result before falling back to a scan
+const MIN_CANDIDATES_PER_RESULT = 4;
+// Reload from Neo4j after this long to pick up writes made outside memory-service
+const LOCAL_INDEX_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Deterministic PRNG so hyperplanes are stable across rebuilds
+ */
+function mulberry32(seed) {
+  let a = seed;
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Normalize a vector to unit length (cosine similarity becomes a dot product)
+ */
+function normalize(vector) {
+  const out = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+  norm = Math.sqrt(norm);
+  if (norm === 0) return null;
+  for (let i = 0; i < out.length; i++) out[i] /= norm;
+  return out;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+/**
+ * In-process approximate nearest-neighbour index
+ */
+class LocalVectorIndex {
+  constructor() {
+    this.clear();
+  }
+
+  clear() {
+    this.dimensions = null;
+    this.vectors = new Map();
+    this.planes = null;
+    this.tables = [];
+    this.skipped = 0;
+  }
+
+  get size() {
+    return this.vectors.size;
+  }
+
+  initPlanes(dimensions) {
+    const random = mulberry32(dimensions);
+    const gaussian = () => {
+      const u = random() || Number.EPSILON;
+      return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+    };
+
+    this.dimensions = dimensions;
+    this.planes = [];
+    for (let t = 0; t < TABLES; t++) {
+      const table = [];
+      for (let b = 0; b < BITS; b++) {
+        table.push(Float32Array.from({ length: dimensions }, gaussian));
+      }
+      this.planes.push(table);
+    }
+    this.tables = Array.from({ length: TABLES }, () => new Map());
+  }
+
+  hash(vector, t) {
+    let key = 0;
+    this.planes[t].forEach((plane, b) => {
+      if (dot(plane, vector) >= 0) key |= 1 << b;
+    });
+    return key;
+  }
+
+  upsert(id, embedding, model = null) {
+    this.remove(id);
+    if (!Array.isArray(embedding) || embedding.length === 0) return false;
+
+    if (!this.dimensions) this.initPlanes(embedding.length);
+    if (embedding.length !== this.dimensions) {
+      this.skipped++;
+      return false;
+    }
+
+    const vector = normalize(embedding);
+    if (!vector) return false;
+
+    const keys = this.tables.map((table, t) => {
+      const key = this.hash(vector, t);
+      if (!table.has(key)) table.set(key, new Set());
+      table.get(key).add(id);
+      return key;
+    });
+    this.vectors.set(id, { vector, keys, model });
+    return true;
+  }
+
+  remove(id) {
+    const entry = this.vectors.get(id);
+    if (!entry) return false;
+
+    entry.keys.forEach((key, t) => {
+      const bucket = this.tables[t].get(key);
+      bucket?.delete(id);
+      if (bucket?.size === 0) this.tables[t].delete(key);
+    });
+    this.vectors.delete(id);
+    return true;
+  }
+
+  /**
+   * Candidate ids from the query's buckets plus every bucket one bit away
+   */
+  candidates(vector) {
+    const found = new Set();
+    this.tables.forEach((table, t) => {
+      const key = this.hash(vector, t);
+      const probes = [key];
+      for (let b = 0; b < BITS; b++) probes.push(key ^ (1 << b));
+      probes.forEach(probe => table.get(probe)?.forEach(id => found.add(id)));
+    });
+    return found;
+  }
+
+  search(embedding, limit = 5, model = null) {
+    if (!this.dimensions || embedding?.length !== this.dimensions) return [];
+
+    const vector = normalize(embedding);
+    if (!vector) return [];
+
+    let ids = null;
+    if (this.size > BRUTE_FORCE_MAX) {
+      ids = this.candidates(vector);
+      if (ids.size < limit * MIN_CANDIDATES_PER_RESULT) ids = null;
+    }
+
+    const sameModel = id => {
+      const entryModel = this.vectors.get(id).model;
+      return !model || !entryModel || entryModel === model;
+    };
+
+    return Array.from(ids || this.vectors.keys())
+      .filter(sameModel)
+      .map(id => ({ id, similarity: dot(vector, this.vectors.get(id).vector) }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+  }
+}
+
+const localIndex = new LocalVectorIndex();
+const localState = { builtAt: null, building: null, error: null };
+
+/**
+ * Load every stored embedding from Neo4j into the local index
+ */
+async function buildLocalIndex() {
+  if (localState.building) return localState.building;
+
+  const neo4j = getNeo4jService();
+  localState.building = neo4j.read(`
+    MATCH (m:Memory)
+    WHERE m.embedding IS NOT NULL
+    RETURN m.id AS id, m.embedding AS embedding, m.embeddingModel AS model
+  `).then(rows => {
+    localIndex.clear();
+    localIndex.initPlanes(getEmbeddingService().dimensions);
+    rows.forEach(r => localIndex.upsert(r.id, r.embedding, r.model));
+    localState.builtAt = Date.now();
+    localState.error = null;
+    console.log(`🧭 Built in-process vector index (${localIndex.size} memories)`);
+    return { success: true, size: localIndex.size };
+  }).catch(error => {
+    localState.error = error.message;
+    return { success: false, error: error.message };
+  }).finally(() => {
+    localState.building = null;
+  });
+
+  return localState.building;
+}
+
+/**
+ * Build the local index on first use and refresh it in the background when stale
+ */
+async function ensureLocalIndex() {
+  if (!localState.builtAt) return buildLocalIndex();
+
+  if (Date.now() - localState.builtAt > LOCAL_INDEX_TTL_MS) {
+    buildLocalIndex();
+  }
+  return { success: true, size: localIndex.size };
+}
+
+/**
+ * Whether the native index can answer a query of this dimension
+ */
+function nativeIndexUsable(dimensions) {
+  const { vectorIndex } = getNeo4jService();
+  return vectorIndex.supported === true
+    && vectorIndex.state === 'ONLINE'
+    && vectorIndex.dimensions === dimensions;
+}
+
+/**
+ * Find the memories closest to an embedding from the given model
+ * Returns [{ node, similarity }] with similarity as cosine in [-1, 1]
+ */
+async function search(embedding, limit = 5, model = null) {
+  const neo4j = getNeo4jService();
+
+  // A populating index comes online without a reconnect
+  if (neo4j.vectorIndex.state === 'POPULATING') {
+    await neo4j.refreshVectorIndexStatus().catch(() => null);
+  }
+
+  if (nativeIndexUsable(embedding.length)) {
+    const results = await neo4j.queryVectorIndex(embedding, limit, model).catch(error => {
+      console.log(`⚠️ Vector index query failed, using in-process index: ${error.message}`);
+      return null;
+    });
+    if (results) return results;
+  }
+
+  await ensureLocalIndex();
+  const matches = localIndex.search(embedding, limit, model);
+  if (matches.length === 0) return [];
+
+  const rows = await neo4j.read(`
+    MATCH (m:Memory)
+    WHERE m.id IN $ids
+    RETURN m
+  `, { ids: matches.map(match => match.id) });
+
+  const nodes = new Map(rows.map(r => [r.m.properties.id, r.m]));
+  return matches
+    .filter(match => nodes.has(match.id))
+    .map(match => ({ node: nodes.get(match.id), similarity: match.similarity }));
+}
+
+/**
+ * Keep the local index in step with memory writes
+ * Neo4j maintains the native index itself
+ */
+function upsert(id, embedding, model = null) {
+  if (!localState.builtAt) return;
+  if (embedding) {
+    localIndex.upsert(id, embedding, model);
+  } else {
+    localIndex.remove(id);
+  }
+}
+
+function remove(id) {
+  if (!localState.builtAt) return;
+  localIndex.remove(id);
+}
+
+/**
+ * Index status for /api/memories/embedding/status
+ */
+function getStatus() {
+  const { vectorIndex } = getNeo4jService();
+  const dimensions = getEmbeddingService().dimensions;
+
+  return {
+    mode: nativeIndexUsable(dimensions) ? 'native' : 'local',
+    native: vectorIndex,
+    local: {
+      built: Boolean(localState.builtAt),
+      building: Boolean(localState.building),
+      builtAt: localState.builtAt ? new Date(localState.builtAt).toISOString() : null,
+      size: localIndex.size,
+      dimensions: localIndex.dimensions,
+      skipped: localIndex.skipped,
+      approximate: localIndex.size > BRUTE_FORCE_MAX,
+      error: localState.error
+    }
+  };
+}
+
+/**
+ * Recreate the native index (when supported) and reload the local index
+ */
+async function rebuild() {
+  const neo4j = getNeo4jService();
+
+  if (neo4j.vectorIndex.supported !== false) {
+    const result = await neo4j.rebuildVectorIndex(getEmbeddingService().dimensions)
+      .catch(error => ({ error: error.message }));
+    if (result.error && result.supported !== false) {
+      return { success: false, error: result.error };
+    }
+  }
+
+  const local = await buildLocalIndex();
+  if (!local.success) return local;
+
+  return { success: true, status: getStatus() };
+}
+
+module.exports = {
+  LocalVectorIndex,
+  search,
+  upsert,
+  remove,
+  getStatus,
+  rebuild
+};
@@ -0,0 +1,15 @@
+/**
+ * Server Port
+ *
+ * The port the Express server listens on. Services that connect back to
+ * this server (a relay hub joining its own relay) read it from here so the
+ * default stays in one place.
+ */
+
+const DEFAULT_PORT = 4401;
+
+function getServerPort() {
+  return process.env.PORT || DEFAULT_PORT;
+}
+
+module.exports = { DEFAULT_PORT, getServerPort };
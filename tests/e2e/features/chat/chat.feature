@@ -26,6 +26,19 @@ Feature: Chat System
     Then my message should appear in the chat
     And I should receive an AI response
 
+  @api @requires-lmstudio
+  Scenario: API - Stream a message response
+    Given I have a chat session
+    When I send "Hello" to the streaming message endpoint
+    Then the stream should contain token events
+    And the stream should end with a done event
+
+  @api
+  Scenario: API - Abort when nothing is generating
+    Given I have a chat session
+    When I abort the chat generation
+    Then the response status should be 404
+
   @api @smoke
   Scenario: API - List chats
     When I GET "/api/chat"
@@ -58,6 +71,47 @@ Feature: Chat System
     Then the response should contain tree nodes
     And each node should have an id and role
 
+  @api
+  Scenario: API - Edit a branch summary
+    Given I have a chat session
+    When I set the main branch summary to "The user is planning a trip to Lisbon"
+    Then the response should be successful
+    And the main branch summary should be "The user is planning a trip to Lisbon"
+
+  @api
+  Scenario: API - Upload and download a chat attachment
+    Given I have a chat session
+    When I upload a text attachment named "notes.md" with content "# Trip notes"
+    Then the response should be successful
+    And the attachment should download with content "# Trip notes"
+
+  @api
+  Scenario: API - Editing a missing message is rejected
+    Given I have a chat session
+    When I edit message "msg-missing" to "Try again"
+    Then the response should indicate failure
+
+  @api @requires-lmstudio
+  Scenario: API - Editing a message answers on a sibling branch
+    Given I have a chat session
+    And I have sent "Name a color" to the chat
+    When I edit my first message to "Name a fruit"
+    Then the response should be successful
+    And the chat should have 2 branches
+    And the active branch should open with "Name a fruit" as version "2/2"
+    And the original branch should open with "Name a color" as version "1/2"
+
+  @requires-lmstudio
+  Scenario: Regenerate a reply and page between versions
+    Given I have an active chat
+    When I type "Name a color" in the message input
+    And I send the message
+    Then I should receive an AI response
+    When I regenerate the AI reply
+    Then the reply should show version "2/2"
+    When I go to the previous version of the reply
+    Then the reply should show version "1/2"
+
   @api
   Scenario: API - Switch between branches
     Given I have a chat with multiple branches
@@ -26,3 +26,8 @@ Feature: Settings Page
   Scenario: API - List providers
     When I GET "/api/ai-providers"
     Then the response should contain providers
+
+  @api
+  Scenario: API - Get fallback and retry settings
+    When I GET "/api/ai-providers/routing"
+    Then the response should contain fallback routing
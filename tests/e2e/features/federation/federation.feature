@@ -44,6 +44,11 @@ Feature: Federation System
     Then the response should be successful
     And the response should contain server ID
 
+  Scenario: Relay hub status endpoint
+    When I GET "/api/federation/relay/hub"
+    Then the response should be successful
+    And the response should have "peers" array
+
   # DHT Tests
 
   @smoke
@@ -66,6 +71,32 @@ Feature: Federation System
     When I POST to "/api/federation/dht/find-node" with empty body
     Then the response status should be 400
 
+  Scenario: DHT store requires a signed request
+    When I POST to "/api/federation/dht/store" with empty body
+    Then the response status should be 401
+
+  Scenario: DHT find-value requires a key
+    When I POST to "/api/federation/dht/find-value" with empty body
+    Then the response status should be 400
+
+  Scenario: DHT publish requires a topic
+    When I POST to "/api/federation/dht/publish" with empty body
+    Then the response status should be 400
+
+  Scenario: DHT publish is only available to the local operator
+    Given a test peer identity
+    When the test peer sends a signed POST to "/api/federation/dht/publish"
+    Then the response status should be 403
+
+  Scenario: DHT store and find-value round trip
+    Given a test peer identity
+    When the test peer stores a DHT record for "e2e:dht-round-trip"
+    Then the response should be successful
+    And the response should contain "stored"
+    When I look up the DHT record for "e2e:dht-round-trip"
+    Then the response should be successful
+    And the response should include the test peer's DHT record
+
   # Neo4j Peer Management Tests
 
   @smoke
@@ -163,6 +194,101 @@ Feature: Federation System
     When I POST to "/api/federation/memories/sync/unknown-peer"
     Then the response status should be 404
 
+  Scenario: Sync state reports the last transport
+    When I GET "/api/federation/memories/sync/unknown-peer"
+    Then the response should be successful
+    And the response should contain "transport"
+
+  Scenario: Get memory sync conflict policy
+    When I GET "/api/federation/memories/sync/config"
+    Then the response should be successful
+    And the response should contain "newest-wins"
+
+  Scenario: Memory push requires a signed request
+    When I POST to "/api/federation/memories/sync/push" with empty body
+    Then the response status should be 401
+
+  Scenario: List memory sync conflicts
+    When I GET "/api/federation/memories/conflicts"
+    Then the response should be successful
+    And the response should contain "conflicts"
+
+  Scenario: Pushed version that descends from ours is taken
+    Given a test peer identity
+    And the test peer is a verified peer
+    When the test peer pushes "mem_1" at version 1 with text "E2E sync original"
+    Then the push should report 1 imported
+    When the test peer pushes "mem_1" at version 2 with text "E2E sync edited by peer"
+    Then the push should report 1 updated
+    And the push should report 0 conflicts
+    And the test peer's memory "mem_1" should read "E2E sync edited by peer"
+    When I clean up the test peer's synced memory "mem_1"
+    Then the response should be successful
+
+  Scenario: Edits to a synced memory are pulled by the next delta sync
+    Given a test peer identity
+    And the test peer is a verified peer
+    When the test peer pushes "mem_1" at version 1 with text "E2E delta original"
+    Then the push should report 1 imported
+    When the test peer notes the time of its last pull
+    And I edit the test peer's memory "mem_1" to "E2E delta edited here"
+    And the test peer pulls changes since its last pull
+    Then the pulled changes should include "mem_1" reading "E2E delta edited here"
+    When I clean up the test peer's synced memory "mem_1"
+    Then the response should be successful
+
+  Scenario: Concurrent edits are queued and resolved by hand
+    Given a test peer identity
+    And the test peer is a verified peer
+    When the test peer pushes "mem_1" at version 1 with text "E2E conflict original"
+    Then the push should report 1 imported
+    When I edit the test peer's memory "mem_1" to "E2E conflict edited here"
+    And I set the sync policy for the test peer to "manual"
+    And the test peer pushes "mem_1" at version 2 with text "E2E conflict edited by peer"
+    Then the push should report 1 conflicts
+    And the push should report 0 updated
+    And the test peer's memory "mem_1" should read "E2E conflict edited here"
+    When I resolve the test peer's pending conflict with "remote"
+    Then the response should be successful
+    And the test peer's memory "mem_1" should read "E2E conflict edited by peer"
+    When I clean up the test peer's synced memory "mem_1"
+    Then the response should be successful
+
+  Scenario: Memory export rejects unknown signers
+    When I POST to "/api/federation/memories/export" with a forged peer signature
+    Then the response status should be 403
+    And the response should contain "Unknown peer"
+
+  Scenario: Memory export rejects stale signed requests
+    When I POST to "/api/federation/memories/export" with a stale peer signature
+    Then the response status should be 401
+    And the response should contain "Request timestamp outside allowed window"
+
+  Scenario: A signed unknown peer cannot raise its own trust
+    Given a test peer identity
+    When the test peer registers itself
+    Then the response should be successful
+    And the response should contain "seen"
+    When the test peer sets its own trust level to "trusted"
+    Then the response status should be 403
+    When the test peer sends a signed POST to "/api/federation/memories/export"
+    Then the response status should be 403
+    And the response should contain "below required verified"
+    When I delete the test peer from Neo4j
+    Then the response should be successful
+
+  Scenario: Signed peers cannot use operator routes
+    Given a test peer identity
+    When the test peer sends a signed POST to "/api/federation/peers"
+    Then the response status should be 403
+    When the test peer sends a signed POST to "/api/federation/verify/complete"
+    Then the response status should be 403
+    When the test peer sends a signed POST to "/api/federation/peers/connect-by-id"
+    Then the response status should be 403
+    When the test peer sends a signed POST to "/api/federation/memories/sync/void-00000000"
+    Then the response status should be 403
+    And the response should contain "server operator"
+
   # Token Gate Tests
 
   @smoke
@@ -44,6 +44,131 @@ Feature: Memories System
     When I GET "/api/memories/stats"
     Then the response should contain statistics
 
+  @api @requires-neo4j
+  Scenario: API - Embedding status reports the vector index
+    When I GET "/api/memories/embedding/status"
+    Then the response should contain vector index status
+
+  @api @requires-neo4j
+  Scenario: API - Unknown retrieval source is rejected
+    When I update retrieval weights with source "telepathy"
+    Then the response should indicate failure
+
+  @api @requires-neo4j
+  Scenario: API - Re-index status reports embedding coverage
+    When I GET "/api/memories/embedding/reindex"
+    Then the response should contain embedding coverage
+
+  @api @requires-neo4j
+  Scenario: API - Consolidation rejects a merge of one memory
+    When I apply a consolidation merge of memories "mem_001"
+    Then the response should indicate failure
+
+  @api @requires-neo4j
+  Scenario: API - Consolidation merges two memories with provenance
+    Given I have created memories "E2E consolidation A" and "E2E consolidation B"
+    When I apply a consolidation merge of the created memories
+    Then the response should be successful
+    And the merged memory should record MERGED_FROM for the created memories
+    And the created memories should not be found
+
+  @api @requires-neo4j
+  Scenario: API - A consolidation batch with a missing memory changes nothing
+    Given I have created memories "E2E consolidation C" and "E2E consolidation D"
+    When I apply a consolidation merge of the created memories and of "mem_does_not_exist,mem_missing_too"
+    Then the response should indicate failure
+    And the created memories should still be found
+
+  @api @requires-neo4j
+  Scenario: API - Stats include decay and archive policies
+    When I GET "/api/memories/stats"
+    Then the response should contain memory policies
+
+  @api @requires-neo4j
+  Scenario: API - Decay lowers importance and archived memories leave retrieval
+    Given the "e2e-decay" memory policy fades memories within a second
+    And I have created a memory "E2E decay" in category "e2e-decay"
+    Then the created memory should be retrieved by its keyword
+    When the memory policies run after 2 seconds
+    Then the response should be successful
+    And the created memory should have faded below 0.5 and been archived
+    And the created memory should not be retrieved by its keyword
+    # Cleanup
+    When I remove the "e2e-decay" memory policy
+    Then the response should be successful
+
+  @api
+  Scenario: API - Taxonomy lists the default categories
+    When I GET "/api/memories/taxonomy"
+    Then the taxonomy should include category "emergence"
+
+  @api
+  Scenario: API - Category with an invalid key is rejected
+    When I create a memory category "Not A Key"
+    Then the response should indicate failure
+
+  @api
+  Scenario: API - Invalid memory policy is rejected
+    When I set the "social" memory policy "halfLifeDays" to -5
+    Then the response should indicate failure
+
+  @api @requires-neo4j
+  Scenario: API - Entity list rejects an unknown entity type
+    When I GET "/api/memories/entities?type=planet"
+    Then the response should indicate failure
+
+  @api @requires-neo4j
+  Scenario: API - Entities extracted from a new memory drive retrieval
+    Given I have created a memory about a new token
+    Then the new token should be extracted as an entity of the memory
+    And asking about the new token should retrieve the memory through its entity
+
+  @api @requires-neo4j
+  Scenario: API - Trash lists deleted memories
+    When I GET "/api/memories/trash"
+    Then the response should contain a trash list
+
+  @api @requires-neo4j
+  Scenario: API - History of an unknown memory is not found
+    When I GET "/api/memories/mem_does_not_exist/history"
+    Then the response should indicate failure
+
+  @api @requires-neo4j
+  Scenario: API - Restore an earlier version of an edited memory
+    Given I have created a memory "E2E history original"
+    When I edit the created memory to "E2E history edited"
+    Then the created memory history should have 2 versions, the newest "update"
+    When I restore version 1 of the created memory
+    Then the response should be successful
+    And the created memory should read "E2E history original"
+    And the created memory history should have 3 versions, the newest "restore v1"
+
+  @api @requires-neo4j
+  Scenario: API - Purging a trashed memory removes it and its history
+    Given I have created a memory "E2E trash original"
+    And I edit the created memory to "E2E trash edited"
+    When I delete the created memory
+    Then the created memory should be in the trash
+    When I purge the created memory from the trash
+    Then the response should be successful
+    And the created memory should not be in the trash
+    And the created memory and its versions should be gone
+
+  @api @requires-neo4j
+  Scenario: API - Import preview maps frontmatter and wiki-links
+    When I preview importing a note "Solana.md" linking to "Ethereum.md"
+    Then the import preview should include 2 memories and 1 link
+
+  @api @requires-neo4j
+  Scenario: API - Memories can be listed by namespace
+    When I GET "/api/memories?namespace=global"
+    Then every listed memory should be in namespace "global"
+
+  @api @requires-neo4j
+  Scenario: API - Memories cannot be created in an unknown collection
+    When I create a memory in namespace "collection:does-not-exist"
+    Then the response should indicate failure
+
   # Memory Toggle Tests
 
   @api @requires-neo4j
@@ -29,3 +29,25 @@ Feature: Prompt Templates
   Scenario: API - List templates
     When I GET "/api/prompts/templates"
     Then the response should contain templates
+
+  @api
+  Scenario: API - List template tools
+    When I GET "/api/prompts/tools"
+    Then the response should contain the built-in tools
+
+  @api @requires-lmstudio
+  Scenario: API - Execute reports the token budget
+    When I execute the "clawedegregore" template
+    Then the response should include a token budget
+
+  @api
+  Scenario: API - Messages-mode template previews as role turns
+    Given a messages-mode template exists
+    When I test the messages-mode template with "Hello"
+    Then the preview should contain a user turn "Hello"
+
+  @api
+  Scenario: API - Comparison reports unavailable providers per run
+    When I compare the "clawedegregore" template across "missing-provider"
+    Then the response should be successful
+    And the comparison run for "missing-provider" should report it unavailable
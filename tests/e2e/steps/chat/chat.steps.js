@@ -59,6 +59,156 @@ Then('I should receive an AI response', async function () {
   ).toBeVisible({ timeout: 60000 });
 });
 
+// Streaming step definitions
+
+Given('I have a chat session', async function () {
+  const response = await this.request.post(`${this.config.appUrl}/api/chat`, {
+    data: { templateId: 'clawedegregore' },
+  });
+  const data = await response.json();
+  this.testData.chatId = (data.chat || data).id;
+});
+
+When('I send {string} to the streaming message endpoint', async function (content) {
+  const response = await this.request.post(`${this.config.appUrl}/api/chat/${this.testData.chatId}/message/stream`, {
+    data: { content },
+    timeout: 120000,
+  });
+  const body = await response.text();
+  this.testData.streamEvents = body
+    .split('\n\n')
+    .map(block => block.match(/^event: (\w+)/m)?.[1])
+    .filter(Boolean);
+});
+
+Then('the stream should contain token events', async function () {
+  expect(this.testData.streamEvents).toContain('token');
+});
+
+Then('the stream should end with a done event', async function () {
+  expect(this.testData.streamEvents[this.testData.streamEvents.length - 1]).toBe('done');
+});
+
+When('I abort the chat generation', async function () {
+  const response = await this.request.post(`${this.config.appUrl}/api/chat/${this.testData.chatId}/abort`);
+  this.testData.lastResponse = await response.json();
+  this.testData.lastStatus = response.status();
+});
+
+When('I set the main branch summary to {string}', async function (text) {
+  const response = await this.request.put(
+    `${this.config.appUrl}/api/chat/${this.testData.chatId}/branch/branch-main/summary`,
+    { data: { text } }
+  );
+  this.testData.lastResponse = await response.json();
+  this.testData.lastStatus = response.status();
+});
+
+Then('the main branch summary should be {string}', async function (text) {
+  const response = await this.request.get(
+    `${this.config.appUrl}/api/chat/${this.testData.chatId}/branch/branch-main/summary`
+  );
+  const data = await response.json();
+  expect(data.summary.text).toBe(text);
+  expect(data.summary.edited).toBe(true);
+});
+
+When(
+  'I upload a text attachment named {string} with content {string}',
+  async function (filename, content) {
+    const response = await this.request.post(
+      `${this.config.appUrl}/api/chat/${this.testData.chatId}/attachments?filename=${encodeURIComponent(filename)}`,
+      {
+        headers: { 'Content-Type': 'application/octet-stream' },
+        data: Buffer.from(content),
+      }
+    );
+    this.testData.lastResponse = await response.json();
+    this.testData.lastStatus = response.status();
+  }
+);
+
+Then('the attachment should download with content {string}', async function (content) {
+  const { attachment } = this.testData.lastResponse;
+  expect(attachment.kind).toBe('text');
+
+  const response = await this.request.get(
+    `${this.config.appUrl}/api/chat/${this.testData.chatId}/attachments/${attachment.id}`
+  );
+  expect(response.status()).toBe(200);
+  expect(await response.text()).toBe(content);
+});
+
+When('I edit message {string} to {string}', async function (messageId, content) {
+  const response = await this.request.post(
+    `${this.config.appUrl}/api/chat/${this.testData.chatId}/messages/${messageId}/edit`,
+    { data: { content } }
+  );
+  this.testData.lastResponse = await response.json();
+  this.testData.lastStatus = response.status();
+});
+
+Given('I have sent {string} to the chat', { timeout: 130000 }, async function (content) {
+  const response = await this.request.post(`${this.config.appUrl}/api/chat/${this.testData.chatId}/message`, {
+    data: { content },
+    timeout: 120000,
+  });
+  const data = await response.json();
+  expect(data.success).toBe(true);
+  this.testData.originalBranchId = data.chat.activeBranchId;
+  this.testData.firstMessageId = Object.values(data.chat.messages).find(m => m.role === 'user').id;
+});
+
+When('I edit my first message to {string}', { timeout: 130000 }, async function (content) {
+  const response = await this.request.post(
+    `${this.config.appUrl}/api/chat/${this.testData.chatId}/messages/${this.testData.firstMessageId}/edit`,
+    { data: { content }, timeout: 120000 }
+  );
+  this.testData.lastResponse = await response.json();
+  this.testData.lastStatus = response.status();
+});
+
+Then(
+  'the {word} branch should open with {string} as version {string}',
+  async function (which, content, version) {
+    const branchId = which === 'original'
+      ? this.testData.originalBranchId
+      : this.testData.lastResponse.chat.activeBranchId;
+    const response = await this.request.get(
+      `${this.config.appUrl}/api/chat/${this.testData.chatId}/branch/${branchId}/messages`
+    );
+    const data = await response.json();
+    const first = data.messages.find(m => m.role === 'user');
+    expect(first.content).toBe(content);
+    expect(`${first.siblings.index + 1}/${first.siblings.total}`).toBe(version);
+  }
+);
+
+When('I regenerate the AI reply', { timeout: 130000 }, async function () {
+  const reply = this.page.locator('[data-role="assistant"]').last();
+  await reply.hover();
+  const regenerated = this.page.waitForResponse(
+    res => res.url().includes('/regenerate') && res.request().method() === 'POST',
+    { timeout: 120000 }
+  );
+  await reply.locator('[data-testid="regenerate-button"]').click();
+  await regenerated;
+});
+
+Then('the reply should show version {string}', async function (version) {
+  await expect(
+    this.page.locator('[data-role="assistant"]').last().locator('[data-testid="sibling-nav"]')
+  ).toContainText(version, { timeout: 10000 });
+});
+
+When('I go to the previous version of the reply', async function () {
+  await this.page
+    .locator('[data-role="assistant"]')
+    .last()
+    .locator('[data-testid="sibling-nav"] button[title="Previous version"]')
+    .click();
+});
+
 // Branching step definitions
 
 Given('I have a chat with messages', async function () {
@@ -86,6 +86,17 @@ Then('the response should contain providers', async function () {
   expect(response.providers || response.activeProvider).toBeDefined();
 });
 
+Then('the response should contain fallback routing', async function () {
+  const response = this.testData.lastResponse;
+  expect(Array.isArray(response.fallbackChains.default)).toBe(true);
+  expect(response.retry.maxAttempts).toBeGreaterThanOrEqual(1);
+});
+
+Then('the response should contain the built-in tools', async function () {
+  const names = this.testData.lastResponse.tools.map(tool => tool.name);
+  expect(names).toEqual(expect.arrayContaining(['memory_search', 'memory_create', 'ipfs_fetch']));
+});
+
 Then('the response should contain templates', async function () {
   const response = this.testData.lastResponse;
   expect(Array.isArray(response) || response.templates).toBeTruthy();
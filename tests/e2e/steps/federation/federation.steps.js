@@ -1,5 +1,10 @@
-const { When, Then } = require('@cucumber/cucumber');
+const crypto = require('crypto');
+const { Given, When, Then } = require('@cucumber/cucumber');
 const { expect } = require('@playwright/test');
+const nacl = require('tweetnacl');
+const bs58Pkg = require('bs58');
+
+const bs58 = bs58Pkg.default || bs58Pkg;
 
 When('I POST to {string} with empty body', async function (endpoint) {
   const response = await this.request.post(`${this.config.appUrl}${endpoint}`, {
@@ -314,6 +319,269 @@ When('I POST to {string} with wallet header {string}', async function (endpoint,
   this.testData.lastStatus = response.status();
 });
 
+// Signed Federation Request Steps
+
+async function postWithPeerSignature(world, endpoint, timestamp) {
+  const response = await world.request.post(`${world.config.appUrl}${endpoint}`, {
+    headers: {
+      'X-Void-Server-Id': 'void-00000000',
+      'X-Void-Timestamp': String(timestamp),
+      'X-Void-Nonce': `e2e-${Date.now()}`,
+      'X-Void-Signature': '1111111111111111'
+    },
+    data: { limit: 1 }
+  });
+  world.testData.lastResponse = await response.json();
+  world.testData.lastStatus = response.status();
+}
+
+When('I POST to {string} with a forged peer signature', async function (endpoint) {
+  await postWithPeerSignature(this, endpoint, Date.now());
+});
+
+When('I POST to {string} with a stale peer signature', async function (endpoint) {
+  await postWithPeerSignature(this, endpoint, Date.now() - 60 * 60 * 1000);
+});
+
+// A throwaway server identity that signs requests the way a real peer does
+function createTestPeer() {
+  const keyPair = nacl.sign.keyPair();
+  const publicKey = bs58.encode(keyPair.publicKey);
+  const hash = crypto.createHash('sha256').update(publicKey).digest('hex');
+  return { serverId: `void-${hash.slice(0, 8)}`, publicKey, secretKey: keyPair.secretKey };
+}
+
+async function sendSigned(world, method, endpoint, data) {
+  const peer = world.testData.testPeer;
+  const rawBody = data === undefined ? '' : JSON.stringify(data);
+  const timestamp = Date.now();
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const message = {
+    method,
+    path: endpoint,
+    serverId: peer.serverId,
+    timestamp,
+    nonce,
+    bodyHash: crypto.createHash('sha256').update(rawBody).digest('hex')
+  };
+  const signature = nacl.sign.detached(Buffer.from(JSON.stringify(message)), peer.secretKey);
+
+  const response = await world.request.fetch(`${world.config.appUrl}${endpoint}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Void-Server-Id': peer.serverId,
+      'X-Void-Public-Key': peer.publicKey,
+      'X-Void-Timestamp': String(timestamp),
+      'X-Void-Nonce': nonce,
+      'X-Void-Signature': bs58.encode(signature)
+    },
+    ...(rawBody && { data: rawBody })
+  });
+  world.testData.lastResponse = await response.json().catch(() => ({}));
+  world.testData.lastStatus = response.status();
+}
+
+Given('a test peer identity', function () {
+  this.testData.testPeer = createTestPeer();
+});
+
+When('the test peer registers itself', async function () {
+  const { serverId, publicKey } = this.testData.testPeer;
+  await sendSigned(this, 'POST', '/api/federation/peers/neo4j', {
+    serverId,
+    publicKey,
+    endpoint: `http://${serverId}.test.local:4420`,
+    version: '0.16.0',
+    capabilities: ['memory']
+  });
+});
+
+When('the test peer sets its own trust level to {string}', async function (trustLevel) {
+  const { serverId } = this.testData.testPeer;
+  await sendSigned(this, 'PUT', `/api/federation/peers/neo4j/${serverId}/trust`, { trustLevel });
+});
+
+When('the test peer sends a signed POST to {string}', async function (endpoint) {
+  await sendSigned(this, 'POST', endpoint, {});
+});
+
+When('the test peer stores a DHT record for {string}', async function (topic) {
+  const peer = this.testData.testPeer;
+  const publishedAt = Date.now();
+  const record = {
+    key: crypto.createHash('sha256').update(topic).digest('hex'),
+    topic,
+    value: { serverId: peer.serverId },
+    publisher: peer.serverId,
+    publicKey: peer.publicKey,
+    publishedAt,
+    expiresAt: publishedAt + 60 * 1000
+  };
+  const signature = nacl.sign.detached(Buffer.from(JSON.stringify(record)), peer.secretKey);
+  await sendSigned(this, 'POST', '/api/federation/dht/store', {
+    record: { ...record, signature: bs58.encode(signature) }
+  });
+});
+
+When('I look up the DHT record for {string}', async function (topic) {
+  const response = await this.request.post(`${this.config.appUrl}/api/federation/dht/find-value`, {
+    data: { key: crypto.createHash('sha256').update(topic).digest('hex') }
+  });
+  this.testData.lastResponse = await response.json();
+  this.testData.lastStatus = response.status();
+});
+
+Then('the response should include the test peer\'s DHT record', async function () {
+  const { records } = this.testData.lastResponse;
+  const record = records.find(r => r.publisher === this.testData.testPeer.serverId);
+  expect(record).toBeDefined();
+  expect(record.value.serverId).toBe(this.testData.testPeer.serverId);
+});
+
+// Two-way sync: the test peer pushes versions of its own memories
+
+function testPeerMemoryId(world, memoryId) {
+  return `fed_${world.testData.testPeer.serverId.replace('void-', '')}_${memoryId.replace('mem_', '')}`;
+}
+
+Given('the test peer is a verified peer', async function () {
+  await sendSigned(this, 'POST', '/api/federation/peers/neo4j', {
+    serverId: this.testData.testPeer.serverId,
+    publicKey: this.testData.testPeer.publicKey,
+    endpoint: `http://${this.testData.testPeer.serverId}.test.local:4420`,
+    version: '0.16.0',
+    capabilities: ['memory']
+  });
+  expect(this.testData.lastStatus).toBe(200);
+
+  const response = await this.request.put(
+    `${this.config.appUrl}/api/federation/peers/neo4j/${this.testData.testPeer.serverId}/trust`,
+    { data: { trustLevel: 'verified' } }
+  );
+  expect(response.status()).toBe(200);
+});
+
+When('the test peer pushes {string} at version {int} with text {string}', async function (memoryId, version, text) {
+  const peer = this.testData.testPeer;
+  const memory = {
+    id: memoryId,
+    content: { text, context: '', impact: '', significance: 'normal' },
+    category: 'insight',
+    stage: 1,
+    importance: 0.5,
+    tags: ['e2e-sync'],
+    type: 'observation',
+    namespace: 'global',
+    timestamp: new Date().toISOString(),
+    federation: {
+      sourceServerId: peer.serverId,
+      contentHash: crypto.createHash('sha256').update(`${peer.serverId}:${text}`).digest('hex'),
+      exportedAt: new Date().toISOString(),
+      version: '1.0',
+      originId: `${peer.serverId}:${memoryId}`,
+      hlc: `${String(Date.now()).padStart(13, '0')}-0000-${peer.serverId}`,
+      versionVector: { [peer.serverId]: version }
+    }
+  };
+  const manifest = {
+    version: '1.0',
+    sourceServerId: peer.serverId,
+    sourcePublicKey: peer.publicKey,
+    exportedAt: new Date().toISOString(),
+    filters: {},
+    count: 1,
+    total: 1,
+    contentHashes: [memory.federation.contentHash]
+  };
+  const signature = nacl.sign.detached(Buffer.from(JSON.stringify(manifest)), peer.secretKey);
+
+  await sendSigned(this, 'POST', '/api/federation/memories/sync/push', {
+    exportData: { manifest, signature: bs58.encode(signature), memories: [memory] }
+  });
+});
+
+Then('the push should report {int} {word}', async function (count, field) {
+  expect(this.testData.lastStatus).toBe(200);
+  expect(this.testData.lastResponse[field]).toBe(count);
+});
+
+When('I edit the test peer\'s memory {string} to {string}', async function (memoryId, text) {
+  const response = await this.request.put(
+    `${this.config.appUrl}/api/memories/${testPeerMemoryId(this, memoryId)}`,
+    { data: { content: { text, context: '', impact: '', significance: 'normal' } } }
+  );
+  expect(response.status()).toBe(200);
+});
+
+When('I set the sync policy for the test peer to {string}', async function (policy) {
+  const response = await this.request.put(`${this.config.appUrl}/api/federation/memories/sync/config`, {
+    data: { peers: { [this.testData.testPeer.serverId]: policy } }
+  });
+  expect(response.status()).toBe(200);
+});
+
+When('I resolve the test peer\'s pending conflict with {string}', async function (resolution) {
+  const listed = await this.request.get(
+    `${this.config.appUrl}/api/federation/memories/conflicts?status=pending&peerId=${this.testData.testPeer.serverId}`
+  );
+  const { conflicts } = await listed.json();
+  expect(conflicts.length).toBe(1);
+
+  const response = await this.request.post(
+    `${this.config.appUrl}/api/federation/memories/conflicts/${conflicts[0].id}/resolve`,
+    { data: { resolution } }
+  );
+  this.testData.lastResponse = await response.json();
+  this.testData.lastStatus = response.status();
+});
+
+Then('the test peer\'s memory {string} should read {string}', async function (memoryId, text) {
+  const response = await this.request.get(`${this.config.appUrl}/api/memories/${testPeerMemoryId(this, memoryId)}`);
+  const { memory } = await response.json();
+  expect(memory.content.text).toBe(text);
+});
+
+When('the test peer notes the time of its last pull', async function () {
+  this.testData.lastPullAt = new Date().toISOString();
+  // Edits in the same millisecond would still count; keep the test unambiguous
+  await new Promise(resolve => setTimeout(resolve, 10));
+});
+
+When('the test peer pulls changes since its last pull', async function () {
+  await sendSigned(this, 'POST', '/api/federation/memories/export', { since: this.testData.lastPullAt });
+});
+
+Then('the pulled changes should include {string} reading {string}', async function (memoryId, text) {
+  expect(this.testData.lastStatus).toBe(200);
+  const originId = `${this.testData.testPeer.serverId}:${memoryId}`;
+  const pulled = this.testData.lastResponse.data.memories.find(m => m.federation.originId === originId);
+  expect(pulled).toBeDefined();
+  expect(pulled.content.text).toBe(text);
+  expect(Object.keys(pulled.federation.versionVector).length).toBe(2);
+});
+
+When('I clean up the test peer\'s synced memory {string}', async function (memoryId) {
+  const peerId = this.testData.testPeer.serverId;
+  const listed = await this.request.get(`${this.config.appUrl}/api/federation/memories/conflicts?peerId=${peerId}`);
+  for (const conflict of (await listed.json()).conflicts) {
+    await this.request.delete(`${this.config.appUrl}/api/federation/memories/conflicts/${conflict.id}`);
+  }
+  await this.request.put(`${this.config.appUrl}/api/federation/memories/sync/config`, {
+    data: { peers: { [peerId]: null } }
+  });
+  await this.request.delete(`${this.config.appUrl}/api/memories/${testPeerMemoryId(this, memoryId)}`);
+  const response = await this.request.delete(`${this.config.appUrl}/api/federation/peers/neo4j/${peerId}`);
+  this.testData.lastStatus = response.status();
+});
+
+When('I delete the test peer from Neo4j', async function () {
+  const response = await this.request.delete(
+    `${this.config.appUrl}/api/federation/peers/neo4j/${this.testData.testPeer.serverId}`
+  );
+  this.testData.lastStatus = response.status();
+});
+
 // Memory Marketplace Steps
 
 Then('the response should contain marketplace stats', async function () {
@@ -82,6 +82,360 @@ Then('the test memory should be removed', async function () {
   await expect(this.page.locator(`.memory-item:has-text("${this.testData.memoryContent}")`)).not.toBeVisible({ timeout: 5000 });
 });
 
+Then('the response should contain vector index status', async function () {
+  const { vectorIndex } = this.testData.lastResponse;
+  expect(['native', 'local']).toContain(vectorIndex.mode);
+  expect(vectorIndex.native.name).toBe('memory_embedding_index');
+});
+
+When('I update retrieval weights with source {string}', async function (source) {
+  const response = await this.request.put(`${this.config.appUrl}/api/memories/config/retrieval`, {
+    data: { weights: { [source]: 1 } },
+  });
+  this.testData.lastResponse = await response.json();
+  this.testData.lastStatus = response.status();
+});
+
+Then('the response should contain embedding coverage', async function () {
+  const { coverage } = this.testData.lastResponse;
+  expect(typeof coverage.current).toBe('number');
+  expect(typeof coverage.stale).toBe('number');
+  expect(typeof coverage.missing).toBe('number');
+});
+
+When('I apply a consolidation merge of memories {string}', async function (ids) {
+  const response = await this.request.post(
+    `${this.config.appUrl}/api/memories/maintenance/consolidate/apply`,
+    { data: { merges: [{ memoryIds: ids.split(','), content: 'merged' }] } }
+  );
+  this.testData.lastResponse = await response.json();
+  this.testData.lastStatus = response.status();
+});
+
+Given('I have created memories {string} and {string}', async function (first, second) {
+  this.testData.createdMemoryIds = [];
+  for (const text of [first, second]) {
+    const response = await this.request.post(`${this.config.appUrl}/api/memories`, {
+      data: { content: { text: `${text} ${Date.now()}` }, category: 'emergence', importance: 0.5 },
+    });
+    const data = await response.json();
+    this.testData.createdMemoryIds.push(data.memory.id);
+  }
+});
+
+When('I apply a consolidation merge of the created memories', async function () {
+  const response = await this.request.post(
+    `${this.config.appUrl}/api/memories/maintenance/consolidate/apply`,
+    { data: { merges: [{ memoryIds: this.testData.createdMemoryIds, content: `E2E merged memory ${Date.now()}` }] } }
+  );
+  this.testData.lastResponse = await response.json();
+  this.testData.lastStatus = response.status();
+});
+
+When(
+  'I apply a consolidation merge of the created memories and of {string}',
+  async function (ids) {
+    const response = await this.request.post(
+      `${this.config.appUrl}/api/memories/maintenance/consolidate/apply`,
+      {
+        data: {
+          merges: [
+            { memoryIds: this.testData.createdMemoryIds, content: `E2E merged memory ${Date.now()}` },
+            { memoryIds: ids.split(','), content: 'merged' },
+          ],
+        },
+      }
+    );
+    this.testData.lastResponse = await response.json();
+    this.testData.lastStatus = response.status();
+  }
+);
+
+Then('the merged memory should record MERGED_FROM for the created memories', async function () {
+  const [merged] = this.testData.lastResponse.merged;
+  expect([...merged.mergedFrom].sort()).toEqual([...this.testData.createdMemoryIds].sort());
+
+  const response = await this.request.get(`${this.config.appUrl}/api/memories/${merged.id}/history`);
+  const history = await response.json();
+  expect(history.success).toBe(true);
+  expect([...history.mergedFrom].sort()).toEqual([...this.testData.createdMemoryIds].sort());
+});
+
+Then('the created memories should not be found', async function () {
+  for (const id of this.testData.createdMemoryIds) {
+    const response = await this.request.get(`${this.config.appUrl}/api/memories/${id}`);
+    expect(response.status()).toBe(404);
+  }
+});
+
+Then('the created memories should still be found', async function () {
+  for (const id of this.testData.createdMemoryIds) {
+    const response = await this.request.get(`${this.config.appUrl}/api/memories/${id}`);
+    expect(response.status()).toBe(200);
+  }
+});
+
+Then('the response should contain memory policies', async function () {
+  const { policies } = this.testData.lastResponse;
+  expect(typeof policies.defaults.halfLifeDays).toBe('number');
+  expect(policies.byCategory).toBeDefined();
+});
+
+When(
+  'I set the {string} memory policy {string} to {int}',
+  async function (category, field, value) {
+    const response = await this.request.put(`${this.config.appUrl}/api/memories/config/policies`, {
+      data: { categories: { [category]: { [field]: value } } },
+    });
+    this.testData.lastResponse = await response.json();
+    this.testData.lastStatus = response.status();
+  }
+);
+
+Given('the {string} memory policy fades memories within a second', async function (category) {
+  const response = await this.request.put(`${this.config.appUrl}/api/memories/config/policies`, {
+    data: { categories: { [category]: { halfLifeDays: 0.000001, floor: 0.01, archiveBelow: 0.2, minAgeDays: 0 } } },
+  });
+  expect(response.status()).toBe(200);
+});
+
+Given('I have created a memory {string} in category {string}', async function (text, category) {
+  this.testData.memoryKeyword = `probe${Date.now().toString(36)}`;
+  const response = await this.request.post(`${this.config.appUrl}/api/memories`, {
+    data: { content: { text: `${text} ${this.testData.memoryKeyword}` }, category, importance: 0.5 },
+  });
+  const data = await response.json();
+  this.testData.createdMemoryIds = [data.memory.id];
+});
+
+const retrieveByKeyword = async world => {
+  const response = await world.request.get(
+    `${world.config.appUrl}/api/memories/context?message=${world.testData.memoryKeyword}&limit=20`
+  );
+  const { memories } = await response.json();
+  return memories.map(m => m.id);
+};
+
+Then('the created memory should be retrieved by its keyword', async function () {
+  expect(await retrieveByKeyword(this)).toContain(this.testData.createdMemoryIds[0]);
+});
+
+Then('the created memory should not be retrieved by its keyword', async function () {
+  expect(await retrieveByKeyword(this)).not.toContain(this.testData.createdMemoryIds[0]);
+});
+
+When('the memory policies run after {int} seconds', async function (seconds) {
+  // Decay measures elapsed time in whole seconds
+  await new Promise(resolve => setTimeout(resolve, seconds * 1000));
+  const response = await this.request.post(`${this.config.appUrl}/api/memories/config/policies/run`);
+  this.testData.lastResponse = await response.json();
+  this.testData.lastStatus = response.status();
+});
+
+Then(
+  'the created memory should have faded below {float} and been archived',
+  async function (importance) {
+    const response = await this.request.get(
+      `${this.config.appUrl}/api/memories/${this.testData.createdMemoryIds[0]}`
+    );
+    const { memory } = await response.json();
+    expect(memory.importance).toBeLessThan(importance);
+    expect(memory.archived).toBe(true);
+  }
+);
+
+When('I remove the {string} memory policy', async function (category) {
+  const response = await this.request.put(`${this.config.appUrl}/api/memories/config/policies`, {
+    data: { categories: { [category]: null } },
+  });
+  this.testData.lastResponse = await response.json();
+  this.testData.lastStatus = response.status();
+});
+
+Then('the taxonomy should include category {string}', async function (key) {
+  const { taxonomy } = this.testData.lastResponse;
+  expect(taxonomy.categories.map(c => c.key)).toContain(key);
+});
+
+When('I create a memory category {string}', async function (key) {
+  const response = await this.request.post(
+    `${this.config.appUrl}/api/memories/taxonomy/categories`,
+    { data: { key } }
+  );
+  this.testData.lastResponse = await response.json();
+  this.testData.lastStatus = response.status();
+});
+
+Given('I have created a memory about a new token', async function () {
+  this.testData.ticker = `$E${Date.now().toString(36).slice(-6).toUpperCase()}`;
+  const response = await this.request.post(`${this.config.appUrl}/api/memories`, {
+    data: { content: { text: `E2E entity memory: ${this.testData.ticker} launched today` }, importance: 0.5 },
+  });
+  const data = await response.json();
+  this.testData.createdMemoryIds = [data.memory.id];
+});
+
+Then('the new token should be extracted as an entity of the memory', async function () {
+  // Extraction runs in the background after the memory is created
+  const url = `${this.config.appUrl}/api/memories/entities/${encodeURIComponent(this.testData.ticker)}/memories`;
+  let data = null;
+  for (let attempt = 0; attempt < 20 && !data?.success; attempt++) {
+    if (attempt > 0) await new Promise(resolve => setTimeout(resolve, 1000));
+    data = await (await this.request.get(url)).json();
+  }
+
+  expect(data.success).toBe(true);
+  expect(data.entities[0]).toMatchObject({ name: this.testData.ticker, type: 'token' });
+  expect(data.memories.map(m => m.id)).toContain(this.testData.createdMemoryIds[0]);
+});
+
+Then('asking about the new token should retrieve the memory through its entity', async function () {
+  const message = encodeURIComponent(`What happened with ${this.testData.ticker}?`);
+  const response = await this.request.get(
+    `${this.config.appUrl}/api/memories/context?message=${message}&limit=20`
+  );
+  const { memories } = await response.json();
+  const memory = memories.find(m => m.id === this.testData.createdMemoryIds[0]);
+  expect(memory).toBeDefined();
+  expect(memory.sources.entity).toBeDefined();
+});
+
+Then('the response should contain a trash list', async function () {
+  const { success, count, memories } = this.testData.lastResponse;
+  expect(success).toBe(true);
+  expect(Array.isArray(memories)).toBe(true);
+  expect(count).toBe(memories.length);
+});
+
+Given('I have created a memory {string}', async function (text) {
+  const response = await this.request.post(`${this.config.appUrl}/api/memories`, {
+    data: { content: { text }, category: 'emergence', importance: 0.5 },
+  });
+  const data = await response.json();
+  this.testData.createdMemoryIds = [data.memory.id];
+});
+
+When('I edit the created memory to {string}', async function (text) {
+  const response = await this.request.put(
+    `${this.config.appUrl}/api/memories/${this.testData.createdMemoryIds[0]}`,
+    { data: { content: { text } } }
+  );
+  expect(response.status()).toBe(200);
+});
+
+Then(
+  'the created memory history should have {int} versions, the newest {string}',
+  async function (count, reason) {
+    const response = await this.request.get(
+      `${this.config.appUrl}/api/memories/${this.testData.createdMemoryIds[0]}/history`
+    );
+    const { versions } = await response.json();
+    expect(versions).toHaveLength(count);
+    expect(versions[0].version).toBe(count);
+    expect(versions[0].reason).toBe(reason);
+  }
+);
+
+When('I restore version {int} of the created memory', async function (version) {
+  const response = await this.request.post(
+    `${this.config.appUrl}/api/memories/${this.testData.createdMemoryIds[0]}/history/${version}/restore`
+  );
+  this.testData.lastResponse = await response.json();
+  this.testData.lastStatus = response.status();
+});
+
+Then('the created memory should read {string}', async function (text) {
+  const response = await this.request.get(
+    `${this.config.appUrl}/api/memories/${this.testData.createdMemoryIds[0]}`
+  );
+  const { memory } = await response.json();
+  expect(memory.content.text).toBe(text);
+});
+
+When('I delete the created memory', async function () {
+  const response = await this.request.delete(
+    `${this.config.appUrl}/api/memories/${this.testData.createdMemoryIds[0]}`
+  );
+  expect(response.status()).toBe(200);
+});
+
+const trashedIds = async world => {
+  const response = await world.request.get(`${world.config.appUrl}/api/memories/trash`);
+  const { memories } = await response.json();
+  return memories.map(m => m.id);
+};
+
+Then('the created memory should be in the trash', async function () {
+  expect(await trashedIds(this)).toContain(this.testData.createdMemoryIds[0]);
+});
+
+Then('the created memory should not be in the trash', async function () {
+  expect(await trashedIds(this)).not.toContain(this.testData.createdMemoryIds[0]);
+});
+
+When('I purge the created memory from the trash', async function () {
+  const response = await this.request.delete(
+    `${this.config.appUrl}/api/memories/trash/${this.testData.createdMemoryIds[0]}`
+  );
+  this.testData.lastResponse = await response.json();
+  this.testData.lastStatus = response.status();
+});
+
+Then('the created memory and its versions should be gone', async function () {
+  const base = `${this.config.appUrl}/api/memories/${this.testData.createdMemoryIds[0]}`;
+  expect((await this.request.get(base)).status()).toBe(404);
+  expect((await this.request.get(`${base}/history`)).status()).toBe(404);
+  expect((await this.request.post(`${base}/history/1/restore`)).status()).toBe(404);
+});
+
+When(
+  'I preview importing a note {string} linking to {string}',
+  async function (note, target) {
+    const linked = target.replace(/\.md$/, '');
+    const response = await this.request.post(`${this.config.appUrl}/api/memories/import`, {
+      data: {
+        dryRun: true,
+        files: [
+          {
+            path: note,
+            content: `---\ncategory: economic\ntags: [e2e-import]\n---\nE2E import note ${Date.now()} about [[${linked}]]`,
+          },
+          { path: target, content: `E2E import target ${Date.now()}` },
+        ],
+      },
+    });
+    this.testData.lastResponse = await response.json();
+    this.testData.lastStatus = response.status();
+  }
+);
+
+Then(
+  'the import preview should include {int} memories and {int} link(s)',
+  async function (memories, links) {
+    const preview = this.testData.lastResponse;
+    expect(preview.success).toBe(true);
+    expect(preview.dryRun).toBe(true);
+    expect(preview.memories).toHaveLength(memories);
+    expect(preview.links).toBe(links);
+    expect(preview.memories[0].category).toBe('economic');
+    expect(preview.memories[0].tags).toContain('e2e-import');
+  }
+);
+
+Then('every listed memory should be in namespace {string}', async function (namespace) {
+  const { success, memories } = this.testData.lastResponse;
+  expect(success).toBe(true);
+  memories.forEach(memory => expect(memory.namespace).toBe(namespace));
+});
+
+When('I create a memory in namespace {string}', async function (namespace) {
+  const response = await this.request.post(`${this.config.appUrl}/api/memories`, {
+    data: { content: { text: `E2E namespace memory ${Date.now()}` }, namespace },
+  });
+  this.testData.lastResponse = await response.json();
+  this.testData.lastStatus = response.status();
+});
+
 // Memory Toggle step definitions
 
 When('I POST to {string} with enabled false', async function (endpoint) {
@@ -1,4 +1,4 @@
-const { When, Then } = require('@cucumber/cucumber');
+const { Given, When, Then } = require('@cucumber/cucumber');
 const { expect } = require('@playwright/test');
 
 Then('I should see a list of templates', async function () {
@@ -47,3 +47,66 @@ Then('the test template should be removed', async function () {
   // Verify the specific template is no longer visible
   await expect(this.page.locator(`.template-item:has-text("${this.testData.templateName}")`)).not.toBeVisible({ timeout: 5000 });
 });
+
+When('I execute the {string} template', async function (templateId) {
+  const response = await this.request.post(`${this.config.appUrl}/api/prompts/execute`, {
+    data: { templateId, variables: { userMessage: 'Hello' } },
+    timeout: 120000,
+  });
+  this.testData.lastResponse = await response.json();
+});
+
+Then('the response should include a token budget', async function () {
+  const { budget } = this.testData.lastResponse;
+  expect(budget.contextLimit).toBeGreaterThan(0);
+  expect(budget.promptTokens).toBeGreaterThan(0);
+  expect(budget.remaining).toBe(budget.contextLimit - budget.reservedForOutput - budget.promptTokens);
+});
+
+Given('a messages-mode template exists', async function () {
+  this.testData.templateId = `e2e-messages-${Date.now()}`;
+  await this.request.post(`${this.config.appUrl}/api/prompts/templates`, {
+    data: {
+      id: this.testData.templateId,
+      name: 'E2E Messages Template',
+      template: 'You are a helpful assistant.',
+      variables: [],
+      mode: 'messages',
+    },
+  });
+});
+
+When('I test the messages-mode template with {string}', async function (userMessage) {
+  const response = await this.request.post(
+    `${this.config.appUrl}/api/prompts/templates/${this.testData.templateId}/test`,
+    { data: { values: { userMessage } } }
+  );
+  this.testData.lastResponse = await response.json();
+  await this.request.delete(`${this.config.appUrl}/api/prompts/templates/${this.testData.templateId}`);
+});
+
+Then('the preview should contain a user turn {string}', async function (content) {
+  const { mode, prompt, messages } = this.testData.lastResponse;
+  expect(mode).toBe('messages');
+  expect(prompt).toBe('You are a helpful assistant.');
+  expect(messages).toEqual([{ role: 'user', content }]);
+});
+
+When('I compare the {string} template across {string}', async function (templateId, provider) {
+  const response = await this.request.post(`${this.config.appUrl}/api/prompts/execute/compare`, {
+    data: {
+      templateId,
+      variables: { userMessage: 'Hello' },
+      runs: [{ provider, modelType: 'light' }],
+    },
+  });
+  this.testData.lastResponse = await response.json();
+  this.testData.lastStatus = response.status();
+});
+
+Then('the comparison run for {string} should report it unavailable', async function (provider) {
+  const [run] = this.testData.lastResponse.results;
+  expect(run.provider).toBe(provider);
+  expect(run.success).toBe(false);
+  expect(run.error).toContain('not available');
+});